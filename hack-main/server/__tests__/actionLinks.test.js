@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { signApprovalAction, verifyApprovalAction } from '../lib/actionLinks.js';
+
+const secret = 'action-link-secret';
+const expiresAt = new Date('2025-06-01T12:00:00Z');
+const before = new Date('2025-06-01T11:59:00Z');
+const action = { approvalId: 'approval-1', approverId: 'manager-1', decision: 'approved', nonce: 'n0nce', expiresAt };
+
+test('a signed action verifies back to its claims', () => {
+  assert.deepEqual(verifyApprovalAction(signApprovalAction(action, secret), secret, before), action);
+});
+
+test('a tampered signature is rejected', () => {
+  const token = signApprovalAction(action, secret);
+  const tampered = `${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`;
+  assert.equal(verifyApprovalAction(tampered, secret, before), null);
+});
+
+test('swapping the decision invalidates the signature', () => {
+  const [, signature] = signApprovalAction(action, secret).split('.');
+  const [payload] = signApprovalAction({ ...action, decision: 'rejected' }, 'attacker-secret').split('.');
+  assert.equal(verifyApprovalAction(`${payload}.${signature}`, secret, before), null);
+});
+
+test('a token signed with another secret is rejected', () => {
+  assert.equal(verifyApprovalAction(signApprovalAction(action, 'another-secret'), secret, before), null);
+});
+
+test('an expired token is rejected', () => {
+  const token = signApprovalAction(action, secret);
+  assert.equal(verifyApprovalAction(token, secret, expiresAt), null);
+});
+
+test('a correctly signed token with an unknown decision or no nonce is rejected', () => {
+  assert.equal(verifyApprovalAction(signApprovalAction({ ...action, decision: 'escalated' }, secret), secret, before), null);
+  assert.equal(verifyApprovalAction(signApprovalAction({ ...action, nonce: '' }, secret), secret, before), null);
+});
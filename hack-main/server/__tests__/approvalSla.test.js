@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { approvalSlaAction, DEFAULT_APPROVAL_SLA, resolveApprovalSla, validateApprovalSla } from '../lib/approvalSla.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2025-05-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR);
+const sla = { enabled: true, reminderHours: 24, escalationHours: 72 };
+
+describe('approvalSlaAction', () => {
+  test('does nothing before the reminder threshold', () => {
+    assert.equal(approvalSlaAction({ status: 'pending', activatedAt: hoursAgo(23.9) }, sla, now), null);
+  });
+
+  test('reminds once the reminder threshold is reached', () => {
+    assert.equal(approvalSlaAction({ status: 'pending', activatedAt: hoursAgo(24) }, sla, now), 'remind');
+  });
+
+  test('escalates once the escalation threshold is reached, even right after a reminder', () => {
+    assert.equal(approvalSlaAction({ status: 'pending', activatedAt: hoursAgo(72), lastRemindedAt: hoursAgo(1) }, sla, now), 'escalate');
+  });
+
+  test('does not remind again within the reminder interval', () => {
+    assert.equal(approvalSlaAction({ status: 'pending', activatedAt: hoursAgo(30), lastRemindedAt: hoursAgo(6) }, sla, now), null);
+  });
+
+  test('reminds again once a full interval has passed since the last reminder', () => {
+    assert.equal(approvalSlaAction({ status: 'pending', activatedAt: hoursAgo(50), lastRemindedAt: hoursAgo(26) }, sla, now), 'remind');
+  });
+
+  test('steps from before activatedAt count from when they were created', () => {
+    assert.equal(approvalSlaAction({ status: 'pending', createdAt: hoursAgo(80) }, sla, now), 'escalate');
+  });
+
+  test('ignores steps that are not pending and disabled SLAs', () => {
+    assert.equal(approvalSlaAction({ status: 'waiting', activatedAt: hoursAgo(100) }, sla, now), null);
+    assert.equal(approvalSlaAction({ status: 'pending', activatedAt: hoursAgo(100) }, { ...sla, enabled: false }, now), null);
+  });
+});
+
+test('company settings override the default SLA', () => {
+  assert.deepEqual(resolveApprovalSla(null), DEFAULT_APPROVAL_SLA);
+  assert.deepEqual(resolveApprovalSla({ approvalSla: { reminderHours: 8 } }), { ...DEFAULT_APPROVAL_SLA, reminderHours: 8 });
+});
+
+test('escalation has to come after the reminder', () => {
+  assert.equal(validateApprovalSla({ reminderHours: 24, escalationHours: 72 }), null);
+  assert.equal(validateApprovalSla({ reminderHours: 24, escalationHours: 24 }), 'Escalation must come after the reminder');
+  assert.equal(validateApprovalSla({ reminderHours: 0, escalationHours: 24 }), 'SLA thresholds must be at least one hour');
+});
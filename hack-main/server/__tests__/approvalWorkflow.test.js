@@ -0,0 +1,208 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { buildApprovalChain, buildApprovalPolicy, evaluateApprovalOutcome, selectApprovalRule } from '../lib/approvalWorkflow.js';
+
+const step = (_id, approverId, status, extra = {}) => ({ _id, approverId, status, ...extra });
+
+describe('buildApprovalChain', () => {
+  test('manager steps run first and the rule sequence follows in order', () => {
+    const rule = {
+      isManagerApprover: true,
+      managerLevels: 2,
+      approverSequence: [{ approverId: 'cfo', order: 2 }, { approverId: 'finance', order: 1 }]
+    };
+    assert.deepEqual(buildApprovalChain(rule, 'employee', ['manager', 'director', 'vp']), [
+      { approverId: 'manager', sequenceOrder: 1 },
+      { approverId: 'director', sequenceOrder: 2 },
+      { approverId: 'finance', sequenceOrder: 3 },
+      { approverId: 'cfo', sequenceOrder: 4 }
+    ]);
+  });
+
+  test('the submitter and repeated approvers get no step', () => {
+    const rule = { isManagerApprover: true, approvers: ['employee', 'manager', 'finance'] };
+    assert.deepEqual(buildApprovalChain(rule, 'employee', ['manager']), [
+      { approverId: 'manager', sequenceOrder: 1 },
+      { approverId: 'finance', sequenceOrder: 4 }
+    ]);
+  });
+
+  test('a required approver left out of the sequence is added last', () => {
+    const rule = { ruleType: 'specific', approvers: ['finance'], specificApproverRequired: 'cfo' };
+    assert.deepEqual(buildApprovalChain(rule, 'employee'), [
+      { approverId: 'finance', sequenceOrder: 1 },
+      { approverId: 'cfo', sequenceOrder: 2 }
+    ]);
+  });
+
+  test('percentage rules ignore the required approver', () => {
+    const rule = { ruleType: 'percentage', approvers: ['a', 'b'], specificApproverRequired: 'cfo' };
+    assert.equal(buildApprovalChain(rule, 'employee').length, 2);
+    assert.equal(buildApprovalPolicy({ ...rule, _id: 'r1' }).specificApproverId, null);
+  });
+});
+
+describe('evaluateApprovalOutcome', () => {
+  describe('sequential (no rule)', () => {
+    test('is approved once every step approves', () => {
+      assert.equal(evaluateApprovalOutcome(null, [step(1, 'a', 'approved'), step(2, 'b', 'pending')]), 'pending');
+      assert.equal(evaluateApprovalOutcome(null, [step(1, 'a', 'approved'), step(2, 'b', 'approved')]), 'approved');
+    });
+
+    test('is rejected by any rejection', () => {
+      assert.equal(evaluateApprovalOutcome(null, [step(1, 'a', 'rejected'), step(2, 'b', 'waiting')]), 'rejected');
+    });
+
+    test('stays pending without steps', () => {
+      assert.equal(evaluateApprovalOutcome(null, []), 'pending');
+    });
+  });
+
+  describe('percentage', () => {
+    const policy = { ruleType: 'percentage', minApprovalPercentage: 60 };
+
+    test('is approved once the threshold is reached', () => {
+      const approvals = [step(1, 'a', 'approved'), step(2, 'b', 'approved'), step(3, 'c', 'pending')];
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'approved');
+    });
+
+    test('stays pending while the threshold can still be reached', () => {
+      const approvals = [step(1, 'a', 'approved'), step(2, 'b', 'rejected'), step(3, 'c', 'pending')];
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'pending');
+    });
+
+    test('is rejected once the threshold is out of reach', () => {
+      const approvals = [step(1, 'a', 'rejected'), step(2, 'b', 'rejected'), step(3, 'c', 'pending')];
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'rejected');
+    });
+
+    test('without a percentage every step has to approve', () => {
+      const approvals = [step(1, 'a', 'approved'), step(2, 'b', 'pending')];
+      assert.equal(evaluateApprovalOutcome({ ruleType: 'percentage' }, approvals), 'pending');
+    });
+  });
+
+  describe('specific approver', () => {
+    const policy = { ruleType: 'specific', specificApproverId: 'cfo' };
+
+    test('the required approver alone decides', () => {
+      assert.equal(evaluateApprovalOutcome(policy, [step(1, 'a', 'rejected'), step(2, 'cfo', 'approved')]), 'approved');
+      assert.equal(evaluateApprovalOutcome(policy, [step(1, 'a', 'approved'), step(2, 'cfo', 'rejected')]), 'rejected');
+      assert.equal(evaluateApprovalOutcome(policy, [step(1, 'a', 'approved'), step(2, 'cfo', 'waiting')]), 'pending');
+    });
+
+    test('a delegate acts for the required approver', () => {
+      const approvals = [step(1, 'deputy', 'approved', { delegatedFrom: 'cfo' })];
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'approved');
+    });
+
+    test('falls back to every step approving when the required approver has no step', () => {
+      assert.equal(evaluateApprovalOutcome(policy, [step(1, 'a', 'approved'), step(2, 'b', 'pending')]), 'pending');
+      assert.equal(evaluateApprovalOutcome(policy, [step(1, 'a', 'approved')]), 'approved');
+    });
+  });
+
+  describe('hybrid', () => {
+    const policy = { ruleType: 'hybrid', minApprovalPercentage: 75, specificApproverId: 'cfo' };
+
+    test('is approved by the required approver before the percentage is met', () => {
+      const approvals = [step(1, 'a', 'pending'), step(2, 'b', 'pending'), step(3, 'cfo', 'approved')];
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'approved');
+    });
+
+    test('is approved by the percentage even when the required approver rejected', () => {
+      const approvals = [step(1, 'a', 'approved'), step(2, 'b', 'approved'), step(3, 'c', 'approved'), step(4, 'cfo', 'rejected')];
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'approved');
+    });
+
+    test('is rejected only when neither path can succeed', () => {
+      const pending = [step(1, 'a', 'rejected'), step(2, 'b', 'approved'), step(3, 'cfo', 'pending')];
+      assert.equal(evaluateApprovalOutcome(policy, pending), 'pending');
+      const rejected = [step(1, 'a', 'rejected'), step(2, 'b', 'approved'), step(3, 'cfo', 'rejected')];
+      assert.equal(evaluateApprovalOutcome(policy, rejected), 'rejected');
+    });
+  });
+
+  describe('escalated steps', () => {
+    test('the step an escalation hands over to carries the required approver decision', () => {
+      const policy = { ruleType: 'specific', specificApproverId: 'cfo' };
+      const approvals = [
+        step('s1', 'cfo', 'escalated'),
+        step('s2', 'ceo', 'escalated', { escalatedFrom: 's1' }),
+        step('s3', 'board', 'approved', { escalatedFrom: 's2' })
+      ];
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'approved');
+      approvals[2].status = 'rejected';
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'rejected');
+      approvals[2].status = 'pending';
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'pending');
+    });
+
+    test('escalated steps do not count towards the percentage', () => {
+      const policy = { ruleType: 'percentage', minApprovalPercentage: 100 };
+      const approvals = [step('s1', 'a', 'escalated'), step('s2', 'b', 'approved', { escalatedFrom: 's1' }), step('s3', 'c', 'approved')];
+      assert.equal(evaluateApprovalOutcome(policy, approvals), 'approved');
+    });
+  });
+});
+
+describe('selectApprovalRule', () => {
+  const facts = { amount: 1200, currency: 'usd', categoryId: 'travel', submitterRole: 'employee', paidBy: 'Company Card' };
+  const rule = (ruleName, conditions, extra = {}) => ({ ruleName, conditions, createdAt: '2025-01-01', ...extra });
+
+  test('amount bounds are inclusive', () => {
+    assert.equal(selectApprovalRule([rule('large', { minAmount: 1200 })], facts)?.ruleName, 'large');
+    assert.equal(selectApprovalRule([rule('small', { maxAmount: 1199.99 })], facts), null);
+    assert.equal(selectApprovalRule([rule('band', { minAmount: 500, maxAmount: 1200 })], facts)?.ruleName, 'band');
+  });
+
+  test('category conditions match by id, including populated categories', () => {
+    assert.equal(selectApprovalRule([rule('travel', { categoryIds: [{ _id: 'travel' }, 'meals'] })], facts)?.ruleName, 'travel');
+    assert.equal(selectApprovalRule([rule('meals', { categoryIds: ['meals'] })], facts), null);
+  });
+
+  test('every condition of a rule has to match', () => {
+    const rules = [rule('travel in euros', { categoryIds: ['travel'], currencies: ['EUR'] })];
+    assert.equal(selectApprovalRule(rules, facts), null);
+    assert.equal(selectApprovalRule(rules, { ...facts, currency: 'eur' })?.ruleName, 'travel in euros');
+  });
+
+  test('higher priority wins over more specific rules', () => {
+    const rules = [
+      rule('specific', { minAmount: 1000, categoryIds: ['travel'], paidBy: ['company card'] }, { priority: 1 }),
+      rule('broad', { minAmount: 100 }, { priority: 5 })
+    ];
+    assert.equal(selectApprovalRule(rules, facts).ruleName, 'broad');
+  });
+
+  test('at equal priority the rule with more conditions wins, then the newest', () => {
+    const rules = [
+      rule('older broad', { minAmount: 100 }),
+      rule('specific', { minAmount: 100, categoryIds: ['travel'] }),
+      rule('newer broad', { maxAmount: 5000 }, { createdAt: '2025-06-01' })
+    ];
+    assert.equal(selectApprovalRule(rules, facts).ruleName, 'specific');
+    assert.equal(selectApprovalRule(rules.filter((r) => r.ruleName !== 'specific'), facts).ruleName, 'newer broad');
+  });
+
+  test('a rule without conditions catches whatever no other rule matched', () => {
+    const rules = [rule('catch-all', {}), rule('meals', { categoryIds: ['meals'] }, { priority: 10 })];
+    assert.equal(selectApprovalRule(rules, facts).ruleName, 'catch-all');
+  });
+
+  test('an amount that could not be converted is routed like a large one', () => {
+    const unknown = { ...facts, amount: null };
+    const rules = [
+      rule('small', { maxAmount: 1000 }, { priority: 5 }),
+      rule('needs CFO', { minAmount: 1000 }, { priority: 1 }),
+      rule('mid band', { minAmount: 100, maxAmount: 5000 }, { priority: 3 })
+    ];
+    assert.equal(selectApprovalRule(rules, unknown).ruleName, 'needs CFO');
+    assert.equal(selectApprovalRule([rule('small', { maxAmount: 1000 })], unknown), null);
+  });
+
+  test('no matching rule gives null, leaving the expense to the fallback approvers', () => {
+    assert.equal(selectApprovalRule([rule('meals', { categoryIds: ['meals'] })], facts), null);
+    assert.equal(selectApprovalRule([], facts), null);
+  });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { PNG } from 'pngjs';
+import { contentHash, duplicateReasons, hammingDistance, MAX_HASH_BYTES, perceptualHash, SIMILAR_IMAGE_MAX_DISTANCE } from '../lib/duplicateDetection.js';
+
+const expense = (overrides = {}) => ({
+  userId: 'u1',
+  amount: 42.5,
+  currency: 'EUR',
+  date: new Date('2025-03-14T09:00:00Z'),
+  attachments: [],
+  ...overrides
+});
+
+// A receipt-like test image: a light page with dark text bands, optionally brightened
+const receiptPng = (width, height, brighten = 0) => {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const ink = Math.floor((y / height) * 12) % 2 === 0 && x < width * (0.3 + ((y * 7) % 5) / 10);
+      const shade = Math.min(255, (ink ? 40 : 230) + brighten);
+      const i = (y * width + x) * 4;
+      png.data[i] = shade;
+      png.data[i + 1] = shade;
+      png.data[i + 2] = shade;
+      png.data[i + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+};
+
+describe('duplicateReasons', () => {
+  test('the same receipt file matches across submitters', () => {
+    const hash = contentHash(Buffer.from('receipt'));
+    const reasons = duplicateReasons(
+      expense({ attachments: [{ hash }] }),
+      expense({ userId: 'u2', amount: 10, attachments: [{ hash }] })
+    );
+    assert.deepEqual(reasons, ['same_file']);
+  });
+
+  test('the same amount on the same day by the same submitter matches, and a shared merchant confirms it', () => {
+    assert.deepEqual(duplicateReasons(expense(), expense({ date: new Date('2025-03-14T18:30:00Z') })), ['same_amount_and_date']);
+
+    const withMerchant = (merchant) => expense({ attachments: [{ ocr: { merchant } }] });
+    assert.deepEqual(duplicateReasons(withMerchant('Café Uno'), withMerchant('CAFE UNO')), ['same_amount_and_date', 'same_merchant']);
+  });
+
+  test('different merchants, submitters, days, amounts or currencies clear the claim match', () => {
+    const withMerchant = (merchant) => expense({ attachments: [{ ocr: { merchant } }] });
+    assert.deepEqual(duplicateReasons(withMerchant('Taxi One'), withMerchant('City Cabs')), []);
+    assert.deepEqual(duplicateReasons(expense(), expense({ userId: 'u2' })), []);
+    assert.deepEqual(duplicateReasons(expense(), expense({ date: new Date('2025-03-15T09:00:00Z') })), []);
+    assert.deepEqual(duplicateReasons(expense(), expense({ amount: 42.51 })), []);
+    assert.deepEqual(duplicateReasons(expense(), expense({ currency: 'USD' })), []);
+  });
+
+  test('images match up to the hamming threshold and no further', () => {
+    const base = 'f0f0f0f0f0f0f0f0';
+    const flip = (bits) => (BigInt(`0x${base}`) ^ ((1n << BigInt(bits)) - 1n)).toString(16).padStart(16, '0');
+    const withImage = (userId, value) => expense({ userId, attachments: [{ hash: contentHash(value), perceptualHash: value }] });
+
+    assert.equal(hammingDistance(base, flip(SIMILAR_IMAGE_MAX_DISTANCE)), SIMILAR_IMAGE_MAX_DISTANCE);
+    assert.deepEqual(duplicateReasons(withImage('u1', base), withImage('u2', flip(SIMILAR_IMAGE_MAX_DISTANCE))), ['similar_image']);
+    assert.deepEqual(duplicateReasons(withImage('u1', base), withImage('u2', flip(SIMILAR_IMAGE_MAX_DISTANCE + 1))), []);
+  });
+});
+
+describe('perceptualHash', () => {
+  test('a resized, brightened copy of a receipt stays within the threshold', () => {
+    const original = perceptualHash(receiptPng(180, 320), 'image/png');
+    const copy = perceptualHash(receiptPng(90, 160, 15), 'image/png');
+    assert.match(original, /^[0-9a-f]{16}$/);
+    assert.ok(hammingDistance(original, copy) <= SIMILAR_IMAGE_MAX_DISTANCE);
+  });
+
+  test('files that are not PNG or JPEG images have no perceptual hash', () => {
+    assert.equal(perceptualHash(Buffer.from('%PDF-1.4'), 'application/pdf'), null);
+    assert.equal(perceptualHash(Buffer.from('not a png'), 'image/png'), null);
+  });
+
+  test('images over the byte or pixel cap are not decoded', () => {
+    const huge = receiptPng(4, 4);
+    huge.writeUInt32BE(20000, 16);
+    huge.writeUInt32BE(20000, 20);
+    assert.equal(perceptualHash(huge, 'image/png'), null);
+    assert.equal(perceptualHash(Buffer.concat([receiptPng(180, 320), Buffer.alloc(MAX_HASH_BYTES)]), 'image/png'), null);
+  });
+});
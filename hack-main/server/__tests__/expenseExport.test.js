@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { PassThrough, Writable } from 'node:stream';
+import { test } from 'node:test';
+import { EXPORT_COLUMNS, toExportRow, writeCsvExport } from '../lib/expenseExport.js';
+
+const expense = {
+  _id: 'e1',
+  date: new Date('2025-03-01'),
+  userId: { name: 'Jane Smith', email: 'jane@example.com' },
+  description: 'Hotel',
+  categoryId: { name: 'Travel' },
+  paidBy: 'Company Card',
+  amount: 240,
+  currency: 'EUR',
+  status: 'approved',
+  attachments: [{ key: 'receipts/c1/folio.pdf' }, { key: 'receipts/c1/slip.jpg' }],
+  createdAt: new Date('2025-03-02T10:00:00Z')
+};
+
+const collect = async (write) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  await write(stream);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+test('each attachment gets its own receipt link in the export row', () => {
+  const row = toExportRow(expense, [], (key) => `https://app.example.com/files/${key}`);
+  assert.equal(row.receipt, 'https://app.example.com/files/receipts/c1/folio.pdf\nhttps://app.example.com/files/receipts/c1/slip.jpg');
+});
+
+test('expenses without attachments export an empty receipt cell', () => {
+  assert.equal(toExportRow({ ...expense, attachments: [] }, [], (key) => key).receipt, '');
+});
+
+test('approval steps of the expense report are labelled in the trail', () => {
+  const approvals = [
+    { round: 1, sequenceOrder: 1, approverId: { name: 'Sam Lee' }, status: 'approved', approvedAt: new Date('2025-03-03') },
+    { reportId: 'r1', round: 2, sequenceOrder: 1, approverId: { name: 'Ana Ruiz' }, delegatedFrom: { name: 'Kim Park' }, status: 'pending' }
+  ];
+  assert.equal(toExportRow(expense, approvals).approvalTrail, '1. Sam Lee: approved 2025-03-03; Report R2 1. Ana Ruiz for Kim Park: pending');
+});
+
+test('the CSV keeps every receipt link in the Receipt column', async () => {
+  const approvals = [{ round: 1, sequenceOrder: 1, approverId: { name: 'Sam Lee' }, status: 'approved', approvedAt: new Date('2025-03-03') }];
+  const csv = await collect((stream) => writeCsvExport(stream, (async function* () {
+    yield [toExportRow(expense, approvals, (key) => `https://app.example.com/files/${key}`)];
+  })()));
+
+  const receiptColumn = EXPORT_COLUMNS.findIndex((column) => column.key === 'receipt');
+  assert.equal(EXPORT_COLUMNS[receiptColumn].header, 'Receipt');
+  assert.ok(csv.includes('"https://app.example.com/files/receipts/c1/folio.pdf\nhttps://app.example.com/files/receipts/c1/slip.jpg"'));
+  assert.ok(csv.includes('1. Sam Lee: approved 2025-03-03'));
+});
+
+test('cells starting with a formula, or a tab or carriage return before one, are neutralised', async () => {
+  const csv = await collect((stream) => writeCsvExport(stream, (async function* () {
+    yield ['=HYPERLINK("x")', '\t=1+1', '\r@SUM(A1)', '-12.5'].map((description) => toExportRow({ ...expense, description }, []));
+  })()));
+
+  assert.ok(csv.includes('"\'=HYPERLINK(""x"")"'));
+  assert.ok(csv.includes("'\t=1+1"));
+  assert.ok(csv.includes('"\'\r@SUM(A1)"'));
+  assert.ok(csv.includes(',-12.5,'));
+});
+
+test('the CSV waits for a slow reader instead of buffering the whole export', async () => {
+  let buffered = 0;
+  let written = 0;
+  const slow = new Writable({
+    highWaterMark: 1024,
+    write(chunk, encoding, callback) {
+      buffered = Math.max(buffered, this.writableLength);
+      written += chunk.length;
+      setImmediate(callback);
+    }
+  });
+
+  await writeCsvExport(slow, (async function* () {
+    for (let i = 0; i < 500; i++) yield [toExportRow(expense, [])];
+  })());
+
+  assert.ok(written > 50 * 1024);
+  assert.ok(buffered < 8 * 1024, `buffered ${buffered} bytes`);
+});
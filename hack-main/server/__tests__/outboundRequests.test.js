@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, test } from 'node:test';
+import { checkOutboundUrl, guardedFetch, isPublicAddress } from '../lib/outboundRequests.js';
+
+const resolvesTo = (...addresses) => async () => addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+test('loopback, private, link-local and metadata addresses are not public', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.10', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+  assert.equal(isPublicAddress('2606:4700:4700::1111'), true);
+});
+
+describe('checkOutboundUrl', () => {
+  test('accepts a host that resolves to public addresses', async () => {
+    assert.equal(await checkOutboundUrl('https://hooks.example.com/in', { lookup: resolvesTo('93.184.216.34') }), null);
+  });
+
+  test('rejects a host where any resolved address is private', async () => {
+    const error = await checkOutboundUrl('https://hooks.example.com/in', { lookup: resolvesTo('93.184.216.34', '10.0.0.7') });
+    assert.equal(error, 'URL must point to a public internet address');
+  });
+
+  test('rejects IP literals without resolving them', async () => {
+    const lookup = async () => assert.fail('IP literals are not looked up');
+    assert.equal(await checkOutboundUrl('http://169.254.169.254/latest/meta-data', { lookup }), 'URL must point to a public internet address');
+    assert.equal(await checkOutboundUrl('http://[::1]:8080/', { lookup }), 'URL must point to a public internet address');
+  });
+
+  test('rejects other schemes and unresolvable hosts', async () => {
+    assert.equal(await checkOutboundUrl('file:///etc/passwd'), 'URL must be an http(s) address');
+    assert.equal(await checkOutboundUrl('not a url'), 'URL is not valid');
+    const lookup = async () => { throw new Error('ENOTFOUND'); };
+    assert.equal(await checkOutboundUrl('https://nowhere.invalid/', { lookup }), 'Host "nowhere.invalid" could not be resolved');
+  });
+});
+
+describe('guardedFetch', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+        return res.end();
+      }
+      res.end('ok');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('refuses to connect to a loopback address', async () => {
+    await assert.rejects(guardedFetch(`http://127.0.0.1:${port}/`), /non-public address 127\.0\.0\.1/);
+  });
+
+  test('refuses a hostname that resolves to loopback', async () => {
+    await assert.rejects(guardedFetch(`http://localhost:${port}/`), /non-public address/);
+  });
+
+  test('returns redirects as responses instead of following them', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+    try {
+      const response = await guardedFetch(`http://127.0.0.1:${port}/redirect`, { method: 'POST', body: '{}' });
+      assert.equal(response.status, 302);
+      assert.equal(response.ok, false);
+    } finally {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    }
+  });
+});
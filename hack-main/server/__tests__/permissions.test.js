@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BUILT_IN_ROLES, canGrantPermissions, hasPermission, resolvePermissions } from '../lib/permissions.js';
+
+const userManager = { role: 'employee', roleId: { permissions: ['users.view', 'users.manage'] } };
+
+test('a custom role replaces the permissions of its base role', () => {
+  assert.deepEqual(resolvePermissions(userManager), ['users.view', 'users.manage']);
+  assert.equal(hasPermission({ role: 'manager' }, 'reports.view'), true);
+  assert.equal(hasPermission({ role: 'employee' }, 'reports.view'), false);
+});
+
+test('a user manager cannot hand out the admin or manager role', () => {
+  assert.equal(canGrantPermissions(userManager, BUILT_IN_ROLES.admin.permissions), false);
+  assert.equal(canGrantPermissions(userManager, BUILT_IN_ROLES.manager.permissions), false);
+});
+
+test('a user manager can grant roles within their own permissions', () => {
+  assert.equal(canGrantPermissions(userManager, BUILT_IN_ROLES.employee.permissions), true);
+  assert.equal(canGrantPermissions(userManager, ['users.view']), true);
+  assert.equal(canGrantPermissions(userManager, ['users.view', 'roles.manage']), false);
+});
+
+test('admins can grant everything', () => {
+  assert.equal(canGrantPermissions({ role: 'admin' }, BUILT_IN_ROLES.admin.permissions), true);
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { after, describe, test } from 'node:test';
+import { configureRateProviders, convertCurrency, fetchHistoricalRates } from '../lib/currencyRates.js';
+import { pickEntry, rebaseRates } from '../lib/rateProviders.js';
+
+const usd = (date, eur, inr) => ({ base: 'USD', date, rates: { USD: 1, EUR: eur, INR: inr } });
+
+describe('rebaseRates', () => {
+  test('re-expresses a table against a currency it quotes', () => {
+    const rebased = rebaseRates(usd('2025-03-03', 0.5, 80), 'EUR');
+    assert.equal(rebased.base, 'EUR');
+    assert.deepEqual(rebased.rates, { USD: 2, EUR: 1, INR: 160 });
+    assert.equal(rebased.date, '2025-03-03');
+  });
+
+  test('keeps a table already in the base and gives null for currencies it does not quote', () => {
+    const entry = usd('2025-03-03', 0.5, 80);
+    assert.equal(rebaseRates(entry, 'USD'), entry);
+    assert.equal(rebaseRates(entry, 'JPY'), null);
+    assert.equal(rebaseRates(null, 'USD'), null);
+  });
+});
+
+describe('pickEntry', () => {
+  const entries = [usd('2025-01-02', 0.9, 85), usd('2025-03-03', 0.8, 86), { base: 'EUR', date: '2025-04-01', rates: { EUR: 1, USD: 1.25 } }];
+
+  test('without a date picks the newest table, rebasing it when needed', () => {
+    const latest = pickEntry(entries, 'USD');
+    assert.equal(latest.date, '2025-03-03');
+    assert.equal(latest.base, 'USD');
+    assert.equal(pickEntry(entries, 'EUR').date, '2025-04-01');
+  });
+
+  test('a historical lookup takes the newest table on or before the date', () => {
+    assert.equal(pickEntry(entries, 'USD', '2025-02-15').date, '2025-01-02');
+    assert.equal(pickEntry(entries, 'USD', '2025-03-03').date, '2025-03-03');
+  });
+
+  test('prefers a table in the base over a newer one that has to be rebased', () => {
+    assert.equal(pickEntry(entries, 'USD', '2025-04-15').date, '2025-03-03');
+  });
+
+  test('finds nothing before the oldest table', () => {
+    assert.equal(pickEntry(entries, 'USD', '2024-12-31'), null);
+  });
+});
+
+describe('fetchHistoricalRates', () => {
+  const provider = (historical) => ({
+    name: 'Test rates',
+    getLatest: async (base) => ({ ...usd('2025-06-01', 0.7, 90), base, provider: 'Test rates' }),
+    getHistorical: async (base, date) => historical.filter((entry) => entry.date <= date).at(-1) || null
+  });
+
+  after(() => configureRateProviders([]));
+
+  test('rates from the requested day or shortly before are exact', async () => {
+    configureRateProviders([provider([usd('2025-03-01', 0.8, 86)])]);
+    const rates = await fetchHistoricalRates('USD', '2025-03-03');
+    assert.equal(rates.date, '2025-03-01');
+    assert.equal(rates.approximate, undefined);
+  });
+
+  test('rates from more than a week earlier are approximate', async () => {
+    configureRateProviders([provider([usd('2025-01-02', 0.9, 85)])]);
+    const conversion = await convertCurrency(100, 'USD', 'EUR', { date: '2025-03-03' });
+    assert.equal(conversion.converted, 90);
+    assert.equal(conversion.rate_date, '2025-01-02');
+    assert.equal(conversion.approximate, true);
+  });
+
+  test('falling back to the latest rates is approximate', async () => {
+    configureRateProviders([provider([])]);
+    const rates = await fetchHistoricalRates('USD', '2025-03-03');
+    assert.equal(rates.date, '2025-06-01');
+    assert.equal(rates.historical, false);
+    assert.equal(rates.approximate, true);
+  });
+
+  test('approximate rates are not cached, so rates added later for that day are used', async () => {
+    const tables = [usd('2025-01-02', 0.9, 85)];
+    configureRateProviders([provider(tables)]);
+    assert.equal((await fetchHistoricalRates('USD', '2025-03-03')).approximate, true);
+    tables.push(usd('2025-03-03', 0.8, 86));
+    const rates = await fetchHistoricalRates('USD', '2025-03-03');
+    assert.equal(rates.date, '2025-03-03');
+    assert.equal(rates.approximate, undefined);
+  });
+});
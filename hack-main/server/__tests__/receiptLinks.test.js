@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { signReceiptLink, verifyReceiptLink } from '../lib/receiptLinks.js';
+
+const secret = 'receipt-link-secret';
+const expiresAt = new Date('2025-06-01T12:00:00Z');
+const before = new Date('2025-06-01T11:00:00Z');
+
+test('a signed link verifies back to its key and expiry', () => {
+  const token = signReceiptLink({ key: 'receipts/c1/2025/folio.pdf', expiresAt }, secret);
+  assert.deepEqual(verifyReceiptLink(token, secret, before), { key: 'receipts/c1/2025/folio.pdf', expiresAt });
+});
+
+test('a link whose claims were changed is rejected', () => {
+  const [, signature] = signReceiptLink({ key: 'receipts/c1/folio.pdf', expiresAt }, secret).split('.');
+  const forged = Buffer.from(JSON.stringify({ k: 'receipts/c2/other.pdf', e: expiresAt.getTime() / 1000 })).toString('base64url');
+  assert.equal(verifyReceiptLink(`${forged}.${signature}`, secret, before), null);
+});
+
+test('a link with a tampered signature is rejected', () => {
+  const token = signReceiptLink({ key: 'receipts/c1/folio.pdf', expiresAt }, secret);
+  const tampered = `${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`;
+  assert.equal(verifyReceiptLink(tampered, secret, before), null);
+});
+
+test('a link signed with another secret is rejected', () => {
+  const token = signReceiptLink({ key: 'receipts/c1/folio.pdf', expiresAt }, 'another-secret');
+  assert.equal(verifyReceiptLink(token, secret, before), null);
+});
+
+test('an expired link is rejected', () => {
+  const token = signReceiptLink({ key: 'receipts/c1/folio.pdf', expiresAt }, secret);
+  assert.equal(verifyReceiptLink(token, secret, expiresAt), null);
+  assert.equal(verifyReceiptLink(token, secret, new Date('2025-06-02T00:00:00Z')), null);
+});
+
+test('malformed links are rejected', () => {
+  for (const token of [undefined, '', 'abc', 'a.b.c', 'not-json.signature']) {
+    assert.equal(verifyReceiptLink(token, secret, before), null);
+  }
+});
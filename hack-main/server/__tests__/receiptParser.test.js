@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { extractFieldsFromText } from '../lib/receiptParser.js';
+
+// Each fixture is a receipt's OCR text (name.txt) next to the fields it should yield (name.json).
+// Confidences are left out of the JSON and checked separately, so tuning them does not rewrite every fixture.
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'receipts');
+const fixtures = fs.readdirSync(fixturesDir).filter((file) => file.endsWith('.txt')).map((file) => path.basename(file, '.txt'));
+
+const parseFixture = (name) => extractFieldsFromText(fs.readFileSync(path.join(fixturesDir, `${name}.txt`), 'utf8'));
+
+describe('extractFieldsFromText fixtures', () => {
+  for (const name of fixtures) {
+    test(name, () => {
+      const expected = JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+      const result = parseFixture(name);
+
+      const actual = Object.fromEntries(Object.keys(expected).map((key) => [key, result[key]]));
+      actual.lineItems = result.lineItems.map(({ confidence, ...item }) => item);
+      actual.taxes = result.taxes.map(({ confidence, ...tax }) => tax);
+      assert.deepEqual(actual, expected);
+    });
+  }
+});
+
+describe('extractFieldsFromText confidence', () => {
+  test('every field reports a confidence between 0 and 99', () => {
+    for (const name of fixtures) {
+      const { fieldConfidence, lineItems, taxes } = parseFixture(name);
+      for (const value of [...Object.values(fieldConfidence), ...lineItems.map((item) => item.confidence), ...taxes.map((tax) => tax.confidence)]) {
+        assert.ok(Number.isInteger(value) && value >= 0 && value <= 99, `${name}: ${value}`);
+      }
+    }
+  });
+
+  test('missing fields have zero confidence', () => {
+    const { fieldConfidence } = parseFixture('hardware-cash');
+    assert.equal(fieldConfidence.subtotal, 0);
+    assert.equal(fieldConfidence.tax, 0);
+    assert.equal(fieldConfidence.tip, 0);
+  });
+
+  test('line items whose quantity and prices agree are trusted more', () => {
+    const [screws, hammer] = parseFixture('hardware-cash').lineItems;
+    assert.ok(screws.confidence > hammer.confidence);
+  });
+
+  test('a breakdown that adds up to the total raises subtotal, tax and tip', () => {
+    const { fieldConfidence } = parseFixture('us-restaurant');
+    assert.ok(fieldConfidence.subtotal >= 90);
+    assert.ok(fieldConfidence.tax >= 85);
+    assert.ok(fieldConfidence.tip >= 90);
+  });
+
+  test('a tax rate that does not match its amount is not confirmed', () => {
+    const { taxes } = extractFieldsFromText('Cafe Uno\nLatte 4.00\nSubtotal 4.00\nVAT 20% 0.50');
+    assert.equal(taxes[0].confidence, 70);
+  });
+
+  test('a generic card slip is a low-confidence credit card guess', () => {
+    const { paidBy, fieldConfidence } = extractFieldsFromText('Kiosk\nWater 2.00\nTotal 2.00\nCARD PAYMENT');
+    assert.equal(paidBy, 'Credit Card');
+    assert.ok(fieldConfidence.paidBy < 50);
+  });
+});
+
+test('the total is never taken from the subtotal line', () => {
+  const { amount, subtotal } = extractFieldsFromText('Deli\nSubtotal 10.00\nTax 0.80\nTotal 10.80');
+  assert.equal(subtotal, 10);
+  assert.equal(amount, 10.8);
+});
+
+test('a debit card is not mistaken for credit because of its network', () => {
+  assert.equal(extractFieldsFromText('Shop\nTotal 5.00\nVISA DEBIT ****9876').paidBy, 'Debit Card');
+});
+
+describe('locale-aware parsing', () => {
+  test('a US receipt reads 11/04/2025 month first and says it could be the other way round', () => {
+    const { date, ambiguities } = extractFieldsFromText('Diner\n11/04/2025\nTotal $12.00');
+    assert.equal(date, '2025-11-04');
+    assert.deepEqual(ambiguities, [{ field: 'date', value: '2025-11-04', alternatives: ['2025-04-11'] }]);
+  });
+
+  test('the company country decides the date order when the receipt has no currency', () => {
+    const text = 'Diner\n11/04/2025\nTotal 12.00';
+    assert.equal(extractFieldsFromText(text, { country: 'United States', defaultCurrency: 'USD' }).date, '2025-11-04');
+    assert.equal(extractFieldsFromText(text, { country: 'India', defaultCurrency: 'INR' }).date, '2025-04-11');
+  });
+
+  test('a date that only fits one order is not ambiguous', () => {
+    const { date, ambiguities } = extractFieldsFromText('Diner\n25/04/2025\nTotal $12.00');
+    assert.equal(date, '2025-04-25');
+    assert.deepEqual(ambiguities, []);
+  });
+
+  test('European amounts use a decimal comma', () => {
+    const { amount, currency } = extractFieldsFromText('Markt\nGesamt 1.234,56 €');
+    assert.equal(currency, 'EUR');
+    assert.equal(amount, 1234.56);
+  });
+
+  test('the separator the receipt itself uses beats the company locale', () => {
+    const { amount } = extractFieldsFromText('Store\nItem 1,234.50\nTotal 1,234.50', { country: 'Germany', defaultCurrency: 'EUR' });
+    assert.equal(amount, 1234.5);
+  });
+
+  test('a total without decimals that could be either reading is reported', () => {
+    const { amount, ambiguities } = extractFieldsFromText('Markt\nSumme 1.234 EUR');
+    assert.equal(amount, 1234);
+    assert.deepEqual(ambiguities, [{ field: 'amount', value: 1234, alternatives: [1.234] }]);
+  });
+
+  test('totals with one decimal are read whole', () => {
+    assert.equal(extractFieldsFromText('Shop\nTotal 12.5').amount, 12.5);
+    assert.equal(extractFieldsFromText('Shop\nAmount Due 45.5 USD').amount, 45.5);
+    assert.equal(extractFieldsFromText('Shop\nTotal 1,234.5').amount, 1234.5);
+  });
+
+  test('thousands grouped with a space or NBSP are read whole', () => {
+    assert.equal(extractFieldsFromText('Boulangerie\nTotal: 1 234,50 €').amount, 1234.5);
+    assert.equal(extractFieldsFromText('Boulangerie\nTotal: 1\u00A0234,50 €').amount, 1234.5);
+    assert.equal(extractFieldsFromText('Boulangerie\nTotal 1 234 €').amount, 1234);
+  });
+
+  test('a quantity before an item price is not taken as a thousands group', () => {
+    const { lineItems } = extractFieldsFromText('Boulangerie\nCroissant 2 1,50\nTotal 3,00 €');
+    assert.equal(lineItems[0].amount, 1.5);
+  });
+
+  test('non-English month names are understood', () => {
+    assert.equal(extractFieldsFromText('Tienda\n14 de noviembre de 2025\nTotal 9,50 €').date, '2025-11-14');
+    assert.equal(extractFieldsFromText('Laden\n3. März 2025\nSumme 9,50').date, '2025-03-03');
+    assert.equal(extractFieldsFromText('Negozio\n1 dic 2024\nTotale 9,50').date, '2024-12-01');
+  });
+
+  test('dollar receipts take the company currency when it is a dollar currency', () => {
+    const { currency, date } = extractFieldsFromText('Cafe\n04/11/2025\nTotal $8.00', { country: 'Australia', defaultCurrency: 'AUD' });
+    assert.equal(currency, 'AUD');
+    assert.equal(date, '2025-11-04');
+  });
+});
@@ -0,0 +1,37 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configureMailTransport } from '../lib/mailer.js';
+import { createConsoleTransport, createFileTransport, createSmtpTransport } from '../lib/mailTransports.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// MAIL_TRANSPORT is smtp, file or console
+const setupMailTransport = () => {
+  const name = (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+  let transport;
+
+  if (name === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      console.error('SMTP_HOST is not set; falling back to the console mail transport');
+    } else {
+      transport = createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    }
+  } else if (name === 'file') {
+    transport = createFileTransport({ dir: path.resolve(__dirname, '..', process.env.MAIL_FILE_DIR || 'mail-outbox') });
+  } else if (name !== 'console') {
+    console.error(`Unknown mail transport "${name}"`);
+  }
+
+  transport = transport || createConsoleTransport();
+  configureMailTransport(transport, { from: process.env.MAIL_FROM });
+  console.log(`Mail transport: ${transport.name}`);
+};
+
+export { setupMailTransport };
+export default setupMailTransport;
@@ -0,0 +1,32 @@
+import path from 'path';
+import { configureRateProviders } from '../lib/currencyRates.js';
+import { createFileProvider, createHttpProvider, createMongoProvider } from '../lib/rateProviders.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+
+// RATE_PROVIDERS is an ordered, comma-separated list of http, file and mongo
+const setupRateProviders = () => {
+  const names = (process.env.RATE_PROVIDERS || 'http,mongo').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const providers = [];
+
+  for (const name of names) {
+    if (name === 'http') {
+      providers.push(createHttpProvider(process.env.RATE_API_URL ? { baseUrl: process.env.RATE_API_URL } : {}));
+    } else if (name === 'file') {
+      if (!process.env.RATE_FILE_PATH) {
+        console.error('RATE_FILE_PATH is not set; skipping the file rate provider');
+        continue;
+      }
+      providers.push(createFileProvider({ filePath: path.resolve(process.env.RATE_FILE_PATH) }));
+    } else if (name === 'mongo') {
+      providers.push(createMongoProvider({ model: ExchangeRate }));
+    } else {
+      console.error(`Unknown rate provider "${name}"`);
+    }
+  }
+
+  configureRateProviders(providers);
+  console.log(`Exchange rate providers: ${providers.map(p => p.name).join(', ') || 'default'}`);
+};
+
+export { setupRateProviders };
+export default setupRateProviders;
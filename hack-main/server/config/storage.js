@@ -0,0 +1,39 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configureReceiptStorage, createLocalReceiptStorage, createS3ReceiptStorage } from '../lib/receiptStorage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// RECEIPT_STORAGE is local or s3
+const setupReceiptStorage = () => {
+  const name = (process.env.RECEIPT_STORAGE || 'local').trim().toLowerCase();
+  let storage;
+
+  if (name === 's3') {
+    if (!process.env.S3_BUCKET) {
+      console.error('S3_BUCKET is not set; falling back to local receipt storage');
+    } else {
+      storage = createS3ReceiptStorage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        ...(process.env.S3_FORCE_PATH_STYLE ? { forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' } : {})
+      });
+    }
+  } else if (name !== 'local') {
+    console.error(`Unknown receipt storage "${name}"`);
+  }
+
+  // Receipts uploaded before storage was configurable live under server/uploads/receipts
+  storage = storage || createLocalReceiptStorage({
+    dir: process.env.RECEIPT_STORAGE_DIR ? path.resolve(process.env.RECEIPT_STORAGE_DIR) : path.join(__dirname, '..', 'uploads')
+  });
+  configureReceiptStorage(storage);
+  console.log(`Receipt storage: ${storage.name}`);
+  return storage;
+};
+
+export { setupReceiptStorage };
+export default setupReceiptStorage;
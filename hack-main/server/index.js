@@ -1,25 +1,51 @@
 ﻿import bcrypt from 'bcryptjs';
 import cors from 'cors';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import express from 'express';
-import fs from 'fs/promises';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import morgan from 'morgan';
 import multer from 'multer';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import { connectDB } from './config/database.js';
-import { convertCurrency, fetchRates } from './lib/currencyRates.js';
+import { setupMailTransport } from './config/mail.js';
+import { setupRateProviders } from './config/rates.js';
+import { setupReceiptStorage } from './config/storage.js';
+import { convertCurrency, fetchHistoricalRates, fetchRates } from './lib/currencyRates.js';
+import { approvalSlaAction, hoursPending, resolveApprovalSla, validateApprovalSla } from './lib/approvalSla.js';
+import { APPROVAL_ACTION_DECISIONS, signApprovalAction, verifyApprovalAction } from './lib/actionLinks.js';
+import { buildApprovalChain, buildApprovalPolicy, evaluateApprovalOutcome, selectApprovalRule } from './lib/approvalWorkflow.js';
+import { EXPORT_FORMATS, toExportRow, writeCsvExport, writeXlsxExport } from './lib/expenseExport.js';
+import { contentHash, duplicateReasons, perceptualHash } from './lib/duplicateDetection.js';
+import { checkOutboundUrl } from './lib/outboundRequests.js';
+import { closeEventStreams, openEventStream, publishEvent } from './lib/liveEvents.js';
+import { escapeHtml, sendMail } from './lib/mailer.js';
+import { buildNotificationEmail, buildWebhookPayload, channelsFor, DELIVERY_CHANNELS, parseNotificationPreferences, postWebhook, resolveNotificationPreferences } from './lib/notificationChannels.js';
+import { BUILT_IN_ROLE_KEYS, BUILT_IN_ROLES, canGrantPermissions, hasPermission, PERMISSIONS, resolvePermissions, sanitizePermissions } from './lib/permissions.js';
+import { buildSpendPipeline, buildTurnaroundPipeline, SPEND_GROUPINGS } from './lib/spendAnalytics.js';
+import { generateWebhookSecret, nextRetryAt, sanitizeWebhookEvents, sendWebhook, WEBHOOK_EVENT_KEYS, WEBHOOK_EVENTS, WEBHOOK_TEST_EVENT } from './lib/webhooks.js';
+import { signReceiptLink, verifyReceiptLink } from './lib/receiptLinks.js';
 import { analyzeReceipt, shutdownWorker } from './lib/receiptParser.js';
-import { assertRole, authMiddleware } from './middleware/auth.js';
+import { contentTypeFor, getReceiptStorage } from './lib/receiptStorage.js';
+import { ACCESS_TOKEN_TTL, authMiddleware, issueStreamTicket, requirePermission, signAccessToken, streamTicketMiddleware } from './middleware/auth.js';
 import Approval from './models/Approval.js';
 import ApprovalRule from './models/ApprovalRule.js';
 import AuditLog from './models/AuditLog.js';
 import Company from './models/Company.js';
+import Delegation from './models/Delegation.js';
 import Expense from './models/Expense.js';
 import ExpenseCategory from './models/ExpenseCategory.js';
+import ExpenseReport from './models/ExpenseReport.js';
+import Invitation from './models/Invitation.js';
 import Notification from './models/Notification.js';
+import Role from './models/Role.js';
+import Session from './models/Session.js';
 import User from './models/User.js';
+import UserToken from './models/UserToken.js';
+import WebhookDelivery from './models/WebhookDelivery.js';
+import WebhookEndpoint from './models/WebhookEndpoint.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,447 +70,2606 @@ const PORT = process.env.PORT || 4001;
 app.use(cors({ origin: 'http://localhost:5173', credentials: true }));
 app.use(morgan('dev'));
 app.use(express.json());
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-// Configure multer for receipt uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const dir = path.join(__dirname, 'uploads', 'receipts');
-    await fs.mkdir(dir, { recursive: true });
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-    cb(null, `receipt-${uniqueSuffix}${path.extname(file.originalname)}`);
+// Receipts are held in memory until they are written to the configured receipt storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    if (extname && mimetype) return cb(null, true);
+    cb(new Error('Only image files and PDFs are allowed'));
+  }
+});
+
+// Helper functions
+async function createAuditLog(userId, companyId, action, entityType, entityId, details = {}) {
+  try {
+    await AuditLog.create({ userId, companyId, action, entityType, entityId, details });
+    if (WEBHOOK_EVENT_KEYS.includes(action)) {
+      queueWebhookEvent(companyId, action, { entity_type: entityType, entity_id: String(entityId), actor_id: String(userId), details })
+        .catch(error => console.error('Failed to queue webhook event:', error));
+    }
+  } catch (error) {
+    console.error('Failed to create audit log:', error);
+  }
+}
+
+function mapNotification(notification) {
+  return {
+    id: notification._id,
+    user_id: notification.userId,
+    title: notification.title,
+    message: notification.message,
+    type: notification.type,
+    related_entity_id: notification.relatedEntityId || null,
+    read: notification.read,
+    created_at: notification.createdAt
+  };
+}
+
+async function createNotification(userId, title, message, type = 'info', relatedEntityId = null, { approvalId = null } = {}) {
+  try {
+    const notification = await Notification.create({ userId, title, message, type, relatedEntityId, approvalId });
+    const unreadCount = await Notification.countDocuments({ userId, read: false });
+    publishEvent(userId, 'notification', { notification: mapNotification(notification), unread_count: unreadCount });
+    // Email and webhooks can be slow, so they never hold up the request that raised the notification
+    deliverNotification(notification).catch(error => console.error('Failed to deliver notification:', error));
+  } catch (error) {
+    console.error('Failed to create notification:', error);
+  }
+}
+
+// Sends one notification, or a user's batched digest, through a single outside channel
+async function sendThroughChannel(user, preferences, channel, notifications) {
+  const link = appLink({});
+  let delivered = false;
+  if (channel === 'email') {
+    const withActions = await attachApprovalActions(user, notifications);
+    delivered = Boolean(await sendMail({ to: user.email, ...buildNotificationEmail(withActions, { name: user.name, link }) }));
+  } else {
+    delivered = await postWebhook(preferences.webhookUrl, buildWebhookPayload(notifications, { link })).then(() => true, (error) => {
+      console.error(`Webhook delivery failed for user ${user._id}:`, error.message);
+      return false;
+    });
+  }
+  await Notification.updateMany(
+    { _id: { $in: notifications.map(n => n._id) } },
+    { $pull: { digestChannels: channel }, ...(delivered ? { $addToSet: { deliveredVia: channel } } : {}) }
+  );
+  return delivered;
+}
+
+async function deliverNotification(notification) {
+  const user = await User.findById(notification.userId).select('name email notificationPreferences');
+  if (!user) return;
+  const preferences = resolveNotificationPreferences(user);
+  const channels = channelsFor(preferences, notification.type);
+  if (channels.length === 0) return;
+  
+  if (preferences.digest === 'daily') {
+    await Notification.updateOne({ _id: notification._id }, { $set: { digestChannels: channels } });
+    return;
+  }
+  for (const channel of channels) {
+    await sendThroughChannel(user, preferences, channel, [notification]);
+  }
+}
+
+// One message per channel covering everything queued for this user's digest
+async function sendDigest(user, notifications) {
+  const preferences = resolveNotificationPreferences(user);
+  let sent = 0;
+  for (const channel of DELIVERY_CHANNELS) {
+    const items = notifications.filter(n => n.digestChannels?.includes(channel));
+    if (items.length === 0) continue;
+    if (channel === 'webhook' && !preferences.webhookUrl) {
+      await Notification.updateMany({ _id: { $in: items.map(n => n._id) } }, { $pull: { digestChannels: channel } });
+      continue;
+    }
+    if (await sendThroughChannel(user, preferences, channel, items)) sent += 1;
+  }
+  return sent;
+}
+
+async function sendNotificationDigests() {
+  const queued = await Notification.find({ 'digestChannels.0': { $exists: true } }).sort({ createdAt: 1 });
+  const byUser = new Map();
+  for (const notification of queued) {
+    const key = String(notification.userId);
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(notification);
+  }
+  
+  let sent = 0;
+  for (const [userId, notifications] of byUser) {
+    const user = await User.findById(userId).select('name email notificationPreferences');
+    if (!user) {
+      await Notification.updateMany({ userId }, { $unset: { digestChannels: 1 } });
+      continue;
+    }
+    sent += await sendDigest(user, notifications);
+  }
+  return sent;
+}
+
+function mapNotificationPreferences(preferences) {
+  return {
+    types: preferences.types,
+    webhook_url: preferences.webhookUrl,
+    digest: preferences.digest
+  };
+}
+
+async function toCompanyCurrency(amount, currency, defaultCurrency) {
+  const value = parseFloat(amount);
+  if (!currency || !defaultCurrency || currency.toUpperCase() === defaultCurrency.toUpperCase()) return value;
+  try {
+    const conv = await convertCurrency(value, currency.toUpperCase(), defaultCurrency.toUpperCase());
+    return conv.converted;
+  } catch (error) {
+    // Callers treat a missing rate as an unknown amount
+    console.warn(`No ${currency} to ${defaultCurrency} rate, amount treated as unknown:`, error.message);
+    return null;
+  }
+}
+
+// Records the amount in the company currency with the rate used, so later totals do not depend on today's rate
+async function snapshotConversion(expense, defaultCurrency) {
+  const companyCurrency = (defaultCurrency || expense.currency).toUpperCase();
+  expense.companyCurrency = companyCurrency;
+  if (expense.currency.toUpperCase() === companyCurrency) {
+    Object.assign(expense, { convertedAmount: expense.amount, exchangeRate: 1, rateUpdatedAt: new Date(), rateProvider: null, rateApproximate: false });
+    return true;
+  }
+  try {
+    // Converted at the rate of the day the expense was incurred
+    const conv = await convertCurrency(expense.amount, expense.currency.toUpperCase(), companyCurrency, { date: expense.date });
+    Object.assign(expense, {
+      convertedAmount: conv.converted,
+      exchangeRate: conv.rate,
+      rateUpdatedAt: conv.updated_at ? new Date(conv.updated_at) : new Date(),
+      rateProvider: conv.provider || null,
+      rateApproximate: conv.approximate
+    });
+    return true;
+  } catch {
+    // Submission goes ahead; the snapshot is retaken on the next submission
+    Object.assign(expense, { convertedAmount: null, exchangeRate: null, rateUpdatedAt: undefined, rateProvider: null, rateApproximate: false });
+    return false;
+  }
+}
+
+// Picks the rule whose conditions match the expense, comparing amounts in the company currency
+async function findApprovalRule(company, facts) {
+  const rules = await ApprovalRule.find({ companyId: company._id });
+  if (rules.length === 0) return { rule: null, convertedAmount: null };
+  
+  const convertedAmount = await toCompanyCurrency(facts.amount, facts.currency, company.defaultCurrency);
+  return { rule: selectApprovalRule(rules, { ...facts, amount: convertedAmount }), convertedAmount };
+}
+
+// Walks up the managerId chain, nearest manager first, stopping at cycles or users outside the company
+async function resolveManagerChain(user, levels) {
+  const chain = [];
+  const visited = new Set([String(user._id)]);
+  const companyId = user.companyId._id || user.companyId;
+  let managerId = user.managerId;
+  
+  while (managerId && chain.length < levels) {
+    const manager = await User.findOne({ _id: managerId, companyId }).select('_id managerId');
+    if (!manager || visited.has(String(manager._id))) break;
+    visited.add(String(manager._id));
+    chain.push(manager._id);
+    managerId = manager.managerId;
+  }
+  return chain;
+}
+
+// Expenses and reports a user may see: the whole company, their own and their team's, or only their own
+async function buildSubmitterScope(user) {
+  const query = { companyId: user.companyId._id };
+  if (hasPermission(user, 'expenses.view_all')) return query;
+  if (!hasPermission(user, 'expenses.view_team')) {
+    query.userId = user._id;
+  } else {
+    const teamMembers = await User.find({ managerId: user._id }).select('_id');
+    const teamIds = teamMembers.map(u => u._id);
+    query.$or = [{ userId: user._id }, { userId: { $in: teamIds } }];
+  }
+  return query;
+}
+
+// The status, category and date range filters shared by the expense list and its export
+function applyExpenseFilters(query, { status, categoryId, startDate, endDate }) {
+  if (status) query.status = status;
+  if (categoryId) query.categoryId = categoryId;
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+  return query;
+}
+
+// Approvals a user may see and act on: the whole company, their own steps and their team's submissions, or their own steps
+async function buildApprovalScope(user) {
+  if (hasPermission(user, 'approvals.decide_all')) return {};
+  if (hasPermission(user, 'approvals.decide_team')) {
+    const team = await User.find({ managerId: user._id }).select('_id');
+    const teamIds = team.map(u => u._id);
+    const [teamExpenses, teamReports] = await Promise.all([
+      Expense.find({ userId: { $in: teamIds } }).select('_id'),
+      ExpenseReport.find({ userId: { $in: teamIds } }).select('_id')
+    ]);
+    return { $or: [
+      { approverId: user._id },
+      { delegatedFrom: user._id },
+      { expenseId: { $in: teamExpenses.map(e => e._id) } },
+      { reportId: { $in: teamReports.map(r => r._id) } }
+    ] };
+  }
+  // Steps handed to a delegate stay visible to the person they cover for
+  return { $or: [{ approverId: user._id }, { delegatedFrom: user._id }] };
+}
+
+// Matches an expense or expense report against the company's rules and opens the first step of a fresh approval round
+async function startApprovalWorkflow(subject, submitter, facts = null) {
+  const { rule } = await findApprovalRule(submitter.companyId, {
+    ...(facts || { amount: subject.amount, currency: subject.currency, categoryId: subject.categoryId, paidBy: subject.paidBy }),
+    submitterRole: submitter.role,
+    submitterManagerId: submitter.managerId
+  });
+  const managerIds = await resolveManagerChain(submitter, rule?.isManagerApprover ? rule.managerLevels || 1 : 1);
+  const chain = rule ? buildApprovalChain(rule, submitter._id, managerIds) : [];
+  
+  subject.status = 'pending';
+  subject.approvalPolicy = chain.length > 0 ? buildApprovalPolicy(rule) : undefined;
+  if (subject instanceof Expense) await snapshotConversion(subject, submitter.companyId.defaultCurrency);
+  await subject.save();
+  
+  const key = approvalSubjectKey(subject);
+  const round = subject.submissionRound || 1;
+  const message = `${submitter.name} submitted an ${describeApprovalSubject(subject)}`;
+  
+  if (chain.length > 0) {
+    for (const step of chain) {
+      await Approval.create({ ...key, approverId: step.approverId, sequenceOrder: step.sequenceOrder, round, status: 'waiting' });
+    }
+    await activateNextApprovalStep(subject, message);
+    console.log(`Approval chain created for ${subject.constructor.modelName} ${subject._id} using rule "${rule.ruleName}" (${chain.length} step(s))`);
+    return { rule, chain };
+  }
+  
+  // No applicable rule: the submitter's direct manager approves, else any manager or admin in the company
+  const directManager = managerIds.length > 0 ? await User.findById(managerIds[0]) : null;
+  const approvers = directManager ? [directManager] : await User.find({ 
+    companyId: submitter.companyId._id, 
+    role: { $in: ['manager', 'admin'] },
+    _id: { $ne: submitter._id }
+  });
+  
+  if (approvers.length > 0) {
+    // Create approval for the first available approver
+    const primaryApprover = approvers[0];
+    const step = await routeToDelegate(await Approval.create({ ...key, approverId: primaryApprover._id, sequenceOrder: 1, round, status: 'pending', activatedAt: new Date() }), subject);
+    await notifyApprover(step, subject, message);
+    console.log(`Approval created for ${subject.constructor.modelName} ${subject._id} with approver ${step.approverId}`);
+  } else {
+    // No approvers found, create approval without specific approver
+    await Approval.create({ ...key, approverId: null, sequenceOrder: 1, round, status: 'pending', activatedAt: new Date() });
+    console.log(`Approval created for ${subject.constructor.modelName} ${subject._id} without specific approver - admin review needed`);
+  }
+  return { rule: null, chain: [] };
+}
+
+function parseRuleConditions(input = {}) {
+  const toAmount = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+  return {
+    minAmount: toAmount(input.min_amount),
+    maxAmount: toAmount(input.max_amount),
+    currencies: (input.currencies || []).map(c => String(c).toUpperCase()),
+    categoryIds: input.category_ids || [],
+    submitterRoles: input.submitter_roles || [],
+    submitterManagerIds: input.submitter_manager_ids || [],
+    paidBy: input.paid_by || []
+  };
+}
+
+function validateRuleConditions(conditions) {
+  if ([conditions.minAmount, conditions.maxAmount].some(v => v !== null && (Number.isNaN(v) || v < 0))) {
+    return 'Amount thresholds must be non-negative numbers';
+  }
+  if (conditions.minAmount !== null && conditions.maxAmount !== null && conditions.minAmount > conditions.maxAmount) {
+    return 'Minimum amount cannot exceed maximum amount';
+  }
+  return null;
+}
+
+function mapApprovalRule(rule) {
+  const conditions = rule.conditions || {};
+  return {
+    id: rule._id,
+    company_id: rule.companyId,
+    rule_name: rule.ruleName,
+    description: rule.description,
+    rule_type: rule.ruleType,
+    approvers: rule.approvers.map(a => a._id || a),
+    min_approval_percentage: rule.minApprovalPercentage,
+    specific_approver_required: rule.specificApproverRequired?._id || rule.specificApproverRequired || null,
+    approver_sequence: rule.approverSequence.map(seq => ({
+      approver_id: seq.approverId,
+      order: seq.order
+    })),
+    is_manager_approver: Boolean(rule.isManagerApprover),
+    manager_levels: rule.managerLevels || 1,
+    priority: rule.priority || 0,
+    conditions: {
+      min_amount: conditions.minAmount ?? null,
+      max_amount: conditions.maxAmount ?? null,
+      currencies: conditions.currencies || [],
+      category_ids: conditions.categoryIds || [],
+      submitter_roles: conditions.submitterRoles || [],
+      submitter_manager_ids: conditions.submitterManagerIds || [],
+      paid_by: conditions.paidBy || []
+    },
+    created_at: rule.createdAt
+  };
+}
+
+function approvalSubjectKey(subject) {
+  return subject instanceof ExpenseReport ? { reportId: subject._id } : { expenseId: subject._id };
+}
+
+function describeApprovalSubject(subject) {
+  return subject instanceof ExpenseReport
+    ? `expense report "${subject.title}" (${subject.currency} ${subject.totalAmount})`
+    : `expense "${subject.description}" (${subject.currency} ${subject.amount})`;
+}
+
+function currentRoundQuery(subject) {
+  const round = subject.submissionRound || 1;
+  // Approvals created before resubmission existed carry no round
+  return { ...approvalSubjectKey(subject), round: round === 1 ? { $in: [1, null] } : round };
+}
+
+// Activates the lowest waiting step once every step ahead of it has been decided
+async function activateNextApprovalStep(subject, message) {
+  const stillPending = await Approval.exists({ ...currentRoundQuery(subject), status: 'pending' });
+  if (stillPending) return [];
+  
+  const next = await Approval.findOne({ ...currentRoundQuery(subject), status: 'waiting' }).sort({ sequenceOrder: 1 });
+  if (!next) return [];
+  
+  const steps = await Approval.find({ ...currentRoundQuery(subject), status: 'waiting', sequenceOrder: next.sequenceOrder });
+  // Delegation is decided when a step becomes active, so it follows whoever is away at that moment
+  for (const step of steps) {
+    await routeToDelegate(step, subject);
+  }
+  await Approval.updateMany({ _id: { $in: steps.map(s => s._id) } }, { $set: { status: 'pending', activatedAt: new Date() } });
+  for (const step of steps) {
+    await notifyApprover(step, subject, message || `An ${describeApprovalSubject(subject)} is ready for your review`);
+  }
+  return steps;
+}
+
+// Follows active out-of-office delegations from an approver to whoever covers for them, stopping at loops and the submitter
+async function resolveDelegate(approverId, submitterId, at = new Date()) {
+  const visited = new Set([String(approverId)]);
+  let current = approverId;
+  let delegation = null;
+  for (let hop = 0; hop < 5; hop++) {
+    const next = await Delegation.findOne({ delegatorId: current, revokedAt: null, startsAt: { $lte: at }, endsAt: { $gt: at } });
+    if (!next || visited.has(String(next.delegateId)) || String(next.delegateId) === String(submitterId)) break;
+    visited.add(String(next.delegateId));
+    current = next.delegateId;
+    delegation = next;
+  }
+  return delegation ? { approverId: current, delegation } : null;
+}
+
+// Hands a step to the approver's delegate unless the delegate already has a step of their own in this round
+async function routeToDelegate(step, subject) {
+  if (!step.approverId) return step;
+  const cover = await resolveDelegate(step.approverId, subject.userId?._id || subject.userId);
+  if (!cover) return step;
+  
+  const alreadyApproving = await Approval.exists({ ...approvalSubjectKey(subject), round: step.round, approverId: cover.approverId });
+  if (alreadyApproving) return step;
+  
+  const delegatorId = step.delegatedFrom || step.approverId;
+  step.delegatedFrom = delegatorId;
+  step.approverId = cover.approverId;
+  step.delegationId = cover.delegation._id;
+  await step.save();
+  await createAuditLog(delegatorId, cover.delegation.companyId, 'APPROVAL_DELEGATED', 'Approval', step._id, { ...approvalSubjectKey(subject), delegateId: cover.approverId, delegationId: cover.delegation._id });
+  return step;
+}
+
+async function notifyApprover(step, subject, message) {
+  if (!step.approverId) return;
+  const principal = step.delegatedFrom ? await User.findById(step.delegatedFrom).select('name') : null;
+  await createNotification(step.approverId, 'New Expense Awaiting Approval', principal ? `${message} (on behalf of ${principal.name})` : message, 'approval', subject._id, { approvalId: step._id });
+}
+
+// Moves the delegator's currently pending steps to the delegate; new steps are routed as they activate
+async function reassignPendingApprovals(delegation) {
+  const pending = await Approval.find({ approverId: delegation.delegatorId, status: 'pending' }).populate('expenseId').populate('reportId');
+  let moved = 0;
+  for (const step of pending) {
+    const subject = step.expenseId || step.reportId;
+    if (!subject || String(subject.companyId) !== String(delegation.companyId)) continue;
+    if (String(subject.userId) === String(delegation.delegateId)) continue;
+    const alreadyApproving = await Approval.exists({ ...approvalSubjectKey(subject), round: step.round, approverId: delegation.delegateId });
+    if (alreadyApproving) continue;
+    
+    // A step the delegator was already covering keeps pointing at the person it originally belonged to
+    const delegatedFrom = step.delegatedFrom || delegation.delegatorId;
+    await Approval.updateOne({ _id: step._id, status: 'pending' }, { $set: { approverId: delegation.delegateId, delegatedFrom, delegationId: delegation._id } });
+    step.approverId = delegation.delegateId;
+    step.delegatedFrom = delegatedFrom;
+    await notifyApprover(step, subject, `An ${describeApprovalSubject(subject)} was handed to you for review`);
+    moved += 1;
+  }
+  return moved;
+}
+
+function mapDelegation(delegation) {
+  return {
+    id: delegation._id,
+    delegator: { id: delegation.delegatorId?._id || delegation.delegatorId, name: delegation.delegatorId?.name },
+    delegate: { id: delegation.delegateId?._id || delegation.delegateId, name: delegation.delegateId?.name },
+    starts_at: delegation.startsAt,
+    ends_at: delegation.endsAt,
+    reason: delegation.reason,
+    status: delegation.status,
+    created_at: delegation.createdAt
+  };
+}
+
+// The stale approver's own manager chain comes first, then the company's admins; anyone already in the round is passed over
+async function findEscalationTarget(step, subject) {
+  const submitterId = String(subject.userId?._id || subject.userId);
+  const roundSteps = await Approval.find(currentRoundQuery(subject)).select('approverId');
+  const excluded = new Set([submitterId, ...roundSteps.map(s => String(s.approverId))]);
+  
+  const approver = await User.findById(step.approverId).select('_id companyId managerId');
+  const managerIds = approver ? await resolveManagerChain(approver, 5) : [];
+  const managerId = managerIds.find(id => !excluded.has(String(id)));
+  if (managerId) return managerId;
+  
+  const admin = await User.findOne({ companyId: subject.companyId, role: 'admin', _id: { $nin: [...excluded] } }).sort({ createdAt: 1 }).select('_id');
+  return admin?._id || null;
+}
+
+async function remindApprover(step, subject, sla) {
+  const claimed = await Approval.updateOne({ _id: step._id, status: 'pending', lastRemindedAt: step.lastRemindedAt }, { $set: { lastRemindedAt: new Date() } });
+  if (claimed.modifiedCount === 0) return false;
+  
+  const hours = Math.floor(hoursPending(step));
+  await createNotification(step.approverId, 'Approval Reminder', `The ${describeApprovalSubject(subject)} has been waiting for your review for ${hours} hours. It moves to the next approver after ${sla.escalationHours} hours.`, 'approval', subject._id);
+  await createAuditLog(step.approverId, subject.companyId, 'APPROVAL_REMINDER_SENT', 'Approval', step._id, { ...approvalSubjectKey(subject), hoursPending: hours });
+  return true;
+}
+
+// Marks a stale step escalated and opens a replacement step at the same position in the chain
+async function escalateApprovalStep(step, subject) {
+  const targetId = await findEscalationTarget(step, subject);
+  if (!targetId) {
+    console.error(`No one to escalate approval ${step._id} to`);
+    return null;
+  }
+  
+  const claimed = await Approval.updateOne({ _id: step._id, status: 'pending' }, { $set: { status: 'escalated' } });
+  if (claimed.modifiedCount === 0) return null;
+  
+  let replacement;
+  try {
+    replacement = await Approval.create({
+      ...approvalSubjectKey(subject),
+      approverId: targetId,
+      sequenceOrder: step.sequenceOrder,
+      round: step.round || 1,
+      status: 'pending',
+      activatedAt: new Date(),
+      escalatedFrom: step._id
+    });
+  } catch (error) {
+    await Approval.updateOne({ _id: step._id }, { $set: { status: 'pending' } });
+    throw error;
+  }
+  replacement = await routeToDelegate(replacement, subject);
+  
+  const hours = Math.floor(hoursPending(step));
+  await createAuditLog(step.approverId, subject.companyId, 'APPROVAL_ESCALATED', 'Approval', step._id, {
+    ...approvalSubjectKey(subject),
+    fromApproverId: step.approverId,
+    toApproverId: replacement.approverId,
+    escalationApprovalId: replacement._id,
+    hoursPending: hours
+  });
+  await notifyApprover(replacement, subject, `An ${describeApprovalSubject(subject)} was escalated to you after waiting ${hours} hours for review`);
+  publishEvent(step.approverId, 'approval.updated', { approval_id: step._id, subject_id: subject._id, status: 'escalated' });
+  await createNotification(step.approverId, 'Approval Escalated', `The ${describeApprovalSubject(subject)} was passed on after waiting ${hours} hours for your review`, 'info', subject._id);
+  return replacement;
+}
+
+// Reminds approvers about steps past their company's SLA and escalates the ones left too long
+async function runApprovalSlaSweep(now = new Date()) {
+  const summary = { reminded: 0, escalated: 0 };
+  const companies = await Company.find({ 'approvalSla.enabled': { $ne: false } });
+  
+  for (const company of companies) {
+    const sla = resolveApprovalSla(company);
+    const cutoff = new Date(now.getTime() - sla.reminderHours * 60 * 60 * 1000);
+    const [expenses, reports] = await Promise.all([
+      Expense.find({ companyId: company._id, status: 'pending', reportId: null }).select('_id'),
+      ExpenseReport.find({ companyId: company._id, status: 'pending' }).select('_id')
+    ]);
+    if (expenses.length === 0 && reports.length === 0) continue;
+    
+    const steps = await Approval.find({
+      status: 'pending',
+      approverId: { $ne: null },
+      $and: [
+        { $or: [{ expenseId: { $in: expenses.map(e => e._id) } }, { reportId: { $in: reports.map(r => r._id) } }] },
+        { $or: [{ activatedAt: { $lte: cutoff } }, { activatedAt: null, createdAt: { $lte: cutoff } }] }
+      ]
+    }).populate('expenseId').populate('reportId');
+    
+    for (const step of steps) {
+      const subject = step.expenseId || step.reportId;
+      try {
+        if (approvalSlaAction(step, sla, now) === 'escalate' && await escalateApprovalStep(step, subject)) {
+          summary.escalated += 1;
+          continue;
+        }
+        // With nobody left to escalate to, the approver keeps getting reminders
+        const action = approvalSlaAction(step, { ...sla, escalationHours: Infinity }, now);
+        if (action === 'remind' && await remindApprover(step, subject, sla)) summary.reminded += 1;
+      } catch (error) {
+        console.error(`Approval SLA error for approval ${step._id}:`, error);
+      }
+    }
+  }
+  return summary;
+}
+
+// Converts each line into the report currency (the company default) and refreshes the report totals
+async function recalculateReportTotals(report) {
+  const lines = await Expense.find({ reportId: report._id }).sort({ date: 1 });
+  let total = 0;
+  let approved = 0;
+  for (const line of lines) {
+    const converted = line.convertedAmount != null && line.companyCurrency === report.currency
+      ? line.convertedAmount
+      : await toCompanyCurrency(line.amount, line.currency, report.currency);
+    if (converted === null) return { lines, error: `Could not convert ${line.currency} to ${report.currency}` };
+    total += converted;
+    if (line.status !== 'rejected') approved += converted;
+  }
+  report.totalAmount = parseFloat(total.toFixed(2));
+  report.approvedAmount = parseFloat(approved.toFixed(2));
+  return { lines, error: null };
+}
+
+const RECEIPT_LINK_TTL_MS = (Number(process.env.RECEIPT_LINK_TTL_MINUTES) || 15) * 60 * 1000;
+
+const EXPORT_RECEIPT_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const receiptLinkSecret = () => process.env.RECEIPT_LINK_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const MAX_ATTACHMENTS = 10;
+
+// Only handed to users who may already see the expense, so the browser can open the file without a bearer token
+function receiptLink(key, ttlMs = RECEIPT_LINK_TTL_MS) {
+  return `/api/receipts/files/${signReceiptLink({ key, expiresAt: new Date(Date.now() + ttlMs) }, receiptLinkSecret())}`;
+}
+
+// Expense uploads arrive as `attachments`, or as a single `receipt` from older clients
+const uploadAttachments = upload.fields([{ name: 'attachments', maxCount: MAX_ATTACHMENTS }, { name: 'receipt', maxCount: 1 }]);
+
+const uploadedFiles = (req) => [...(req.files?.attachments || []), ...(req.files?.receipt || [])];
+
+// Stores new files on the expense, skipping any whose contents are already attached; the expense still has to be saved
+async function addAttachments(expense, files, user) {
+  if (expense.attachments.length + files.length > MAX_ATTACHMENTS) {
+    return { error: `An expense can have at most ${MAX_ATTACHMENTS} attachments` };
+  }
+  
+  const hashes = new Set(expense.attachments.map(attachment => attachment.hash));
+  const added = [];
+  for (const file of files) {
+    const hash = contentHash(file.buffer);
+    if (hashes.has(hash)) continue;
+    hashes.add(hash);
+    
+    const key = `receipts/${user.companyId._id}/${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+    await getReceiptStorage().put(key, file.buffer, { contentType: file.mimetype });
+    expense.attachments.push({
+      key,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      hash,
+      perceptualHash: perceptualHash(file.buffer, file.mimetype),
+      uploadedBy: user._id
+    });
+    added.push({ attachment: expense.attachments[expense.attachments.length - 1], file });
+  }
+  return { added };
+}
+
+// Receipts are read with the company's date order and decimal separator unless they show their own
+function receiptLocale(company) {
+  return { country: company.country, defaultCurrency: company.defaultCurrency };
+}
+
+// OCR takes seconds per file, so results are filled in after the upload has been answered
+function analyzeAttachments(expenseId, added, locale) {
+  if (added.length === 0) return;
+  (async () => {
+    for (const { attachment, file } of added) {
+      const analysis = await analyzeReceipt(file.buffer, { filename: file.originalname, locale });
+      await Expense.updateOne({ _id: expenseId, 'attachments._id': attachment._id }, { $set: { 'attachments.$.ocr': analysis } });
+    }
+    // Merchants read from the receipts can confirm or clear a same-amount match
+    const expense = await Expense.findById(expenseId);
+    if (expense) await flagPossibleDuplicates(expense);
+  })().catch(error => console.error('Attachment analysis error:', error));
+}
+
+// A re-submitted photo of the same receipt keeps its currency and, give or take a typo, its date; only expenses
+// inside that window are loaded to compare image hashes, using the companyId/currency/date index
+const DUPLICATE_IMAGE_DATE_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Earlier expenses that share a receipt file or image anywhere in the company, or repeat the submitter's claim;
+// `expense` can also be an unsaved draft built from a receipt that is still being analyzed
+async function findPossibleDuplicates(expense) {
+  const attachments = expense.attachments || [];
+  const hashes = attachments.map(attachment => attachment.hash).filter(Boolean);
+  const candidates = [];
+  if (hashes.length > 0) candidates.push({ 'attachments.hash': { $in: hashes } });
+  const expenseDate = expense.date ? new Date(expense.date) : null;
+  if (attachments.some(attachment => attachment.perceptualHash) && expense.currency && expenseDate && !isNaN(expenseDate)) {
+    candidates.push({
+      currency: expense.currency,
+      date: { $gte: new Date(expenseDate.getTime() - DUPLICATE_IMAGE_DATE_WINDOW_MS), $lte: new Date(expenseDate.getTime() + DUPLICATE_IMAGE_DATE_WINDOW_MS) },
+      'attachments.perceptualHash': { $ne: null }
+    });
+  }
+  const amount = Number(expense.amount);
+  if (expense.userId && expense.currency && expense.amount != null && Number.isFinite(amount) && expense.date && !isNaN(new Date(expense.date))) {
+    const dayStart = new Date(new Date(expense.date).toISOString().slice(0, 10));
+    candidates.push({
+      userId: expense.userId,
+      currency: expense.currency,
+      amount: { $gte: amount - 0.005, $lte: amount + 0.005 },
+      date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) }
+    });
+  }
+  if (candidates.length === 0) return [];
+  
+  const others = await Expense.find({
+    companyId: expense.companyId?._id || expense.companyId,
+    ...(expense._id ? { _id: { $ne: expense._id } } : {}),
+    status: { $ne: 'withdrawn' },
+    $or: candidates
+  }).select('userId description amount currency date attachments.hash attachments.perceptualHash attachments.ocr.merchant').sort({ createdAt: 1 }).lean();
+  
+  return others
+    .map(other => ({ other, reasons: duplicateReasons(expense, other) }))
+    .filter(match => match.reasons.length > 0)
+    .slice(0, 5)
+    .map(({ other, reasons }) => ({
+      expenseId: other._id,
+      userId: other.userId,
+      description: other.description,
+      amount: other.amount,
+      currency: other.currency,
+      date: other.date,
+      reasons
+    }));
+}
+
+async function flagPossibleDuplicates(expense) {
+  expense.possibleDuplicates = await findPossibleDuplicates(expense);
+  await Expense.updateOne({ _id: expense._id }, { $set: { possibleDuplicates: expense.possibleDuplicates } });
+  return expense.possibleDuplicates;
+}
+
+// Image and file matches reach across the company; unless the viewer owns the matched expense or may see
+// everyone's (the synchronous part of canViewExpense), only the reasons are shown
+function mapPossibleDuplicate(duplicate, viewer) {
+  const visible = viewer && (String(duplicate.userId) === String(viewer._id) || hasPermission(viewer, 'expenses.view_team', 'expenses.view_all'));
+  if (!visible) return { reasons: duplicate.reasons };
+  return {
+    expense_id: duplicate.expenseId,
+    description: duplicate.description,
+    amount: duplicate.amount,
+    currency: duplicate.currency,
+    date: duplicate.date,
+    reasons: duplicate.reasons
+  };
+}
+
+// Shared by expense edits and attachment changes; returns why the owner may no longer change the expense
+async function expenseEditBlocker(expense) {
+  if (!['draft', 'pending', 'rejected', 'withdrawn'].includes(expense.status)) return `Cannot edit an ${expense.status} expense`;
+  if (expense.reportId && expense.status !== 'draft') return 'Expenses in a submitted report cannot be edited';
+  if (expense.status === 'pending') {
+    const decided = await Approval.exists({ ...currentRoundQuery(expense), status: { $in: ['approved', 'rejected'] } });
+    if (decided) return 'Expense can no longer be edited once an approver has decided';
+  }
+  return null;
+}
+
+// Expenses from before attachments kept one receipt in receiptKey or, earlier still, under the public /uploads path
+async function migrateLegacyReceipts() {
+  const legacy = await Expense.collection.find({ $or: [{ receiptKey: { $exists: true } }, { receiptUrl: { $exists: true } }] }).toArray();
+  for (const doc of legacy) {
+    const key = doc.receiptKey || (doc.receiptUrl?.startsWith('/uploads/') ? doc.receiptUrl.slice('/uploads/'.length) : null);
+    const attachments = [];
+    if (key) {
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      const stored = await getReceiptStorage().get(key).catch(() => null);
+      if (stored) {
+        for await (const chunk of stored.stream) {
+          hash.update(chunk);
+          size += chunk.length;
+        }
+      }
+      attachments.push({
+        _id: new mongoose.Types.ObjectId(),
+        key,
+        filename: path.basename(key),
+        mimeType: contentTypeFor(key),
+        size: stored ? size : null,
+        hash: stored ? hash.digest('hex') : null,
+        uploadedBy: doc.userId,
+        uploadedAt: doc.createdAt,
+        ocr: null
+      });
+    }
+    await Expense.collection.updateOne({ _id: doc._id }, { $push: { attachments: { $each: attachments } }, $unset: { receiptKey: '', receiptUrl: '' } });
+  }
+  if (legacy.length > 0) console.log(`Moved ${legacy.length} legacy receipt(s) into expense attachments`);
+}
+
+function mapAttachment(attachment) {
+  return {
+    id: attachment._id,
+    filename: attachment.filename,
+    mime_type: attachment.mimeType,
+    size: attachment.size,
+    hash: attachment.hash,
+    uploaded_by: attachment.uploadedBy,
+    uploaded_at: attachment.uploadedAt,
+    // The extracted text stays server-side; the fields are what reviewers compare against the claim
+    ocr: attachment.ocr ? {
+      merchant: attachment.ocr.merchant ?? null,
+      amount: attachment.ocr.amount ?? null,
+      currency: attachment.ocr.currency ?? null,
+      date: attachment.ocr.date ?? null,
+      confidence: attachment.ocr.confidence ?? null
+    } : null,
+    url: receiptLink(attachment.key)
+  };
+}
+
+function mapReceiptAnalysis(analysis) {
+  const { lineItems = [], paidBy = null, fieldConfidence = {}, ...fields } = analysis;
+  return {
+    ...fields,
+    line_items: lineItems.map(item => ({
+      description: item.description,
+      quantity: item.quantity,
+      unit_price: item.unitPrice,
+      amount: item.amount,
+      confidence: item.confidence
+    })),
+    paid_by: paidBy,
+    field_confidence: {
+      merchant: fieldConfidence.merchant ?? 0,
+      amount: fieldConfidence.amount ?? 0,
+      currency: fieldConfidence.currency ?? 0,
+      date: fieldConfidence.date ?? 0,
+      subtotal: fieldConfidence.subtotal ?? 0,
+      tax: fieldConfidence.tax ?? 0,
+      tip: fieldConfidence.tip ?? 0,
+      paid_by: fieldConfidence.paidBy ?? 0,
+      line_items: fieldConfidence.lineItems ?? 0
+    }
+  };
+}
+
+async function sendReceipt(res, key) {
+  const stored = await getReceiptStorage().get(key);
+  if (!stored) return res.status(404).json({ error: 'Receipt not found' });
+  
+  res.setHeader('Content-Type', stored.contentType);
+  if (stored.size != null) res.setHeader('Content-Length', stored.size);
+  res.setHeader('Content-Disposition', `inline; filename="receipt${path.extname(key)}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  await pipeline(stored.stream, res);
+}
+
+// Same visibility as GET /api/expenses/:id, plus whoever holds an approval step on the expense or its report
+async function canViewExpense(user, expense) {
+  const ownerId = expense.userId?._id || expense.userId;
+  if (ownerId.equals(user._id) || hasPermission(user, 'expenses.view_team', 'expenses.view_all')) return true;
+  return Boolean(await Approval.exists({
+    $and: [
+      { $or: [{ expenseId: expense._id }, ...(expense.reportId ? [{ reportId: expense.reportId }] : [])] },
+      { $or: [{ approverId: user._id }, { delegatedFrom: user._id }] }
+    ]
+  }));
+}
+
+function mapExpense(exp, viewer) {
+  return {
+    id: exp._id,
+    company_id: exp.companyId,
+    user_id: exp.userId?._id || exp.userId,
+    // Routes that populate the submitter also name them
+    ...(exp.userId?.name ? { requester: { id: exp.userId._id, name: exp.userId.name } } : {}),
+    report_id: exp.reportId || null,
+    description: exp.description,
+    date: exp.date,
+    category_id: exp.categoryId?._id || exp.categoryId,
+    paid_by: exp.paidBy,
+    amount: exp.amount,
+    currency: exp.currency,
+    company_currency: exp.companyCurrency || null,
+    converted_amount: exp.convertedAmount ?? null,
+    exchange_rate: exp.exchangeRate ?? null,
+    rate_updated_at: exp.rateUpdatedAt || null,
+    rate_provider: exp.rateProvider || null,
+    rate_approximate: Boolean(exp.rateApproximate),
+    remarks: exp.remarks,
+    // First attachment, for clients that only show one receipt
+    receipt_url: exp.attachments?.[0] ? receiptLink(exp.attachments[0].key) : null,
+    attachments: (exp.attachments || []).map(mapAttachment),
+    possible_duplicates: (exp.possibleDuplicates || []).map(duplicate => mapPossibleDuplicate(duplicate, viewer)),
+    status: exp.status,
+    submission_round: exp.submissionRound || 1,
+    created_at: exp.createdAt,
+    updated_at: exp.updatedAt
+  };
+}
+
+function mapExpenseReport(report, lines = [], viewer) {
+  return {
+    id: report._id,
+    company_id: report.companyId,
+    user_id: report.userId?._id || report.userId,
+    title: report.title,
+    description: report.description,
+    status: report.status,
+    currency: report.currency,
+    total_amount: report.totalAmount,
+    approved_amount: report.approvedAmount,
+    submitted_at: report.submittedAt,
+    submission_round: report.submissionRound || 1,
+    created_at: report.createdAt,
+    updated_at: report.updatedAt,
+    expenses: lines.map(line => mapExpense(line, viewer))
+  };
+}
+
+// Expenses, reports and approval steps travel with the event as they are now, so receivers need not call back
+async function loadWebhookResource(entityType, entityId) {
+  if (entityType === 'Expense') {
+    const expense = await Expense.findById(entityId);
+    return expense ? { expense: mapExpense(expense) } : {};
+  }
+  if (entityType === 'ExpenseReport') {
+    const report = await ExpenseReport.findById(entityId);
+    return report ? { report: mapExpenseReport(report, await Expense.find({ reportId: report._id })) } : {};
+  }
+  if (entityType === 'Approval') {
+    const approval = await Approval.findById(entityId);
+    return approval ? { approval: {
+      id: approval._id,
+      expense_id: approval.expenseId || null,
+      report_id: approval.reportId || null,
+      approver_id: approval.approverId,
+      delegated_from: approval.delegatedFrom || null,
+      sequence_order: approval.sequenceOrder,
+      round: approval.round,
+      status: approval.status,
+      comments: approval.comments || null,
+      decided_at: approval.approvedAt || null
+    } } : {};
+  }
+  return {};
+}
+
+async function queueWebhookEvent(companyId, event, data) {
+  const endpoints = await WebhookEndpoint.find({ companyId, active: true, events: event });
+  if (endpoints.length === 0) return [];
+  
+  const resource = await loadWebhookResource(data.entity_type, data.entity_id);
+  const deliveries = [];
+  for (const endpoint of endpoints) {
+    const { delivery } = await createWebhookDelivery(endpoint, event, { ...data, ...resource });
+    deliveries.push(delivery);
+  }
+  return deliveries;
+}
+
+async function createWebhookDelivery(endpoint, event, data) {
+  const delivery = new WebhookDelivery({ companyId: endpoint.companyId, endpointId: endpoint._id, event });
+  delivery.payload = { id: String(delivery._id), event, created_at: new Date().toISOString(), company_id: String(endpoint.companyId), data };
+  await delivery.save();
+  // The first attempt goes out straight away; retries are left to the delivery worker.
+  // Callers that want the outcome await firstAttempt, which resolves to the delivery after that attempt.
+  const firstAttempt = attemptWebhookDelivery(delivery._id).catch(error => {
+    console.error('Webhook delivery error:', error);
+    return null;
+  });
+  return { delivery, firstAttempt };
+}
+
+// How long a claimed attempt holds off the worker before the delivery counts as due again
+const WEBHOOK_CLAIM_MS = 5 * 60 * 1000;
+
+// Claims a due delivery so the worker and an immediate attempt never send it twice
+async function attemptWebhookDelivery(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_CLAIM_MS) }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  return delivery ? sendClaimedWebhook(delivery) : null;
+}
+
+// Makes one attempt at a delivery the caller has already claimed and records its outcome
+async function sendClaimedWebhook(delivery) {
+  const now = new Date();
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId);
+  const result = endpoint
+    ? await sendWebhook(endpoint, { id: delivery._id, event: delivery.event, payload: delivery.payload })
+    : { ok: false, status: null, error: 'Endpoint was deleted' };
+  
+  const retryAt = result.ok || !endpoint ? null : nextRetryAt(delivery.attempts);
+  delivery.attemptLog.push({ at: now, responseStatus: result.status, error: result.error, responseBody: result.responseBody, durationMs: result.durationMs });
+  delivery.status = result.ok ? 'succeeded' : retryAt ? 'pending' : 'failed';
+  delivery.deliveredAt = result.ok ? new Date() : null;
+  delivery.nextAttemptAt = retryAt || delivery.nextAttemptAt;
+  await delivery.save();
+  return delivery;
+}
+
+function mapWebhookEndpoint(endpoint, { includeSecret = false } = {}) {
+  return {
+    id: endpoint._id,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    active: endpoint.active,
+    ...(includeSecret ? { secret: endpoint.secret } : {}),
+    created_at: endpoint.createdAt
+  };
+}
+
+function mapWebhookDelivery(delivery) {
+  return {
+    id: delivery._id,
+    endpoint_id: delivery.endpointId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    next_attempt_at: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+    delivered_at: delivery.deliveredAt,
+    attempt_log: delivery.attemptLog.map(attempt => ({
+      at: attempt.at,
+      response_status: attempt.responseStatus,
+      error: attempt.error,
+      response_body: attempt.responseBody,
+      duration_ms: attempt.durationMs
+    })),
+    payload: delivery.payload,
+    created_at: delivery.createdAt
+  };
+}
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Starts a device session; only the hash of its refresh token is stored
+async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    companyId: user.companyId?._id || user.companyId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || ''
+  });
+  return { session, refreshToken };
+}
+
+async function revokeUserSessions(userId, reason) {
+  const result = await Session.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  closeEventStreams({ userId });
+  return result.modifiedCount || 0;
+}
+
+function mapAuthUser(user, company) {
+  return { id: user._id, name: user.name, email: user.email, role: user.role, role_id: user.roleId?._id || null, role_name: user.roleId?.name || BUILT_IN_ROLES[user.role]?.name, permissions: resolvePermissions(user), email_verified: Boolean(user.emailVerifiedAt), company: { id: company._id, name: company.name, country: company.country, defaultCurrency: company.defaultCurrency } };
+}
+
+// Shapes the tokens and user the way every auth response returns them
+function buildAuthResponse(user, company, session, refreshToken) {
+  return {
+    token: signAccessToken(user, session),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL,
+    user: mapAuthUser(user, company)
+  };
+}
+
+async function startAuthSession(user, company, req) {
+  const { session, refreshToken } = await createSession(user, req);
+  return buildAuthResponse(user, company, session, refreshToken);
+}
+
+async function createDefaultCategories(companyId) {
+  const categories = ['Travel', 'Food', 'Office Supplies', 'Entertainment', 'Other'];
+  for (const categoryName of categories) {
+    await ExpenseCategory.create({ companyId, name: categoryName });
+  }
+}
+
+function appLink(params) {
+  const query = new URLSearchParams(params).toString();
+  return `${process.env.APP_URL || 'http://localhost:5173'}/${query ? `?${query}` : ''}`;
+}
+
+const USER_TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 3 * 24 * 60 * 60 * 1000,
+  approval_action: (Number(process.env.APPROVAL_ACTION_TTL_HOURS) || 72) * 60 * 60 * 1000
+};
+
+// Action links are signed with their own secret when one is set, so rotating it voids every outstanding link
+const approvalActionSecret = () => process.env.APPROVAL_ACTION_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+// Replaces any unused token of the same purpose so only the latest emailed link works
+async function issueUserToken(user, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await UserToken.create({ userId: user._id, purpose, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + USER_TOKEN_TTL_MS[purpose]) });
+  return token;
+}
+
+// Marks the token used in the same step that finds it, so it cannot be redeemed twice
+async function claimUserToken(token, purpose) {
+  if (!token) return null;
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user, 'email_verification');
+  const link = appLink({ verify: token });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 3 days.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 3 days.</p>`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user, 'password_reset');
+  const link = appLink({ reset: token });
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for this account. Choose a new one here:\n${link}\n\nThe link expires in 1 hour. If it wasn't you, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset the password for this account. <a href="${link}">Choose a new password</a>.</p><p>The link expires in 1 hour. If it wasn't you, ignore this email.</p>`
+  });
+}
+
+// Approve and reject links for one step share a nonce, so using either one spends both
+async function issueApprovalActionLinks(step, user) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + USER_TOKEN_TTL_MS.approval_action);
+  await UserToken.create({ userId: user._id, purpose: 'approval_action', tokenHash: hashToken(nonce), expiresAt });
+  return Object.fromEntries(APPROVAL_ACTION_DECISIONS.map(decision => [
+    decision,
+    appLink({ approval_action: signApprovalAction({ approvalId: step._id, approverId: user._id, decision, nonce, expiresAt }, approvalActionSecret()) })
+  ]));
+}
+
+// Review requests whose step is still waiting on this user get one-click links in their email
+async function attachApprovalActions(user, notifications) {
+  return Promise.all(notifications.map(async (notification) => {
+    if (!notification.approvalId) return notification;
+    const step = await Approval.findOne({ _id: notification.approvalId, approverId: user._id, status: 'pending' }).select('_id');
+    if (!step) return notification;
+    const links = await issueApprovalActionLinks(step, user);
+    return { ...notification.toObject(), actions: [{ label: 'Approve', url: links.approved }, { label: 'Reject', url: links.rejected }] };
+  }));
+}
+
+// Checks an emailed action link without spending it
+async function loadApprovalAction(token) {
+  const claims = verifyApprovalAction(token, approvalActionSecret());
+  if (!claims) return { status: 400, error: 'This link is invalid or has expired' };
+  
+  const unused = await UserToken.exists({ tokenHash: hashToken(claims.nonce), purpose: 'approval_action', usedAt: null, expiresAt: { $gt: new Date() } });
+  if (!unused) return { status: 410, error: 'This link has already been used' };
+  
+  const approval = await Approval.findOne({ _id: claims.approvalId, approverId: claims.approverId }).populate('expenseId').populate('reportId');
+  const subject = approval && (approval.expenseId || approval.reportId);
+  if (!subject) return { status: 404, error: 'Approval not found' };
+  if (approval.status !== 'pending') return { status: 409, error: 'This approval has already been decided' };
+  return { claims, approval, subject };
+}
+
+function mapInvitation(invitation, token = null) {
+  return {
+    id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    manager_id: invitation.managerId?._id || invitation.managerId || null,
+    status: invitation.status,
+    expires_at: invitation.expiresAt,
+    accepted_at: invitation.acceptedAt || null,
+    created_at: invitation.createdAt,
+    ...(token ? { invite_url: appLink({ invite: token }) } : {})
+  };
+}
+
+const ROLE_BEYOND_OWN_ERROR = 'You cannot assign a role with permissions you do not have';
+
+// Turns a requested built-in role key or custom role id into the fields stored on the user,
+// refusing roles that grant more than the acting user holds
+async function resolveRoleAssignment(actor, { role, roleId }) {
+  if (roleId) {
+    if (!mongoose.isValidObjectId(roleId)) return { error: 'Invalid role' };
+    const customRole = await Role.findOne({ _id: roleId, companyId: actor.companyId._id });
+    if (!customRole) return { error: 'Role not found' };
+    if (!canGrantPermissions(actor, customRole.permissions)) return { error: ROLE_BEYOND_OWN_ERROR, status: 403 };
+    return { role: customRole.baseRole, roleId: customRole._id };
+  }
+  if (!BUILT_IN_ROLE_KEYS.includes(role)) return { error: 'Invalid role' };
+  if (!canGrantPermissions(actor, BUILT_IN_ROLES[role].permissions)) return { error: ROLE_BEYOND_OWN_ERROR, status: 403 };
+  return { role, roleId: null };
+}
+
+// Editing someone who holds access the actor lacks (say, resetting an admin's password) would hand that access over
+async function outranksActor(actor, user) {
+  const roleId = user.roleId ? await Role.findById(user.roleId) : null;
+  return !canGrantPermissions(actor, resolvePermissions({ role: user.role, roleId }));
+}
+
+function mapRole(role, userCount = 0) {
+  return {
+    id: role._id,
+    name: role.name,
+    description: role.description,
+    base_role: role.baseRole,
+    permissions: role.permissions,
+    built_in: false,
+    user_count: userCount,
+    created_at: role.createdAt,
+    updated_at: role.updatedAt
+  };
+}
+
+function mapCompany(doc) {
+  if (!doc) return null;
+  const sla = resolveApprovalSla(doc);
+  return {
+    id: doc._id,
+    name: doc.name,
+    country: doc.country,
+    default_currency: doc.defaultCurrency,
+    approval_sla: {
+      enabled: sla.enabled,
+      reminder_hours: sla.reminderHours,
+      escalation_hours: sla.escalationHours,
+    },
+    created_at: doc.createdAt,
+  };
+}
+
+// Auth Routes
+// Self-service signup always founds a new company; everyone else joins through an invitation
+app.post('/api/auth/signup', async (req, res) => {
+  try {
+    const { name, email, password, role, companyName, country, defaultCurrency, adminSignupKey } = req.body;
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email and password are required' });
+    }
+    if (role && role !== 'admin') {
+      return res.status(400).json({ error: 'Employees and managers join through an invitation from their company admin' });
+    }
+    if (process.env.ADMIN_SIGNUP_KEY && adminSignupKey !== process.env.ADMIN_SIGNUP_KEY) {
+      return res.status(403).json({ error: 'Invalid admin signup key' });
+    }
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) return res.status(400).json({ error: 'User already exists' });
+    
+    const company = await Company.create({
+      name: companyName || `${name}'s Company`,
+      country: country || 'India',
+      defaultCurrency: defaultCurrency || 'INR'
+    });
+    await createDefaultCategories(company._id);
+    
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = await User.create({ companyId: company._id, name, email: email.toLowerCase(), passwordHash, role: 'admin' });
+    await createAuditLog(user._id, company._id, 'COMPANY_CREATED', 'Company', company._id, { name: company.name });
+    await createAuditLog(user._id, company._id, 'USER_CREATED', 'User', user._id, { email, role: 'admin' });
+    await sendVerificationEmail(user);
+    
+    res.status(201).json({ message: 'Company created successfully', ...(await startAuthSession(user, company, req)) });
+  } catch (error) {
+    console.error('Signup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+    
+    const user = await User.findOne({ email: email.toLowerCase() }).populate('companyId').populate('roleId');
+    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    
+    const isValid = await bcrypt.compare(password, user.passwordHash);
+    if (!isValid) return res.status(401).json({ error: 'Invalid credentials' });
+    
+    await createAuditLog(user._id, user.companyId._id, 'USER_LOGIN', 'User', user._id, { email });
+    
+    res.json(await startAuthSession(user, user.companyId, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Trades a refresh token for a new access token; the refresh token rotates every time
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token) return res.status(400).json({ error: 'Refresh token is required' });
+    
+    const now = new Date();
+    const tokenHash = hashToken(refresh_token);
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await Session.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { tokenHash: hashToken(refreshToken), previousTokenHash: tokenHash, lastUsedAt: now } },
+      { new: true }
+    );
+    
+    if (!session) {
+      // A rotated-out token coming back means it was copied; end that session for everyone holding it
+      const reused = await Session.findOneAndUpdate(
+        { previousTokenHash: tokenHash, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+      );
+      if (reused) {
+        closeEventStreams({ userId: reused.userId, sessionId: reused._id });
+        await createAuditLog(reused.userId, reused.companyId, 'SESSION_REVOKED', 'Session', reused._id, { reason: 'refresh_token_reuse' });
+      }
+      return res.status(401).json({ error: 'Session has ended' });
+    }
+    
+    const user = await User.findById(session.userId).populate('companyId').populate('roleId');
+    if (!user) {
+      await Session.updateOne({ _id: session._id }, { $set: { revokedAt: now, revokedReason: 'user_deleted' } });
+      return res.status(401).json({ error: 'User not found' });
+    }
+    
+    res.json(buildAuthResponse(user, user.companyId, session, refreshToken));
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Works without a valid access token so an expired session can still be signed out
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token) return res.status(400).json({ error: 'Refresh token is required' });
+    
+    const session = await Session.findOneAndUpdate(
+      { tokenHash: hashToken(refresh_token), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    if (session) {
+      closeEventStreams({ userId: session.userId, sessionId: session._id });
+      await createAuditLog(session.userId, session.companyId, 'USER_LOGOUT', 'Session', session._id, {});
+    }
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, 'logout_all');
+    await createAuditLog(req.user._id, req.user.companyId._id, 'SESSIONS_REVOKED', 'User', req.user._id, { reason: 'logout_all', count: revoked });
+    res.json({ message: 'Signed out of all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/auth/me', authMiddleware, async (req, res) => {
+  res.json({ user: mapAuthUser(req.user, req.user.companyId) });
+});
+
+// Always answers the same way so the endpoint cannot be used to probe which emails have accounts
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (user) {
+      await sendPasswordResetEmail(user);
+      await createAuditLog(user._id, user.companyId, 'PASSWORD_RESET_REQUESTED', 'User', user._id, { email: user.email });
+    }
+    
+    res.json({ message: 'If an account exists for that email, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ error: 'Token and password are required' });
+    if (String(password).length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    
+    const claimed = await claimUserToken(token, 'password_reset');
+    if (!claimed) return res.status(410).json({ error: 'This reset link is invalid or has expired' });
+    
+    const user = await User.findById(claimed.userId);
+    if (!user) return res.status(410).json({ error: 'This reset link is invalid or has expired' });
+    
+    user.passwordHash = await bcrypt.hash(password, 10);
+    // Receiving the reset email proves the address as well
+    if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
+    await user.save();
+    
+    const revoked = await revokeUserSessions(user._id, 'password_reset');
+    await createAuditLog(user._id, user.companyId, 'PASSWORD_RESET', 'User', user._id, { sessionsRevoked: revoked });
+    
+    res.json({ message: 'Password updated. Sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const claimed = await claimUserToken(req.body.token, 'email_verification');
+    if (!claimed) return res.status(410).json({ error: 'This verification link is invalid or has expired' });
+    
+    const user = await User.findById(claimed.userId);
+    if (!user) return res.status(410).json({ error: 'This verification link is invalid or has expired' });
+    
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await createAuditLog(user._id, user.companyId, 'EMAIL_VERIFIED', 'User', user._id, { email: user.email });
+    }
+    
+    res.json({ message: 'Email verified', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) return res.status(400).json({ error: 'Email is already verified' });
+    
+    await sendVerificationEmail(req.user);
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Invitation Routes
+app.get('/api/invitations', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const invitations = await Invitation.find({ companyId: req.user.companyId._id }).sort({ createdAt: -1 });
+    res.json({ invitations: invitations.map(invitation => mapInvitation(invitation)) });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/invitations', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { email, role = 'employee' } = req.body;
+    const managerId = req.body.managerId || req.body.manager_id || null;
+    const expiresInDays = parseInt(req.body.expires_in_days ?? req.body.expiresInDays ?? 7);
+    
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    if (!['admin', 'manager', 'employee'].includes(role)) return res.status(400).json({ error: 'Invalid role' });
+    if (!canGrantPermissions(req.user, BUILT_IN_ROLES[role].permissions)) return res.status(403).json({ error: ROLE_BEYOND_OWN_ERROR });
+    if (isNaN(expiresInDays) || expiresInDays < 1 || expiresInDays > 30) {
+      return res.status(400).json({ error: 'Invitations expire after 1 to 30 days' });
+    }
+    
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) return res.status(400).json({ error: 'User already exists' });
+    
+    if (managerId) {
+      const manager = await User.findOne({ _id: managerId, companyId: req.user.companyId._id, role: { $in: ['manager', 'admin'] } });
+      if (!manager) return res.status(400).json({ error: 'Manager must be a manager or admin in your company' });
+    }
+    
+    // A fresh invitation replaces any still-open one for the same address
+    await Invitation.updateMany(
+      { companyId: req.user.companyId._id, email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      companyId: req.user.companyId._id,
+      email,
+      role,
+      managerId,
+      tokenHash: hashToken(token),
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+    
+    await createAuditLog(req.user._id, req.user.companyId._id, 'INVITATION_CREATED', 'Invitation', invitation._id, { email: invitation.email, role });
+    res.status(201).json({ invitation: mapInvitation(invitation, token) });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/invitations/:id', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
+    if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+    if (invitation.status !== 'pending') return res.status(400).json({ error: `Invitation is already ${invitation.status}` });
+    
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    
+    await createAuditLog(req.user._id, req.user.companyId._id, 'INVITATION_REVOKED', 'Invitation', invitation._id, { email: invitation.email });
+    res.json({ invitation: mapInvitation(invitation) });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public: lets the signup page show who the invitation is for before accepting
+app.get('/api/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ tokenHash: hashToken(req.params.token) }).populate('companyId', 'name');
+    if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+    if (invitation.status !== 'pending') return res.status(410).json({ error: `This invitation has been ${invitation.status}` });
+    
+    res.json({ invitation: { email: invitation.email, role: invitation.role, expires_at: invitation.expiresAt, company: { name: invitation.companyId.name } } });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/invitations/:token/accept', async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    if (!name || !password) return res.status(400).json({ error: 'Name and password are required' });
+    
+    // Claimed atomically so one link cannot create two accounts
+    const now = new Date();
+    const invitation = await Invitation.findOneAndUpdate(
+      { tokenHash: hashToken(req.params.token), acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { acceptedAt: now } },
+      { new: true }
+    );
+    if (!invitation) return res.status(410).json({ error: 'This invitation is no longer valid' });
+    
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+      return res.status(400).json({ error: 'User already exists' });
+    }
+    
+    let user;
+    try {
+      const passwordHash = await bcrypt.hash(password, 10);
+      user = await User.create({
+        companyId: invitation.companyId,
+        name,
+        email: invitation.email,
+        passwordHash,
+        role: invitation.role,
+        managerId: invitation.managerId
+      });
+    } catch (error) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+      throw error;
+    }
+    invitation.acceptedUserId = user._id;
+    await invitation.save();
+    
+    await createAuditLog(user._id, invitation.companyId, 'INVITATION_ACCEPTED', 'Invitation', invitation._id, { email: user.email, role: user.role });
+    await createAuditLog(user._id, invitation.companyId, 'USER_CREATED', 'User', user._id, { email: user.email, role: user.role, invitedBy: invitation.invitedBy });
+    if (invitation.invitedBy) {
+      await createNotification(invitation.invitedBy, 'Invitation Accepted', `${user.name} (${user.email}) joined as ${user.role}`, 'info', user._id);
+    }
+    await sendVerificationEmail(user);
+    
+    const company = await Company.findById(invitation.companyId);
+    res.status(201).json(await startAuthSession(user, company, req));
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Expense Category Routes
+app.get('/api/expense-categories', authMiddleware, async (req, res) => {
+  try {
+    const categories = await ExpenseCategory.find({ companyId: req.user.companyId._id }).sort({ name: 1 });
+    const payload = categories.map((c) => ({
+      id: c._id,
+      company_id: c.companyId,
+      name: c.name,
+      created_at: c.createdAt,
+    }));
+    res.json({ categories: payload });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/expense-categories', authMiddleware, requirePermission('categories.manage'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name) return res.status(400).json({ error: 'Category name is required' });
+    
+    const category = await ExpenseCategory.create({ companyId: req.user.companyId._id, name });
+    await createAuditLog(req.user._id, req.user.companyId._id, 'CATEGORY_CREATED', 'ExpenseCategory', category._id, { name });
+    res.status(201).json({ category });
+  } catch (error) {
+    if (error.code === 11000) return res.status(400).json({ error: 'Category already exists' });
+    console.error('Create category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Expense Routes
+app.get('/api/expenses', authMiddleware, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = applyExpenseFilters(await buildSubmitterScope(req.user), req.query);
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [expenses, total] = await Promise.all([
+      Expense.find(query).populate('userId', 'name email').populate('categoryId', 'name').sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      Expense.countDocuments(query)
+    ]);
+    
+    res.json({ expenses: expenses.map(expense => mapExpense(expense, req.user)), pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / parseInt(limit)) } });
+  } catch (error) {
+    console.error('Get expenses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/expenses', authMiddleware, uploadAttachments, async (req, res) => {
+  try {
+    // Accept both camelCase and snake_case from clients
+    const description = req.body.description;
+    const date = req.body.date;
+    const categoryId = req.body.categoryId || req.body.category_id;
+    const paidBy = req.body.paidBy || req.body.paid_by || 'Cash';
+    const amount = req.body.amount;
+    const currency = req.body.currency;
+    const remarks = req.body.remarks;
+
+    if (!description || !date || !categoryId || !amount || !currency) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    const reportId = req.body.reportId || req.body.report_id || null;
+    if (reportId) {
+      const report = await ExpenseReport.findOne({ _id: reportId, userId: req.user._id, status: 'draft' });
+      if (!report) return res.status(400).json({ error: 'Expenses can only be added to your own draft reports' });
+    }
+    
+    // Report lines stay drafts until the whole report is submitted
+    const isDraft = Boolean(reportId) || req.body.draft === true || req.body.draft === 'true';
+    const expense = new Expense({
+      companyId: req.user.companyId._id,
+      userId: req.user._id,
+      reportId,
+      description,
+      date: new Date(date),
+      categoryId,
+      paidBy: paidBy || 'Cash',
+      amount: parseFloat(amount),
+      currency,
+      remarks,
+      status: isDraft ? 'draft' : 'pending'
+    });
+    const { added, error } = await addAttachments(expense, uploadedFiles(req), req.user);
+    if (error) return res.status(400).json({ error });
+    await expense.save();
+    const possibleDuplicates = await flagPossibleDuplicates(expense);
+    analyzeAttachments(expense._id, added, receiptLocale(req.user.companyId));
+    
+    const { rule } = isDraft ? { rule: null } : await startApprovalWorkflow(expense, req.user);
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_CREATED', 'Expense', expense._id, {
+      amount,
+      currency,
+      description,
+      draft: isDraft,
+      reportId,
+      ruleName: rule?.ruleName || null,
+      possibleDuplicateOf: possibleDuplicates.length > 0 ? possibleDuplicates.map(duplicate => duplicate.expenseId) : undefined
+    });
+    
+    const populatedExpense = await Expense.findById(expense._id).populate('userId', 'name email').populate('categoryId', 'name');
+    res.status(201).json({ expense: mapExpense(populatedExpense, req.user), possible_duplicates: possibleDuplicates.map(duplicate => mapPossibleDuplicate(duplicate, req.user)) });
+  } catch (error) {
+    console.error('Create expense error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Streams filtered expenses with their approval trail as CSV or XLSX for accounting
+app.get('/api/expenses/export', authMiddleware, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: 'Format must be csv or xlsx' });
+    
+    const mine = req.query.mine === 'true';
+    if (!mine && !hasPermission(req.user, 'expenses.export')) return res.status(403).json({ error: 'Forbidden' });
+    
+    const query = applyExpenseFilters(await buildSubmitterScope(req.user), req.query);
+    if (mine) {
+      delete query.$or;
+      query.userId = req.user._id;
+    }
+    
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSES_EXPORTED', 'Company', req.user.companyId._id, { format, filters: { status: req.query.status, categoryId: req.query.categoryId, startDate: req.query.startDate, endDate: req.query.endDate, mine: req.query.mine === 'true' } });
+    
+    // Spreadsheets get passed around, so their receipt links outlive the ones shown in the app
+    const receiptBaseUrl = `${req.protocol}://${req.get('host')}`;
+    const exportReceiptUrl = (key) => `${receiptBaseUrl}${receiptLink(key, EXPORT_RECEIPT_LINK_TTL_MS)}`;
+    const cursor = Expense.find(query)
+      .populate('userId', 'name email')
+      .populate('categoryId', 'name')
+      .sort({ date: 1 })
+      .cursor({ batchSize: 200 });
+    
+    async function* batches() {
+      let batch = [];
+      const flush = async () => {
+        // Expenses filed in a report are approved through the report, so its steps belong in their trail too
+        const reportIds = batch.map(e => e.reportId).filter(Boolean);
+        const approvals = await Approval.find({ $or: [{ expenseId: { $in: batch.map(e => e._id) } }, { reportId: { $in: reportIds } }] })
+          .populate('approverId', 'name')
+          .populate('delegatedFrom', 'name')
+          .sort({ round: 1, sequenceOrder: 1 });
+        const rows = batch.map(expense => toExportRow(
+          expense,
+          [
+            ...approvals.filter(a => a.expenseId?.toString() === expense._id.toString()),
+            ...(expense.reportId ? approvals.filter(a => a.reportId?.toString() === expense.reportId.toString()) : [])
+          ],
+          exportReceiptUrl
+        ));
+        batch = [];
+        return rows;
+      };
+      for await (const expense of cursor) {
+        batch.push(expense);
+        if (batch.length === 200) yield await flush();
+      }
+      if (batch.length > 0) yield await flush();
+    }
+    
+    const filename = `expenses-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await writeXlsxExport(res, batches());
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await writeCsvExport(res, batches());
+    }
+  } catch (error) {
+    console.error('Export expenses error:', error);
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/expenses/mine', authMiddleware, async (req, res) => {
+  try {
+    const expenses = await Expense.find({ userId: req.user._id })
+      .populate('categoryId', 'name')
+      .sort({ createdAt: -1 });
+    
+    const formattedExpenses = expenses.map(expense => mapExpense(expense, req.user));
+    
+    res.json({ expenses: formattedExpenses });
+  } catch (error) {
+    console.error('Get my expenses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/expenses/:id', authMiddleware, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, companyId: req.user.companyId._id }).populate('userId', 'name email').populate('categoryId', 'name');
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    
+    if (!hasPermission(req.user, 'expenses.view_team', 'expenses.view_all') && expense.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const approvals = await Approval.find({ expenseId: expense._id }).populate('approverId', 'name email').sort({ round: 1, sequenceOrder: 1 });
+    res.json({ expense: mapExpense(expense, req.user), approvals });
+  } catch (error) {
+    console.error('Get expense error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/expenses/:id/attachments/:attachmentId', authMiddleware, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    if (!await canViewExpense(req.user, expense)) return res.status(403).json({ error: 'Access denied' });
+    
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+    await sendReceipt(res, attachment.key);
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Attachments can change while the expense itself can still be edited; they do not affect routing, so approvals stay as they are
+app.post('/api/expenses/:id/attachments', authMiddleware, uploadAttachments, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    
+    const blocker = await expenseEditBlocker(expense);
+    if (blocker) return res.status(400).json({ error: blocker });
+    const files = uploadedFiles(req);
+    if (files.length === 0) return res.status(400).json({ error: 'Attach at least one file' });
+    
+    const { added, error } = await addAttachments(expense, files, req.user);
+    if (error) return res.status(400).json({ error });
+    await expense.save();
+    await flagPossibleDuplicates(expense);
+    analyzeAttachments(expense._id, added, receiptLocale(req.user.companyId));
+    
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_ATTACHMENTS_ADDED', 'Expense', expense._id, {
+      filenames: added.map(({ attachment }) => attachment.filename),
+      duplicatesSkipped: files.length - added.length
+    });
+    res.status(201).json({ attachments: added.map(({ attachment }) => mapAttachment(attachment)), expense: mapExpense(expense, req.user) });
+  } catch (error) {
+    console.error('Add attachments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 10 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|pdf/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    if (extname && mimetype) return cb(null, true);
-    cb(new Error('Only image files and PDFs are allowed'));
+app.delete('/api/expenses/:id/attachments/:attachmentId', authMiddleware, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    
+    const blocker = await expenseEditBlocker(expense);
+    if (blocker) return res.status(400).json({ error: blocker });
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+    
+    attachment.deleteOne();
+    await expense.save();
+    await flagPossibleDuplicates(expense);
+    getReceiptStorage().remove(attachment.key).catch(error => console.error('Failed to remove attachment file:', error));
+    
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_ATTACHMENT_REMOVED', 'Expense', expense._id, { filename: attachment.filename });
+    res.json({ expense: mapExpense(expense, req.user) });
+  } catch (error) {
+    console.error('Remove attachment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Helper functions
-async function createAuditLog(userId, companyId, action, entityType, entityId, details = {}) {
+app.patch('/api/expenses/:id', authMiddleware, uploadAttachments, async (req, res) => {
   try {
-    await AuditLog.create({ userId, companyId, action, entityType, entityId, details });
+    const expense = await Expense.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    
+    const blocker = await expenseEditBlocker(expense);
+    if (blocker) return res.status(400).json({ error: blocker });
+    
+    // Accept both camelCase and snake_case from clients
+    const updates = {
+      description: req.body.description,
+      date: req.body.date,
+      categoryId: req.body.categoryId || req.body.category_id,
+      paidBy: req.body.paidBy || req.body.paid_by,
+      amount: req.body.amount,
+      currency: req.body.currency,
+      remarks: req.body.remarks
+    };
+    const changes = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+    
+    if (changes.amount !== undefined) {
+      const amountValue = parseFloat(changes.amount);
+      if (isNaN(amountValue) || amountValue < 0) return res.status(400).json({ error: 'Invalid amount' });
+      changes.amount = amountValue;
+    }
+    if (changes.date !== undefined) changes.date = new Date(changes.date);
+    if (['description', 'date', 'categoryId', 'amount', 'currency'].some(key => key in changes && !changes[key])) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    Object.assign(expense, changes);
+    const { added, error } = await addAttachments(expense, uploadedFiles(req), req.user);
+    if (error) return res.status(400).json({ error });
+    await expense.save();
+    await flagPossibleDuplicates(expense);
+    analyzeAttachments(expense._id, added, receiptLocale(req.user.companyId));
+    
+    if (expense.status === 'pending') {
+      // Routing depends on the edited fields, so the undecided chain is rebuilt
+      await Approval.deleteMany(currentRoundQuery(expense));
+      await startApprovalWorkflow(expense, req.user);
+    }
+    
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_UPDATED', 'Expense', expense._id, { changes: Object.keys(changes), attachmentsAdded: added.length || undefined });
+    
+    const populatedExpense = await Expense.findById(expense._id).populate('userId', 'name email').populate('categoryId', 'name');
+    res.json({ expense: mapExpense(populatedExpense, req.user) });
   } catch (error) {
-    console.error('Failed to create audit log:', error);
+    console.error('Update expense error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
 
-async function createNotification(userId, title, message, type = 'info', relatedEntityId = null) {
+app.post('/api/expenses/:id/withdraw', authMiddleware, async (req, res) => {
   try {
-    await Notification.create({ userId, title, message, type, relatedEntityId });
+    const expense = await Expense.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    if (expense.status !== 'pending') return res.status(400).json({ error: 'Only pending expenses can be withdrawn' });
+    if (expense.reportId) return res.status(400).json({ error: 'Expenses in a report are approved with the report' });
+    
+    const activeSteps = await Approval.find({ ...currentRoundQuery(expense), status: 'pending' });
+    await Approval.updateMany({ ...currentRoundQuery(expense), status: { $in: ['pending', 'waiting'] } }, { $set: { status: 'skipped' } });
+    
+    expense.status = 'withdrawn';
+    await expense.save();
+    
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_WITHDRAWN', 'Expense', expense._id, { reason: req.body.reason || null });
+    for (const step of activeSteps) {
+      if (step.approverId) {
+        await createNotification(step.approverId, 'Expense Withdrawn', `${req.user.name} withdrew the expense "${expense.description}"`, 'info', expense._id);
+      }
+    }
+    
+    res.json({ message: 'Expense withdrawn', expense: mapExpense(expense, req.user) });
   } catch (error) {
-    console.error('Failed to create notification:', error);
+    console.error('Withdraw expense error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
-
-function mapCompany(doc) {
-  if (!doc) return null;
-  return {
-    id: doc._id,
-    name: doc.name,
-    country: doc.country,
-    default_currency: doc.defaultCurrency,
-    created_at: doc.createdAt,
-  };
-}
+});
 
-// Auth Routes
-app.post('/api/auth/signup', async (req, res) => {
+// Submits a draft, or resubmits a rejected or withdrawn expense through a fresh approval round
+app.post('/api/expenses/:id/resubmit', authMiddleware, async (req, res) => {
   try {
-    const { name, email, password, role, companyName, country, defaultCurrency, adminSignupKey } = req.body;
-    if (!name || !email || !password || !role) {
-      return res.status(400).json({ error: 'Name, email, password, and role are required' });
+    const expense = await Expense.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    if (!['draft', 'rejected', 'withdrawn'].includes(expense.status)) {
+      return res.status(400).json({ error: 'Only draft, rejected or withdrawn expenses can be submitted' });
     }
-    const existingUser = await User.findOne({ email: email.toLowerCase() });
-    if (existingUser) return res.status(400).json({ error: 'User already exists' });
-    
-    // Check if any companies exist
-    let company = await Company.findOne();
+    if (expense.reportId) return res.status(400).json({ error: 'Expenses in a report are submitted with the report' });
     
-    if (!company) {
-      // First user becomes admin and creates company
-      if (role !== 'admin') {
-        return res.status(400).json({ error: 'First user must be admin to create company' });
-      }
-      if (adminSignupKey !== process.env.ADMIN_SIGNUP_KEY) {
-        return res.status(403).json({ error: 'Invalid admin signup key' });
-      }
-      
-      company = await Company.create({
-        name: companyName || `${name}'s Company`,
-        country: country || 'India',
-        defaultCurrency: defaultCurrency || 'INR'
-      });
-      
-      // Create default categories
-      const categories = ['Travel', 'Food', 'Office Supplies', 'Entertainment', 'Other'];
-      for (const categoryName of categories) {
-        await ExpenseCategory.create({
-          companyId: company._id,
-          name: categoryName
-        });
-      }
-    } else {
-      // Company exists, validate admin signup if needed
-      if (role === 'admin' && adminSignupKey !== process.env.ADMIN_SIGNUP_KEY) {
-        return res.status(403).json({ error: 'Invalid admin signup key' });
-      }
+    const previousStatus = expense.status;
+    if (previousStatus !== 'draft') {
+      expense.submissionRound = (expense.submissionRound || 1) + 1;
     }
     
-    const companyId = company._id;
+    const { rule } = await startApprovalWorkflow(expense, req.user);
+    await createAuditLog(req.user._id, req.user.companyId._id, previousStatus === 'draft' ? 'EXPENSE_SUBMITTED' : 'EXPENSE_RESUBMITTED', 'Expense', expense._id, { previousStatus, round: expense.submissionRound, ruleName: rule?.ruleName || null });
     
-    const passwordHash = await bcrypt.hash(password, 10);
-    const user = await User.create({ companyId, name, email: email.toLowerCase(), passwordHash, role });
-    await createAuditLog(user._id, companyId, 'USER_CREATED', 'User', user._id, { email, role });
+    const populatedExpense = await Expense.findById(expense._id).populate('userId', 'name email').populate('categoryId', 'name');
+    res.json({ expense: mapExpense(populatedExpense, req.user) });
+  } catch (error) {
+    console.error('Resubmit expense error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Expense Report Routes
+app.get('/api/expense-reports', authMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = await buildSubmitterScope(req.user);
+    if (status) query.status = status;
+    
+    const reports = await ExpenseReport.find(query).sort({ createdAt: -1 });
+    const lines = await Expense.find({ reportId: { $in: reports.map(r => r._id) } }).populate('categoryId', 'name').sort({ date: 1 });
     
-    res.status(201).json({ message: 'User created successfully', user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+    res.json({
+      reports: reports.map(report => mapExpenseReport(report, lines.filter(line => line.reportId.toString() === report._id.toString()), req.user))
+    });
   } catch (error) {
-    console.error('Signup error:', error);
+    console.error('Get expense reports error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/expense-reports', authMiddleware, async (req, res) => {
   try {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+    const { title, description } = req.body;
+    if (!title) return res.status(400).json({ error: 'Title is required' });
     
-    const user = await User.findOne({ email: email.toLowerCase() }).populate('companyId');
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    const report = await ExpenseReport.create({
+      companyId: req.user.companyId._id,
+      userId: req.user._id,
+      title,
+      description,
+      currency: req.user.companyId.defaultCurrency
+    });
     
-    const isValid = await bcrypt.compare(password, user.passwordHash);
-    if (!isValid) return res.status(401).json({ error: 'Invalid credentials' });
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_REPORT_CREATED', 'ExpenseReport', report._id, { title });
+    res.status(201).json({ report: mapExpenseReport(report, [], req.user) });
+  } catch (error) {
+    console.error('Create expense report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/expense-reports/:id', authMiddleware, async (req, res) => {
+  try {
+    const report = await ExpenseReport.findOne({ _id: req.params.id, companyId: req.user.companyId._id }).populate('userId', 'name email');
+    if (!report) return res.status(404).json({ error: 'Expense report not found' });
     
-    const token = jwt.sign({ userId: user._id, role: user.role, companyId: user.companyId._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    await createAuditLog(user._id, user.companyId._id, 'USER_LOGIN', 'User', user._id, { email });
+    if (!hasPermission(req.user, 'expenses.view_team', 'expenses.view_all') && report.userId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role, company: { id: user.companyId._id, name: user.companyId.name, country: user.companyId.country, defaultCurrency: user.companyId.defaultCurrency } } });
+    const [lines, approvals] = await Promise.all([
+      Expense.find({ reportId: report._id }).populate('categoryId', 'name').sort({ date: 1 }),
+      Approval.find({ reportId: report._id }).populate('approverId', 'name email').sort({ round: 1, sequenceOrder: 1 })
+    ]);
+    res.json({ report: mapExpenseReport(report, lines, req.user), approvals });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Get expense report error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/auth/me', authMiddleware, async (req, res) => {
-  res.json({ user: { id: req.user._id, name: req.user.name, email: req.user.email, role: req.user.role, company: { id: req.user.companyId._id, name: req.user.companyId.name, country: req.user.companyId.country, defaultCurrency: req.user.companyId.defaultCurrency } } });
+app.patch('/api/expense-reports/:id', authMiddleware, async (req, res) => {
+  try {
+    const report = await ExpenseReport.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!report) return res.status(404).json({ error: 'Expense report not found' });
+    if (report.status !== 'draft') return res.status(400).json({ error: 'Only draft reports can be edited' });
+    
+    const { title, description } = req.body;
+    if (title !== undefined) {
+      if (!title) return res.status(400).json({ error: 'Title is required' });
+      report.title = title;
+    }
+    if (description !== undefined) report.description = description;
+    await report.save();
+    
+    res.json({ report: mapExpenseReport(report, [], req.user) });
+  } catch (error) {
+    console.error('Update expense report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Expense Category Routes
-app.get('/api/expense-categories', authMiddleware, async (req, res) => {
+app.delete('/api/expense-reports/:id', authMiddleware, async (req, res) => {
   try {
-    const categories = await ExpenseCategory.find({ companyId: req.user.companyId._id }).sort({ name: 1 });
-    const payload = categories.map((c) => ({
-      id: c._id,
-      company_id: c.companyId,
-      name: c.name,
-      created_at: c.createdAt,
-    }));
-    res.json({ categories: payload });
+    const report = await ExpenseReport.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!report) return res.status(404).json({ error: 'Expense report not found' });
+    if (report.status !== 'draft') return res.status(400).json({ error: 'Only draft reports can be deleted' });
+    
+    // Lines survive as standalone drafts
+    await Expense.updateMany({ reportId: report._id }, { $set: { reportId: null } });
+    await report.deleteOne();
+    
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_REPORT_DELETED', 'ExpenseReport', report._id, { title: report.title });
+    res.json({ message: 'Expense report deleted' });
   } catch (error) {
-    console.error('Get categories error:', error);
+    console.error('Delete expense report error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/expense-categories', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.post('/api/expense-reports/:id/expenses', authMiddleware, async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name) return res.status(400).json({ error: 'Category name is required' });
+    const report = await ExpenseReport.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!report) return res.status(404).json({ error: 'Expense report not found' });
+    if (report.status !== 'draft') return res.status(400).json({ error: 'Only draft reports can be changed' });
     
-    const category = await ExpenseCategory.create({ companyId: req.user.companyId._id, name });
-    await createAuditLog(req.user._id, req.user.companyId._id, 'CATEGORY_CREATED', 'ExpenseCategory', category._id, { name });
-    res.status(201).json({ category });
+    const expenseId = req.body.expenseId || req.body.expense_id;
+    const expense = await Expense.findOne({ _id: expenseId, userId: req.user._id });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    if (expense.status !== 'draft') return res.status(400).json({ error: 'Only draft expenses can be added to a report' });
+    
+    expense.reportId = report._id;
+    await expense.save();
+    
+    const { lines } = await recalculateReportTotals(report);
+    await report.save();
+    res.json({ report: mapExpenseReport(report, lines, req.user) });
   } catch (error) {
-    if (error.code === 11000) return res.status(400).json({ error: 'Category already exists' });
-    console.error('Create category error:', error);
+    console.error('Add report expense error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Expense Routes
-app.get('/api/expenses', authMiddleware, async (req, res) => {
+app.delete('/api/expense-reports/:id/expenses/:expenseId', authMiddleware, async (req, res) => {
   try {
-    const { status, categoryId, startDate, endDate, page = 1, limit = 20 } = req.query;
-    const query = { companyId: req.user.companyId._id };
+    const report = await ExpenseReport.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!report) return res.status(404).json({ error: 'Expense report not found' });
+    if (report.status !== 'draft') return res.status(400).json({ error: 'Only draft reports can be changed' });
     
-    if (req.user.role === 'employee') {
-      query.userId = req.user._id;
-    } else if (req.user.role === 'manager') {
-      const teamMembers = await User.find({ managerId: req.user._id }).select('_id');
-      const teamIds = teamMembers.map(u => u._id);
-      query.$or = [{ userId: req.user._id }, { userId: { $in: teamIds } }];
-    }
+    const expense = await Expense.findOne({ _id: req.params.expenseId, reportId: report._id });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
     
-    if (status) query.status = status;
-    if (categoryId) query.categoryId = categoryId;
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
+    expense.reportId = null;
+    await expense.save();
+    
+    const { lines } = await recalculateReportTotals(report);
+    await report.save();
+    res.json({ report: mapExpenseReport(report, lines, req.user) });
+  } catch (error) {
+    console.error('Remove report expense error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/expense-reports/:id/submit', authMiddleware, async (req, res) => {
+  try {
+    const report = await ExpenseReport.findOne({ _id: req.params.id, companyId: req.user.companyId._id, userId: req.user._id });
+    if (!report) return res.status(404).json({ error: 'Expense report not found' });
+    if (report.status !== 'draft') return res.status(400).json({ error: 'Only draft reports can be submitted' });
+    
+    for (const line of await Expense.find({ reportId: report._id })) {
+      await snapshotConversion(line, report.currency);
+      await line.save();
     }
+    const { lines, error } = await recalculateReportTotals(report);
+    if (lines.length === 0) return res.status(400).json({ error: 'Add at least one expense before submitting' });
+    if (error) return res.status(400).json({ error });
+    
+    // Category and payment conditions only apply when every line agrees
+    const shared = (values) => new Set(values.map(String)).size === 1 ? values[0] : null;
+    report.submittedAt = new Date();
+    const { rule } = await startApprovalWorkflow(report, req.user, {
+      amount: report.totalAmount,
+      currency: report.currency,
+      categoryId: shared(lines.map(line => line.categoryId)),
+      paidBy: shared(lines.map(line => line.paidBy))
+    });
+    await Expense.updateMany({ reportId: report._id }, { $set: { status: 'pending' } });
     
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const [expenses, total] = await Promise.all([
-      Expense.find(query).populate('userId', 'name email').populate('categoryId', 'name').sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
-      Expense.countDocuments(query)
-    ]);
+    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_REPORT_SUBMITTED', 'ExpenseReport', report._id, { totalAmount: report.totalAmount, currency: report.currency, lines: lines.length, ruleName: rule?.ruleName || null });
     
-    res.json({ expenses, pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / parseInt(limit)) } });
+    const updatedLines = await Expense.find({ reportId: report._id }).populate('categoryId', 'name').sort({ date: 1 });
+    res.json({ report: mapExpenseReport(report, updatedLines, req.user) });
   } catch (error) {
-    console.error('Get expenses error:', error);
+    console.error('Submit expense report error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/expenses', authMiddleware, upload.single('receipt'), async (req, res) => {
+// Approval Routes
+app.get('/api/approvals/pending', authMiddleware, async (req, res) => {
   try {
-    // Accept both camelCase and snake_case from clients
-    const description = req.body.description;
-    const date = req.body.date;
-    const categoryId = req.body.categoryId || req.body.category_id;
-    const paidBy = req.body.paidBy || req.body.paid_by || 'Cash';
-    const amount = req.body.amount;
-    const currency = req.body.currency;
-    const remarks = req.body.remarks;
+    const query = await buildApprovalScope(req.user);
+    
+    // Later steps of a sequential chain stay hidden until they are activated
+    query.status = { $ne: 'waiting' };
+    
+    const approvals = await Approval.find(query).populate('delegatedFrom', 'name').populate({ 
+      path: 'expenseId', 
+      match: { companyId: req.user.companyId._id },
+      populate: [{ path: 'userId', select: 'name email' }, { path: 'categoryId', select: 'name' }] 
+    }).populate({
+      path: 'reportId',
+      match: { companyId: req.user.companyId._id },
+      populate: { path: 'userId', select: 'name email' }
+    }).sort({ createdAt: -1 });
+    
+    // Filter out user's own submissions and invalid approvals
+    const validApprovals = approvals.filter(a => {
+      const subject = a.expenseId || a.reportId;
+      return subject && subject.userId._id.toString() !== req.user._id.toString();
+    });
+    
+    const reportLines = await Expense.find({ reportId: { $in: validApprovals.filter(a => a.reportId).map(a => a.reportId._id) } })
+      .populate('categoryId', 'name')
+      .sort({ date: 1 });
+    
+    // Sort by status: pending first, then others
+    validApprovals.sort((a, b) => {
+      if (a.status === 'pending' && b.status !== 'pending') return -1;
+      if (a.status !== 'pending' && b.status === 'pending') return 1;
+      return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
+    });
+    
+    // Map to match frontend expectations
+    const formattedApprovals = validApprovals.map(approval => {
+      const base = {
+        id: approval._id,
+        approver_id: approval.approverId,
+        delegated_from: approval.delegatedFrom ? { id: approval.delegatedFrom._id, name: approval.delegatedFrom.name } : null,
+        sequence_order: approval.sequenceOrder,
+        status: approval.status,
+        comments: approval.comments,
+        approved_at: approval.approvedAt,
+        created_at: approval.createdAt
+      };
+      
+      if (approval.reportId) {
+        const report = approval.reportId;
+        const lines = reportLines.filter(line => line.reportId.toString() === report._id.toString());
+        return {
+          ...base,
+          expense_id: null,
+          report_id: report._id,
+          // Summary row so report approvals list alongside single expenses
+          expense: {
+            id: report._id,
+            description: report.title,
+            date: report.submittedAt || report.createdAt,
+            category_id: null,
+            paid_by: 'Various',
+            amount: report.totalAmount,
+            currency: report.currency,
+            remarks: report.description,
+            receipt_url: null,
+            status: report.status
+          },
+          report: mapExpenseReport(report, lines, req.user),
+          requester: {
+            id: report.userId._id,
+            name: report.userId.name
+          }
+        };
+      }
+      
+      return {
+        ...base,
+        expense_id: approval.expenseId._id,
+        expense: {
+          id: approval.expenseId._id,
+          description: approval.expenseId.description,
+          date: approval.expenseId.date,
+          category_id: approval.expenseId.categoryId?._id,
+          paid_by: approval.expenseId.paidBy,
+          amount: approval.expenseId.amount,
+          currency: approval.expenseId.currency,
+          company_currency: approval.expenseId.companyCurrency || null,
+          converted_amount: approval.expenseId.convertedAmount ?? null,
+          exchange_rate: approval.expenseId.exchangeRate ?? null,
+          rate_updated_at: approval.expenseId.rateUpdatedAt || null,
+          rate_provider: approval.expenseId.rateProvider || null,
+          rate_approximate: Boolean(approval.expenseId.rateApproximate),
+          remarks: approval.expenseId.remarks,
+          receipt_url: approval.expenseId.attachments[0] ? receiptLink(approval.expenseId.attachments[0].key) : null,
+          attachments: approval.expenseId.attachments.map(mapAttachment),
+          possible_duplicates: (approval.expenseId.possibleDuplicates || []).map(duplicate => mapPossibleDuplicate(duplicate, req.user)),
+          status: approval.expenseId.status
+        },
+        requester: {
+          id: approval.expenseId.userId._id,
+          name: approval.expenseId.userId.name
+        }
+      };
+    });
+    
+    res.json({ approvals: formattedApprovals });
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (!description || !date || !categoryId || !amount || !currency) {
-      return res.status(400).json({ error: 'Missing required fields' });
+// Records an approver's decision on a pending step and moves the expense or report on; shared by the app and emailed action links
+async function applyApprovalDecision(approval, subject, actor, { decision, comments, rejectedLineIds = [], channel = 'app' }) {
+  const companyId = actor.companyId._id || actor.companyId;
+  const isReport = Boolean(approval.reportId);
+  if (subject.status !== 'pending') return { status: 400, error: `${isReport ? 'Expense report' : 'Expense'} is not pending` };
+  
+  if (rejectedLineIds.length > 0) {
+    const lines = await Expense.find({ reportId: subject._id, status: 'pending' }).select('_id');
+    const lineIds = lines.map(line => line._id.toString());
+    if (rejectedLineIds.some(id => !lineIds.includes(id))) {
+      return { status: 400, error: 'Rejected expenses must be pending lines of this report' };
+    }
+    if (lineIds.every(id => rejectedLineIds.includes(id))) {
+      return { status: 400, error: 'Reject the report instead of every line' };
+    }
+    await Expense.updateMany({ _id: { $in: rejectedLineIds } }, { $set: { status: 'rejected' } });
+  }
+  
+  approval.status = decision;
+  approval.comments = comments;
+  approval.approvedAt = new Date();
+  await approval.save();
+  
+  // A delegate deciding a step acts for the approver it was routed away from
+  const principal = approval.delegatedFrom && approval.approverId?.equals(actor._id)
+    ? await User.findById(approval.delegatedFrom).select('name')
+    : null;
+  await createAuditLog(actor._id, companyId, decision === 'approved' ? 'APPROVAL_APPROVED' : 'APPROVAL_REJECTED', 'Approval', approval._id, {
+    ...approvalSubjectKey(subject),
+    comments,
+    rejectedExpenseIds: rejectedLineIds.length > 0 ? rejectedLineIds : undefined,
+    channel,
+    ...(principal ? { onBehalfOf: principal._id, summary: `${decision} by ${actor.name} on behalf of ${principal.name}` } : {})
+  });
+  if (principal) {
+    await createNotification(principal._id, 'Approval Decided On Your Behalf', `${actor.name} ${decision} the ${describeApprovalSubject(subject)} on your behalf`, 'info', subject._id);
+  }
+  
+  const roundApprovals = await Approval.find(currentRoundQuery(subject));
+  const outcome = evaluateApprovalOutcome(subject.approvalPolicy, roundApprovals);
+  
+  if (outcome !== 'pending') {
+    subject.status = outcome;
+    if (isReport) {
+      // Lines not rejected individually follow the report
+      await Expense.updateMany({ reportId: subject._id, status: 'pending' }, { $set: { status: outcome } });
+      await recalculateReportTotals(subject);
+    }
+    await subject.save();
+    // Remaining steps no longer affect the outcome
+    await Approval.updateMany({ ...currentRoundQuery(subject), status: { $in: ['pending', 'waiting'] } }, { $set: { status: 'skipped' } });
+    const action = `${isReport ? 'EXPENSE_REPORT' : 'EXPENSE'}_${outcome === 'approved' ? 'APPROVED' : 'REJECTED'}`;
+    await createAuditLog(actor._id, companyId, action, isReport ? 'ExpenseReport' : 'Expense', subject._id, { ruleName: subject.approvalPolicy?.ruleName || null });
+  } else if (rejectedLineIds.length > 0) {
+    await recalculateReportTotals(subject);
+    await subject.save();
+  }
+  
+  const label = isReport ? 'expense report' : 'expense';
+  const name = isReport ? subject.title : subject.description;
+  if (outcome === 'rejected') {
+    await createNotification(subject.userId, isReport ? 'Expense Report Rejected' : 'Expense Rejected', `Your ${label} "${name}" was rejected by ${actor.name}. ${comments ? `Reason: ${comments}` : ''}`, 'rejection', subject._id);
+  } else if (outcome === 'approved') {
+    const partial = isReport && subject.approvedAmount < subject.totalAmount ? ` (${subject.currency} ${subject.approvedAmount} of ${subject.totalAmount})` : '';
+    await createNotification(subject.userId, isReport ? 'Expense Report Approved' : 'Expense Approved', `Your ${label} "${name}" has been approved${partial}!`, 'approval', subject._id);
+  } else {
+    const activated = await activateNextApprovalStep(subject);
+    if (activated.length > 0) {
+      await createAuditLog(actor._id, companyId, 'APPROVAL_STEP_ACTIVATED', isReport ? 'ExpenseReport' : 'Expense', subject._id, { sequenceOrder: activated[0].sequenceOrder, approverIds: activated.map(a => a.approverId) });
+    }
+  }
+  
+  // Everyone else holding a step in this round sees their queue change, and the submitter sees the new status
+  const roundApproverIds = (await Approval.find(currentRoundQuery(subject)).select('approverId delegatedFrom'))
+    .flatMap(step => [step.approverId, step.delegatedFrom]);
+  publishEvent(roundApproverIds, 'approval.updated', { approval_id: approval._id, subject_id: subject._id, status: approval.status });
+  publishEvent(subject.userId, 'expense.updated', { id: subject._id, kind: isReport ? 'report' : 'expense', status: subject.status });
+  
+  return { subject };
+}
+
+app.post('/api/approvals/:id/decision', authMiddleware, async (req, res) => {
+  try {
+    const { decision, status, comments } = req.body;
+    const approvalDecision = decision || status;
+    if (!['approved', 'rejected'].includes(approvalDecision)) {
+      return res.status(400).json({ error: 'Decision must be "approved" or "rejected"' });
     }
     
-    const receiptUrl = req.file ? `/uploads/receipts/${req.file.filename}` : null;
-    const expense = await Expense.create({
-      companyId: req.user.companyId._id,
-      userId: req.user._id,
-      description,
-      date: new Date(date),
-      categoryId,
-      paidBy: paidBy || 'Cash',
-      amount: parseFloat(amount),
-      currency,
-      remarks,
-      receiptUrl,
-      status: 'pending'
+    const companyMatch = { match: { companyId: req.user.companyId._id } };
+    // Anyone can decide their own steps; decide_team and decide_all widen that to the team's or the company's
+    const approval = await Approval.findOne({ 
+      _id: req.params.id,
+      status: 'pending',
+      ...(await buildApprovalScope(req.user))
+    }).populate({ path: 'expenseId', ...companyMatch }).populate({ path: 'reportId', ...companyMatch });
+    
+    if (!approval && await Approval.exists({ _id: req.params.id, status: 'waiting' })) {
+      return res.status(409).json({ error: 'This approval step is not active yet' });
+    }
+    const subject = approval && (approval.expenseId || approval.reportId);
+    if (!subject) return res.status(404).json({ error: 'Approval not found' });
+    
+    // Approvers can reject individual report lines while approving the rest
+    const rejectedLineIds = (approval.reportId && approvalDecision === 'approved' ? req.body.rejected_expense_ids || req.body.rejectedExpenseIds || [] : []).map(String);
+    const result = await applyApprovalDecision(approval, subject, req.user, { decision: approvalDecision, comments, rejectedLineIds });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    
+    res.json({
+      message: 'Approval recorded',
+      approval: approval.depopulate(),
+      ...(approval.reportId ? { report: mapExpenseReport(subject, [], req.user) } : { expense: mapExpense(subject, req.user) })
+    });
+  } catch (error) {
+    console.error('Approval decision error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Emailed approve/reject links work without signing in; the frontend shows the preview and confirms with a POST
+app.get('/api/approval-actions/:token', async (req, res) => {
+  try {
+    const action = await loadApprovalAction(req.params.token);
+    if (action.error) return res.status(action.status).json({ error: action.error });
+    
+    const { claims, approval, subject } = action;
+    const isReport = Boolean(approval.reportId);
+    const requester = await User.findById(subject.userId).select('name');
+    res.json({ action: {
+      decision: claims.decision,
+      expires_at: claims.expiresAt,
+      approval_id: approval._id,
+      kind: isReport ? 'report' : 'expense',
+      description: isReport ? subject.title : subject.description,
+      amount: isReport ? subject.totalAmount : subject.amount,
+      currency: subject.currency,
+      requester: requester?.name || null,
+      submitted_at: subject.updatedAt
+    } });
+  } catch (error) {
+    console.error('Preview approval action error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/approval-actions/:token', async (req, res) => {
+  try {
+    const action = await loadApprovalAction(req.params.token);
+    if (action.error) return res.status(action.status).json({ error: action.error });
+    
+    const { claims, approval, subject } = action;
+    const actor = await User.findById(claims.approverId).populate('companyId');
+    if (!actor || String(actor.companyId._id) !== String(subject.companyId)) return res.status(404).json({ error: 'Approval not found' });
+    if (!await claimUserToken(claims.nonce, 'approval_action')) return res.status(410).json({ error: 'This link has already been used' });
+    
+    const result = await applyApprovalDecision(approval, subject, actor, {
+      decision: claims.decision,
+      comments: typeof req.body.comments === 'string' ? req.body.comments.trim() : undefined,
+      channel: 'email_link'
     });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    
+    res.json({ message: 'Approval recorded', decision: claims.decision, status: subject.status });
+  } catch (error) {
+    console.error('Approval action error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delegation Routes
+app.get('/api/delegations', authMiddleware, async (req, res) => {
+  try {
+    const delegations = await Delegation.find({
+      companyId: req.user.companyId._id,
+      $or: [{ delegatorId: req.user._id }, { delegateId: req.user._id }]
+    }).populate('delegatorId', 'name').populate('delegateId', 'name').sort({ startsAt: -1 });
+    res.json({ delegations: delegations.map(mapDelegation) });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/delegations', authMiddleware, async (req, res) => {
+  try {
+    const delegateId = req.body.delegateId || req.body.delegate_id;
+    const startsAt = new Date(req.body.startsAt || req.body.starts_at || Date.now());
+    const endsAt = new Date(req.body.endsAt || req.body.ends_at);
+    const reassignPending = req.body.reassign_pending === true || req.body.reassignPending === true;
+    
+    if (!delegateId) return res.status(400).json({ error: 'Delegate is required' });
+    if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) return res.status(400).json({ error: 'Start and end dates are required' });
+    if (endsAt <= startsAt || endsAt <= new Date()) return res.status(400).json({ error: 'The delegation must end after it starts and in the future' });
+    if (String(delegateId) === String(req.user._id)) return res.status(400).json({ error: 'You cannot delegate to yourself' });
     
-    await createAuditLog(req.user._id, req.user.companyId._id, 'EXPENSE_CREATED', 'Expense', expense._id, { amount, currency, description });
+    const delegate = mongoose.isValidObjectId(delegateId) ? await User.findOne({ _id: delegateId, companyId: req.user.companyId._id }) : null;
+    if (!delegate) return res.status(404).json({ error: 'Delegate not found' });
     
-    // Find all managers and admins in the company (except the submitter)
-    const approvers = await User.find({ 
-      companyId: req.user.companyId._id, 
-      role: { $in: ['manager', 'admin'] },
-      _id: { $ne: req.user._id }
+    const overlapping = await Delegation.exists({ delegatorId: req.user._id, revokedAt: null, startsAt: { $lt: endsAt }, endsAt: { $gt: startsAt } });
+    if (overlapping) return res.status(400).json({ error: 'You already have a delegation during that time' });
+    
+    const delegation = await Delegation.create({
+      companyId: req.user.companyId._id,
+      delegatorId: req.user._id,
+      delegateId: delegate._id,
+      startsAt,
+      endsAt,
+      reason: req.body.reason || ''
     });
+    await createAuditLog(req.user._id, req.user.companyId._id, 'DELEGATION_CREATED', 'Delegation', delegation._id, { delegateId: delegate._id, startsAt, endsAt });
+    await createNotification(delegate._id, 'Approvals Delegated To You', `${req.user.name} asked you to handle their approvals from ${startsAt.toDateString()} to ${endsAt.toDateString()}`, 'info', delegation._id);
     
-    if (approvers.length > 0) {
-      // Create approval for the first available approver
-      const primaryApprover = approvers[0];
-      await Approval.create({ expenseId: expense._id, approverId: primaryApprover._id, sequenceOrder: 1, status: 'pending' });
-      await createNotification(primaryApprover._id, 'New Expense Awaiting Approval', `${req.user.name} submitted an expense: ${description} (${currency} ${amount})`, 'approval', expense._id);
-      console.log(`Approval created for expense ${expense._id} with approver ${primaryApprover._id}`);
-    } else {
-      // No approvers found, create approval without specific approver
-      await Approval.create({ expenseId: expense._id, approverId: null, sequenceOrder: 1, status: 'pending' });
-      console.log(`Approval created for expense ${expense._id} without specific approver - admin review needed`);
+    const reassigned = reassignPending && delegation.status === 'active' ? await reassignPendingApprovals(delegation) : 0;
+    if (reassigned > 0) {
+      await createAuditLog(req.user._id, req.user.companyId._id, 'APPROVALS_REASSIGNED', 'Delegation', delegation._id, { delegateId: delegate._id, count: reassigned });
     }
     
-    const populatedExpense = await Expense.findById(expense._id).populate('userId', 'name email').populate('categoryId', 'name');
-    res.status(201).json({ expense: populatedExpense });
+    await delegation.populate([{ path: 'delegatorId', select: 'name' }, { path: 'delegateId', select: 'name' }]);
+    res.status(201).json({ delegation: mapDelegation(delegation), reassigned });
   } catch (error) {
-    console.error('Create expense error:', error);
+    console.error('Create delegation error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/expenses/mine', authMiddleware, async (req, res) => {
+app.post('/api/delegations/:id/reassign', authMiddleware, async (req, res) => {
   try {
-    const expenses = await Expense.find({ userId: req.user._id })
-      .populate('categoryId', 'name')
-      .sort({ createdAt: -1 });
-    
-    const formattedExpenses = expenses.map(exp => ({
-      id: exp._id,
-      company_id: exp.companyId,
-      user_id: exp.userId,
-      description: exp.description,
-      date: exp.date,
-      category_id: exp.categoryId?._id,
-      paid_by: exp.paidBy,
-      amount: exp.amount,
-      currency: exp.currency,
-      remarks: exp.remarks,
-      receipt_url: exp.receiptUrl,
-      status: exp.status,
-      created_at: exp.createdAt,
-      updated_at: exp.updatedAt
-    }));
+    const delegation = await Delegation.findOne({ _id: req.params.id, delegatorId: req.user._id });
+    if (!delegation) return res.status(404).json({ error: 'Delegation not found' });
+    if (delegation.status !== 'active') return res.status(400).json({ error: 'Only an active delegation can take over pending approvals' });
     
-    res.json({ expenses: formattedExpenses });
+    const reassigned = await reassignPendingApprovals(delegation);
+    await createAuditLog(req.user._id, req.user.companyId._id, 'APPROVALS_REASSIGNED', 'Delegation', delegation._id, { delegateId: delegation.delegateId, count: reassigned });
+    res.json({ reassigned });
   } catch (error) {
-    console.error('Get my expenses error:', error);
+    console.error('Reassign approvals error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/expenses/:id', authMiddleware, async (req, res) => {
+// Ending a delegation early hands its still-pending steps back to the delegator
+app.delete('/api/delegations/:id', authMiddleware, async (req, res) => {
   try {
-    const expense = await Expense.findOne({ _id: req.params.id, companyId: req.user.companyId._id }).populate('userId', 'name email').populate('categoryId', 'name');
-    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    const delegation = await Delegation.findOne({ _id: req.params.id, delegatorId: req.user._id, revokedAt: null });
+    if (!delegation) return res.status(404).json({ error: 'Delegation not found' });
     
-    if (req.user.role === 'employee' && expense.userId._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    delegation.revokedAt = new Date();
+    await delegation.save();
+    
+    const handedBack = await Approval.updateMany(
+      { delegationId: delegation._id, status: { $in: ['pending', 'waiting'] } },
+      [{ $set: { approverId: '$delegatedFrom', delegatedFrom: null, delegationId: null } }]
+    );
+    await createAuditLog(req.user._id, req.user.companyId._id, 'DELEGATION_REVOKED', 'Delegation', delegation._id, { delegateId: delegation.delegateId, returned: handedBack.modifiedCount || 0 });
     
-    const approvals = await Approval.find({ expenseId: expense._id }).populate('approverId', 'name email').sort({ sequenceOrder: 1 });
-    res.json({ expense, approvals });
+    res.json({ message: 'Delegation ended', returned: handedBack.modifiedCount || 0 });
   } catch (error) {
-    console.error('Get expense error:', error);
+    console.error('Revoke delegation error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Approval Routes
-app.get('/api/approvals/pending', authMiddleware, async (req, res) => {
+// Report Routes
+// Shared filters for the analytics endpoints; aggregation does not cast, so ids and dates are converted here
+async function buildAnalyticsMatch(req) {
+  const { status, categoryId, startDate, endDate } = req.query;
+  const match = await buildSubmitterScope(req.user);
+  
+  if (status) {
+    match.status = status;
+  } else {
+    // Unsubmitted and withdrawn expenses are not spend
+    match.status = { $nin: ['draft', 'withdrawn'] };
+  }
+  if (categoryId) {
+    if (!mongoose.isValidObjectId(categoryId)) return { error: 'Invalid categoryId' };
+    match.categoryId = new mongoose.Types.ObjectId(String(categoryId));
+  }
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = new Date(startDate);
+    if (endDate) match.date.$lte = new Date(endDate);
+    if (Object.values(match.date).some(d => isNaN(d.getTime()))) return { error: 'Invalid date range' };
+  }
+  return { match };
+}
+
+app.get('/api/reports/spend-by-:groupBy', authMiddleware, requirePermission('reports.view'), async (req, res) => {
   try {
-    let query;
-    
-    if (req.user.role === 'admin') {
-      // Admins see ALL approvals in their company
-      query = {};
-    } else if (req.user.role === 'manager') {
-      // Managers see ALL approvals in their company
-      query = {};
-    } else {
-      // Employees see only their assigned approvals
-      query = { approverId: req.user._id };
+    const { groupBy } = req.params;
+    if (!SPEND_GROUPINGS.includes(groupBy)) return res.status(404).json({ error: 'Unknown report' });
+    
+    const { match, error } = await buildAnalyticsMatch(req);
+    if (error) return res.status(400).json({ error });
+    // Spend by status always covers every status unless one is asked for
+    if (groupBy === 'status' && !req.query.status) delete match.status;
+    
+    const companyCurrency = req.user.companyId.defaultCurrency.toUpperCase();
+    let rates = {};
+    try {
+      rates = (await fetchRates(companyCurrency)).rates;
+    } catch {
+      // Snapshotted amounts still count; the rest are reported as unconverted
     }
     
-    const approvals = await Approval.find(query).populate({ 
-      path: 'expenseId', 
-      match: { companyId: req.user.companyId._id },
-      populate: [{ path: 'userId', select: 'name email' }, { path: 'categoryId', select: 'name' }] 
-    }).sort({ createdAt: -1 });
-    
-    // Filter out user's own expenses and invalid approvals
-    const validApprovals = approvals.filter(a => 
-      a.expenseId && a.expenseId.userId._id.toString() !== req.user._id.toString()
-    );
-    
-    // Sort by status: pending first, then others
-    validApprovals.sort((a, b) => {
-      if (a.status === 'pending' && b.status !== 'pending') return -1;
-      if (a.status !== 'pending' && b.status === 'pending') return 1;
-      return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
-    });
-    
-    // Map to match frontend expectations
-    const formattedApprovals = validApprovals.map(approval => ({
-      id: approval._id,
-      expense_id: approval.expenseId._id,
-      approver_id: approval.approverId,
-      sequence_order: approval.sequenceOrder,
-      status: approval.status,
-      comments: approval.comments,
-      approved_at: approval.approvedAt,
-      created_at: approval.createdAt,
-      expense: {
-        id: approval.expenseId._id,
-        description: approval.expenseId.description,
-        date: approval.expenseId.date,
-        category_id: approval.expenseId.categoryId?._id,
-        paid_by: approval.expenseId.paidBy,
-        amount: approval.expenseId.amount,
-        currency: approval.expenseId.currency,
-        remarks: approval.expenseId.remarks,
-        receipt_url: approval.expenseId.receiptUrl,
-        status: approval.expenseId.status
-      },
-      requester: {
-        id: approval.expenseId.userId._id,
-        name: approval.expenseId.userId.name
-      }
+    const groups = await Expense.aggregate(buildSpendPipeline(match, groupBy, { companyCurrency, rates }));
+    const rows = groups.map(group => ({
+      key: group._id,
+      label: group.label ?? group._id,
+      total: parseFloat(group.total.toFixed(2)),
+      count: group.count,
+      unconverted: group.unconverted
     }));
     
-    res.json({ approvals: formattedApprovals });
+    res.json({
+      group_by: groupBy,
+      currency: companyCurrency,
+      total: parseFloat(rows.reduce((sum, row) => sum + row.total, 0).toFixed(2)),
+      unconverted_count: rows.reduce((sum, row) => sum + row.unconverted, 0),
+      rows
+    });
   } catch (error) {
-    console.error('Get pending approvals error:', error);
+    console.error('Spend report error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/approvals/:id/decision', authMiddleware, async (req, res) => {
+app.get('/api/reports/approval-turnaround', authMiddleware, requirePermission('reports.view'), async (req, res) => {
   try {
-    const { decision, status, comments } = req.body;
-    const approvalDecision = decision || status;
-    if (!['approved', 'rejected'].includes(approvalDecision)) {
-      return res.status(400).json({ error: 'Decision must be "approved" or "rejected"' });
-    }
-    
-    let approval;
-    if (req.user.role === 'admin') {
-      // Admins can approve any pending approval in their company
-      approval = await Approval.findOne({ 
-        _id: req.params.id, 
-        status: 'pending'
-      }).populate({
-        path: 'expenseId',
-        match: { companyId: req.user.companyId._id }
-      });
-    } else if (req.user.role === 'manager') {
-      // Managers can approve any pending approval in their company
-      approval = await Approval.findOne({ 
-        _id: req.params.id,
-        status: 'pending'
-      }).populate({
-        path: 'expenseId',
-        match: { companyId: req.user.companyId._id }
-      });
-    } else {
-      // Employees can only approve their assigned approvals
-      approval = await Approval.findOne({ 
-        _id: req.params.id, 
-        approverId: req.user._id,
-        status: 'pending'
-      }).populate('expenseId');
-    }
-    
-    if (!approval || !approval.expenseId) return res.status(404).json({ error: 'Approval not found' });
-    
-    const expense = approval.expenseId;
-    if (expense.status !== 'pending') return res.status(400).json({ error: 'Expense is not pending' });
-    
-    approval.status = approvalDecision;
-    approval.comments = comments;
-    approval.approvedAt = new Date();
-    await approval.save();
-    
-    await createAuditLog(req.user._id, req.user.companyId._id, approvalDecision === 'approved' ? 'APPROVAL_APPROVED' : 'APPROVAL_REJECTED', 'Approval', approval._id, { expenseId: expense._id, comments });
-    
-    if (approvalDecision === 'rejected') {
-      expense.status = 'rejected';
-      await expense.save();
-      await createNotification(expense.userId, 'Expense Rejected', `Your expense "${expense.description}" was rejected by ${req.user.name}. ${comments ? `Reason: ${comments}` : ''}`, 'rejection', expense._id);
-    } else {
-      const allApprovals = await Approval.find({ expenseId: expense._id });
-      if (allApprovals.every(a => a.status === 'approved')) {
-        expense.status = 'approved';
-        await expense.save();
-        await createNotification(expense.userId, 'Expense Approved', `Your expense "${expense.description}" has been approved!`, 'approval', expense._id);
-      }
-    }
-    
-    res.json({ message: 'Approval recorded', approval, expense });
+    const { match, error } = await buildAnalyticsMatch(req);
+    if (error) return res.status(400).json({ error });
+    delete match.status;
+    
+    const [result] = await Expense.aggregate(buildTurnaroundPipeline(match));
+    const round = (hours) => (hours == null ? null : parseFloat(hours.toFixed(1)));
+    const overall = result.overall[0];
+    
+    res.json({
+      average_hours: round(overall?.average),
+      min_hours: round(overall?.min),
+      max_hours: round(overall?.max),
+      count: overall?.count || 0,
+      by_status: result.byStatus.map(group => ({ status: group._id, average_hours: round(group.average), count: group.count })),
+      by_month: result.byMonth.map(group => ({ month: group._id, average_hours: round(group.average), count: group.count }))
+    });
   } catch (error) {
-    console.error('Approval decision error:', error);
+    console.error('Approval turnaround report error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -502,7 +2687,7 @@ app.get('/api/notifications', authMiddleware, async (req, res) => {
       Notification.countDocuments(query)
     ]);
     
-    res.json({ notifications, pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / parseInt(limit)) } });
+    res.json({ notifications: notifications.map(mapNotification), pagination: { total, page: parseInt(page), limit: parseInt(limit), pages: Math.ceil(total / parseInt(limit)) } });
   } catch (error) {
     console.error('Get notifications error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -519,6 +2704,49 @@ app.get('/api/notifications/unread-count', authMiddleware, async (req, res) => {
   }
 });
 
+app.get('/api/notifications/preferences', authMiddleware, async (req, res) => {
+  try {
+    res.json({ preferences: mapNotificationPreferences(resolveNotificationPreferences(req.user)) });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/notifications/preferences', authMiddleware, async (req, res) => {
+  try {
+    const { preferences, error } = parseNotificationPreferences(req.body, resolveNotificationPreferences(req.user));
+    if (error) return res.status(400).json({ error });
+    if (req.body.webhook_url && preferences.webhookUrl) {
+      const urlError = await checkOutboundUrl(preferences.webhookUrl);
+      if (urlError) return res.status(400).json({ error: `Webhook ${urlError}` });
+    }
+    
+    req.user.notificationPreferences = preferences;
+    await req.user.save();
+    // Leaving the digest sends anything still queued right away rather than stranding it
+    if (preferences.digest === 'off') {
+      const queued = await Notification.find({ userId: req.user._id, 'digestChannels.0': { $exists: true } }).sort({ createdAt: 1 });
+      if (queued.length > 0) await sendDigest(req.user, queued);
+    }
+    res.json({ preferences: mapNotificationPreferences(preferences) });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A single-use ticket for opening the event stream, since EventSource cannot send the Authorization header
+app.post('/api/notifications/stream-ticket', authMiddleware, (req, res) => {
+  const { ticket, expiresIn } = issueStreamTicket(req);
+  res.json({ ticket, expires_in: expiresIn });
+});
+
+// Server-sent events for the signed-in user: notification, notifications.read, approval.updated and expense.updated
+app.get('/api/notifications/stream', streamTicketMiddleware, (req, res) => {
+  openEventStream(req, res, { userId: req.user._id, sessionId: req.authSession._id, expiresAt: req.authExpiresAt });
+});
+
 app.post('/api/notifications/:id/read', authMiddleware, async (req, res) => {
   try {
     const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
@@ -526,7 +2754,9 @@ app.post('/api/notifications/:id/read', authMiddleware, async (req, res) => {
     
     notification.read = true;
     await notification.save();
-    res.json({ notification });
+    // Other tabs and devices of the same user drop the badge too
+    publishEvent(req.user._id, 'notifications.read', { unread_count: await Notification.countDocuments({ userId: req.user._id, read: false }) });
+    res.json({ notification: mapNotification(notification) });
   } catch (error) {
     console.error('Mark notification as read error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -536,6 +2766,7 @@ app.post('/api/notifications/:id/read', authMiddleware, async (req, res) => {
 app.post('/api/notifications/read-all', authMiddleware, async (req, res) => {
   try {
     await Notification.updateMany({ userId: req.user._id, read: false }, { $set: { read: true } });
+    publishEvent(req.user._id, 'notifications.read', { unread_count: 0 });
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
     console.error('Mark all as read error:', error);
@@ -543,13 +2774,42 @@ app.post('/api/notifications/read-all', authMiddleware, async (req, res) => {
   }
 });
 
-// Receipt OCR Route
+// Receipt Routes
+// Signed links come from expense listings, which already checked who may see them
+app.get('/api/receipts/files/:token', async (req, res) => {
+  try {
+    const link = verifyReceiptLink(req.params.token, receiptLinkSecret());
+    if (!link) return res.status(403).json({ error: 'This receipt link is invalid or has expired' });
+    
+    await sendReceipt(res, link.key);
+  } catch (error) {
+    console.error('Get receipt file error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.post('/api/receipts/analyze', authMiddleware, upload.single('receipt'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'Receipt file is required' });
     
-    const analysis = await analyzeReceipt(req.file.path);
-    res.json({ receiptUrl: `/uploads/receipts/${req.file.filename}`, analysis });
+    // The file is only read here; it is stored once the expense itself is saved
+    const analysis = await analyzeReceipt(req.file.buffer, { filename: req.file.originalname, locale: receiptLocale(req.user.companyId) });
+    
+    // Warn before submission by matching the receipt as if it were already attached to an expense
+    const duplicates = await findPossibleDuplicates({
+      companyId: req.user.companyId._id,
+      userId: req.user._id,
+      amount: analysis.amount,
+      currency: analysis.currency || req.user.companyId.defaultCurrency,
+      date: analysis.date,
+      attachments: [{
+        hash: contentHash(req.file.buffer),
+        perceptualHash: perceptualHash(req.file.buffer, req.file.mimetype),
+        ocr: { merchant: analysis.merchant }
+      }]
+    });
+    res.json({ analysis: mapReceiptAnalysis(analysis), duplicates: duplicates.map(duplicate => mapPossibleDuplicate(duplicate, req.user)) });
   } catch (error) {
     console.error('Analyze receipt error:', error);
     res.status(500).json({ error: 'Failed to analyze receipt' });
@@ -570,7 +2830,7 @@ app.get('/api/company/profile', authMiddleware, async (req, res) => {
 // Currency Routes
 app.get('/api/currency/convert', authMiddleware, async (req, res) => {
   try {
-    const { from, to, amount } = req.query;
+    const { from, to, amount, date } = req.query;
     if (!from || !to || !amount) {
       return res.status(400).json({ error: 'Query params from, to, amount are required' });
     }
@@ -583,15 +2843,22 @@ app.get('/api/currency/convert', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Invalid amount' });
     }
     
-    const conv = await convertCurrency(amountValue, fromCurrency, toCurrency);
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    
+    const conv = await convertCurrency(amountValue, fromCurrency, toCurrency, { date });
     return res.json({ quote: {
       base: conv.from,
       target: conv.to,
       rate: conv.rate,
       amount: Number(conv.amount),
       converted_amount: conv.converted,
-      updated_at: new Date().toISOString(),
-      provider: 'ExchangeRate-API'
+      updated_at: conv.updated_at ? new Date(conv.updated_at).toISOString() : new Date().toISOString(),
+      provider: conv.provider || 'ExchangeRate-API',
+      rate_date: conv.rate_date,
+      stale: conv.stale,
+      approximate: conv.approximate
     }});
   } catch (error) {
     console.error('Currency convert error:', error);
@@ -602,7 +2869,10 @@ app.get('/api/currency/convert', authMiddleware, async (req, res) => {
 app.get('/api/currency/rates', authMiddleware, async (req, res) => {
   try {
     const base = (req.query.base || 'USD').toString().toUpperCase();
-    const rates = await fetchRates(base);
+    if (req.query.date && isNaN(new Date(req.query.date).getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    const rates = req.query.date ? await fetchHistoricalRates(base, req.query.date) : await fetchRates(base);
     res.json(rates);
   } catch (error) {
     console.error('Currency rates error:', error);
@@ -610,7 +2880,7 @@ app.get('/api/currency/rates', authMiddleware, async (req, res) => {
   }
 });
 
-app.get('/api/company', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.get('/api/company', authMiddleware, requirePermission('company.manage'), async (req, res) => {
   try {
     const company = await Company.findById(req.user.companyId._id);
     res.json({ company: mapCompany(company) });
@@ -620,7 +2890,7 @@ app.get('/api/company', authMiddleware, assertRole(['admin']), async (req, res)
   }
 });
 
-app.patch('/api/company', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.patch('/api/company', authMiddleware, requirePermission('company.manage'), async (req, res) => {
   try {
     const { name, country } = req.body;
     const defaultCurrency = req.body.defaultCurrency || req.body.default_currency;
@@ -630,6 +2900,20 @@ app.patch('/api/company', authMiddleware, assertRole(['admin']), async (req, res
     if (country !== undefined) company.country = country;
     if (defaultCurrency !== undefined) company.defaultCurrency = defaultCurrency;
     
+    const slaInput = req.body.approval_sla || req.body.approvalSla;
+    if (slaInput) {
+      const current = resolveApprovalSla(company);
+      const toHours = (value, fallback) => (value === undefined ? fallback : Number(value));
+      const sla = {
+        enabled: slaInput.enabled === undefined ? current.enabled : Boolean(slaInput.enabled),
+        reminderHours: toHours(slaInput.reminder_hours ?? slaInput.reminderHours, current.reminderHours),
+        escalationHours: toHours(slaInput.escalation_hours ?? slaInput.escalationHours, current.escalationHours)
+      };
+      const slaError = validateApprovalSla(sla);
+      if (slaError) return res.status(400).json({ error: slaError });
+      company.approvalSla = sla;
+    }
+    
     await company.save();
     await createAuditLog(req.user._id, req.user.companyId._id, 'COMPANY_UPDATED', 'Company', company._id, { changes: req.body });
     
@@ -640,16 +2924,154 @@ app.patch('/api/company', authMiddleware, assertRole(['admin']), async (req, res
   }
 });
 
+// Webhook Routes (Admin)
+app.get('/api/webhooks/events', authMiddleware, requirePermission('webhooks.manage'), (req, res) => {
+  res.json({ events: WEBHOOK_EVENT_KEYS.map(key => ({ key, label: WEBHOOK_EVENTS[key] })) });
+});
+
+app.get('/api/webhooks', authMiddleware, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ companyId: req.user.companyId._id }).sort({ createdAt: -1 });
+    res.json({ webhooks: endpoints.map(endpoint => mapWebhookEndpoint(endpoint)) });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The signing secret is only shown here and when it is rotated
+app.post('/api/webhooks', authMiddleware, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const url = String(req.body.url || '').trim();
+    const events = sanitizeWebhookEvents(req.body.events);
+    const urlError = await checkOutboundUrl(url);
+    if (urlError) return res.status(400).json({ error: `Webhook ${urlError}` });
+    if (events.length === 0) return res.status(400).json({ error: 'Subscribe to at least one event' });
+    
+    const endpoint = await WebhookEndpoint.create({
+      companyId: req.user.companyId._id,
+      url,
+      description: req.body.description || '',
+      events,
+      secret: generateWebhookSecret(),
+      createdBy: req.user._id
+    });
+    await createAuditLog(req.user._id, req.user.companyId._id, 'WEBHOOK_CREATED', 'WebhookEndpoint', endpoint._id, { url, events });
+    res.status(201).json({ webhook: mapWebhookEndpoint(endpoint, { includeSecret: true }) });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/webhooks/:id', authMiddleware, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
+    if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+    
+    const { url, description, events, active } = req.body;
+    if (url !== undefined) {
+      const urlError = await checkOutboundUrl(String(url).trim());
+      if (urlError) return res.status(400).json({ error: `Webhook ${urlError}` });
+      endpoint.url = String(url).trim();
+    }
+    if (events !== undefined) {
+      const subscribed = sanitizeWebhookEvents(events);
+      if (subscribed.length === 0) return res.status(400).json({ error: 'Subscribe to at least one event' });
+      endpoint.events = subscribed;
+    }
+    if (description !== undefined) endpoint.description = description;
+    if (active !== undefined) endpoint.active = Boolean(active);
+    const rotate = req.body.rotate_secret === true;
+    if (rotate) endpoint.secret = generateWebhookSecret();
+    
+    await endpoint.save();
+    await createAuditLog(req.user._id, req.user.companyId._id, 'WEBHOOK_UPDATED', 'WebhookEndpoint', endpoint._id, { url, description, events, active, secretRotated: rotate || undefined });
+    res.json({ webhook: mapWebhookEndpoint(endpoint, { includeSecret: rotate }) });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/webhooks/:id', authMiddleware, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOneAndDelete({ _id: req.params.id, companyId: req.user.companyId._id });
+    if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+    
+    await WebhookDelivery.deleteMany({ endpointId: endpoint._id });
+    await createAuditLog(req.user._id, req.user.companyId._id, 'WEBHOOK_DELETED', 'WebhookEndpoint', endpoint._id, { url: endpoint.url });
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Test events go out even to inactive endpoints and whatever they subscribe to
+app.post('/api/webhooks/:id/test', authMiddleware, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
+    if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+    
+    const { delivery: queued, firstAttempt } = await createWebhookDelivery(endpoint, WEBHOOK_TEST_EVENT, {
+      entity_type: 'WebhookEndpoint',
+      entity_id: String(endpoint._id),
+      actor_id: String(req.user._id),
+      details: { message: 'This is a test event' }
+    });
+    // Waits for the first attempt so the admin sees the outcome right away
+    const delivery = await firstAttempt || await WebhookDelivery.findById(queued._id);
+    res.json({ delivery: mapWebhookDelivery(delivery) });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/webhooks/:id/deliveries', authMiddleware, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
+    if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+    
+    const deliveries = await WebhookDelivery.find({ endpointId: endpoint._id }).sort({ createdAt: -1 }).limit(50);
+    res.json({ deliveries: deliveries.map(mapWebhookDelivery) });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sends a delivery again now, including one that ran out of retries
+app.post('/api/webhooks/deliveries/:id/redeliver', authMiddleware, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    // Claimed in the same update, so the retry worker cannot take this attempt from under the request
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.id, companyId: req.user.companyId._id, status: { $ne: 'succeeded' } },
+      { $set: { status: 'pending', nextAttemptAt: new Date(Date.now() + WEBHOOK_CLAIM_MS) }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found or already delivered' });
+    
+    res.json({ delivery: mapWebhookDelivery(await sendClaimedWebhook(delivery)) });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // User Management Routes (Admin)
-app.get('/api/users', authMiddleware, assertRole(['admin', 'manager']), async (req, res) => {
+app.get('/api/users', authMiddleware, requirePermission('users.view', 'users.manage'), async (req, res) => {
   try {
-    const users = await User.find({ companyId: req.user.companyId._id }).select('-passwordHash').populate('managerId', 'name email').sort({ name: 1 });
+    const users = await User.find({ companyId: req.user.companyId._id }).select('-passwordHash').populate('managerId', 'name email').populate('roleId', 'name').sort({ name: 1 });
     const formattedUsers = users.map(user => ({
       id: user._id,
       company_id: user.companyId,
       name: user.name,
       email: user.email,
       role: user.role,
+      role_id: user.roleId?._id || null,
+      role_name: user.roleId?.name || BUILT_IN_ROLES[user.role]?.name,
       manager_id: user.managerId,
       created_at: user.createdAt
     }));
@@ -660,20 +3082,24 @@ app.get('/api/users', authMiddleware, assertRole(['admin', 'manager']), async (r
   }
 });
 
-app.post('/api/users', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.post('/api/users', authMiddleware, requirePermission('users.manage'), async (req, res) => {
   try {
     const { name, email, password, role, managerId } = req.body;
-    if (!name || !email || !password || !role) {
+    const roleId = req.body.roleId || req.body.role_id || null;
+    if (!name || !email || !password || (!role && !roleId)) {
       return res.status(400).json({ error: 'Name, email, password, and role are required' });
     }
     
+    const assignment = await resolveRoleAssignment(req.user, { role, roleId });
+    if (assignment.error) return res.status(assignment.status || 400).json({ error: assignment.error });
+    
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) return res.status(400).json({ error: 'User already exists' });
     
     const passwordHash = await bcrypt.hash(password, 10);
-    const user = await User.create({ companyId: req.user.companyId._id, name, email: email.toLowerCase(), passwordHash, role, managerId: managerId || null });
+    const user = await User.create({ companyId: req.user.companyId._id, name, email: email.toLowerCase(), passwordHash, role: assignment.role, roleId: assignment.roleId, managerId: managerId || null });
     
-    await createAuditLog(req.user._id, req.user.companyId._id, 'USER_CREATED', 'User', user._id, { email, role });
+    await createAuditLog(req.user._id, req.user.companyId._id, 'USER_CREATED', 'User', user._id, { email, role: assignment.role, roleId: assignment.roleId });
     
     const userResponse = await User.findById(user._id).select('-passwordHash').populate('managerId', 'name email');
     res.status(201).json({ user: userResponse });
@@ -683,21 +3109,47 @@ app.post('/api/users', authMiddleware, assertRole(['admin']), async (req, res) =
   }
 });
 
-app.patch('/api/users/:id', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.patch('/api/users/:id', authMiddleware, requirePermission('users.manage'), async (req, res) => {
   try {
     const { name, email, role, managerId, password } = req.body;
     const user = await User.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
     
     if (!user) return res.status(404).json({ error: 'User not found' });
+    if (await outranksActor(req.user, user)) return res.status(403).json({ error: 'You cannot edit a user with permissions you do not have' });
+    
+    const roleId = req.body.roleId !== undefined ? req.body.roleId : req.body.role_id;
+    if (role !== undefined || roleId !== undefined) {
+      const assignment = await resolveRoleAssignment(req.user, { role: role ?? user.role, roleId });
+      if (assignment.error) return res.status(assignment.status || 400).json({ error: assignment.error });
+      // Stops admins from locking themselves out of user and role management
+      const changesOwnRole = user._id.equals(req.user._id) && (assignment.role !== user.role || String(assignment.roleId || '') !== String(user.roleId || ''));
+      if (changesOwnRole) return res.status(400).json({ error: 'You cannot change your own role' });
+      user.role = assignment.role;
+      user.roleId = assignment.roleId;
+    }
     
     if (name !== undefined) user.name = name;
     if (email !== undefined) user.email = email.toLowerCase();
-    if (role !== undefined) user.role = role;
     if (managerId !== undefined) user.managerId = managerId;
     if (password) user.passwordHash = await bcrypt.hash(password, 10);
+    const roleChanged = user.isModified('role') || user.isModified('roleId');
+    // A new address has to be proven again, and links already mailed to the old one stop working
+    const emailChanged = user.isModified('email');
+    if (emailChanged) user.emailVerifiedAt = null;
     
     await user.save();
-    await createAuditLog(req.user._id, req.user.companyId._id, 'USER_UPDATED', 'User', user._id, { changes: req.body });
+    if (emailChanged) {
+      await UserToken.deleteMany({ userId: user._id, purpose: 'password_reset', usedAt: null });
+      await sendVerificationEmail(user);
+    }
+    const { password: _password, ...changes } = req.body;
+    await createAuditLog(req.user._id, req.user.companyId._id, 'USER_UPDATED', 'User', user._id, { changes, passwordChanged: Boolean(password), emailVerificationReset: emailChanged || undefined });
+    
+    // Existing sessions were granted under the old role or password
+    if (roleChanged || password) {
+      const revoked = await revokeUserSessions(user._id, roleChanged ? 'role_changed' : 'password_changed');
+      await createAuditLog(req.user._id, req.user.companyId._id, 'SESSIONS_REVOKED', 'User', user._id, { reason: roleChanged ? 'role_changed' : 'password_changed', count: revoked });
+    }
     
     const userResponse = await User.findById(user._id).select('-passwordHash').populate('managerId', 'name email');
     res.json({ user: userResponse });
@@ -707,7 +3159,7 @@ app.patch('/api/users/:id', authMiddleware, assertRole(['admin']), async (req, r
   }
 });
 
-app.delete('/api/users/:id', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.delete('/api/users/:id', authMiddleware, requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
     if (!user) return res.status(404).json({ error: 'User not found' });
@@ -715,6 +3167,7 @@ app.delete('/api/users/:id', authMiddleware, assertRole(['admin']), async (req,
     if (user._id.toString() === req.user._id.toString()) {
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
+    if (await outranksActor(req.user, user)) return res.status(403).json({ error: 'You cannot delete a user with permissions you do not have' });
     
     const expenseCount = await Expense.countDocuments({ userId: user._id });
     if (expenseCount > 0) {
@@ -722,6 +3175,7 @@ app.delete('/api/users/:id', authMiddleware, assertRole(['admin']), async (req,
     }
     
     await User.deleteOne({ _id: user._id });
+    await revokeUserSessions(user._id, 'user_deleted');
     await createAuditLog(req.user._id, req.user.companyId._id, 'USER_DELETED', 'User', user._id, { email: user.email });
     
     res.json({ message: 'User deleted successfully' });
@@ -731,29 +3185,134 @@ app.delete('/api/users/:id', authMiddleware, assertRole(['admin']), async (req,
   }
 });
 
+// Role Routes
+app.get('/api/permissions', authMiddleware, requirePermission('roles.manage'), async (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([key, label]) => ({ key, label })),
+    built_in_roles: BUILT_IN_ROLE_KEYS.map(key => ({ id: key, name: BUILT_IN_ROLES[key].name, base_role: key, permissions: BUILT_IN_ROLES[key].permissions, built_in: true }))
+  });
+});
+
+app.get('/api/roles', authMiddleware, requirePermission('roles.manage', 'users.manage'), async (req, res) => {
+  try {
+    const roles = await Role.find({ companyId: req.user.companyId._id }).sort({ name: 1 });
+    const counts = await User.aggregate([
+      { $match: { companyId: req.user.companyId._id, roleId: { $in: roles.map(role => role._id) } } },
+      { $group: { _id: '$roleId', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(counts.map(entry => [String(entry._id), entry.count]));
+    res.json({ roles: roles.map(role => mapRole(role, countByRole.get(String(role._id)) || 0)) });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/roles', authMiddleware, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const baseRole = req.body.baseRole || req.body.base_role || 'employee';
+    if (!name || !name.trim()) return res.status(400).json({ error: 'Role name is required' });
+    if (!BUILT_IN_ROLE_KEYS.includes(baseRole)) return res.status(400).json({ error: 'Invalid base role' });
+    if (BUILT_IN_ROLE_KEYS.includes(name.trim().toLowerCase())) {
+      return res.status(400).json({ error: 'That name is reserved for a built-in role' });
+    }
+    if (!canGrantPermissions(req.user, sanitizePermissions(req.body.permissions))) {
+      return res.status(403).json({ error: 'You cannot grant permissions you do not have' });
+    }
+    
+    const role = await Role.create({
+      companyId: req.user.companyId._id,
+      name: name.trim(),
+      description: description || '',
+      baseRole,
+      permissions: sanitizePermissions(req.body.permissions)
+    });
+    await createAuditLog(req.user._id, req.user.companyId._id, 'ROLE_CREATED', 'Role', role._id, { name: role.name, baseRole, permissions: role.permissions });
+    
+    res.status(201).json({ role: mapRole(role) });
+  } catch (error) {
+    if (error.code === 11000) return res.status(400).json({ error: 'A role with that name already exists' });
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/roles/:id', authMiddleware, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+    
+    const { name, description, permissions } = req.body;
+    const baseRole = req.body.baseRole ?? req.body.base_role;
+    if (name !== undefined) {
+      if (!name.trim()) return res.status(400).json({ error: 'Role name is required' });
+      if (BUILT_IN_ROLE_KEYS.includes(name.trim().toLowerCase())) {
+        return res.status(400).json({ error: 'That name is reserved for a built-in role' });
+      }
+      role.name = name.trim();
+    }
+    if (description !== undefined) role.description = description;
+    if (baseRole !== undefined) {
+      if (!BUILT_IN_ROLE_KEYS.includes(baseRole)) return res.status(400).json({ error: 'Invalid base role' });
+      role.baseRole = baseRole;
+    }
+    if (permissions !== undefined) {
+      if (!canGrantPermissions(req.user, sanitizePermissions(permissions))) {
+        return res.status(403).json({ error: 'You cannot grant permissions you do not have' });
+      }
+      role.permissions = sanitizePermissions(permissions);
+    }
+    const baseRoleChanged = role.isModified('baseRole');
+    
+    await role.save();
+    await createAuditLog(req.user._id, req.user.companyId._id, 'ROLE_UPDATED', 'Role', role._id, { changes: req.body });
+    
+    // Holders act as the new base role from their next sign-in
+    if (baseRoleChanged) {
+      const holders = await User.find({ roleId: role._id }).select('_id');
+      await User.updateMany({ roleId: role._id }, { $set: { role: role.baseRole } });
+      for (const holder of holders) {
+        await revokeUserSessions(holder._id, 'role_changed');
+      }
+    }
+    
+    const userCount = await User.countDocuments({ roleId: role._id });
+    res.json({ role: mapRole(role, userCount) });
+  } catch (error) {
+    if (error.code === 11000) return res.status(400).json({ error: 'A role with that name already exists' });
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/roles/:id', authMiddleware, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+    
+    const userCount = await User.countDocuments({ roleId: role._id });
+    if (userCount > 0) {
+      return res.status(400).json({ error: `Reassign the ${userCount} user${userCount === 1 ? '' : 's'} holding this role first` });
+    }
+    
+    await Role.deleteOne({ _id: role._id });
+    await createAuditLog(req.user._id, req.user.companyId._id, 'ROLE_DELETED', 'Role', role._id, { name: role.name });
+    
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Approval Rules Routes
-app.get('/api/approval-rules', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.get('/api/approval-rules', authMiddleware, requirePermission('approval_rules.manage'), async (req, res) => {
   try {
     const rules = await ApprovalRule.find({ companyId: req.user.companyId._id })
-      .populate('approvers', 'name email role')
-      .populate('specificApproverRequired', 'name email role')
-      .sort({ createdAt: -1 });
+      .sort({ priority: -1, createdAt: -1 });
     
-    const formattedRules = rules.map(rule => ({
-      id: rule._id,
-      company_id: rule.companyId,
-      rule_name: rule.ruleName,
-      description: rule.description,
-      rule_type: rule.ruleType,
-      approvers: rule.approvers.map(a => a._id),
-      min_approval_percentage: rule.minApprovalPercentage,
-      specific_approver_required: rule.specificApproverRequired?._id || null,
-      approver_sequence: rule.approverSequence.map(seq => ({
-        approver_id: seq.approverId,
-        order: seq.order
-      })),
-      created_at: rule.createdAt
-    }));
+    const formattedRules = rules.map(mapApprovalRule);
     
     res.json({ rules: formattedRules });
   } catch (error) {
@@ -762,14 +3321,18 @@ app.get('/api/approval-rules', authMiddleware, assertRole(['admin']), async (req
   }
 });
 
-app.post('/api/approval-rules', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.post('/api/approval-rules', authMiddleware, requirePermission('approval_rules.manage'), async (req, res) => {
   try {
-    const { rule_name, description, rule_type, approvers, min_approval_percentage, specific_approver_required, approver_sequence } = req.body;
+    const { rule_name, description, rule_type, approvers, min_approval_percentage, specific_approver_required, approver_sequence, priority, is_manager_approver, manager_levels } = req.body;
     
     if (!rule_name || !rule_type) {
       return res.status(400).json({ error: 'Rule name and type are required' });
     }
     
+    const conditions = parseRuleConditions(req.body.conditions);
+    const conditionsError = validateRuleConditions(conditions);
+    if (conditionsError) return res.status(400).json({ error: conditionsError });
+    
     const rule = await ApprovalRule.create({
       companyId: req.user.companyId._id,
       ruleName: rule_name,
@@ -781,44 +3344,99 @@ app.post('/api/approval-rules', authMiddleware, assertRole(['admin']), async (re
       approverSequence: (approver_sequence || []).map(seq => ({
         approverId: seq.approver_id,
         order: seq.order
-      }))
+      })),
+      isManagerApprover: Boolean(is_manager_approver),
+      managerLevels: Number(manager_levels) || 1,
+      priority: Number(priority) || 0,
+      conditions
     });
     
     await createAuditLog(req.user._id, req.user.companyId._id, 'APPROVAL_RULE_CREATED', 'ApprovalRule', rule._id, { ruleName: rule_name });
     
-    res.status(201).json({ rule });
+    res.status(201).json({ rule: mapApprovalRule(rule) });
   } catch (error) {
     console.error('Create approval rule error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.patch('/api/approval-rules/:id', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.post('/api/approval-rules/preview', authMiddleware, requirePermission('approval_rules.manage'), async (req, res) => {
   try {
-    const { rule_name, description, rule_type, approvers, min_approval_percentage, specific_approver_required, approver_sequence } = req.body;
+    const { amount, currency, category_id, paid_by, user_id, submitter_role } = req.body;
+    if (amount === undefined || amount === '' || !currency) {
+      return res.status(400).json({ error: 'Amount and currency are required' });
+    }
+    
+    let submitter = null;
+    if (user_id) {
+      submitter = await User.findOne({ _id: user_id, companyId: req.user.companyId._id });
+      if (!submitter) return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const { rule, convertedAmount } = await findApprovalRule(req.user.companyId, {
+      amount,
+      currency,
+      categoryId: category_id,
+      paidBy: paid_by,
+      submitterRole: submitter?.role || submitter_role || 'employee',
+      submitterManagerId: submitter?.managerId || null
+    });
+    
+    const managerIds = submitter && rule?.isManagerApprover ? await resolveManagerChain(submitter, rule.managerLevels || 1) : [];
+    const chain = rule ? buildApprovalChain(rule, submitter?._id, managerIds) : [];
+    res.json({
+      rule: rule ? mapApprovalRule(rule) : null,
+      converted_amount: convertedAmount,
+      company_currency: req.user.companyId.defaultCurrency,
+      approvers: chain.map(step => ({ approver_id: step.approverId, sequence_order: step.sequenceOrder }))
+    });
+  } catch (error) {
+    console.error('Preview approval rule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/approval-rules/:id', authMiddleware, requirePermission('approval_rules.manage'), async (req, res) => {
+  try {
+    const { rule_name, description, rule_type, approvers, min_approval_percentage, specific_approver_required, approver_sequence, priority, is_manager_approver, manager_levels } = req.body;
     
     const rule = await ApprovalRule.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
     if (!rule) return res.status(404).json({ error: 'Approval rule not found' });
     
+    if (req.body.conditions !== undefined) {
+      const conditions = parseRuleConditions(req.body.conditions);
+      const conditionsError = validateRuleConditions(conditions);
+      if (conditionsError) return res.status(400).json({ error: conditionsError });
+      rule.conditions = conditions;
+    }
+    if (priority !== undefined) rule.priority = Number(priority) || 0;
+    if (is_manager_approver !== undefined) rule.isManagerApprover = Boolean(is_manager_approver);
+    if (manager_levels !== undefined) rule.managerLevels = Number(manager_levels) || 1;
+    
     if (rule_name !== undefined) rule.ruleName = rule_name;
     if (description !== undefined) rule.description = description;
     if (rule_type !== undefined) rule.ruleType = rule_type;
     if (approvers !== undefined) rule.approvers = approvers;
     if (min_approval_percentage !== undefined) rule.minApprovalPercentage = min_approval_percentage;
     if (specific_approver_required !== undefined) rule.specificApproverRequired = specific_approver_required;
-    if (approver_sequence !== undefined) rule.approverSequence = approver_sequence;
+    if (approver_sequence !== undefined) {
+      rule.approverSequence = approver_sequence.map(seq => ({
+        approverId: seq.approver_id || seq.approverId,
+        order: seq.order
+      }));
+    }
     
     await rule.save();
     await createAuditLog(req.user._id, req.user.companyId._id, 'APPROVAL_RULE_UPDATED', 'ApprovalRule', rule._id, { changes: req.body });
     
-    res.json({ rule });
+    res.json({ rule: mapApprovalRule(rule) });
   } catch (error) {
     console.error('Update approval rule error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.delete('/api/approval-rules/:id', authMiddleware, assertRole(['admin']), async (req, res) => {
+app.delete('/api/approval-rules/:id', authMiddleware, requirePermission('approval_rules.manage'), async (req, res) => {
   try {
     const rule = await ApprovalRule.findOne({ _id: req.params.id, companyId: req.user.companyId._id });
     if (!rule) return res.status(404).json({ error: 'Approval rule not found' });
@@ -834,7 +3452,7 @@ app.delete('/api/approval-rules/:id', authMiddleware, assertRole(['admin']), asy
 });
 
 // Audit Logs Routes
-app.get('/api/audit-logs', authMiddleware, assertRole(['admin', 'manager']), async (req, res) => {
+app.get('/api/audit-logs', authMiddleware, requirePermission('audit_logs.view'), async (req, res) => {
   try {
     const { action, entityType, userId } = req.query;
     const query = { companyId: req.user.companyId._id };
@@ -865,7 +3483,7 @@ app.get('/api/audit-logs', authMiddleware, assertRole(['admin', 'manager']), asy
   }
 });
 
-app.get('/api/audit-logs/users', authMiddleware, assertRole(['admin', 'manager']), async (req, res) => {
+app.get('/api/audit-logs/users', authMiddleware, requirePermission('audit_logs.view'), async (req, res) => {
   try {
     const users = await User.find({ companyId: req.user.companyId._id })
       .select('_id name')
@@ -936,15 +3554,97 @@ app.get('/health', (req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+  // Too many or oversized files are the client's mistake
+  if (err instanceof multer.MulterError) return res.status(400).json({ error: err.message });
   console.error('Error:', err);
   res.status(500).json({ error: err.message || 'Internal server error' });
 });
 
+// Daily digests go out once a day after NOTIFICATION_DIGEST_HOUR (server local time, default 8)
+function startNotificationDigestScheduler() {
+  const digestHour = Number(process.env.NOTIFICATION_DIGEST_HOUR ?? 8);
+  let lastRunDay = null;
+  let running = false;
+  
+  const tick = async () => {
+    const now = new Date();
+    const today = now.toDateString();
+    if (running || lastRunDay === today || now.getHours() < digestHour) return;
+    running = true;
+    try {
+      const sent = await sendNotificationDigests();
+      lastRunDay = today;
+      if (sent > 0) console.log(`Notification digests sent: ${sent}`);
+    } catch (error) {
+      console.error('Notification digest error:', error);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(tick, 10 * 60 * 1000).unref();
+}
+
+// Retries failed webhook deliveries once their backoff has passed; WEBHOOK_RETRY_POLL_SECONDS sets how often to look (default 30)
+function startWebhookDeliveryWorker() {
+  const seconds = Number(process.env.WEBHOOK_RETRY_POLL_SECONDS) || 30;
+  let running = false;
+  
+  const poll = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } }).sort({ nextAttemptAt: 1 }).limit(50).select('_id');
+      for (const delivery of due) {
+        await attemptWebhookDelivery(delivery._id);
+      }
+    } catch (error) {
+      console.error('Webhook delivery worker error:', error);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(poll, seconds * 1000).unref();
+}
+
+// APPROVAL_SLA_INTERVAL_MINUTES sets how often stale approvals are checked; 0 turns the scheduler off
+function startApprovalSlaScheduler() {
+  const minutes = Number(process.env.APPROVAL_SLA_INTERVAL_MINUTES ?? 15);
+  if (!(minutes > 0)) {
+    console.log('Approval SLA scheduler disabled');
+    return;
+  }
+  
+  let running = false;
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { reminded, escalated } = await runApprovalSlaSweep();
+      if (reminded || escalated) console.log(`Approval SLA sweep: ${reminded} reminder(s), ${escalated} escalation(s)`);
+    } catch (error) {
+      console.error('Approval SLA sweep error:', error);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(sweep, minutes * 60 * 1000).unref();
+  console.log(`Approval SLA scheduler running every ${minutes} minute(s)`);
+}
+
 // Start server
 async function startServer() {
   try {
     await connectDB();
     console.log(' MongoDB connected');
+    setupRateProviders();
+    setupMailTransport();
+    setupReceiptStorage();
+    await migrateLegacyReceipts();
+    startApprovalSlaScheduler();
+    startNotificationDigestScheduler();
+    startWebhookDeliveryWorker();
+    // Replaces the old one-approval-per-approver index so resubmitted expenses can reuse approvers
+    await Approval.syncIndexes();
     app.listen(PORT, () => {
       console.log(` Server running on http://localhost:${PORT}`);
     });
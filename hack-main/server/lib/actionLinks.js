@@ -0,0 +1,15 @@
+import { signToken, verifyToken } from './signedTokens.js';
+
+export const APPROVAL_ACTION_DECISIONS = ['approved', 'rejected'];
+
+// The token carries its own claims, so only the single-use nonce has to be stored
+export const signApprovalAction = ({ approvalId, approverId, decision, nonce, expiresAt }, secret) =>
+  signToken({ a: String(approvalId), u: String(approverId), d: decision, n: nonce }, expiresAt, secret);
+
+// Returns the claims of a well-formed, correctly signed and unexpired token, otherwise null
+export const verifyApprovalAction = (token, secret, now = new Date()) => {
+  const claims = verifyToken(token, secret, now);
+  if (!claims || !APPROVAL_ACTION_DECISIONS.includes(claims.d) || !claims.n) return null;
+
+  return { approvalId: claims.a, approverId: claims.u, decision: claims.d, nonce: claims.n, expiresAt: claims.expiresAt };
+};
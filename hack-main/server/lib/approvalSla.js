@@ -0,0 +1,30 @@
+const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_APPROVAL_SLA = { enabled: true, reminderHours: 48, escalationHours: 96 };
+
+export const resolveApprovalSla = (company) => ({ ...DEFAULT_APPROVAL_SLA, ...(company?.approvalSla?.toObject?.() || company?.approvalSla || {}) });
+
+export const validateApprovalSla = ({ reminderHours, escalationHours }) => {
+  if ([reminderHours, escalationHours].some((hours) => !Number.isFinite(hours) || hours < 1)) {
+    return 'SLA thresholds must be at least one hour';
+  }
+  if (escalationHours <= reminderHours) {
+    return 'Escalation must come after the reminder';
+  }
+  return null;
+};
+
+// Steps created before activatedAt existed count from when they were created
+export const pendingSince = (step) => new Date(step.activatedAt || step.createdAt);
+
+export const hoursPending = (step, now = new Date()) => (now.getTime() - pendingSince(step).getTime()) / HOUR;
+
+// 'escalate' once a step passes the escalation threshold, 'remind' at most once per reminder interval before that
+export const approvalSlaAction = (step, sla, now = new Date()) => {
+  if (!sla.enabled || step.status !== 'pending') return null;
+  const hours = hoursPending(step, now);
+  if (hours >= sla.escalationHours) return 'escalate';
+  if (hours < sla.reminderHours) return null;
+  const lastReminder = step.lastRemindedAt ? new Date(step.lastRemindedAt) : null;
+  return !lastReminder || now.getTime() - lastReminder.getTime() >= sla.reminderHours * HOUR ? 'remind' : null;
+};
@@ -0,0 +1,121 @@
+const toId = (value) => (value ? String(value._id || value) : null);
+
+const hasValues = (list) => Array.isArray(list) && list.length > 0;
+
+// One entry per condition the rule sets; an empty list means the rule matches everything.
+// An unknown amount (no exchange rate) could be any size, so it meets every minimum and no maximum:
+// the expense is routed like a large one instead of slipping past the rules meant for large amounts.
+const evaluateConditions = (conditions, facts) => {
+  const c = conditions || {};
+  const results = [];
+  if (c.minAmount != null) results.push(facts.amount == null || facts.amount >= c.minAmount);
+  if (c.maxAmount != null) results.push(facts.amount != null && facts.amount <= c.maxAmount);
+  if (hasValues(c.currencies)) results.push(c.currencies.includes(String(facts.currency || '').toUpperCase()));
+  if (hasValues(c.categoryIds)) results.push(c.categoryIds.map(toId).includes(toId(facts.categoryId)));
+  if (hasValues(c.submitterRoles)) results.push(c.submitterRoles.includes(facts.submitterRole));
+  if (hasValues(c.submitterManagerIds)) results.push(c.submitterManagerIds.map(toId).includes(toId(facts.submitterManagerId)));
+  if (hasValues(c.paidBy)) results.push(c.paidBy.some((p) => p.toLowerCase() === String(facts.paidBy || '').toLowerCase()));
+  return results;
+};
+
+export const ruleMatchesExpense = (rule, facts) => evaluateConditions(rule.conditions, facts).every(Boolean);
+
+// Highest priority wins, then the rule with more conditions, then the newest
+export const selectApprovalRule = (rules, facts) => {
+  const candidates = rules
+    .filter((rule) => ruleMatchesExpense(rule, facts))
+    .map((rule) => ({ rule, specificity: evaluateConditions(rule.conditions, facts).length }));
+
+  candidates.sort((a, b) =>
+    (b.rule.priority || 0) - (a.rule.priority || 0) ||
+    b.specificity - a.specificity ||
+    new Date(b.rule.createdAt).getTime() - new Date(a.rule.createdAt).getTime()
+  );
+
+  return candidates[0]?.rule || null;
+};
+
+// managerIds is the submitter's manager chain, nearest first; those steps run ahead of the rule's own sequence
+export const buildApprovalChain = (rule, submitterId, managerIds = []) => {
+  const submitter = toId(submitterId);
+  const steps = [];
+  const seen = new Set();
+
+  const addStep = (approverId, order) => {
+    const id = toId(approverId);
+    if (!id || id === submitter || seen.has(id)) return;
+    seen.add(id);
+    steps.push({ approverId: id, sequenceOrder: order });
+  };
+
+  const managerSteps = rule.isManagerApprover ? managerIds.slice(0, rule.managerLevels || 1) : [];
+  managerSteps.forEach((managerId, index) => addStep(managerId, index + 1));
+  const offset = managerSteps.length;
+
+  const sequence = [...(rule.approverSequence || [])].sort((a, b) => a.order - b.order);
+  if (sequence.length > 0) {
+    sequence.forEach((step) => addStep(step.approverId, step.order + offset));
+  } else {
+    (rule.approvers || []).forEach((approverId, index) => addStep(approverId, index + 1 + offset));
+  }
+
+  // The required approver always gets a step, even when left out of the sequence
+  if (rule.ruleType !== 'percentage' && rule.specificApproverRequired) {
+    const lastOrder = steps.reduce((max, step) => Math.max(max, step.sequenceOrder), 0);
+    addStep(rule.specificApproverRequired, lastOrder + 1);
+  }
+
+  return steps;
+};
+
+export const buildApprovalPolicy = (rule) => ({
+  ruleId: rule._id,
+  ruleName: rule.ruleName,
+  ruleType: rule.ruleType,
+  minApprovalPercentage: rule.minApprovalPercentage,
+  specificApproverId: rule.ruleType === 'percentage' ? null : rule.specificApproverRequired || null
+});
+
+// An escalated step is replaced by the step that took it over, so the required approver's duty moves with it
+const findSpecificStep = (allApprovals, specificId) => {
+  let step = allApprovals.find((a) => toId(a.delegatedFrom || a.approverId) === specificId && !a.escalatedFrom);
+  while (step?.status === 'escalated') {
+    step = allApprovals.find((a) => toId(a.escalatedFrom) === toId(step));
+  }
+  return step || null;
+};
+
+// Returns 'approved', 'rejected' or 'pending' for an expense given its approval steps
+export const evaluateApprovalOutcome = (policy, allApprovals) => {
+  const approvals = allApprovals.filter((a) => a.status !== 'escalated');
+  const total = approvals.length;
+  const approved = approvals.filter((a) => a.status === 'approved').length;
+  const rejected = approvals.filter((a) => a.status === 'rejected').length;
+
+  if (!policy?.ruleType) {
+    if (rejected > 0) return 'rejected';
+    return total > 0 && approved === total ? 'approved' : 'pending';
+  }
+
+  const threshold = policy.minApprovalPercentage > 0 ? policy.minApprovalPercentage : 100;
+  const percentageMet = total > 0 && (approved / total) * 100 >= threshold;
+  const percentageReachable = total > 0 && ((total - rejected) / total) * 100 >= threshold;
+
+  const specificId = toId(policy.specificApproverId);
+  const specificStep = specificId ? findSpecificStep(allApprovals, specificId) : null;
+  const specificMet = specificStep?.status === 'approved';
+  const specificReachable = Boolean(specificStep) && specificStep.status !== 'rejected';
+
+  switch (policy.ruleType) {
+    case 'specific':
+      if (!specificStep) return evaluateApprovalOutcome(null, approvals);
+      if (specificMet) return 'approved';
+      return specificReachable ? 'pending' : 'rejected';
+    case 'hybrid':
+      if (percentageMet || specificMet) return 'approved';
+      return percentageReachable || specificReachable ? 'pending' : 'rejected';
+    default:
+      if (percentageMet) return 'approved';
+      return percentageReachable ? 'pending' : 'rejected';
+  }
+};
@@ -1,46 +1,118 @@
-﻿const BASE_URL = 'https://open.er-api.com/v6/latest';
-let ratesCache = { data: null, timestamp: 0 };
+import { createHttpProvider, toDateKey } from './rateProviders.js';
+
 const CACHE_DURATION = 3600000;
+// Rates older than this before the requested day are still used, but flagged approximate; covers weekends and holidays
+const HISTORICAL_RATE_GAP_DAYS = 7;
+const DAY = 24 * 60 * 60 * 1000;
 
-export const fetchRates = async (base = 'USD') => {
-  try {
-    const now = Date.now();
-    if (ratesCache.data && ratesCache.data.base === base && (now - ratesCache.timestamp) < CACHE_DURATION) {
-      return ratesCache.data;
-    }
-    const url = `${BASE_URL}/${base}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      console.error('Currency API error:', response.statusText);
-      throw new Error(`Failed to fetch rates: ${response.statusText}`);
+let providers = [createHttpProvider()];
+// Keyed by base for latest rates and by base:date for historical ones
+const ratesCache = new Map();
+
+// Providers are tried in order; the first one with data wins and is copied into any provider that can store it
+export const configureRateProviders = (list) => {
+  providers = list.length > 0 ? list : [createHttpProvider()];
+  ratesCache.clear();
+};
+
+const persist = async (result, source) => {
+  for (const provider of providers) {
+    if (provider === source || !provider.store) continue;
+    try {
+      await provider.store(result);
+    } catch (error) {
+      console.error(`Failed to store rates in ${provider.name}:`, error.message);
     }
-    const data = await response.json();
-    if (data.result !== 'success') {
-      console.error('Currency API returned error:', data);
-      throw new Error('Exchange rate API error');
+  }
+};
+
+const queryProviders = async (method, ...args) => {
+  const errors = [];
+  for (const provider of providers) {
+    if (!provider[method]) continue;
+    try {
+      const result = await provider[method](...args);
+      if (result) {
+        await persist(result, provider);
+        return result;
+      }
+    } catch (error) {
+      errors.push(`${provider.name}: ${error.message}`);
     }
-    const result = { base: data.base_code, rates: data.rates, updated_at: data.time_last_update_utc, provider: 'ExchangeRate-API' };
-    ratesCache = { data: result, timestamp: now };
+  }
+  if (errors.length > 0) throw new Error(`Exchange rates unavailable (${errors.join('; ')})`);
+  return null;
+};
+
+export const fetchRates = async (base = 'USD') => {
+  const key = base.toUpperCase();
+  const cached = ratesCache.get(key);
+  if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
+    return cached.data;
+  }
+  try {
+    const result = await queryProviders('getLatest', key);
+    if (!result) throw new Error(`No exchange rates available for ${key}`);
+    ratesCache.set(key, { data: result, timestamp: Date.now() });
     return result;
   } catch (error) {
+    // Serve expired rates rather than failing outright
+    if (cached) {
+      console.warn(`Serving stale ${key} rates:`, error.message);
+      return { ...cached.data, stale: true };
+    }
     console.error('fetchRates error:', error);
     throw error;
   }
 };
 
+// Rates published on or before the given date. When no provider has rates close to that day the nearest older table,
+// or else the latest rates, are returned with approximate: true so callers can say the conversion is not exact.
+export const fetchHistoricalRates = async (base, date) => {
+  const key = base.toUpperCase();
+  const day = toDateKey(date);
+  if (!day || day >= toDateKey(new Date())) return fetchRates(key);
+
+  const cacheKey = `${key}:${day}`;
+  if (ratesCache.has(cacheKey)) return ratesCache.get(cacheKey).data;
+
+  const result = await queryProviders('getHistorical', key, day).catch((error) => {
+    console.error('fetchHistoricalRates error:', error.message);
+    return null;
+  });
+  if (!result) return { ...(await fetchRates(key)), historical: false, approximate: true };
+
+  const gapDays = (new Date(day).getTime() - new Date(result.date).getTime()) / DAY;
+  if (gapDays > HISTORICAL_RATE_GAP_DAYS) return { ...result, approximate: true };
+  // Exact past rates do not change, so they never expire; approximate ones are looked up again in case the day's rates arrive
+  ratesCache.set(cacheKey, { data: result, timestamp: Date.now() });
+  return result;
+};
+
 export const listSupportedCurrencies = async (base = 'USD') => await fetchRates(base);
 
-export const convertCurrency = async (amount, from, to) => {
+export const convertCurrency = async (amount, from, to, { date } = {}) => {
   try {
-    const rates = await fetchRates(from);
+    const rates = date ? await fetchHistoricalRates(from, date) : await fetchRates(from);
     if (!rates.rates[to]) {
       throw new Error(`Currency ${to} not supported`);
     }
     const rate = rates.rates[to];
     const converted = parseFloat(amount) * rate;
-    return { from, to, amount: parseFloat(amount), rate, converted: parseFloat(converted.toFixed(2)) };
+    return {
+      from,
+      to,
+      amount: parseFloat(amount),
+      rate,
+      converted: parseFloat(converted.toFixed(2)),
+      rate_date: rates.date,
+      updated_at: rates.updated_at,
+      provider: rates.provider,
+      stale: Boolean(rates.stale),
+      approximate: Boolean(rates.approximate)
+    };
   } catch (error) {
     console.error('convertCurrency error:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,116 @@
+import crypto from 'node:crypto';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+export const DUPLICATE_REASONS = {
+  same_file: 'Same receipt file',
+  similar_image: 'Receipt image looks the same',
+  same_amount_and_date: 'Same amount on the same day',
+  same_merchant: 'Same merchant'
+};
+
+// Two 64-bit image hashes this many bits apart or fewer are treated as the same photo or scan
+export const SIMILAR_IMAGE_MAX_DISTANCE = 6;
+
+export const contentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Hashing runs inside the upload request, so oversized images are skipped instead of decoded
+export const MAX_HASH_BYTES = 10 * 1024 * 1024;
+export const MAX_HASH_PIXELS = 16 * 1000 * 1000;
+
+// Width and height from the IHDR chunk, which always directly follows the PNG signature
+const pngPixels = (buffer) => (buffer.length >= 24 ? buffer.readUInt32BE(16) * buffer.readUInt32BE(20) : Infinity);
+
+const decodeImage = (buffer, mimeType) => {
+  if (buffer.length > MAX_HASH_BYTES) return null;
+  if (mimeType === 'image/png') return pngPixels(buffer) <= MAX_HASH_PIXELS ? PNG.sync.read(buffer) : null;
+  if (mimeType === 'image/jpeg') return jpeg.decode(buffer, { useTArray: true, maxResolutionInMP: MAX_HASH_PIXELS / 1e6, maxMemoryUsageInMB: 256 });
+  return null;
+};
+
+// dHash: shrink to 9x8 greys and record whether each cell is brighter than its right-hand neighbour.
+// Survives re-encoding, resizing and small brightness changes, unlike the content hash.
+export const perceptualHash = (buffer, mimeType) => {
+  let image;
+  try {
+    image = decodeImage(buffer, mimeType);
+  } catch {
+    return null;
+  }
+  if (!image || !image.width || !image.height) return null;
+
+  const { width, height, data } = image;
+  const sums = new Float64Array(72);
+  const counts = new Uint32Array(72);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor((y * 8) / height) * 9;
+    for (let x = 0; x < width; x++) {
+      const cell = row + Math.floor((x * 9) / width);
+      const i = (y * width + x) * 4;
+      sums[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[cell] += 1;
+    }
+  }
+
+  let bits = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = sums[row * 9 + col] / (counts[row * 9 + col] || 1);
+      const right = sums[row * 9 + col + 1] / (counts[row * 9 + col + 1] || 1);
+      bits = (bits << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, '0');
+};
+
+export const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// Accents are folded rather than dropped, so "Café Uno" and "CAFE UNO" are the same merchant
+const normalizeMerchant = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const merchantsOf = (expense) =>
+  new Set((expense.attachments || []).map((attachment) => normalizeMerchant(attachment.ocr?.merchant)).filter(Boolean));
+
+const sameDay = (a, b) => new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+// Why `other` looks like a duplicate of `expense`, or an empty list when it does not.
+// File and image matches count across the company; the claim itself only against the same submitter.
+export const duplicateReasons = (expense, other) => {
+  const reasons = [];
+  const attachments = expense.attachments || [];
+  const otherAttachments = other.attachments || [];
+
+  const hashes = new Set(attachments.map((attachment) => attachment.hash).filter(Boolean));
+  if (otherAttachments.some((attachment) => hashes.has(attachment.hash))) {
+    reasons.push('same_file');
+  } else if (attachments.some((attachment) => attachment.perceptualHash && otherAttachments.some((candidate) =>
+    candidate.perceptualHash && hammingDistance(attachment.perceptualHash, candidate.perceptualHash) <= SIMILAR_IMAGE_MAX_DISTANCE
+  ))) {
+    reasons.push('similar_image');
+  }
+
+  const sameClaim = String(expense.userId) === String(other.userId)
+    && expense.currency === other.currency
+    && Math.abs(Number(expense.amount) - Number(other.amount)) < 0.005
+    && expense.date && other.date && sameDay(expense.date, other.date);
+  if (sameClaim) {
+    const merchants = merchantsOf(expense);
+    const otherMerchants = merchantsOf(other);
+    const merchantMatch = [...merchants].some((merchant) => otherMerchants.has(merchant));
+    // Two taxis for the same fare on one day are common; only differing merchants clear the match
+    if (merchantMatch) {
+      reasons.push('same_amount_and_date', 'same_merchant');
+    } else if (merchants.size === 0 || otherMerchants.size === 0) {
+      reasons.push('same_amount_and_date');
+    }
+  }
+  return reasons;
+};
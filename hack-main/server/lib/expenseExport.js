@@ -0,0 +1,95 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// "1. Jane Smith: approved 2024-01-02 (Looks fine)" per step, oldest round first; steps of the expense's report read "Report 1. ..."
+export const formatApprovalTrail = (approvals) => approvals
+  .map((step) => {
+    const round = `${step.reportId ? 'Report ' : ''}${step.round > 1 ? `R${step.round} ` : ''}`;
+    const decided = step.approvedAt ? ` ${formatDate(step.approvedAt)}` : '';
+    const comments = step.comments ? ` (${step.comments})` : '';
+    const onBehalfOf = step.delegatedFrom?.name ? ` for ${step.delegatedFrom.name}` : '';
+    return `${round}${step.sequenceOrder || 1}. ${step.approverId?.name || 'Unassigned'}${onBehalfOf}: ${step.status}${decided}${comments}`;
+  })
+  .join('; ');
+
+export const EXPORT_COLUMNS = [
+  { header: 'Expense ID', key: 'id', width: 26 },
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Submitter', key: 'submitter', width: 22 },
+  { header: 'Submitter Email', key: 'submitterEmail', width: 28 },
+  { header: 'Description', key: 'description', width: 36 },
+  { header: 'Category', key: 'category', width: 18 },
+  { header: 'Paid By', key: 'paidBy', width: 14 },
+  { header: 'Amount', key: 'amount', width: 12 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Converted Amount', key: 'convertedAmount', width: 16 },
+  { header: 'Company Currency', key: 'companyCurrency', width: 16 },
+  { header: 'Exchange Rate', key: 'exchangeRate', width: 14 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Receipt', key: 'receipt', width: 40 },
+  { header: 'Approval Trail', key: 'approvalTrail', width: 60 },
+  { header: 'Submitted At', key: 'createdAt', width: 20 }
+];
+
+// `receiptUrl` turns an attachment's storage key into a link; an expense's links share one cell, a line each
+export const toExportRow = (expense, approvals, receiptUrl = () => '') => ({
+  id: String(expense._id),
+  date: formatDate(expense.date),
+  submitter: expense.userId?.name || '',
+  submitterEmail: expense.userId?.email || '',
+  description: expense.description,
+  category: expense.categoryId?.name || '',
+  paidBy: expense.paidBy,
+  amount: expense.amount,
+  currency: expense.currency,
+  convertedAmount: expense.convertedAmount ?? '',
+  companyCurrency: expense.convertedAmount != null ? expense.companyCurrency || '' : '',
+  exchangeRate: expense.exchangeRate ?? '',
+  status: expense.status,
+  receipt: (expense.attachments || []).map((attachment) => receiptUrl(attachment.key)).filter(Boolean).join('\n'),
+  approvalTrail: formatApprovalTrail(approvals),
+  createdAt: expense.createdAt ? new Date(expense.createdAt).toISOString() : ''
+});
+
+const escapeCsv = (value) => {
+  const text = value == null ? '' : String(value);
+  // Leading formula characters, and the tab or carriage return spreadsheets skip before one, are neutralised
+  const safe = /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const toCsvLine = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
+
+async function* csvLines(batches) {
+  // The byte order mark makes Excel read the file as UTF-8
+  yield `\uFEFF${toCsvLine(EXPORT_COLUMNS.map((column) => column.header))}`;
+  for await (const rows of batches) {
+    for (const row of rows) {
+      yield toCsvLine(EXPORT_COLUMNS.map((column) => row[column.key]));
+    }
+  }
+}
+
+// `batches` yields arrays of export rows, so large exports never sit in memory at once; the pipeline stops
+// pulling rows while a slow client catches up and stops reading them if it disconnects
+export const writeCsvExport = (stream, batches) => pipeline(Readable.from(csvLines(batches)), stream);
+
+export const writeXlsxExport = async (stream, batches) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet('Expenses');
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  for await (const rows of batches) {
+    for (const row of rows) {
+      sheet.addRow(row).commit();
+    }
+  }
+  sheet.commit();
+  await workbook.commit();
+};
@@ -0,0 +1,53 @@
+// In-process fan-out of server-sent events; every open stream lives in this map until its client goes away
+const streams = new Map();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Holds the response open as an event stream for one user session, ending it once the access token expires
+export const openEventStream = (req, res, { userId, sessionId, expiresAt }) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  res.write(formatEvent('ready', { user_id: String(userId) }));
+
+  const key = String(userId);
+  const stream = { res, sessionId: String(sessionId) };
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(stream);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  // The client reconnects with a fresh token after this, so a stream never outlives its credentials
+  const expiry = expiresAt ? setTimeout(() => res.end(), Math.max(expiresAt.getTime() - Date.now(), 0)) : null;
+
+  const close = () => {
+    clearInterval(heartbeat);
+    if (expiry) clearTimeout(expiry);
+    const userStreams = streams.get(key);
+    userStreams?.delete(stream);
+    if (userStreams?.size === 0) streams.delete(key);
+  };
+  req.on('close', close);
+  res.on('close', close);
+};
+
+export const publishEvent = (userIds, event, data) => {
+  const targets = new Set((Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean).map(String));
+  for (const userId of targets) {
+    for (const stream of streams.get(userId) || []) {
+      stream.res.write(formatEvent(event, data));
+    }
+  }
+};
+
+// Ends the streams of revoked sessions; without a sessionId every stream the user has open is closed
+export const closeEventStreams = ({ userId, sessionId }) => {
+  for (const stream of [...(streams.get(String(userId)) || [])]) {
+    if (!sessionId || stream.sessionId === String(sessionId)) stream.res.end();
+  }
+};
@@ -0,0 +1,40 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+// Every transport exposes send({ from, to, subject, text, html }) and resolves once the message is handed off.
+
+export const createSmtpTransport = ({ host, port = 587, secure = false, user, pass, name = 'smtp' }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {})
+  });
+  return {
+    name,
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+// Writes each message to its own JSON file so local flows can be followed without a mail server
+export const createFileTransport = ({ dir, name = 'file' }) => ({
+  name,
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+    return { id };
+  }
+});
+
+export const createConsoleTransport = ({ name = 'console' } = {}) => ({
+  name,
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+});
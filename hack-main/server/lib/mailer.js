@@ -0,0 +1,22 @@
+import { createConsoleTransport } from './mailTransports.js';
+
+let transport = createConsoleTransport();
+let defaultFrom = 'Expense Manager <no-reply@localhost>';
+
+export const configureMailTransport = (nextTransport, { from } = {}) => {
+  transport = nextTransport || createConsoleTransport();
+  if (from) defaultFrom = from;
+};
+
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// Mail failures are logged rather than thrown so they never fail the request that triggered them
+export const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    return await transport.send({ from: defaultFrom, to, subject, text, html });
+  } catch (error) {
+    console.error(`Failed to send mail via ${transport.name}:`, error.message);
+    return null;
+  }
+};
@@ -0,0 +1,118 @@
+import { escapeHtml } from './mailer.js';
+import { guardedFetch } from './outboundRequests.js';
+
+export const NOTIFICATION_TYPES = ['approval', 'rejection', 'info'];
+
+export const DELIVERY_CHANNELS = ['email', 'webhook'];
+
+export const DIGEST_MODES = ['off', 'daily'];
+
+// In-app delivery always happens; these only decide which notifications also leave the app
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  types: {
+    approval: { email: true, webhook: false },
+    rejection: { email: true, webhook: false },
+    info: { email: false, webhook: false }
+  },
+  webhookUrl: null,
+  digest: 'off'
+};
+
+export const resolveNotificationPreferences = (user) => {
+  const stored = user?.notificationPreferences?.toObject?.() || user?.notificationPreferences || {};
+  const types = {};
+  for (const type of NOTIFICATION_TYPES) {
+    types[type] = { ...DEFAULT_NOTIFICATION_PREFERENCES.types[type], ...(stored.types?.[type] || {}) };
+  }
+  return {
+    types,
+    webhookUrl: stored.webhookUrl || null,
+    digest: DIGEST_MODES.includes(stored.digest) ? stored.digest : 'off'
+  };
+};
+
+export const channelsFor = (preferences, type) =>
+  DELIVERY_CHANNELS.filter((channel) => preferences.types[type]?.[channel] && (channel !== 'webhook' || preferences.webhookUrl));
+
+export const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Merges snake_case API input over the current preferences; returns { preferences } or { error }
+export const parseNotificationPreferences = (input = {}, current = DEFAULT_NOTIFICATION_PREFERENCES) => {
+  const preferences = { ...current, types: { ...current.types } };
+
+  for (const [type, channels] of Object.entries(input.types || {})) {
+    if (!NOTIFICATION_TYPES.includes(type)) return { error: `Unknown notification type "${type}"` };
+    preferences.types[type] = { ...preferences.types[type] };
+    for (const channel of DELIVERY_CHANNELS) {
+      if (channels?.[channel] !== undefined) preferences.types[type][channel] = Boolean(channels[channel]);
+    }
+  }
+
+  if (input.webhook_url !== undefined) {
+    const url = input.webhook_url ? String(input.webhook_url).trim() : '';
+    if (url && !isHttpUrl(url)) return { error: 'Webhook URL must be an http(s) address' };
+    preferences.webhookUrl = url || null;
+  }
+
+  if (input.digest !== undefined) {
+    if (!DIGEST_MODES.includes(input.digest)) return { error: `Digest must be one of ${DIGEST_MODES.join(', ')}` };
+    preferences.digest = input.digest;
+  }
+
+  return { preferences };
+};
+
+const summarize = (notifications) =>
+  notifications.length === 1 ? notifications[0].title : `${notifications.length} expense notifications`;
+
+export const buildNotificationEmail = (notifications, { name, link }) => {
+  const digest = notifications.length > 1;
+  const actionText = (n) => (n.actions || []).map((action) => `\n  ${action.label}: ${action.url}`).join('');
+  const actionHtml = (n) =>
+    (n.actions || []).map((action) => ` <a href="${action.url}">${escapeHtml(action.label)}</a>`).join(' |');
+  const lines = notifications.map((n) => `- ${n.title}: ${n.message}${actionText(n)}`);
+  return {
+    subject: digest ? `Your expense digest: ${summarize(notifications)}` : notifications[0].title,
+    text: `Hi ${name},\n\n${digest ? lines.join('\n') : `${notifications[0].message}${actionText(notifications[0])}`}\n\nOpen the app: ${link}`,
+    html: `<p>Hi ${escapeHtml(name)},</p>${
+      digest
+        ? `<ul>${notifications.map((n) => `<li><strong>${escapeHtml(n.title)}</strong>: ${escapeHtml(n.message)}${actionHtml(n)}</li>`).join('')}</ul>`
+        : `<p>${escapeHtml(notifications[0].message)}</p>${notifications[0].actions?.length ? `<p>${actionHtml(notifications[0])}</p>` : ''}`
+    }<p><a href="${link}">Open the app</a></p>`
+  };
+};
+
+// `text` is what Slack and Teams incoming webhooks render; the rest is for generic receivers
+export const buildWebhookPayload = (notifications, { link }) => ({
+  text: [
+    notifications.length > 1 ? `*${summarize(notifications)}*` : `*${notifications[0].title}*`,
+    ...notifications.map((n) => (notifications.length > 1 ? `• ${n.title}: ${n.message}` : n.message)),
+    link
+  ].join('\n'),
+  title: summarize(notifications),
+  notifications: notifications.map((n) => ({
+    id: String(n._id),
+    type: n.type,
+    title: n.title,
+    message: n.message,
+    related_entity_id: n.relatedEntityId ? String(n.relatedEntityId) : null,
+    created_at: n.createdAt
+  }))
+});
+
+export const postWebhook = async (url, payload, { fetchImpl = guardedFetch, timeoutMs = 5000 } = {}) => {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) throw new Error(`Webhook responded with HTTP ${response.status}`);
+  return response.status;
+};
@@ -0,0 +1,99 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+
+// Company admins choose where webhooks go, so requests must never reach the server's own network:
+// loopback, private ranges, link-local (cloud metadata lives at 169.254.169.254) and other non-public space
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blocked.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blocked.addSubnet(address, prefix, 'ipv6');
+}
+
+// Set WEBHOOK_ALLOW_PRIVATE_HOSTS=true to deliver to a receiver on localhost during development
+const privateHostsAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+export const isPublicAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+// Resolves to null when the URL may be called, otherwise to the reason it may not
+export const checkOutboundUrl = async (value, { lookup = dns.promises.lookup } = {}) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'URL is not valid';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'URL must be an http(s) address';
+  if (privateHostsAllowed()) return null;
+
+  const host = hostOf(url);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await lookup(host, { all: true })).map((entry) => entry.address);
+  } catch {
+    return `Host "${host}" could not be resolved`;
+  }
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) return 'URL must point to a public internet address';
+  return null;
+};
+
+// Checked again while connecting, so a hostname cannot pass validation and then resolve somewhere private
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, entries) => {
+    if (error) return callback(error);
+    const rejected = entries.find((entry) => !isPublicAddress(entry.address));
+    if (rejected) return callback(new Error(`Refusing to connect to non-public address ${rejected.address}`));
+    if (options.all) return callback(null, entries);
+    callback(null, entries[0].address, entries[0].family);
+  });
+};
+
+// Only the start of a response is kept; callers log a few hundred characters at most
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// A fetch-compatible request that refuses non-public destinations and never follows redirects;
+// a 3xx answer comes back as an unsuccessful response like any other status
+export const guardedFetch = (value, { method = 'GET', headers = {}, body, signal } = {}) => new Promise((resolve, reject) => {
+  const url = new URL(value);
+  const allowPrivate = privateHostsAllowed();
+  if (!allowPrivate && net.isIP(hostOf(url)) && !isPublicAddress(hostOf(url))) {
+    reject(new Error(`Refusing to connect to non-public address ${hostOf(url)}`));
+    return;
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const length = body === undefined ? {} : { 'Content-Length': Buffer.byteLength(body) };
+  const request = client.request(url, { method, headers: { ...headers, ...length }, signal, ...(allowPrivate ? {} : { lookup: guardedLookup }) }, (response) => {
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      if (size < MAX_RESPONSE_BYTES) chunks.push(chunk);
+      size += chunk.length;
+    });
+    response.on('error', reject);
+    response.on('end', () => {
+      const text = Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BYTES).toString('utf8');
+      resolve({
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        status: response.statusCode,
+        text: async () => text
+      });
+    });
+  });
+  request.on('error', reject);
+  request.end(body);
+});
@@ -0,0 +1,50 @@
+// Every permission a role can grant, with the label shown in the role editor
+export const PERMISSIONS = {
+  'users.view': 'View the user directory',
+  'users.manage': 'Create, edit, invite and remove users',
+  'roles.manage': 'Create and edit custom roles',
+  'company.manage': 'Edit company settings',
+  'categories.manage': 'Manage expense categories',
+  'approval_rules.manage': 'Manage approval rules',
+  'audit_logs.view': 'View audit logs',
+  'expenses.view_team': "View their team's expenses",
+  'expenses.view_all': 'View every expense in the company',
+  'expenses.export': 'Export expenses beyond their own',
+  'approvals.decide_team': "Decide on their team's approvals",
+  'approvals.decide_all': 'Decide on any approval in the company',
+  'reports.view': 'View spend analytics',
+  'webhooks.manage': 'Manage outgoing webhooks'
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// The original three roles; custom roles build on one of them for approval routing and navigation
+export const BUILT_IN_ROLES = {
+  admin: { name: 'Admin', permissions: PERMISSION_KEYS },
+  manager: {
+    name: 'Manager',
+    permissions: ['users.view', 'audit_logs.view', 'expenses.view_team', 'expenses.export', 'approvals.decide_team', 'reports.view']
+  },
+  employee: { name: 'Employee', permissions: [] }
+};
+
+export const BUILT_IN_ROLE_KEYS = Object.keys(BUILT_IN_ROLES);
+
+// A custom role (populated as user.roleId) replaces the permissions of the built-in role
+export const resolvePermissions = (user) => {
+  if (user.roleId?.permissions) return [...user.roleId.permissions];
+  return [...(BUILT_IN_ROLES[user.role]?.permissions || [])];
+};
+
+export const hasPermission = (user, ...permissions) => {
+  const granted = resolvePermissions(user);
+  return permissions.some((permission) => granted.includes(permission));
+};
+
+// Nobody hands out access they do not hold themselves, whether through a role assignment or a role's permissions
+export const canGrantPermissions = (actor, permissions) => {
+  const granted = resolvePermissions(actor);
+  return (permissions || []).every((permission) => granted.includes(permission));
+};
+
+export const sanitizePermissions = (permissions) => [...new Set((permissions || []).filter((permission) => PERMISSION_KEYS.includes(permission)))];
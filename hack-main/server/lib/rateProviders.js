@@ -0,0 +1,144 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Every provider resolves to { base, date, rates, updated_at, provider } or null when it has no data for the request.
+// date is a YYYY-MM-DD string; getHistorical returns the closest rates published on or before it.
+
+export const toDateKey = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// Re-expresses a rate table against another currency it quotes, so one stored base can serve every base
+export const rebaseRates = (entry, base) => {
+  if (!entry) return null;
+  if (entry.base === base) return entry;
+  const pivot = entry.rates[base];
+  if (!pivot) return null;
+  const rates = { [entry.base]: 1 / pivot };
+  for (const [code, rate] of Object.entries(entry.rates)) {
+    rates[code] = rate / pivot;
+  }
+  rates[base] = 1;
+  return { ...entry, base, rates };
+};
+
+// The newest entry on or before date (any date when null) quoted in base, rebasing another base's table if needed
+export const pickEntry = (entries, base, date = null) => {
+  const candidates = entries
+    .filter((entry) => !date || entry.date <= date)
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+  const direct = candidates.find((entry) => entry.base === base);
+  if (direct) return direct;
+  for (const entry of candidates) {
+    const rebased = rebaseRates(entry, base);
+    if (rebased) return rebased;
+  }
+  return null;
+};
+
+export const createHttpProvider = ({ baseUrl = 'https://open.er-api.com/v6/latest', name = 'ExchangeRate-API' } = {}) => ({
+  name,
+  getLatest: async (base) => {
+    const response = await fetch(`${baseUrl}/${base}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch rates: ${response.statusText}`);
+    }
+    const data = await response.json();
+    if (data.result !== 'success') {
+      throw new Error('Exchange rate API error');
+    }
+    return {
+      base: data.base_code,
+      date: toDateKey(data.time_last_update_unix ? data.time_last_update_unix * 1000 : data.time_last_update_utc),
+      rates: data.rates,
+      updated_at: data.time_last_update_utc,
+      provider: name
+    };
+  }
+});
+
+// Accepts a JSON object or array of { base, date, rates }, or a CSV with a date,base,currency,rate header
+const parseRateFile = (filePath, content) => {
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    const [header, ...rows] = content.split(/\r?\n/).filter((line) => line.trim());
+    const columns = header.split(',').map((column) => column.trim().toLowerCase());
+    const grouped = new Map();
+    for (const row of rows) {
+      const cells = row.split(',').map((cell) => cell.trim());
+      const record = Object.fromEntries(columns.map((column, index) => [column, cells[index]]));
+      const rate = Number(record.rate);
+      if (!record.date || !record.base || !record.currency || !Number.isFinite(rate)) continue;
+      const key = `${record.base.toUpperCase()}:${record.date}`;
+      if (!grouped.has(key)) grouped.set(key, { base: record.base.toUpperCase(), date: toDateKey(record.date), rates: {} });
+      grouped.get(key).rates[record.currency.toUpperCase()] = rate;
+    }
+    return [...grouped.values()];
+  }
+
+  const data = JSON.parse(content);
+  return (Array.isArray(data) ? data : [data]).map((entry) => ({
+    base: String(entry.base || entry.base_code).toUpperCase(),
+    date: toDateKey(entry.date || entry.updated_at || Date.now()),
+    rates: entry.rates,
+    updated_at: entry.updated_at
+  }));
+};
+
+export const createFileProvider = ({ filePath, name = 'Rate file' }) => {
+  let cached = { mtimeMs: 0, entries: [] };
+
+  const loadEntries = async () => {
+    const stat = await fs.stat(filePath);
+    if (stat.mtimeMs !== cached.mtimeMs) {
+      cached = { mtimeMs: stat.mtimeMs, entries: parseRateFile(filePath, await fs.readFile(filePath, 'utf8')) };
+    }
+    return cached.entries;
+  };
+
+  const describe = (entry) => entry && {
+    ...entry,
+    updated_at: entry.updated_at || `${entry.date}T00:00:00.000Z`,
+    provider: name
+  };
+
+  return {
+    name,
+    getLatest: async (base) => describe(pickEntry(await loadEntries(), base)),
+    getHistorical: async (base, date) => describe(pickEntry(await loadEntries(), base, date))
+  };
+};
+
+// Persists every table fetched from upstream so the server keeps converting while offline
+export const createMongoProvider = ({ model, name = 'Rate table' }) => {
+  const toEntry = (doc) => doc && {
+    base: doc.base,
+    date: toDateKey(doc.date),
+    rates: Object.fromEntries(doc.rates),
+    updated_at: (doc.publishedAt || doc.date).toISOString(),
+    provider: doc.provider ? `${doc.provider} (stored)` : name
+  };
+
+  const findEntry = async (base, date = null) => {
+    const dateFilter = date ? { date: { $lte: new Date(`${date}T00:00:00.000Z`) } } : {};
+    const direct = await model.findOne({ base, ...dateFilter }).sort({ date: -1 });
+    if (direct) return toEntry(direct);
+    // Fall back to any stored base that quotes the requested currency
+    const other = await model.findOne({ [`rates.${base}`]: { $gt: 0 }, ...dateFilter }).sort({ date: -1 });
+    return rebaseRates(toEntry(other), base);
+  };
+
+  return {
+    name,
+    getLatest: (base) => findEntry(base),
+    getHistorical: (base, date) => findEntry(base, date),
+    store: async (entry) => {
+      await model.updateOne(
+        { base: entry.base, date: new Date(`${entry.date}T00:00:00.000Z`) },
+        { $set: { rates: entry.rates, provider: entry.provider, publishedAt: entry.updated_at ? new Date(entry.updated_at) : new Date() } },
+        { upsert: true }
+      );
+    }
+  };
+};
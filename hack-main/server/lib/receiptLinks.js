@@ -0,0 +1,12 @@
+import { signToken, verifyToken } from './signedTokens.js';
+
+// A receipt link names one stored object until it expires; whoever holds it can download that object
+export const signReceiptLink = ({ key, expiresAt }, secret) => signToken({ k: key }, expiresAt, secret);
+
+// Returns the key and expiry of a correctly signed, unexpired link, otherwise null
+export const verifyReceiptLink = (token, secret, now = new Date()) => {
+  const claims = verifyToken(token, secret, now);
+  if (!claims || typeof claims.k !== 'string') return null;
+
+  return { key: claims.k, expiresAt: claims.expiresAt };
+};
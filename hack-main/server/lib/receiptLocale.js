@@ -0,0 +1,92 @@
+// How receipts from a place write dates and amounts. dateOrder only matters for dates like 04/11/2025,
+// where both parts could be the month; null means the place uses both orders.
+
+const DAY_FIRST_POINT = { dateOrder: 'dmy', decimalSeparator: '.' };
+const DAY_FIRST_COMMA = { dateOrder: 'dmy', decimalSeparator: ',' };
+
+// Keyed by the country names offered at signup, plus common ISO codes
+const COUNTRY_FORMATS = {
+  'united states': { dateOrder: 'mdy', decimalSeparator: '.' },
+  us: { dateOrder: 'mdy', decimalSeparator: '.' },
+  usa: { dateOrder: 'mdy', decimalSeparator: '.' },
+  philippines: { dateOrder: 'mdy', decimalSeparator: '.' },
+  canada: { dateOrder: null, decimalSeparator: '.' },
+  'united kingdom': DAY_FIRST_POINT,
+  uk: DAY_FIRST_POINT,
+  gb: DAY_FIRST_POINT,
+  ireland: DAY_FIRST_POINT,
+  india: DAY_FIRST_POINT,
+  in: DAY_FIRST_POINT,
+  australia: DAY_FIRST_POINT,
+  au: DAY_FIRST_POINT,
+  'new zealand': DAY_FIRST_POINT,
+  singapore: DAY_FIRST_POINT,
+  switzerland: DAY_FIRST_POINT,
+  'european union': DAY_FIRST_COMMA,
+  eu: DAY_FIRST_COMMA,
+  germany: DAY_FIRST_COMMA,
+  de: DAY_FIRST_COMMA,
+  france: DAY_FIRST_COMMA,
+  fr: DAY_FIRST_COMMA,
+  spain: DAY_FIRST_COMMA,
+  es: DAY_FIRST_COMMA,
+  italy: DAY_FIRST_COMMA,
+  it: DAY_FIRST_COMMA,
+  netherlands: DAY_FIRST_COMMA,
+  nl: DAY_FIRST_COMMA,
+  belgium: DAY_FIRST_COMMA,
+  austria: DAY_FIRST_COMMA,
+  portugal: DAY_FIRST_COMMA,
+  brazil: DAY_FIRST_COMMA
+};
+
+const CURRENCY_FORMATS = {
+  USD: { dateOrder: 'mdy', decimalSeparator: '.' },
+  CAD: { dateOrder: null, decimalSeparator: '.' },
+  EUR: DAY_FIRST_COMMA,
+  GBP: DAY_FIRST_POINT,
+  INR: DAY_FIRST_POINT,
+  AUD: DAY_FIRST_POINT,
+  SGD: DAY_FIRST_POINT,
+  BRL: DAY_FIRST_COMMA
+};
+
+// The receipt's own currency says most about where it was printed; the company's settings fill the gaps
+export const resolveReceiptLocale = ({ country, defaultCurrency, detectedCurrency } = {}) => {
+  const candidates = [
+    CURRENCY_FORMATS[detectedCurrency],
+    COUNTRY_FORMATS[String(country || '').trim().toLowerCase()],
+    CURRENCY_FORMATS[defaultCurrency]
+  ].filter(Boolean);
+  return {
+    dateOrder: candidates.find((format) => format.dateOrder)?.dateOrder ?? 'dmy',
+    decimalSeparator: candidates[0]?.decimalSeparator ?? '.'
+  };
+};
+
+const MONTH_NAMES = [
+  ['january', 'janvier', 'januar', 'enero', 'gennaio', 'janeiro', 'januari'],
+  ['february', 'fevrier', 'februar', 'febrero', 'febbraio', 'fevereiro', 'februari'],
+  ['march', 'mars', 'marz', 'maerz', 'marzo', 'marco', 'maart', 'mrt'],
+  ['april', 'avril', 'abril', 'aprile'],
+  ['may', 'mai', 'mayo', 'maggio', 'maio', 'mei'],
+  ['june', 'juin', 'juni', 'junio', 'giugno', 'junho'],
+  ['july', 'juillet', 'juli', 'julio', 'luglio', 'julho'],
+  ['august', 'aout', 'agosto', 'augustus'],
+  ['september', 'septembre', 'septiembre', 'settembre', 'setembro'],
+  ['october', 'octobre', 'oktober', 'octubre', 'ottobre', 'outubro'],
+  ['november', 'novembre', 'noviembre', 'novembro'],
+  ['december', 'decembre', 'dezember', 'diciembre', 'dicembre', 'dezembro']
+];
+
+// Month number (1-12) for a full or abbreviated month name in English, French, German, Spanish, Italian,
+// Portuguese or Dutch, e.g. "Nov", "März", "févr." or "dic"; null when the word is not a month
+export const monthFromName = (word) => {
+  const name = String(word || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\./g, '').toLowerCase();
+  if (name.length < 3) return null;
+  const months = new Set();
+  MONTH_NAMES.forEach((names, index) => {
+    if (names.some((candidate) => candidate.startsWith(name))) months.add(index + 1);
+  });
+  return months.size === 1 ? [...months][0] : null;
+};
@@ -1,6 +1,7 @@
 ﻿import fs from 'node:fs';
 import { PDFParse } from 'pdf-parse';
 import { createWorker } from 'tesseract.js';
+import { monthFromName, resolveReceiptLocale } from './receiptLocale.js';
 
 let worker = null;
 
@@ -16,57 +17,176 @@ const getWorker = async () => {
   return worker;
 };
 
-const normalizeAmount = (raw) => {
+// Separators that a price's own shape settles ("12,50", "1.234,56") win over the receipt's decimalSeparator,
+// which is only needed for a bare "1,234"
+const normalizeAmount = (raw, decimalSeparator = '.') => {
   if (!raw) return null;
-  const cleaned = raw.replace(/[, ]/g, '').replace(/[A-Za-z$€£₹]/g, '');
-  const n = Number(cleaned);
+  const cleaned = raw.replace(/[A-Za-z$€£₹\s']/g, '');
+  const last = Math.max(cleaned.lastIndexOf('.'), cleaned.lastIndexOf(','));
+  const settled = last !== -1 && (/[.,]\d{1,2}$/.test(cleaned) || (cleaned.includes('.') && cleaned.includes(',')));
+  const decimal = settled ? cleaned[last] : decimalSeparator;
+  const n = Number(cleaned.split(decimal === ',' ? '.' : ',').join('').replace(',', '.'));
   return Number.isFinite(n) ? n : null;
 };
 
-const monthMap = {
-  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
-  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+// The other reading of a price such as "1.234", for when only the locale decided between thousands and decimals
+const otherAmountReading = (raw, decimalSeparator) =>
+  /^[^\d]*\d{1,3}[.,]\d{3}[^\d]*$/.test(raw.trim()) ? normalizeAmount(raw, decimalSeparator === ',' ? '.' : ',') : null;
+
+// Counts prices with two decimals ("3.50", "1.234,56") to learn which separator this receipt uses
+const detectDecimalSeparator = (text) => {
+  const counts = { '.': 0, ',': 0 };
+  for (const match of text.matchAll(/(?<![\d.,])\d{1,3}(?:[.,]\d{3})*([.,])\d{2}(?!\d|[.,/:-]\d)/g)) counts[match[1]] += 1;
+  if (counts['.'] === counts[',']) return null;
+  return counts['.'] > counts[','] ? '.' : ',';
+};
+
+// A price as printed on the receipt: optional symbol, thousands separators, two decimals
+const moneyFormat = (decimalSeparator) => {
+  const [decimal, thousands] = decimalSeparator === ',' ? [',', '\\.'] : ['\\.', ','];
+  const priceWith = (groups) => `-?[€£₹$]?\\s?(?<![\\d.,])(?:\\d{1,3}(?:${groups}\\d{3})+|\\d+)${decimal}\\d{2}(?![\\d.,])(?:\\s?[€£₹])?`;
+  const price = priceWith(thousands);
+  const money = new RegExp(price, 'g');
+  // Totals may also group thousands with a space or NBSP (\s covers both), as in "1 234,50 €"; item lines may not,
+  // since "2 150,00" there is more likely a quantity and a price
+  const total = new RegExp(priceWith(`[${thousands}\\s]`), 'g');
+  const pricesIn = (line, pattern = money) => (line.replace(/\d{1,2}(?:[.,]\d{1,2})?\s*%/g, ' ').match(pattern) || [])
+    .map((raw) => normalizeAmount(raw, decimalSeparator))
+    .filter((n) => n !== null);
+  return {
+    decimalSeparator,
+    money,
+    trailingPrices: new RegExp(`((?:\\s+${price}){1,2})\\s*(?:[€£₹$]|[A-Z]{3})?\\s*$`),
+    pricesIn,
+    lastPrice: (line) => pricesIn(line).pop() ?? null,
+    lastTotal: (line) => pricesIn(line, total).pop() ?? null
+  };
+};
+
+// A total printed loosely: any thousands grouping, and one, two or no decimals ("12.5", "1 234", "1.234")
+const LOOSE_AMOUNT = /[€£₹$]?\s?(?<![\d.,])\d{1,3}(?:[.,\s]\d{3})*(?:[.,]\d{1,2})?(?![\d.,])/;
+
+const isoDate = (year, month, day) => {
+  const y = String(year).length === 2 ? 2000 + Number(year) : Number(year);
+  const date = new Date(Date.UTC(y, month - 1, day));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== Number(day)) return null;
+  return date.toISOString().slice(0, 10);
 };
 
-const tryParseDate = (text) => {
+const MONTH_WORD = "([A-Za-zÀ-ÿ]{3,10})\\.?";
+
+// Resolves to { date, alternatives }; alternatives lists the other reading of a date such as 04/11/2025,
+// whose order came from dateOrder ('dmy' or 'mdy') rather than from the receipt
+const tryParseDate = (text, dateOrder = 'dmy') => {
   if (!text) return null;
-  // 1) 2025-11-14 or 2025/11/14
-  const iso = text.match(/\b(20\d{2})[\/-](0?[1-9]|1[0-2])[\/-](0?[1-9]|[12]\d|3[01])\b/);
-  if (iso) return `${iso[1]}-${iso[2].padStart(2,'0')}-${iso[3].padStart(2,'0')}`;
-
-  // 2) 14/11/2025 or 11/14/2025 (ambiguous). Prefer dd/mm/yyyy when both <=12 with keywords
-  const dmy = text.match(/\b(0?[1-9]|[12]\d|3[01])[\/-](0?[1-9]|1[0-2])[\/-](\d{2,4})\b/);
-  if (dmy) {
-    const y = dmy[3].length === 2 ? `20${dmy[3]}` : dmy[3];
-    return `${y}-${String(dmy[2]).padStart(2,'0')}-${String(dmy[1]).padStart(2,'0')}`;
-  }
+  // 1) 2025-11-14, 2025/11/14 or 2025.11.14
+  const iso = text.match(/\b(20\d{2})[/.-](\d{1,2})[/.-](\d{1,2})\b/);
+  const isoValue = iso && isoDate(iso[1], Number(iso[2]), Number(iso[3]));
+  if (isoValue) return { date: isoValue, alternatives: [] };
 
-  const mdy = text.match(/\b(0?[1-9]|1[0-2])[\/-](0?[1-9]|[12]\d|3[01])[\/-](\d{2,4})\b/);
-  if (mdy) {
-    const y = mdy[3].length === 2 ? `20${mdy[3]}` : mdy[3];
-    return `${y}-${String(mdy[1]).padStart(2,'0')}-${String(mdy[2]).padStart(2,'0')}`;
+  // 2) 14/11/2025, 11/14/2025 or 14.11.25; only the locale can tell 04/11/2025 apart
+  for (const numeric of text.matchAll(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/g)) {
+    const [first, second, year] = [Number(numeric[1]), Number(numeric[2]), numeric[3]];
+    const dayFirst = isoDate(year, second, first);
+    const monthFirst = isoDate(year, first, second);
+    if (!dayFirst && !monthFirst) continue;
+    if (!dayFirst || !monthFirst || dayFirst === monthFirst) return { date: dayFirst || monthFirst, alternatives: [] };
+    return dateOrder === 'mdy'
+      ? { date: monthFirst, alternatives: [dayFirst] }
+      : { date: dayFirst, alternatives: [monthFirst] };
   }
 
-  // 3) 14 Nov 2025 / Nov 14, 2025
-  const mon = text.match(/\b(\d{1,2})\s+([A-Za-z]{3,9})\.?\s+(\d{2,4})\b|\b([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{2,4})\b/);
-  if (mon) {
-    // Two alternative groups
-    if (mon[1] && mon[2] && mon[3]) {
-      const d = mon[1];
-      const m = (monthMap[mon[2].slice(0,3).toLowerCase()] || '').padStart(2,'0');
-      const y = mon[3].length === 2 ? `20${mon[3]}` : mon[3];
-      if (m) return `${y}-${m}-${String(d).padStart(2,'0')}`;
-    } else if (mon[4] && mon[5] && mon[6]) {
-      const m = (monthMap[mon[4].slice(0,3).toLowerCase()] || '').padStart(2,'0');
-      const d = mon[5];
-      const y = mon[6].length === 2 ? `20${mon[6]}` : mon[6];
-      if (m) return `${y}-${m}-${String(d).padStart(2,'0')}`;
-    }
+  // 3) 14 Nov 2025, 14. März 2025, 14 de noviembre de 2025 / Nov 14, 2025
+  const named = [
+    ...[...text.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[.\\s-]+(?:de\\s+)?${MONTH_WORD}[\\s,-]+(?:de\\s+)?(\\d{4}|\\d{2})\\b`, 'g'))]
+      .map((m) => ({ day: m[1], month: m[2], year: m[3] })),
+    ...[...text.matchAll(new RegExp(`(?:^|[^A-Za-zÀ-ÿ])${MONTH_WORD}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'g'))]
+      .map((m) => ({ day: m[2], month: m[1], year: m[3] }))
+  ];
+  for (const { day, month, year } of named) {
+    const value = monthFromName(month) && isoDate(year, monthFromName(month), Number(day));
+    if (value) return { date: value, alternatives: [] };
   }
   return null;
 };
 
-const extractFieldsFromText = (rawText) => {
+const SUBTOTAL_LINE = /(\bsub\s*-?\s*total\b|zwischensumme|sous-total)/i;
+const GRAND_TOTAL_LINE = /(grand\s*total|amount\s*due|balance\s*due|total\s*due|amount\s*payable)/i;
+const TOTAL_LINE = /\b(total|summe|gesamt|importe|totale)\b/i;
+const TAX_LINE = /\b(c\s?gst|s\s?gst|i\s?gst|u\s?gst|gst|vat|hst|pst|sales\s*tax|service\s*tax|tax|mwst|ust|tva|iva)\b/i;
+const TIP_LINE = /\b(tip|gratuity)\b/i;
+const NOT_AN_ITEM = /\b(total|summe|tax|gst|vat|mwst|tva|iva|tip|gratuity|change|cash|card|visa|mastercard|amex|upi|balance|paid|payment|tender|rounding|discount|savings?|points|tel|phone|date|time|invoice|receipt|table|server|cashier|order\s*(no|#)|thank)\b/i;
+
+// Checked in order, so a "Visa Debit" slip is read as a debit card before the network name says credit
+const PAYMENT_METHODS = [
+  { paidBy: 'UPI', pattern: /\b(upi|bhim|gpay|google\s*pay|phonepe|paytm)\b/i, confidence: 85 },
+  { paidBy: 'Net Banking', pattern: /\bnet\s*banking\b/i, confidence: 85 },
+  { paidBy: 'Bank Transfer', pattern: /\b(bank\s*transfer|neft|imps|rtgs)\b/i, confidence: 80 },
+  { paidBy: 'Cheque', pattern: /\b(cheque|check\s*no)\b/i, confidence: 80 },
+  { paidBy: 'Debit Card', pattern: /\b(debit|maestro|rupay|interac)\b/i, confidence: 85 },
+  { paidBy: 'Credit Card', pattern: /\b(credit|visa|master\s*card|mastercard|amex|american\s*express|discover|diners)\b/i, confidence: 80 },
+  { paidBy: 'Cash', pattern: /\b(cash|change\s*due)\b/i, confidence: 75 },
+  // Terminals often only print "card" or "contactless"
+  { paidBy: 'Credit Card', pattern: /\b(card|contactless|chip)\b/i, confidence: 45 }
+];
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+const closeTo = (a, b) => a !== null && b !== null && Math.abs(a - b) <= 0.02;
+const sum = (values) => roundMoney(values.reduce((total, value) => total + value, 0));
+const average = (values) => Math.round(values.reduce((total, value) => total + value, 0) / values.length);
+
+const parseTax = (line, format) => {
+  const label = line.match(TAX_LINE)[1].toUpperCase().replace(/\s+/g, ' ').replace(/^([CSIU]) GST$/, '$1GST');
+  const rateMatch = line.match(/(\d{1,2}(?:[.,]\d{1,2})?)\s*%/);
+  const amount = format.lastPrice(line);
+  if (amount === null) return null;
+  return { label, rate: rateMatch ? Number(rateMatch[1].replace(',', '.')) : null, amount, confidence: 70 };
+};
+
+const parseLineItem = (line, format) => {
+  const trailing = line.match(format.trailingPrices);
+  if (!trailing) return null;
+  const prices = format.pricesIn(trailing[1]);
+  let description = line.slice(0, trailing.index).trim();
+  let quantity = null;
+  let unitPriceGiven = false;
+
+  const leading = description.match(/^(\d{1,3})\s*(?:[x×*@]\s*|\s+)(.*[A-Za-z].*)$/i);
+  const suffixed = description.match(/^(.*[A-Za-z].*?)\s+(?:[x×]\s*(\d{1,3})|(\d{1,3})\s*(?:[x×@]|pcs|qty)?)$/i);
+  if (leading) {
+    quantity = Number(leading[1]);
+    description = leading[2];
+    unitPriceGiven = /^\d{1,3}\s*@/.test(line.trim());
+  } else if (suffixed && (suffixed[2] || prices.length === 2 || /[x×@]$/i.test(description))) {
+    quantity = Number(suffixed[2] || suffixed[3]);
+    description = suffixed[1];
+    unitPriceGiven = /@$/.test(description) || /@\s*$/.test(line.slice(0, trailing.index));
+  }
+  description = description.replace(/\s{2,}/g, ' ').replace(/[\s.:@x×-]+$/i, '').trim();
+  if (!/[A-Za-z]{2}/.test(description) || NOT_AN_ITEM.test(description) || quantity === 0) return null;
+
+  let confidence = 60;
+  let unitPrice;
+  let amount;
+  if (prices.length === 2) {
+    [unitPrice, amount] = prices;
+    const implied = unitPrice > 0 ? amount / unitPrice : null;
+    if (quantity === null && implied !== null && Math.abs(implied - Math.round(implied)) < 0.01) quantity = Math.round(implied);
+    if (quantity !== null && closeTo(roundMoney(quantity * unitPrice), amount)) confidence += 20;
+  } else if (unitPriceGiven && quantity !== null) {
+    unitPrice = prices[0];
+    amount = roundMoney(quantity * unitPrice);
+  } else {
+    amount = prices[0];
+    unitPrice = quantity ? roundMoney(amount / quantity) : amount;
+  }
+
+  return { description: description.slice(0, 80), quantity: quantity ?? 1, unitPrice, amount, confidence };
+};
+
+// locale carries the company's country and defaultCurrency, which settle how dates and amounts are written
+// when the receipt itself does not
+export const extractFieldsFromText = (rawText, locale = {}) => {
   const text = (rawText || '').replace(/\u00A0/g, ' ').replace(/[\t\r]+/g, ' ');
   const lines = text
     .split(/\n|\r/)
@@ -75,48 +195,127 @@ const extractFieldsFromText = (rawText) => {
 
   // Currency detection
   let currency = null;
+  let currencyConfidence = 0;
   if (/[₹]/.test(text)) currency = 'INR';
   else if (/[€]/.test(text)) currency = 'EUR';
   else if (/[£]/.test(text)) currency = 'GBP';
-  else if (/[\$]/.test(text)) currency = 'USD';
+  // Dollar receipts are most likely in the company's own dollars
+  else if (/[\$]/.test(text)) currency = ['AUD', 'CAD', 'SGD'].includes(locale.defaultCurrency) ? locale.defaultCurrency : 'USD';
   else {
     const iso = text.match(/\b(USD|EUR|GBP|INR|CAD|AUD|SGD|JPY)\b/i);
     if (iso) currency = iso[1].toUpperCase();
   }
+  if (currency) currencyConfidence = /[₹€£$]/.test(text) ? 80 : 90;
+
+  const { dateOrder, decimalSeparator } = resolveReceiptLocale({ ...locale, detectedCurrency: currency });
+  const format = moneyFormat(detectDecimalSeparator(text) ?? decimalSeparator);
+  const ambiguities = [];
 
-  // Amount near TOTAL/AMOUNT DUE/etc.
+  // Amount near TOTAL/AMOUNT DUE/etc., never the subtotal
   let amount = null;
   let amountScore = 0;
-  const amountLine = lines.find((l) => /(grand\s*total|amount\s*due|total\b|balance\s*due)/i.test(l));
+  const amountLine = lines.find((l) => GRAND_TOTAL_LINE.test(l))
+    || lines.find((l) => TOTAL_LINE.test(l) && !SUBTOTAL_LINE.test(l) && !(TAX_LINE.test(l) && !/incl/i.test(l)));
   if (amountLine) {
-    const m = amountLine.match(/([€£₹$]?\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?|\d+\.\d{2})/);
-    amount = normalizeAmount(m?.[1] || '');
+    amount = format.lastTotal(amountLine);
+    if (amount === null) {
+      const raw = amountLine.match(LOOSE_AMOUNT)?.[0] || '';
+      amount = normalizeAmount(raw, format.decimalSeparator);
+      const alternative = otherAmountReading(raw, format.decimalSeparator);
+      if (amount !== null && alternative !== null && alternative !== amount) {
+        ambiguities.push({ field: 'amount', value: amount, alternatives: [alternative] });
+      }
+    }
     if (amount !== null) amountScore = 0.7;
   }
   if (amount === null) {
-    const m = text.match(/([€£₹$]?\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})|\d+\.\d{2})(?!(?:[\d,\.]))/);
-    amount = normalizeAmount(m?.[1] || '');
+    const m = text.match(format.money);
+    amount = normalizeAmount(m?.[0] || '', format.decimalSeparator);
     if (amount !== null) amountScore = Math.max(amountScore, 0.4);
   }
 
   // Date extraction
   let date = null;
   for (const l of lines) {
-    date = tryParseDate(l);
-    if (date) break;
+    const parsed = tryParseDate(l, dateOrder);
+    if (!parsed) continue;
+    date = parsed.date;
+    if (parsed.alternatives.length) ambiguities.push({ field: 'date', value: date, alternatives: parsed.alternatives });
+    break;
   }
 
   // Merchant: top meaningful line not containing common headers
   const blacklist = /(receipt|invoice|tax\s*invoice|gst|thank you|total|amount|date|cashier|order|transaction|pos|merchant|store\s*id)/i;
   let merchant = null;
+  let merchantIndex = -1;
   for (let i = 0; i < Math.min(lines.length, 8); i++) {
     const l = lines[i];
     if (!blacklist.test(l) && /[A-Za-z]/.test(l)) {
       merchant = l.replace(/\s{2,}/g, ' ').slice(0, 80);
+      merchantIndex = i;
       break;
     }
   }
 
+  // Breakdown: everything above the first subtotal, total or tax line is a candidate line item
+  let subtotal = null;
+  let tip = null;
+  let payment = null;
+  const taxes = [];
+  const lineItems = [];
+  let inItems = true;
+  lines.forEach((l, i) => {
+    if (SUBTOTAL_LINE.test(l)) {
+      inItems = false;
+      subtotal = subtotal ?? format.lastPrice(l);
+    } else if (TAX_LINE.test(l) && !/\btax\s*invoice\b/i.test(l) && !(TOTAL_LINE.test(l) && /incl/i.test(l))) {
+      inItems = false;
+      const tax = parseTax(l, format);
+      if (tax) taxes.push(tax);
+    } else if (TIP_LINE.test(l)) {
+      inItems = false;
+      tip = tip ?? format.lastPrice(l);
+    } else if (GRAND_TOTAL_LINE.test(l) || TOTAL_LINE.test(l)) {
+      inItems = false;
+    } else if (inItems && i !== merchantIndex) {
+      const item = parseLineItem(l, format);
+      if (item) lineItems.push(item);
+    }
+    if (!payment) payment = PAYMENT_METHODS.find((method) => method.pattern.test(l)) || null;
+  });
+
+  // Taxes quoted with a rate can be checked against what they were charged on, whether added on top or already included
+  const taxBase = subtotal ?? (lineItems.length ? sum(lineItems.map((item) => item.amount)) : null);
+  for (const tax of taxes) {
+    if (tax.rate === null || taxBase === null) continue;
+    const matches = (expected) => Math.abs(expected - tax.amount) <= Math.max(0.02, tax.amount * 0.01);
+    if (matches(taxBase * tax.rate / 100) || matches(taxBase * tax.rate / (100 + tax.rate))) tax.confidence = 90;
+  }
+  const tax = taxes.length ? sum(taxes.map((entry) => entry.amount)) : null;
+
+  // When the parts add up to the total, every one of them is more believable
+  const itemsTotal = lineItems.length ? sum(lineItems.map((item) => item.amount)) : null;
+  const itemsAddUp = closeTo(itemsTotal, subtotal) || (subtotal === null && amount !== null
+    && (closeTo(itemsTotal, amount) || closeTo(itemsTotal, roundMoney(amount - (tax ?? 0) - (tip ?? 0)))));
+  const breakdownAddsUp = subtotal !== null && closeTo(roundMoney(subtotal + (tax ?? 0) + (tip ?? 0)), amount);
+  if (itemsAddUp) lineItems.forEach((item) => { item.confidence = Math.min(99, item.confidence + 15); });
+  if (breakdownAddsUp) taxes.forEach((entry) => { entry.confidence = Math.max(entry.confidence, 85); });
+
+  // A reading the UI should confirm with the user is worth less than one the receipt spells out
+  const ambiguous = (field) => ambiguities.some((ambiguity) => ambiguity.field === field);
+  const fieldConfidence = {
+    merchant: merchant ? 50 : 0,
+    amount: amount === null ? 0 : Math.round(amountScore * 100) + (breakdownAddsUp || itemsAddUp ? 20 : 0) - (ambiguous('amount') ? 30 : 0),
+    currency: currencyConfidence,
+    date: date ? (ambiguous('date') ? 40 : 70) : 0,
+    subtotal: subtotal === null ? 0 : breakdownAddsUp || itemsAddUp ? 90 : 65,
+    tax: taxes.length ? average(taxes.map((entry) => entry.confidence)) : 0,
+    tip: tip === null ? 0 : breakdownAddsUp ? 90 : 65,
+    paidBy: payment ? payment.confidence : 0,
+    lineItems: lineItems.length ? average(lineItems.map((item) => item.confidence)) : 0
+  };
+  fieldConfidence.amount = Math.min(99, fieldConfidence.amount);
+
   // Confidence heuristic
   let confidence = 50;
   if (amount !== null) confidence += amountScore * 30;
@@ -127,33 +326,50 @@ const extractFieldsFromText = (rawText) => {
   // Description suggestion
   let description = merchant || (lines[0] || '').slice(0, 120);
 
-  return { text, merchant, amount, currency, date, description, confidence };
+  return {
+    text,
+    merchant,
+    amount,
+    currency,
+    date,
+    description,
+    confidence,
+    lineItems,
+    subtotal,
+    taxes,
+    tax,
+    tip,
+    paidBy: payment ? payment.paidBy : null,
+    fieldConfidence,
+    ambiguities
+  };
 };
 
-export const analyzeReceipt = async (imagePath) => {
+// Accepts a file path or, for uploads held in memory, a Buffer plus its original filename
+export const analyzeReceipt = async (source, { filename = typeof source === 'string' ? source : '', locale = {} } = {}) => {
   try {
     // If PDF, extract text using pdf-parse instead of OCR
-    if (imagePath.toLowerCase().endsWith('.pdf')) {
-      const dataBuffer = fs.readFileSync(imagePath);
+    if (filename.toLowerCase().endsWith('.pdf')) {
+      const dataBuffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
       const parser = new PDFParse({ data: dataBuffer });
       const pdfTextResult = await parser.getText();
       const text = pdfTextResult?.text || '';
       await parser.destroy?.();
-      const parsed = extractFieldsFromText(text);
+      const parsed = extractFieldsFromText(text, locale);
       return { ...parsed, info: 'Parsed from PDF (text extraction)' };
     }
     
     const tesseractWorker = await getWorker();
-    const result = await tesseractWorker.recognize(imagePath);
+    const result = await tesseractWorker.recognize(source);
     const text = result.data.text || '';
     const baseConfidence = Number.isFinite(result.data.confidence) ? result.data.confidence : 50;
-    const parsed = extractFieldsFromText(text);
+    const parsed = extractFieldsFromText(text, locale);
     // Blend OCR confidence with heuristic score
     const confidence = Math.round((parsed.confidence * 0.5) + (Math.max(1, Math.min(99, baseConfidence)) * 0.5));
     return { ...parsed, confidence };
   } catch (error) {
     console.error('Receipt analysis error:', error);
-    return { text: '', amounts: [], dates: [], merchant: null, confidence: 0, error: error.message };
+    return { text: '', amounts: [], dates: [], merchant: null, confidence: 0, lineItems: [], taxes: [], ambiguities: [], error: error.message };
   }
 };
 
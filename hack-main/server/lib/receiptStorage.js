@@ -0,0 +1,162 @@
+import crypto from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+
+// Every storage exposes put(key, body, { contentType }), get(key) and remove(key).
+// get resolves to { stream, contentType, size } or null when nothing is stored under the key.
+
+const CONTENT_TYPES = {
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png'
+};
+
+export const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+export const createLocalReceiptStorage = ({ dir, name = 'local' }) => {
+  const root = path.resolve(dir);
+  // Keys come from the database, but a stray ../ must still never leave the storage directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) throw new Error(`Invalid receipt key "${key}"`);
+    return file;
+  };
+
+  return {
+    name,
+    put: async (key, body) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+    get: async (key) => {
+      const file = resolve(key);
+      try {
+        const stats = await fs.stat(file);
+        return { stream: createReadStream(file), contentType: contentTypeFor(key), size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    remove: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// SigV4 wants RFC 3986 encoding, which is stricter than encodeURIComponent
+const encodeSegment = (segment) =>
+  encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+export const encodeObjectKey = (key) => key.split('/').map(encodeSegment).join('/');
+
+// Signs a request with AWS Signature Version 4 and returns the headers to send, authorization included
+export const signS3Request = ({ method, url, headers = {}, payloadHash, accessKeyId, secretAccessKey, region, now = new Date() }) => {
+  const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const signed = { ...headers, host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+
+  const names = Object.keys(signed).map((name) => name.toLowerCase()).sort();
+  const values = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.searchParams.toString(),
+    names.map((name) => `${name}:${values[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8)), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...values,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+// Works with AWS S3 and S3-compatible servers such as MinIO; those usually need forcePathStyle
+export const createS3ReceiptStorage = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = Boolean(endpoint),
+  fetchImpl = fetch,
+  name = 's3'
+}) => {
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const objectUrl = (key) => forcePathStyle
+    ? new URL(`${base.origin}/${bucket}/${encodeObjectKey(key)}`)
+    : new URL(`${base.protocol}//${bucket}.${base.host}/${encodeObjectKey(key)}`);
+
+  const send = async (method, key, { body, contentType } = {}) => {
+    const url = objectUrl(key);
+    const headers = signS3Request({
+      method,
+      url,
+      headers: contentType ? { 'content-type': contentType } : {},
+      payloadHash: sha256(body || ''),
+      accessKeyId,
+      secretAccessKey,
+      region
+    });
+    // fetch derives the host header from the URL itself
+    delete headers.host;
+    return fetchImpl(url, { method, headers, body });
+  };
+
+  const fail = async (response, action, key) => {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`S3 ${action} of "${key}" failed with HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  };
+
+  return {
+    name,
+    put: async (key, body, { contentType = contentTypeFor(key) } = {}) => {
+      const response = await send('PUT', key, { body, contentType });
+      if (!response.ok) await fail(response, 'upload', key);
+    },
+    get: async (key) => {
+      const response = await send('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail(response, 'download', key);
+      const size = Number(response.headers.get('content-length'));
+      return {
+        stream: Readable.fromWeb(response.body),
+        contentType: response.headers.get('content-type') || contentTypeFor(key),
+        size: Number.isFinite(size) ? size : null
+      };
+    },
+    remove: async (key) => {
+      const response = await send('DELETE', key);
+      if (!response.ok && response.status !== 404) await fail(response, 'delete', key);
+    }
+  };
+};
+
+let storage = null;
+
+export const configureReceiptStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+export const getReceiptStorage = () => {
+  if (!storage) throw new Error('Receipt storage is not configured');
+  return storage;
+};
@@ -0,0 +1,30 @@
+import crypto from 'node:crypto';
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// A compact HMAC-signed token, <base64url JSON claims>.<signature>, that carries its own expiry as the "e" claim
+export const signToken = (claims, expiresAt, secret) => {
+  const payload = Buffer.from(JSON.stringify({ ...claims, e: Math.floor(new Date(expiresAt).getTime() / 1000) })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+// Returns the claims of a well-formed, correctly signed and unexpired token with expiresAt in place of "e", otherwise null
+export const verifyToken = (token, secret, now = new Date()) => {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!claims || typeof claims !== 'object' || !Number.isFinite(claims.e) || claims.e * 1000 <= now.getTime()) return null;
+
+  const { e, ...rest } = claims;
+  return { ...rest, expiresAt: new Date(e * 1000) };
+};
@@ -0,0 +1,120 @@
+// Aggregation pipelines behind the /api/reports endpoints. Amounts are normalised to the company currency:
+// the conversion snapshot taken at submission when there is one, otherwise today's rate from `rates`
+// (units of each currency per one unit of the company currency).
+
+const GROUPINGS = {
+  category: '$categoryId',
+  employee: '$userId',
+  month: { $dateToString: { format: '%Y-%m', date: '$date' } },
+  status: '$status'
+};
+
+export const SPEND_GROUPINGS = Object.keys(GROUPINGS);
+
+export const normalizedAmountExpression = (companyCurrency, rates = {}) => {
+  const table = Object.entries(rates)
+    .filter(([, rate]) => Number(rate) > 0)
+    .map(([code, rate]) => ({ k: code, v: Number(rate) }));
+
+  return {
+    $cond: [
+      { $and: [{ $eq: ['$companyCurrency', companyCurrency] }, { $ne: [{ $ifNull: ['$convertedAmount', null] }, null] }] },
+      '$convertedAmount',
+      {
+        $cond: [
+          { $eq: [{ $toUpper: '$currency' }, companyCurrency] },
+          '$amount',
+          {
+            $let: {
+              vars: {
+                match: { $arrayElemAt: [{ $filter: { input: { $literal: table }, cond: { $eq: ['$$this.k', { $toUpper: '$currency' }] } } }, 0] }
+              },
+              in: { $cond: ['$$match', { $divide: ['$amount', '$$match.v'] }, null] }
+            }
+          }
+        ]
+      }
+    ]
+  };
+};
+
+const labelStages = (groupBy) => {
+  if (groupBy === 'category') {
+    return [
+      { $lookup: { from: 'expensecategories', localField: '_id', foreignField: '_id', as: 'category' } },
+      { $addFields: { label: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, 'Uncategorized'] } } },
+      { $project: { category: 0 } }
+    ];
+  }
+  if (groupBy === 'employee') {
+    return [
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $addFields: { label: { $ifNull: [{ $arrayElemAt: ['$user.name', 0] }, 'Unknown user'] } } },
+      { $project: { user: 0 } }
+    ];
+  }
+  return [{ $addFields: { label: '$_id' } }];
+};
+
+export const buildSpendPipeline = (match, groupBy, { companyCurrency, rates }) => [
+  { $match: match },
+  { $addFields: { normalizedAmount: normalizedAmountExpression(companyCurrency, rates) } },
+  {
+    $group: {
+      _id: GROUPINGS[groupBy],
+      total: { $sum: { $ifNull: ['$normalizedAmount', 0] } },
+      count: { $sum: 1 },
+      unconverted: { $sum: { $cond: [{ $eq: ['$normalizedAmount', null] }, 1, 0] } }
+    }
+  },
+  ...labelStages(groupBy),
+  { $sort: groupBy === 'month' ? { _id: 1 } : { total: -1 } }
+];
+
+// Time from the first approval step of the deciding round to the last decision, once per decided expense or
+// expense report: lines filed in a report are approved through the report's steps and count as one decision
+export const buildTurnaroundPipeline = (match) => [
+  { $match: { ...match, status: { $in: ['approved', 'rejected'] } } },
+  { $lookup: { from: 'expensereports', localField: 'reportId', foreignField: '_id', as: 'report' } },
+  {
+    $group: {
+      _id: { $ifNull: ['$reportId', '$_id'] },
+      isReport: { $first: { $ne: [{ $ifNull: ['$reportId', null] }, null] } },
+      status: { $first: '$status' },
+      round: { $first: { $ifNull: [{ $ifNull: [{ $arrayElemAt: ['$report.submissionRound', 0] }, '$submissionRound'] }, 1] } }
+    }
+  },
+  {
+    $lookup: {
+      from: 'approvals',
+      let: { subjectId: '$_id', isReport: '$isReport', round: '$round' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $eq: [{ $cond: ['$$isReport', '$reportId', '$expenseId'] }, '$$subjectId'] },
+                { $eq: [{ $ifNull: ['$round', 1] }, '$$round'] }
+              ]
+            }
+          }
+        },
+        { $project: { createdAt: 1, approvedAt: 1 } }
+      ],
+      as: 'steps'
+    }
+  },
+  { $addFields: { submittedAt: { $min: '$steps.createdAt' }, decidedAt: { $max: '$steps.approvedAt' } } },
+  { $match: { submittedAt: { $ne: null }, decidedAt: { $ne: null } } },
+  { $addFields: { hours: { $divide: [{ $subtract: ['$decidedAt', '$submittedAt'] }, 3600000] } } },
+  {
+    $facet: {
+      overall: [{ $group: { _id: null, average: { $avg: '$hours' }, min: { $min: '$hours' }, max: { $max: '$hours' }, count: { $sum: 1 } } }],
+      byStatus: [{ $group: { _id: '$status', average: { $avg: '$hours' }, count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+      byMonth: [
+        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$decidedAt' } }, average: { $avg: '$hours' }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]
+    }
+  }
+];
@@ -0,0 +1,77 @@
+import crypto from 'node:crypto';
+import { guardedFetch } from './outboundRequests.js';
+
+// Audit actions that can be subscribed to, with the label shown when registering an endpoint
+export const WEBHOOK_EVENTS = {
+  EXPENSE_CREATED: 'Expense created',
+  EXPENSE_UPDATED: 'Expense edited',
+  EXPENSE_WITHDRAWN: 'Expense withdrawn',
+  EXPENSE_APPROVED: 'Expense fully approved',
+  EXPENSE_REJECTED: 'Expense rejected',
+  EXPENSE_REPORT_CREATED: 'Expense report created',
+  EXPENSE_REPORT_SUBMITTED: 'Expense report submitted',
+  EXPENSE_REPORT_DELETED: 'Expense report deleted',
+  EXPENSE_REPORT_APPROVED: 'Expense report fully approved',
+  EXPENSE_REPORT_REJECTED: 'Expense report rejected',
+  APPROVAL_STEP_ACTIVATED: 'Approval step opened',
+  APPROVAL_APPROVED: 'Approval step approved',
+  APPROVAL_REJECTED: 'Approval step rejected',
+  APPROVAL_ESCALATED: 'Approval step escalated',
+  APPROVAL_DELEGATED: 'Approval step delegated'
+};
+
+export const WEBHOOK_EVENT_KEYS = Object.keys(WEBHOOK_EVENTS);
+
+export const WEBHOOK_TEST_EVENT = 'WEBHOOK_TEST';
+
+export const WEBHOOK_MAX_ATTEMPTS = 6;
+
+// Minutes to wait after each failed attempt: 1m, 5m, 30m, 2h, 12h
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+export const nextRetryAt = (attempts, now = new Date()) => {
+  if (attempts >= WEBHOOK_MAX_ATTEMPTS) return null;
+  const minutes = RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+  return new Date(now.getTime() + minutes * 60 * 1000);
+};
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>" with their secret and compare
+export const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+export const sanitizeWebhookEvents = (events) =>
+  [...new Set((Array.isArray(events) ? events : []).map(String))].filter((event) => WEBHOOK_EVENT_KEYS.includes(event));
+
+// Resolves to the outcome of a single attempt; network errors and non-2xx responses both count as failures
+export const sendWebhook = async ({ url, secret }, { id, event, payload }, { fetchImpl = guardedFetch, timeoutMs = 10000 } = {}) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  try {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ExpenseTracker-Webhooks/1.0',
+        'X-Webhook-Id': String(id),
+        'X-Webhook-Event': event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+      responseBody: text.slice(0, 500),
+      durationMs: Date.now() - started
+    };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message, responseBody: null, durationMs: Date.now() - started };
+  }
+};
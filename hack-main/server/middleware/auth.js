@@ -1,7 +1,19 @@
+import crypto from 'node:crypto';
 import jwt from 'jsonwebtoken';
+import { hasPermission } from '../lib/permissions.js';
+import Session from '../models/Session.js';
 import User from '../models/User.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Read lazily so the secret from .env is used once dotenv has loaded it
+const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+export const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, role: user.role, companyId: user.companyId?._id || user.companyId, sessionId: session._id },
+  jwtSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
 
 export const authMiddleware = async (req, res, next) => {
   const header = req.headers.authorization;
@@ -11,22 +23,77 @@ export const authMiddleware = async (req, res, next) => {
 
   const token = header.slice(7);
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(payload.userId).populate('companyId');
+    const payload = jwt.verify(token, jwtSecret());
+    const session = payload.sessionId
+      ? await Session.findOne({ _id: payload.sessionId, userId: payload.userId, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session has ended' });
+    }
+
+    const user = await User.findById(payload.userId).populate('companyId').populate('roleId');
     
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
 
     req.user = user;
+    req.authSession = session;
+    req.authExpiresAt = new Date(payload.exp * 1000);
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
 };
 
-export const assertRole = (roles) => (req, res, next) => {
-  if (!roles.includes(req.user.role)) {
+// EventSource cannot set headers, so streaming routes take a ticket in the query string instead of the access token:
+// it is good for one connection within STREAM_TICKET_TTL_MS and never appears in request logs as a reusable credential
+const STREAM_TICKET_TTL_MS = 30 * 1000;
+const streamTickets = new Map();
+
+export const issueStreamTicket = ({ user, authSession, authExpiresAt }) => {
+  const now = Date.now();
+  for (const [ticket, claim] of streamTickets) {
+    if (claim.issuedAt + STREAM_TICKET_TTL_MS <= now) streamTickets.delete(ticket);
+  }
+  const ticket = crypto.randomBytes(24).toString('base64url');
+  streamTickets.set(ticket, { userId: String(user._id), sessionId: String(authSession._id), expiresAt: authExpiresAt, issuedAt: now });
+  return { ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 };
+};
+
+export const streamTicketMiddleware = async (req, res, next) => {
+  const ticket = typeof req.query.ticket === 'string' ? req.query.ticket : '';
+  const claim = streamTickets.get(ticket);
+  streamTickets.delete(ticket);
+  if (!claim || claim.issuedAt + STREAM_TICKET_TTL_MS <= Date.now() || claim.expiresAt <= new Date()) {
+    return res.status(401).json({ error: 'Stream ticket is invalid or has expired' });
+  }
+
+  try {
+    const session = await Session.findOne({ _id: claim.sessionId, userId: claim.userId, revokedAt: null });
+    if (!session) {
+      return res.status(401).json({ error: 'Session has ended' });
+    }
+
+    const user = await User.findById(claim.userId).populate('companyId').populate('roleId');
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    req.user = user;
+    req.authSession = session;
+    req.authExpiresAt = claim.expiresAt;
+    next();
+  } catch (error) {
+    console.error('Stream ticket error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Passes when the user holds at least one of the listed permissions
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!hasPermission(req.user, ...permissions)) {
     return res.status(403).json({ error: 'Forbidden' });
   }
   next();
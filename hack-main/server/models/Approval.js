@@ -1,15 +1,27 @@
 import mongoose from 'mongoose';
 
 const approvalSchema = new mongoose.Schema({
-  expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', required: true, index: true },
+  // An approval step belongs to either a single expense or a whole expense report
+  expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', required: function () { return !this.reportId; }, index: true },
+  reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExpenseReport', index: true },
   approverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Set when the step was routed to approverId because this user had delegated their approvals
+  delegatedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  delegationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Delegation', default: null },
   sequenceOrder: { type: Number, default: 1 },
-  status: { type: String, enum: ['pending', 'approved', 'rejected', 'escalated'], default: 'pending', index: true },
+  // Each resubmission starts a new round; earlier rounds are kept as history
+  round: { type: Number, default: 1 },
+  status: { type: String, enum: ['waiting', 'pending', 'approved', 'rejected', 'escalated', 'skipped'], default: 'pending', index: true },
   comments: { type: String, trim: true },
+  activatedAt: { type: Date, default: null },
+  lastRemindedAt: { type: Date, default: null },
+  // The stale step this one took over from when it was escalated
+  escalatedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Approval', default: null },
   approvedAt: { type: Date }
 }, { timestamps: true });
 
-approvalSchema.index({ expenseId: 1, approverId: 1 }, { unique: true });
+approvalSchema.index({ expenseId: 1, round: 1, approverId: 1 }, { unique: true, partialFilterExpression: { expenseId: { $type: 'objectId' } } });
+approvalSchema.index({ reportId: 1, round: 1, approverId: 1 }, { unique: true, partialFilterExpression: { reportId: { $type: 'objectId' } } });
 approvalSchema.index({ approverId: 1, status: 1 });
 
 export default mongoose.model('Approval', approvalSchema);
@@ -11,9 +11,23 @@ const approvalRuleSchema = new mongoose.Schema({
   approverSequence: [{
     approverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     order: { type: Number, required: true }
-  }]
+  }],
+  isManagerApprover: { type: Boolean, default: false },
+  managerLevels: { type: Number, default: 1, min: 1, max: 5 },
+  priority: { type: Number, default: 0 },
+  conditions: {
+    // Amount thresholds are compared in the company default currency
+    minAmount: { type: Number, default: null, min: 0 },
+    maxAmount: { type: Number, default: null, min: 0 },
+    currencies: [{ type: String, uppercase: true, trim: true }],
+    categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ExpenseCategory' }],
+    submitterRoles: [{ type: String, enum: ['admin', 'manager', 'employee'] }],
+    submitterManagerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    paidBy: [{ type: String, trim: true }]
+  }
 }, { timestamps: true });
 
 approvalRuleSchema.index({ companyId: 1, createdAt: -1 });
+approvalRuleSchema.index({ companyId: 1, priority: -1 });
 
 export default mongoose.model('ApprovalRule', approvalRuleSchema);
@@ -3,7 +3,13 @@ import mongoose from 'mongoose';
 const companySchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   country: { type: String, required: true },
-  defaultCurrency: { type: String, default: 'USD' }
+  defaultCurrency: { type: String, default: 'USD' },
+  // Hours a step may stay pending before its approver is reminded, and before it moves up to their manager
+  approvalSla: {
+    enabled: { type: Boolean, default: true },
+    reminderHours: { type: Number, default: 48, min: 1 },
+    escalationHours: { type: Number, default: 96, min: 1 }
+  }
 }, { timestamps: true });
 
 export default mongoose.model('Company', companySchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// An out-of-office window during which the delegator's approvals go to the delegate
+const delegationSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+  delegatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  delegateId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  reason: { type: String, trim: true, default: '' },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+delegationSchema.index({ delegatorId: 1, startsAt: 1, endsAt: 1 });
+
+delegationSchema.virtual('status').get(function () {
+  const now = new Date();
+  if (this.revokedAt) return 'revoked';
+  if (this.endsAt <= now) return 'expired';
+  return this.startsAt > now ? 'scheduled' : 'active';
+});
+
+export default mongoose.model('Delegation', delegationSchema);
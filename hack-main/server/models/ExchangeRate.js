@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// One row per base currency per day; the latest row for a base doubles as the offline fallback
+const exchangeRateSchema = new mongoose.Schema({
+  base: { type: String, required: true, uppercase: true, trim: true },
+  date: { type: Date, required: true },
+  rates: { type: Map, of: Number, required: true },
+  provider: { type: String },
+  publishedAt: { type: Date }
+});
+
+exchangeRateSchema.index({ base: 1, date: -1 }, { unique: true });
+
+export default mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,20 +1,67 @@
 import mongoose from 'mongoose';
 
+const attachmentSchema = new mongoose.Schema({
+  // Key of the file in the configured receipt storage
+  key: { type: String, required: true },
+  filename: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, default: null },
+  // SHA-256 of the file contents, so the same file is not attached twice
+  hash: { type: String, default: null },
+  // 64-bit dHash of images, for spotting the same receipt photographed or scanned again
+  perceptualHash: { type: String, default: null },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  uploadedAt: { type: Date, default: Date.now },
+  // Receipt analysis, filled in shortly after upload
+  ocr: { type: mongoose.Schema.Types.Mixed, default: null }
+});
+
 const expenseSchema = new mongoose.Schema({
   companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   description: { type: String, required: true, trim: true },
   date: { type: Date, required: true, index: true },
   categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExpenseCategory' },
+  reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExpenseReport', default: null, index: true },
   paidBy: { type: String, required: true, default: 'Cash' },
   amount: { type: Number, required: true, min: 0 },
   currency: { type: String, required: true, default: 'USD' },
+  // Snapshot of the conversion into the company currency taken when the expense is submitted
+  companyCurrency: { type: String },
+  convertedAmount: { type: Number, default: null },
+  exchangeRate: { type: Number, default: null },
+  rateUpdatedAt: { type: Date },
+  rateProvider: { type: String },
+  // The rate is not from the expense date: no provider had one within a week before it
+  rateApproximate: { type: Boolean, default: false },
   remarks: { type: String, trim: true },
-  receiptUrl: { type: String },
-  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true }
+  attachments: { type: [attachmentSchema], default: [] },
+  // Snapshot of earlier expenses this one looks like, shown to the submitter and approvers
+  possibleDuplicates: [{
+    _id: false,
+    expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense' },
+    // Owner of the matched expense, to decide who may see its details
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    description: { type: String },
+    amount: { type: Number },
+    currency: { type: String },
+    date: { type: Date },
+    reasons: [{ type: String }]
+  }],
+  status: { type: String, enum: ['draft', 'pending', 'approved', 'rejected', 'withdrawn'], default: 'pending', index: true },
+  submissionRound: { type: Number, default: 1 },
+  approvalPolicy: {
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalRule', default: null },
+    ruleName: { type: String },
+    ruleType: { type: String, enum: ['percentage', 'specific', 'hybrid'] },
+    minApprovalPercentage: { type: Number, min: 0, max: 100 },
+    specificApproverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  }
 }, { timestamps: true });
 
 expenseSchema.index({ companyId: 1, status: 1 });
 expenseSchema.index({ userId: 1, createdAt: -1 });
+expenseSchema.index({ companyId: 1, 'attachments.hash': 1 });
+expenseSchema.index({ companyId: 1, currency: 1, date: 1 });
 
 export default mongoose.model('Expense', expenseSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const expenseReportSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  status: { type: String, enum: ['draft', 'pending', 'approved', 'rejected'], default: 'draft', index: true },
+  // Totals are kept in the company default currency
+  currency: { type: String, required: true },
+  totalAmount: { type: Number, default: 0 },
+  approvedAmount: { type: Number, default: 0 },
+  submittedAt: { type: Date },
+  submissionRound: { type: Number, default: 1 },
+  approvalPolicy: {
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalRule', default: null },
+    ruleName: { type: String },
+    ruleType: { type: String, enum: ['percentage', 'specific', 'hybrid'] },
+    minApprovalPercentage: { type: Number, min: 0, max: 100 },
+    specificApproverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  }
+}, { timestamps: true });
+
+expenseReportSchema.index({ companyId: 1, status: 1 });
+expenseReportSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('ExpenseReport', expenseReportSchema);
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const invitationSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: ['admin', 'manager', 'employee'], default: 'employee' },
+  managerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Only a hash is stored; the raw token exists in the invite link alone
+  tokenHash: { type: String, required: true, unique: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date }
+}, { timestamps: true });
+
+invitationSchema.index({ companyId: 1, email: 1 });
+
+invitationSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  return this.expiresAt < new Date() ? 'expired' : 'pending';
+});
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -6,9 +6,15 @@ const notificationSchema = new mongoose.Schema({
   message: { type: String, required: true },
   type: { type: String, enum: ['approval', 'rejection', 'info'], default: 'info' },
   read: { type: Boolean, default: false, index: true },
-  relatedEntityId: { type: mongoose.Schema.Types.ObjectId }
+  relatedEntityId: { type: mongoose.Schema.Types.ObjectId },
+  // The approval step a review request is about, so its email can carry approve and reject links
+  approvalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Approval', default: null },
+  // Channels still owed this notification in the user's next digest, and the ones that delivered it
+  digestChannels: { type: [String], default: undefined },
+  deliveredVia: { type: [String], default: undefined }
 }, { timestamps: true });
 
 notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ digestChannels: 1 }, { sparse: true });
 
 export default mongoose.model('Notification', notificationSchema);
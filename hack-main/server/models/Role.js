@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// A company-defined role; built-in roles live in lib/permissions.js
+const roleSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  // The built-in role its holders act as for approval routing and navigation
+  baseRole: { type: String, enum: ['admin', 'manager', 'employee'], default: 'employee' },
+  permissions: [{ type: String }]
+}, { timestamps: true });
+
+roleSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  // Hash of the current refresh token; it rotates on every refresh
+  tokenHash: { type: String, required: true, unique: true },
+  // The token it replaced, kept to spot a stolen refresh token being replayed
+  previousTokenHash: { type: String, default: null, index: true },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' }
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
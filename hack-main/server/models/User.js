@@ -6,7 +6,16 @@ const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, lowercase: true, trim: true, index: true },
   passwordHash: { type: String, required: true },
   role: { type: String, enum: ['admin', 'manager', 'employee'], default: 'employee' },
-  managerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  managerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Custom role; when set its permissions replace those of the built-in role
+  roleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Role', default: null },
+  emailVerifiedAt: { type: Date, default: null },
+  // Which notification types also go out by email or chat webhook; unset fields fall back to the defaults
+  notificationPreferences: {
+    types: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    webhookUrl: { type: String, trim: true, default: null },
+    digest: { type: String, enum: ['off', 'daily'], default: 'off' }
+  }
 }, { timestamps: true });
 
 export default mongoose.model('User', userSchema);
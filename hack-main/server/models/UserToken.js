@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Single-use tokens mailed to a user; only the hash is stored
+const userTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: ['password_reset', 'email_verification', 'approval_action'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('UserToken', userTokenSchema);
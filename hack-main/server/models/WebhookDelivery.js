@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  responseStatus: { type: Number, default: null },
+  error: { type: String, default: null },
+  responseBody: { type: String, default: null },
+  durationMs: { type: Number }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  attemptLog: { type: [attemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: () => new Date() },
+  deliveredAt: { type: Date, default: null }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// The delivery log keeps 30 days of history
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+const webhookEndpointSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
+  url: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: '' },
+  events: { type: [String], default: [] },
+  // Kept readable because every delivery is signed with it
+  secret: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+export default mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setupReceiptStorage } from '../config/storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+// Writes, reads back and deletes a probe object through the configured storage, e.g. a local MinIO
+const checkReceiptStorage = async () => {
+  const storage = setupReceiptStorage();
+  const key = `receipts/storage-check/${Date.now()}.txt`;
+  const body = Buffer.from(`Receipt storage check ${new Date().toISOString()}`);
+
+  try {
+    await storage.put(key, body, { contentType: 'text/plain' });
+    const stored = await storage.get(key);
+    if (!stored) throw new Error('Object was not found after upload');
+
+    const chunks = [];
+    for await (const chunk of stored.stream) chunks.push(chunk);
+    if (!Buffer.concat(chunks).equals(body)) throw new Error('Downloaded object does not match what was uploaded');
+
+    await storage.remove(key);
+    if (await storage.get(key)) throw new Error('Object is still there after delete');
+  } catch (error) {
+    console.error(`Receipt storage check failed: ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`Receipt storage "${storage.name}" can write, read and delete`);
+  process.exit(0);
+};
+
+checkReceiptStorage();
@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setupMailTransport } from '../config/mail.js';
+import { sendMail } from '../lib/mailer.js';
+import { buildNotificationEmail } from '../lib/notificationChannels.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+// Sends a sample notification email through the configured transport, e.g. to a local SMTP sink
+const sendTestMail = async () => {
+  const to = process.argv[2];
+  if (!to) {
+    console.error('Usage: npm run mail:test -- <address>');
+    process.exit(1);
+  }
+
+  setupMailTransport();
+  const email = buildNotificationEmail(
+    [{ title: 'Test notification', message: 'Notification email delivery is working.' }],
+    { name: to, link: process.env.APP_URL || 'http://localhost:5173/' }
+  );
+  const result = await sendMail({ to, ...email });
+  if (!result) process.exit(1);
+  console.log(`Test mail sent to ${to}`);
+  process.exit(0);
+};
+
+sendTestMail();
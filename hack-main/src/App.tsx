@@ -1,50 +1,70 @@
 import React, { useState } from 'react';
+import { EmailVerificationBanner } from './components/EmailVerificationBanner';
 import { Navigation } from './components/Navigation';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
-import {
-    DEFAULT_PAGE_BY_ROLE,
-    ROLE_MENU_ITEMS,
-    SHARED_PAGES,
-    type RoleKey,
-} from './lib/navigationConfig';
+import { defaultPageFor, menuItemsFor, SHARED_PAGES } from './lib/navigationConfig';
 import { ApprovalRules } from './pages/admin/ApprovalRules';
 import { AuditLogs } from './pages/admin/AuditLogs';
+import { ApprovalAction } from './pages/ApprovalAction';
 import { CompanySettings } from './pages/admin/CompanySettings';
+import { RoleManagement } from './pages/admin/RoleManagement';
 import { UserManagement } from './pages/admin/UserManagement';
+import { Webhooks } from './pages/admin/Webhooks';
 import { EmployeeDashboard } from './pages/employee/EmployeeDashboard';
 import { MyExpenses } from './pages/employee/MyExpenses';
 import { Login } from './pages/Login';
 import { ManagerDashboard } from './pages/manager/ManagerDashboard';
+import { SpendAnalytics } from './pages/manager/SpendAnalytics';
 import { Notifications } from './pages/Notifications';
+import { ResetPassword } from './pages/ResetPassword';
 import { Signup } from './pages/Signup';
+import { VerifyEmail } from './pages/VerifyEmail';
+
+// Emailed links look like /?invite=<token>, /?reset=<token>, /?verify=<token> or /?approval_action=<token>
+const readQueryParam = (name: string) => new URLSearchParams(window.location.search).get(name);
+
+const clearQueryParams = () => window.history.replaceState(null, '', window.location.pathname);
+
+type AuthView = 'login' | 'signup' | 'forgot-password' | 'reset-password';
+
+const initialAuthView = (): AuthView => {
+  if (readQueryParam('invite')) return 'signup';
+  if (readQueryParam('reset')) return 'reset-password';
+  return 'login';
+};
 
 const AppContent: React.FC = () => {
   const { user, loading, configError } = useAuth();
-  const [authView, setAuthView] = useState<'login' | 'signup'>('login');
+  const [inviteToken, setInviteToken] = useState<string | null>(() => readQueryParam('invite'));
+  const [resetToken, setResetToken] = useState<string | null>(() => readQueryParam('reset'));
+  const [verifyToken, setVerifyToken] = useState<string | null>(() => readQueryParam('verify'));
+  const [actionToken, setActionToken] = useState<string | null>(() => readQueryParam('approval_action'));
+  const [authView, setAuthView] = useState<AuthView>(initialAuthView);
   const [currentPage, setCurrentPage] = useState('');
 
-  const role = user?.role as RoleKey | undefined;
-
   const allowedPages = React.useMemo(() => {
-    if (!role) return [] as string[];
-    const menuPages = ROLE_MENU_ITEMS[role]?.map((item) => item.id) ?? [];
+    if (!user) return [] as string[];
+    const menuPages = menuItemsFor(user).map((item) => item.id);
     return [...new Set([...menuPages, ...SHARED_PAGES])];
-  }, [role]);
+  }, [user]);
+  const defaultPage = defaultPageFor(user);
 
   React.useEffect(() => {
-    if (role) {
-      setCurrentPage(DEFAULT_PAGE_BY_ROLE[role]);
-    } else {
-      setCurrentPage('');
+    if (user && inviteToken) {
+      // The invitation is spent once its user is signed in
+      clearQueryParams();
+      setInviteToken(null);
     }
-  }, [role]);
+  }, [inviteToken, user]);
 
+  // Stay on the current page while it is still permitted, e.g. across token refreshes
   React.useEffect(() => {
-    if (!role || !currentPage) return;
-    if (!allowedPages.includes(currentPage)) {
-      setCurrentPage(DEFAULT_PAGE_BY_ROLE[role]);
+    if (!user) {
+      setCurrentPage('');
+      return;
     }
-  }, [allowedPages, currentPage, role]);
+    setCurrentPage((page) => (page && allowedPages.includes(page) ? page : defaultPage));
+  }, [allowedPages, defaultPage, user]);
 
   if (configError) {
     return (
@@ -72,25 +92,69 @@ const AppContent: React.FC = () => {
     );
   }
 
+  if (verifyToken) {
+    return (
+      <VerifyEmail
+        verifyToken={verifyToken}
+        onContinue={() => {
+          clearQueryParams();
+          setVerifyToken(null);
+        }}
+      />
+    );
+  }
+
+  if (actionToken) {
+    return (
+      <ApprovalAction
+        actionToken={actionToken}
+        onContinue={() => {
+          clearQueryParams();
+          setActionToken(null);
+        }}
+      />
+    );
+  }
+
   if (!user) {
+    const backToLogin = () => {
+      if (resetToken) {
+        clearQueryParams();
+        setResetToken(null);
+      }
+      setAuthView('login');
+    };
+
+    if (authView === 'forgot-password' || authView === 'reset-password') {
+      return <ResetPassword resetToken={resetToken} onNavigateToLogin={backToLogin} />;
+    }
     if (authView === 'login') {
-      return <Login onNavigateToSignup={() => setAuthView('signup')} />;
+      return (
+        <Login
+          onNavigateToSignup={() => setAuthView('signup')}
+          onNavigateToForgotPassword={() => setAuthView('forgot-password')}
+        />
+      );
     }
-    return <Signup onNavigateToLogin={() => setAuthView('login')} />;
+    return <Signup inviteToken={inviteToken} onNavigateToLogin={backToLogin} />;
   }
 
   const renderPage = () => {
-    if (role && currentPage && !allowedPages.includes(currentPage)) {
+    if (currentPage && !allowedPages.includes(currentPage)) {
       return <div className="p-8">You do not have access to this page.</div>;
     }
 
     switch (currentPage) {
       case 'user-management':
         return <UserManagement />;
+      case 'role-management':
+        return <RoleManagement />;
       case 'approval-rules':
         return <ApprovalRules />;
       case 'audit-logs':
         return <AuditLogs />;
+      case 'webhooks':
+        return <Webhooks />;
       case 'company-settings':
         return <CompanySettings />;
       case 'employee-dashboard':
@@ -99,6 +163,8 @@ const AppContent: React.FC = () => {
         return <MyExpenses />;
       case 'manager-dashboard':
         return <ManagerDashboard />;
+      case 'analytics':
+        return <SpendAnalytics />;
       case 'notifications':
         return <Notifications />;
       default:
@@ -109,6 +175,7 @@ const AppContent: React.FC = () => {
   return (
     <div className="min-h-screen bg-slate-50">
       <Navigation currentPage={currentPage} onNavigate={setCurrentPage} />
+      <EmailVerificationBanner />
       <main>{renderPage()}</main>
     </div>
   );
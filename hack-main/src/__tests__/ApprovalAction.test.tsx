@@ -0,0 +1,57 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { ApprovalAction } from '../pages/ApprovalAction';
+import { request } from '../lib/api';
+
+jest.mock('../lib/api');
+
+const mockRequest = request as jest.MockedFunction<typeof request>;
+
+describe('ApprovalAction', () => {
+  beforeEach(() => {
+    mockRequest.mockReset();
+    mockRequest.mockImplementation(async (path: string, _token, options?: RequestInit) => {
+      if (options?.method === 'POST') return { message: 'Approval recorded', decision: 'approved', status: 'approved' };
+      if (path.startsWith('/api/approval-actions/')) {
+        return {
+          action: {
+            decision: 'approved',
+            expires_at: '2024-01-04T00:00:00Z',
+            approval_id: 'a1',
+            kind: 'expense',
+            description: 'Client dinner',
+            amount: 120,
+            currency: 'USD',
+            requester: 'John Doe',
+            submitted_at: '2024-01-01T00:00:00Z',
+          },
+        };
+      }
+      return {};
+    });
+  });
+
+  test('shows what the link will decide before anything is recorded', async () => {
+    render(<ApprovalAction actionToken="signed-token" onContinue={jest.fn()} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Client dinner')).toBeInTheDocument();
+      expect(screen.getByText('Confirm Approval')).toBeInTheDocument();
+    });
+    expect(mockRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('records the decision once confirmed', async () => {
+    render(<ApprovalAction actionToken="signed-token" onContinue={jest.fn()} />);
+
+    await waitFor(() => screen.getByText('Confirm Approval'));
+    fireEvent.click(screen.getByText('Confirm Approval'));
+
+    await waitFor(() => {
+      expect(mockRequest).toHaveBeenCalledWith('/api/approval-actions/signed-token', null, {
+        method: 'POST',
+        body: JSON.stringify({ comments: '' }),
+      });
+      expect(screen.getByText('Your decision has been recorded.')).toBeInTheDocument();
+    });
+  });
+});
@@ -17,7 +17,9 @@ describe('AuditLogs', () => {
       loading: false,
       signIn: jest.fn(),
       signUp: jest.fn(),
+      acceptInvitation: jest.fn(),
       signOut: jest.fn(),
+      signOutEverywhere: jest.fn(),
       configError: null,
       refreshUser: jest.fn(),
     });
@@ -17,7 +17,9 @@ describe('EmployeeDashboard', () => {
       loading: false,
       signIn: jest.fn(),
       signUp: jest.fn(),
+      acceptInvitation: jest.fn(),
       signOut: jest.fn(),
+      signOutEverywhere: jest.fn(),
       configError: null,
       refreshUser: jest.fn(),
     });
@@ -72,4 +74,61 @@ describe('EmployeeDashboard', () => {
       expect(mockRequest).toHaveBeenCalledWith('/api/receipts/analyze', 'test-token', expect.any(Object));
     });
   });
+
+  test('shows the receipt breakdown and suggests how it was paid', async () => {
+    const mockFile = new File(['test'], 'receipt.png', { type: 'image/png' });
+    mockRequest.mockResolvedValue({
+      analysis: {
+        merchant: 'The Corner Bistro',
+        amount: 38.96,
+        currency: 'USD',
+        line_items: [{ description: 'Iced Tea', quantity: 2, unit_price: 3.5, amount: 7, confidence: 95 }],
+        subtotal: 30.45,
+        taxes: [{ label: 'SALES TAX', rate: 8.25, amount: 2.51, confidence: 90 }],
+        tip: 6,
+        paid_by: 'Credit Card',
+        field_confidence: { paid_by: 80 }
+      }
+    });
+
+    render(<EmployeeDashboard />);
+
+    fireEvent.change(screen.getByLabelText('Receipt (Optional)'), { target: { files: [mockFile] } });
+
+    await waitFor(() => {
+      expect(screen.getByText('Iced Tea')).toBeInTheDocument();
+      expect(screen.getByText('SALES TAX 8.25%: 2.51')).toBeInTheDocument();
+      expect(screen.getByDisplayValue('Credit Card')).toBeInTheDocument();
+    });
+  });
+
+  test('asks which date an ambiguous receipt meant', async () => {
+    const mockFile = new File(['test'], 'receipt.png', { type: 'image/png' });
+    mockRequest.mockResolvedValue({
+      analysis: {
+        merchant: 'Diner',
+        date: '2025-11-04',
+        ambiguities: [{ field: 'date', value: '2025-11-04', alternatives: ['2025-04-11'] }]
+      }
+    });
+
+    render(<EmployeeDashboard />);
+
+    fireEvent.change(screen.getByLabelText('Receipt (Optional)'), { target: { files: [mockFile] } });
+
+    const alternative = new Date('2025-04-11').toLocaleDateString(undefined, {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      timeZone: 'UTC',
+    });
+    await waitFor(() => {
+      expect(screen.getByText(/can be read more than one way/)).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText(alternative));
+
+    expect(screen.getByDisplayValue('2025-04-11')).toBeInTheDocument();
+    expect(screen.queryByText(/can be read more than one way/)).not.toBeInTheDocument();
+  });
 });
\ No newline at end of file
@@ -17,7 +17,9 @@ describe('ManagerDashboard', () => {
       loading: false,
       signIn: jest.fn(),
       signUp: jest.fn(),
+      acceptInvitation: jest.fn(),
       signOut: jest.fn(),
+      signOutEverywhere: jest.fn(),
       configError: null,
       refreshUser: jest.fn(),
     });
@@ -84,7 +86,15 @@ describe('ManagerDashboard', () => {
   test('can approve expense', async () => {
     const mockApproval = {
       id: '1',
-      expense: { id: '1', description: 'Test expense', amount: 100, currency: 'USD', receipt_url: '/test.pdf' },
+      expense: {
+        id: '1',
+        description: 'Test expense',
+        amount: 100,
+        currency: 'USD',
+        attachments: [
+          { id: 'a1', filename: 'receipt.pdf', mime_type: 'application/pdf', size: 2048, url: '/api/receipts/files/t1', ocr: null }
+        ]
+      },
       requester: { id: '1', name: 'John Doe' },
       status: 'pending'
     };
@@ -99,7 +109,8 @@ describe('ManagerDashboard', () => {
 
     await waitFor(() => {
       expect(screen.getByText('Review Expense')).toBeInTheDocument();
-      expect(screen.getByText('View Receipt')).toBeInTheDocument();
+      expect(screen.getByText('Receipts (1)')).toBeInTheDocument();
+      expect(screen.getByText('receipt.pdf')).toBeInTheDocument();
     });
 
     fireEvent.click(screen.getByText('Approve'));
@@ -115,4 +126,169 @@ describe('ManagerDashboard', () => {
       );
     });
   });
-});
\ No newline at end of file
+
+  test('flags possible duplicates on the approval card', async () => {
+    const mockApproval = {
+      id: '3',
+      expense: {
+        id: '3',
+        description: 'Taxi to airport',
+        amount: 42,
+        currency: 'USD',
+        possible_duplicates: [
+          {
+            expense_id: 'e9',
+            description: 'Airport taxi',
+            amount: 42,
+            currency: 'USD',
+            date: '2024-03-01T00:00:00.000Z',
+            reasons: ['same_file']
+          }
+        ]
+      },
+      requester: { id: '1', name: 'John Doe' },
+      status: 'pending'
+    };
+
+    mockRequest.mockResolvedValue({ approvals: [mockApproval], categories: [] });
+
+    render(<ManagerDashboard />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Possible duplicate')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText('Review'));
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('Possible duplicate of expense “Airport taxi”');
+      expect(screen.getByRole('alert')).toHaveTextContent('same receipt file');
+    });
+  });
+
+  test('can reject individual lines of an expense report', async () => {
+    const mockApproval = {
+      id: '2',
+      expense_id: null,
+      report_id: 'r1',
+      expense: { id: 'r1', description: 'Berlin trip', amount: 300, currency: 'USD', paid_by: 'Various' },
+      report: {
+        id: 'r1',
+        title: 'Berlin trip',
+        currency: 'USD',
+        total_amount: 300,
+        approved_amount: 300,
+        expenses: [
+          { id: 'e1', description: 'Hotel', amount: 200, currency: 'USD', status: 'pending' },
+          { id: 'e2', description: 'Minibar', amount: 100, currency: 'USD', status: 'pending' }
+        ]
+      },
+      requester: { id: '1', name: 'John Doe' },
+      status: 'pending'
+    };
+
+    mockRequest.mockResolvedValue({ approvals: [mockApproval], categories: [] });
+
+    render(<ManagerDashboard />);
+
+    await waitFor(() => {
+      fireEvent.click(screen.getByText('Review'));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Review Expense Report')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByLabelText('Reject Minibar'));
+    fireEvent.click(screen.getByText('Approve Remaining'));
+
+    await waitFor(() => {
+      expect(mockRequest).toHaveBeenCalledWith(
+        '/api/approvals/2/decision',
+        'test-token',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ status: 'approved', comments: '', rejected_expense_ids: ['e2'] })
+        })
+      );
+    });
+  });
+
+  test('shows the amount converted into the company currency', async () => {
+    const mockApproval = {
+      id: '3',
+      expense: {
+        id: '3',
+        description: 'Conference ticket',
+        amount: 100,
+        currency: 'USD',
+        company_currency: 'INR',
+        converted_amount: 8300,
+        exchange_rate: 83,
+        rate_provider: 'ExchangeRate-API'
+      },
+      requester: { id: '1', name: 'John Doe' },
+      status: 'pending'
+    };
+
+    mockRequest.mockResolvedValue({ approvals: [mockApproval], categories: [] });
+
+    render(<ManagerDashboard />);
+
+    await waitFor(() => {
+      expect(screen.getByText('USD 100.00')).toBeInTheDocument();
+      expect(screen.getByText('≈ INR 8300.00')).toBeInTheDocument();
+    });
+  });
+
+  test('marks approvals received through a delegation', async () => {
+    const mockApproval = {
+      id: '4',
+      expense: { id: '4', description: 'Hotel', amount: 300, currency: 'USD' },
+      requester: { id: '2', name: 'Jane Smith' },
+      delegated_from: { id: '5', name: 'Alice Away' },
+      status: 'pending'
+    };
+
+    mockRequest.mockResolvedValue({ approvals: [mockApproval], categories: [] });
+
+    render(<ManagerDashboard />);
+
+    await waitFor(() => {
+      expect(screen.getByText('On behalf of Alice Away')).toBeInTheDocument();
+    });
+  });
+
+  test('steps through an expense\'s attachments in the gallery', async () => {
+    const mockApproval = {
+      id: '5',
+      expense: {
+        id: '5',
+        description: 'Hotel stay',
+        amount: 420,
+        currency: 'USD',
+        attachments: [
+          { id: 'a1', filename: 'folio.pdf', mime_type: 'application/pdf', size: 4096, url: '/api/receipts/files/t1', ocr: null },
+          { id: 'a2', filename: 'card-slip.png', mime_type: 'image/png', size: 1024, url: '/api/receipts/files/t2', ocr: null }
+        ]
+      },
+      requester: { id: '2', name: 'Jane Smith' },
+      status: 'pending'
+    };
+
+    mockRequest.mockResolvedValue({ approvals: [mockApproval], categories: [] });
+
+    render(<ManagerDashboard />);
+
+    await waitFor(() => {
+      fireEvent.click(screen.getByText('Review'));
+    });
+    await waitFor(() => expect(screen.getByText('Receipts (2)')).toBeInTheDocument());
+
+    fireEvent.click(screen.getByTitle('folio.pdf'));
+    expect(screen.getByRole('dialog', { name: 'Attachment 1 of 2' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle('Next'));
+    expect(screen.getByRole('dialog', { name: 'Attachment 2 of 2' })).toBeInTheDocument();
+  });
+});
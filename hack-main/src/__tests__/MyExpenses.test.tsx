@@ -1,13 +1,14 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import { MyExpenses } from '../pages/employee/MyExpenses';
 import { useAuth } from '../contexts/AuthContext';
-import { request } from '../lib/api';
+import { downloadFile, request } from '../lib/api';
 
 jest.mock('../contexts/AuthContext');
 jest.mock('../lib/api');
 
 const mockUseAuth = useAuth as jest.MockedFunction<typeof useAuth>;
 const mockRequest = request as jest.MockedFunction<typeof request>;
+const mockDownloadFile = downloadFile as jest.MockedFunction<typeof downloadFile>;
 
 describe('MyExpenses', () => {
   beforeEach(() => {
@@ -17,7 +18,9 @@ describe('MyExpenses', () => {
       loading: false,
       signIn: jest.fn(),
       signUp: jest.fn(),
+      acceptInvitation: jest.fn(),
       signOut: jest.fn(),
+      signOutEverywhere: jest.fn(),
       configError: null,
       refreshUser: jest.fn(),
     });
@@ -80,7 +83,7 @@ describe('MyExpenses', () => {
           currency: 'USD',
           status: 'pending',
           date: '2024-01-01',
-          receipt_url: '/uploads/receipts/test.pdf'
+          receipt_url: '/api/receipts/files/signed-token'
         }
       ],
       categories: []
@@ -91,7 +94,61 @@ describe('MyExpenses', () => {
     await waitFor(() => {
       const viewLink = screen.getByText('View');
       expect(viewLink).toBeInTheDocument();
-      expect(viewLink.closest('a')).toHaveAttribute('href', expect.stringContaining('/uploads/receipts/test.pdf'));
+      expect(viewLink.closest('a')).toHaveAttribute('href', expect.stringContaining('/api/receipts/files/signed-token'));
+    });
+  });
+
+  test('offers edit and withdraw for pending expenses', async () => {
+    mockRequest.mockResolvedValue({
+      expenses: [
+        {
+          id: '1',
+          description: 'Pending expense',
+          amount: 100,
+          currency: 'USD',
+          status: 'pending',
+          date: '2024-01-01',
+          receipt_url: null
+        }
+      ],
+      categories: []
+    });
+
+    render(<MyExpenses />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Edit')).toBeInTheDocument();
+      expect(screen.getByText('Withdraw')).toBeInTheDocument();
+      expect(screen.queryByText('Resubmit')).not.toBeInTheDocument();
+    });
+  });
+
+  test('resubmits a rejected expense', async () => {
+    mockRequest.mockResolvedValue({
+      expenses: [
+        {
+          id: '42',
+          description: 'Rejected expense',
+          amount: 100,
+          currency: 'USD',
+          status: 'rejected',
+          date: '2024-01-01',
+          receipt_url: null
+        }
+      ],
+      categories: []
+    });
+
+    render(<MyExpenses />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Resubmit')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText('Resubmit'));
+
+    await waitFor(() => {
+      expect(mockRequest).toHaveBeenCalledWith('/api/expenses/42/resubmit', 'test-token', { method: 'POST' });
     });
   });
 
@@ -105,4 +162,19 @@ describe('MyExpenses', () => {
       expect(screen.getByText('Submit your first expense to get started')).toBeInTheDocument();
     });
   });
-});
\ No newline at end of file
+
+  test('exports own expenses as CSV', async () => {
+    mockRequest.mockResolvedValue({ expenses: [], categories: [] });
+    mockDownloadFile.mockResolvedValue(undefined);
+
+    render(<MyExpenses />);
+
+    await waitFor(() => {
+      fireEvent.click(screen.getByText('Export CSV'));
+    });
+
+    await waitFor(() => {
+      expect(mockDownloadFile).toHaveBeenCalledWith('/api/expenses/export?mine=true&format=csv', 'test-token', 'expenses.csv');
+    });
+  });
+});
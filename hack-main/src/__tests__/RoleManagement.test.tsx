@@ -0,0 +1,84 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { RoleManagement } from '../pages/admin/RoleManagement';
+import { useAuth } from '../contexts/AuthContext';
+import { request } from '../lib/api';
+
+jest.mock('../contexts/AuthContext');
+jest.mock('../lib/api');
+
+const mockUseAuth = useAuth as jest.MockedFunction<typeof useAuth>;
+const mockRequest = request as jest.MockedFunction<typeof request>;
+
+describe('RoleManagement', () => {
+  beforeEach(() => {
+    mockUseAuth.mockReturnValue({
+      user: { id: '1', name: 'Admin', role: 'admin', company_id: '1', email: 'admin@example.com', created_at: '2024-01-01T00:00:00Z' },
+      token: 'test-token',
+      loading: false,
+      signIn: jest.fn(),
+      signUp: jest.fn(),
+      acceptInvitation: jest.fn(),
+      signOut: jest.fn(),
+      signOutEverywhere: jest.fn(),
+      configError: null,
+      refreshUser: jest.fn(),
+    });
+
+    mockRequest.mockImplementation(async (path: string) => {
+      if (path === '/api/permissions') {
+        return {
+          permissions: [
+            { key: 'expenses.view_all', label: 'View every expense in the company' },
+            { key: 'expenses.export', label: 'Export expenses beyond their own' },
+          ],
+          built_in_roles: [
+            { id: 'employee', name: 'Employee', base_role: 'employee', permissions: [], built_in: true },
+          ],
+        };
+      }
+      if (path === '/api/roles') {
+        return {
+          roles: [
+            {
+              id: 'r1',
+              name: 'Finance Reviewer',
+              description: 'Reviews spend',
+              base_role: 'employee',
+              permissions: ['expenses.view_all', 'expenses.export'],
+              built_in: false,
+              user_count: 2,
+            },
+          ],
+        };
+      }
+      return {};
+    });
+  });
+
+  test('lists custom and built-in roles with their permissions', async () => {
+    render(<RoleManagement />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Finance Reviewer')).toBeInTheDocument();
+      expect(screen.getByText('Employee')).toBeInTheDocument();
+      expect(screen.getByText('Export expenses beyond their own')).toBeInTheDocument();
+    });
+  });
+
+  test('creates a role with the selected permissions', async () => {
+    render(<RoleManagement />);
+
+    await waitFor(() => expect(screen.getByText('New Role')).toBeInTheDocument());
+    fireEvent.click(screen.getByText('New Role'));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Auditor' } });
+    fireEvent.click(screen.getByLabelText('View every expense in the company'));
+    fireEvent.click(screen.getByText('Create'));
+
+    await waitFor(() => {
+      expect(mockRequest).toHaveBeenCalledWith('/api/roles', 'test-token', {
+        method: 'POST',
+        body: JSON.stringify({ name: 'Auditor', description: '', base_role: 'employee', permissions: ['expenses.view_all'] }),
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import { SpendAnalytics } from '../pages/manager/SpendAnalytics';
+import { useAuth } from '../contexts/AuthContext';
+import { request } from '../lib/api';
+
+jest.mock('../contexts/AuthContext');
+jest.mock('../lib/api');
+
+const mockUseAuth = useAuth as jest.MockedFunction<typeof useAuth>;
+const mockRequest = request as jest.MockedFunction<typeof request>;
+
+const spendReport = (groupBy: string, rows: Array<{ key: string; label: string; total: number; count: number }>) => ({
+  group_by: groupBy,
+  currency: 'INR',
+  total: rows.reduce((sum, row) => sum + row.total, 0),
+  unconverted_count: 0,
+  rows: rows.map((row) => ({ ...row, unconverted: 0 })),
+});
+
+describe('SpendAnalytics', () => {
+  beforeEach(() => {
+    mockUseAuth.mockReturnValue({
+      user: { id: '1', name: 'Manager', role: 'manager', company_id: '1', email: 'manager@example.com', created_at: '2024-01-01T00:00:00Z' },
+      token: 'test-token',
+      loading: false,
+      signIn: jest.fn(),
+      signUp: jest.fn(),
+      acceptInvitation: jest.fn(),
+      signOut: jest.fn(),
+      signOutEverywhere: jest.fn(),
+      configError: null,
+      refreshUser: jest.fn(),
+    });
+
+    mockRequest.mockImplementation(async (path: string) => {
+      if (path.startsWith('/api/reports/spend-by-category')) {
+        return spendReport('category', [{ key: 'c1', label: 'Travel', total: 1200, count: 3 }]);
+      }
+      if (path.startsWith('/api/reports/spend-by-employee')) {
+        return spendReport('employee', [{ key: 'u1', label: 'John Doe', total: 1200, count: 3 }]);
+      }
+      if (path.startsWith('/api/reports/spend-by-month')) {
+        return spendReport('month', [{ key: '2024-01', label: '2024-01', total: 1200, count: 3 }]);
+      }
+      if (path.startsWith('/api/reports/spend-by-status')) {
+        return spendReport('status', [{ key: 'approved', label: 'approved', total: 1200, count: 3 }]);
+      }
+      return { average_hours: 30, min_hours: 2, max_hours: 60, count: 3, by_status: [], by_month: [] };
+    });
+  });
+
+  test('loads every report', async () => {
+    render(<SpendAnalytics />);
+
+    await waitFor(() => {
+      expect(mockRequest).toHaveBeenCalledWith('/api/reports/spend-by-category', 'test-token');
+      expect(mockRequest).toHaveBeenCalledWith('/api/reports/approval-turnaround', 'test-token');
+    });
+  });
+
+  test('shows spend in company currency and turnaround', async () => {
+    render(<SpendAnalytics />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Travel')).toBeInTheDocument();
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+      expect(screen.getByText('30.0 h')).toBeInTheDocument();
+    });
+  });
+});
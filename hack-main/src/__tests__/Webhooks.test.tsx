@@ -0,0 +1,79 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { Webhooks } from '../pages/admin/Webhooks';
+import { useAuth } from '../contexts/AuthContext';
+import { request } from '../lib/api';
+
+jest.mock('../contexts/AuthContext');
+jest.mock('../lib/api');
+
+const mockUseAuth = useAuth as jest.MockedFunction<typeof useAuth>;
+const mockRequest = request as jest.MockedFunction<typeof request>;
+
+describe('Webhooks', () => {
+  beforeEach(() => {
+    mockUseAuth.mockReturnValue({
+      user: { id: '1', name: 'Admin', role: 'admin', company_id: '1', email: 'admin@example.com', created_at: '2024-01-01T00:00:00Z' },
+      token: 'test-token',
+      loading: false,
+      signIn: jest.fn(),
+      signUp: jest.fn(),
+      acceptInvitation: jest.fn(),
+      signOut: jest.fn(),
+      signOutEverywhere: jest.fn(),
+      configError: null,
+      refreshUser: jest.fn(),
+    });
+
+    mockRequest.mockImplementation(async (path: string, _token, options) => {
+      if (path === '/api/webhooks/events') {
+        return {
+          events: [
+            { key: 'EXPENSE_CREATED', label: 'Expense created' },
+            { key: 'EXPENSE_APPROVED', label: 'Expense fully approved' },
+          ],
+        };
+      }
+      if (path === '/api/webhooks' && options?.method === 'POST') {
+        return {
+          webhook: { id: 'w2', url: 'https://erp.example.com/hooks', description: '', events: ['EXPENSE_APPROVED'], active: true, secret: 'whsec_abc', created_at: '2024-01-02T00:00:00Z' },
+        };
+      }
+      if (path === '/api/webhooks') {
+        return {
+          webhooks: [
+            { id: 'w1', url: 'https://hooks.example.com/expenses', description: 'Accounting sync', events: ['EXPENSE_CREATED'], active: true, created_at: '2024-01-01T00:00:00Z' },
+          ],
+        };
+      }
+      return {};
+    });
+  });
+
+  test('lists endpoints with their subscribed events', async () => {
+    render(<Webhooks />);
+
+    await waitFor(() => {
+      expect(screen.getByText('https://hooks.example.com/expenses')).toBeInTheDocument();
+      expect(screen.getByText('Accounting sync')).toBeInTheDocument();
+      expect(screen.getByText('Expense created')).toBeInTheDocument();
+    });
+  });
+
+  test('creates an endpoint and shows its signing secret once', async () => {
+    render(<Webhooks />);
+
+    await waitFor(() => expect(screen.getByText('New Webhook')).toBeInTheDocument());
+    fireEvent.click(screen.getByText('New Webhook'));
+    fireEvent.change(screen.getByLabelText('Endpoint URL'), { target: { value: 'https://erp.example.com/hooks' } });
+    fireEvent.click(screen.getByLabelText('Expense fully approved'));
+    fireEvent.click(screen.getByText('Create'));
+
+    await waitFor(() => {
+      expect(mockRequest).toHaveBeenCalledWith('/api/webhooks', 'test-token', {
+        method: 'POST',
+        body: JSON.stringify({ url: 'https://erp.example.com/hooks', description: '', events: ['EXPENSE_APPROVED'], active: true }),
+      });
+      expect(screen.getByText('whsec_abc')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { ChevronLeft, ChevronRight, ExternalLink, FileText, X } from 'lucide-react';
+import React, { useCallback, useEffect, useState } from 'react';
+import type { ExpenseAttachment } from '../types';
+
+export interface GalleryItem extends ExpenseAttachment {
+  // Shown under the file, e.g. the report line it belongs to
+  caption?: string;
+}
+
+const fileUrl = (attachment: ExpenseAttachment) => `${import.meta.env.VITE_API_URL}${attachment.url}`;
+
+const isImage = (attachment: ExpenseAttachment) => attachment.mime_type.startsWith('image/');
+
+const formatSize = (size: number | null) => {
+  if (size == null) return '';
+  return size < 1024 * 1024 ? `${Math.max(1, Math.round(size / 1024))} KB` : `${(size / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const AttachmentGallery: React.FC<{ attachments: GalleryItem[] }> = ({ attachments }) => {
+  const [openIndex, setOpenIndex] = useState<number | null>(null);
+  const open = openIndex !== null ? attachments[openIndex] : null;
+  const position = `${(openIndex ?? 0) + 1} of ${attachments.length}`;
+
+  const step = useCallback(
+    (offset: number) =>
+      setOpenIndex((index) => (index === null ? index : (index + offset + attachments.length) % attachments.length)),
+    [attachments.length]
+  );
+
+  useEffect(() => {
+    if (openIndex === null) return;
+
+    const onKeyDown = (event: KeyboardEvent) => {
+      if (event.key === 'Escape') setOpenIndex(null);
+      if (event.key === 'ArrowLeft') step(-1);
+      if (event.key === 'ArrowRight') step(1);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [openIndex, step]);
+
+  if (attachments.length === 0) return null;
+
+  return (
+    <>
+      <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+        {attachments.map((attachment, index) => (
+          <button
+            key={attachment.id}
+            type="button"
+            onClick={() => setOpenIndex(index)}
+            className="group flex flex-col overflow-hidden rounded-lg border border-slate-200 text-left hover:border-blue-400 transition"
+            title={attachment.filename}
+          >
+            <div className="flex h-20 items-center justify-center bg-slate-50">
+              {isImage(attachment) ? (
+                <img src={fileUrl(attachment)} alt={attachment.filename} className="h-full w-full object-cover" />
+              ) : (
+                <FileText className="h-8 w-8 text-slate-400" />
+              )}
+            </div>
+            <div className="px-2 py-1">
+              <p className="truncate text-xs text-slate-700">{attachment.filename}</p>
+              {attachment.caption && <p className="truncate text-xs text-slate-500">{attachment.caption}</p>}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {open && (
+        <div
+          className="fixed inset-0 z-[60] flex flex-col bg-black bg-opacity-80 p-4"
+          role="dialog"
+          aria-label={`Attachment ${position}`}
+        >
+          <div className="flex items-center justify-between text-white mb-3">
+            <div className="min-w-0">
+              <p className="truncate font-medium">{open.filename}</p>
+              <p className="text-xs text-slate-300">
+                {position}
+                {open.caption ? ` · ${open.caption}` : ''}
+                {open.size != null ? ` · ${formatSize(open.size)}` : ''}
+                {open.ocr?.amount != null
+                  ? ` · Receipt reads ${open.ocr.currency ?? ''} ${open.ocr.amount}${open.ocr.merchant ? ` at ${open.ocr.merchant}` : ''}`
+                  : ''}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <a
+                href={fileUrl(open)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="p-2 rounded-lg hover:bg-white/10"
+                title="Open in new tab"
+              >
+                <ExternalLink className="w-5 h-5" />
+              </a>
+              <button onClick={() => setOpenIndex(null)} className="p-2 rounded-lg hover:bg-white/10" title="Close">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex flex-1 items-center gap-3 min-h-0">
+            {attachments.length > 1 && (
+              <button onClick={() => step(-1)} className="p-2 text-white rounded-full hover:bg-white/10" title="Previous">
+                <ChevronLeft className="w-6 h-6" />
+              </button>
+            )}
+            <div className="flex flex-1 h-full items-center justify-center min-w-0">
+              {isImage(open) ? (
+                <img src={fileUrl(open)} alt={open.filename} className="max-h-full max-w-full object-contain" />
+              ) : (
+                <iframe src={fileUrl(open)} title={open.filename} className="h-full w-full rounded bg-white" />
+              )}
+            </div>
+            {attachments.length > 1 && (
+              <button onClick={() => step(1)} className="p-2 text-white rounded-full hover:bg-white/10" title="Next">
+                <ChevronRight className="w-6 h-6" />
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
@@ -0,0 +1,254 @@
+import { CalendarClock } from 'lucide-react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { request } from '../lib/api';
+import { Delegation, User } from '../types';
+
+const toDateInput = (date: Date) => date.toISOString().slice(0, 10);
+
+const emptyForm = () => ({
+  delegate_id: '',
+  starts_at: toDateInput(new Date()),
+  ends_at: '',
+  reason: '',
+  reassign_pending: true,
+});
+
+// Lets an approver hand their approvals to a colleague while they are away
+export const DelegationPanel: React.FC<{ onChange?: () => void }> = ({ onChange }) => {
+  const { user, token } = useAuth();
+  const [delegations, setDelegations] = useState<Delegation[]>([]);
+  const [colleagues, setColleagues] = useState<User[]>([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadDelegations = useCallback(async () => {
+    if (!token) return;
+    try {
+      const data = await request<{ delegations: Delegation[] }>('/api/delegations', token);
+      setDelegations(data?.delegations ?? []);
+    } catch (err) {
+      console.error('Failed to load delegations', err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadDelegations();
+  }, [loadDelegations]);
+
+  useEffect(() => {
+    if (!token) return;
+    (async () => {
+      try {
+        const data = await request<{ users: User[] }>('/api/users', token);
+        setColleagues((data?.users ?? []).filter((candidate) => candidate.id !== user?.id));
+      } catch (err) {
+        console.error('Failed to load colleagues', err);
+      }
+    })();
+  }, [token, user?.id]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token) return;
+
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      // The end date is inclusive, so the window closes at the end of that day
+      const endsAt = new Date(`${formData.ends_at}T23:59:59`);
+      const data = await request<{ delegation: Delegation; reassigned: number }>('/api/delegations', token, {
+        method: 'POST',
+        body: JSON.stringify({
+          delegate_id: formData.delegate_id,
+          starts_at: new Date(`${formData.starts_at}T00:00:00`).toISOString(),
+          ends_at: endsAt.toISOString(),
+          reason: formData.reason,
+          reassign_pending: formData.reassign_pending,
+        }),
+      });
+      setNotice(
+        data.reassigned > 0
+          ? `${data.reassigned} pending approval${data.reassigned === 1 ? '' : 's'} handed to ${data.delegation.delegate.name}`
+          : `Approvals will go to ${data.delegation.delegate.name} while you are away`
+      );
+      setFormData(emptyForm());
+      loadDelegations();
+      onChange?.();
+    } catch (err) {
+      const apiError = err as { message?: string };
+      setError(apiError?.message || 'Failed to set up delegation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const endDelegation = async (delegation: Delegation) => {
+    if (!token) return;
+    try {
+      await request(`/api/delegations/${delegation.id}`, token, { method: 'DELETE' });
+      loadDelegations();
+      onChange?.();
+    } catch (err) {
+      const apiError = err as { message?: string };
+      setError(apiError?.message || 'Failed to end delegation');
+    }
+  };
+
+  const handOver = async (delegation: Delegation) => {
+    if (!token) return;
+    setError(null);
+    try {
+      const data = await request<{ reassigned: number }>(`/api/delegations/${delegation.id}/reassign`, token, {
+        method: 'POST',
+      });
+      setNotice(`${data.reassigned} pending approval${data.reassigned === 1 ? '' : 's'} handed to ${delegation.delegate.name}`);
+      onChange?.();
+    } catch (err) {
+      const apiError = err as { message?: string };
+      setError(apiError?.message || 'Failed to hand over approvals');
+    }
+  };
+
+  const open = delegations.filter((delegation) => delegation.status === 'active' || delegation.status === 'scheduled');
+
+  return (
+    <div className="mt-8 bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center mb-4">
+        <CalendarClock className="w-5 h-5 text-slate-500 mr-2" />
+        <h2 className="text-xl font-bold text-slate-900">Out of Office</h2>
+      </div>
+
+      {open.length > 0 && (
+        <ul className="mb-6 divide-y divide-slate-200">
+          {open.map((delegation) => {
+            const outgoing = delegation.delegator.id === user?.id;
+            return (
+              <li key={delegation.id} className="flex items-center justify-between py-3 text-sm">
+                <div>
+                  <div className="text-slate-900">
+                    {outgoing ? `Covered by ${delegation.delegate.name}` : `Covering for ${delegation.delegator.name}`}
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {new Date(delegation.starts_at).toLocaleDateString()} – {new Date(delegation.ends_at).toLocaleDateString()}
+                    {' · '}
+                    {delegation.status}
+                    {delegation.reason && ` · ${delegation.reason}`}
+                  </div>
+                </div>
+                {outgoing && (
+                  <div className="flex items-center space-x-2">
+                    {delegation.status === 'active' && (
+                      <button
+                        onClick={() => handOver(delegation)}
+                        className="px-3 py-1 text-sm text-blue-600 hover:bg-blue-50 rounded-lg transition"
+                      >
+                        Hand over pending
+                      </button>
+                    )}
+                    <button
+                      onClick={() => endDelegation(delegation)}
+                      className="px-3 py-1 text-sm text-red-600 hover:bg-red-50 rounded-lg transition"
+                    >
+                      {delegation.status === 'active' ? 'End' : 'Cancel'}
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {error && (
+        <div className="mb-4 rounded border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">{error}</div>
+      )}
+      {notice && (
+        <div className="mb-4 rounded border border-green-200 bg-green-50 px-3 py-2 text-sm text-green-700">{notice}</div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <div>
+          <label htmlFor="delegateId" className="block text-sm font-medium text-slate-700 mb-2">
+            Delegate
+          </label>
+          <select
+            id="delegateId"
+            value={formData.delegate_id}
+            onChange={(e) => setFormData({ ...formData, delegate_id: e.target.value })}
+            required
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Select a colleague</option>
+            {colleagues.map((colleague) => (
+              <option key={colleague.id} value={colleague.id}>
+                {colleague.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="delegationStart" className="block text-sm font-medium text-slate-700 mb-2">
+            From
+          </label>
+          <input
+            id="delegationStart"
+            type="date"
+            value={formData.starts_at}
+            onChange={(e) => setFormData({ ...formData, starts_at: e.target.value })}
+            required
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label htmlFor="delegationEnd" className="block text-sm font-medium text-slate-700 mb-2">
+            Until
+          </label>
+          <input
+            id="delegationEnd"
+            type="date"
+            value={formData.ends_at}
+            min={formData.starts_at}
+            onChange={(e) => setFormData({ ...formData, ends_at: e.target.value })}
+            required
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label htmlFor="delegationReason" className="block text-sm font-medium text-slate-700 mb-2">
+            Reason
+          </label>
+          <input
+            id="delegationReason"
+            type="text"
+            value={formData.reason}
+            onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+            placeholder="Annual leave"
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <label className="md:col-span-3 flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={formData.reassign_pending}
+            onChange={(e) => setFormData({ ...formData, reassign_pending: e.target.checked })}
+            className="mr-2"
+          />
+          Also hand over approvals already waiting for me
+        </label>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-60"
+          >
+            {saving ? 'Saving...' : 'Delegate Approvals'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
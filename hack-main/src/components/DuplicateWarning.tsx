@@ -0,0 +1,22 @@
+import { Copy } from 'lucide-react';
+import React from 'react';
+import { DUPLICATE_REASON_LABELS, describeDuplicate } from '../lib/expenseOptions';
+import type { PossibleDuplicate } from '../types';
+
+export const DuplicateWarning: React.FC<{ duplicates: PossibleDuplicate[] }> = ({ duplicates }) => {
+  if (duplicates.length === 0) return null;
+
+  return (
+    <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800" role="alert">
+      {duplicates.map((duplicate, index) => (
+        <p key={duplicate.expense_id ?? index} className="flex items-start gap-2">
+          <Copy className="mt-0.5 h-4 w-4 flex-shrink-0" />
+          <span>
+            Possible duplicate of {describeDuplicate(duplicate)}:{' '}
+            {duplicate.reasons.map((reason) => DUPLICATE_REASON_LABELS[reason]).join(', ')}
+          </span>
+        </p>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { request } from '../lib/api';
+
+export const EmailVerificationBanner: React.FC = () => {
+  const { user, token } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!user || user.email_verified !== false) return null;
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      const data = await request<{ message: string }>('/api/auth/resend-verification', token, { method: 'POST' });
+      setMessage(data.message);
+    } catch (error: unknown) {
+      const apiError = error as { message?: string };
+      setMessage(apiError?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between text-sm text-amber-800">
+        <span>{message || `Please verify ${user.email} using the link we emailed you.`}</span>
+        {!message && (
+          <button
+            onClick={resend}
+            disabled={sending}
+            className="font-medium text-amber-900 hover:underline disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Resend email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
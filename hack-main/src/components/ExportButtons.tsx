@@ -0,0 +1,42 @@
+import { Download } from 'lucide-react';
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { downloadFile } from '../lib/api';
+
+interface ExportButtonsProps {
+  params?: Record<string, string>;
+}
+
+export const ExportButtons: React.FC<ExportButtonsProps> = ({ params = {} }) => {
+  const { token } = useAuth();
+  const [exporting, setExporting] = useState<'csv' | 'xlsx' | null>(null);
+
+  const handleExport = async (format: 'csv' | 'xlsx') => {
+    setExporting(format);
+    try {
+      const query = new URLSearchParams({ ...params, format });
+      await downloadFile(`/api/expenses/export?${query.toString()}`, token, `expenses.${format}`);
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      alert(apiError?.message || 'Failed to export expenses');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      {(['csv', 'xlsx'] as const).map((format) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={exporting !== null}
+          className="flex items-center px-3 py-2 text-sm border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition disabled:opacity-50"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          {exporting === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+        </button>
+      ))}
+    </div>
+  );
+};
@@ -1,7 +1,9 @@
-import { Bell, LayoutDashboard, LogOut, Menu, X } from 'lucide-react';
-import React, { useState } from 'react';
+import { Bell, LayoutDashboard, LogOut, Menu, MonitorOff, X } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { ROLE_MENU_ITEMS, type RoleKey } from '../lib/navigationConfig';
+import { request } from '../lib/api';
+import { useLiveEvent } from '../lib/liveEvents';
+import { menuItemsFor } from '../lib/navigationConfig';
 
 interface NavigationProps {
   currentPage: string;
@@ -9,13 +11,23 @@ interface NavigationProps {
 }
 
 export const Navigation: React.FC<NavigationProps> = ({ currentPage, onNavigate }) => {
-  const { user, signOut } = useAuth();
+  const { user, token, signOut, signOutEverywhere } = useAuth();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useEffect(() => {
+    if (!token) return;
+    request<{ count: number }>('/api/notifications/unread-count', token)
+      .then((data) => setUnreadCount(data.count))
+      .catch((error) => console.error('Failed to load unread count', error));
+  }, [token]);
+
+  useLiveEvent<{ unread_count: number }>('notification', (data) => setUnreadCount(data.unread_count));
+  useLiveEvent<{ unread_count: number }>('notifications.read', (data) => setUnreadCount(data.unread_count));
 
   if (!user) return null;
 
-  const role = user.role as RoleKey;
-  const items = ROLE_MENU_ITEMS[role] || [];
+  const items = menuItemsFor(user);
 
   const handleSignOut = async () => {
     try {
@@ -25,6 +37,15 @@ export const Navigation: React.FC<NavigationProps> = ({ currentPage, onNavigate
     }
   };
 
+  const handleSignOutEverywhere = async () => {
+    if (!confirm('Sign out of every device, including this one?')) return;
+    try {
+      await signOutEverywhere();
+    } catch (error) {
+      console.error('Error signing out of all devices:', error);
+    }
+  };
+
   return (
     <>
       <nav className="bg-white border-b border-slate-200 sticky top-0 z-40">
@@ -63,15 +84,28 @@ export const Navigation: React.FC<NavigationProps> = ({ currentPage, onNavigate
                 className="relative p-2 text-slate-600 hover:text-slate-900 hover:bg-slate-50 rounded-lg transition"
               >
                 <Bell className="w-5 h-5" />
+                {unreadCount > 0 && (
+                  <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-medium flex items-center justify-center">
+                    {unreadCount > 99 ? '99+' : unreadCount}
+                  </span>
+                )}
               </button>
 
               <div className="hidden md:flex items-center space-x-3 pl-3 border-l border-slate-200">
                 <div className="text-right">
                   <div className="text-sm font-medium text-slate-900">{user.name}</div>
-                  <div className="text-xs text-slate-500 capitalize">{user.role}</div>
+                  <div className="text-xs text-slate-500 capitalize">{user.role_name || user.role}</div>
                 </div>
+                <button
+                  onClick={handleSignOutEverywhere}
+                  title="Sign out all devices"
+                  className="p-2 text-slate-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition"
+                >
+                  <MonitorOff className="w-5 h-5" />
+                </button>
                 <button
                   onClick={handleSignOut}
+                  title="Sign out"
                   className="p-2 text-slate-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition"
                 >
                   <LogOut className="w-5 h-5" />
@@ -121,6 +155,16 @@ export const Navigation: React.FC<NavigationProps> = ({ currentPage, onNavigate
                 <LogOut className="w-5 h-5 mr-3" />
                 Sign Out
               </button>
+              <button
+                onClick={() => {
+                  handleSignOutEverywhere();
+                  setMobileMenuOpen(false);
+                }}
+                className="flex items-center w-full px-4 py-3 text-red-600 hover:bg-red-50 rounded-lg transition"
+              >
+                <MonitorOff className="w-5 h-5 mr-3" />
+                Sign Out All Devices
+              </button>
             </div>
           </div>
         )}
@@ -0,0 +1,152 @@
+import { Mail } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { request } from '../lib/api';
+import { NotificationChannel, NotificationPreferences } from '../types';
+
+const TYPE_LABELS: Array<{ type: keyof NotificationPreferences['types']; label: string }> = [
+  { type: 'approval', label: 'Approvals and requests for review' },
+  { type: 'rejection', label: 'Rejections' },
+  { type: 'info', label: 'Other updates' },
+];
+
+// Chooses which notifications also arrive by email or in a Slack/Teams channel
+export const NotificationPreferencesPanel: React.FC = () => {
+  const { token } = useAuth();
+  const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{ kind: 'error' | 'success'; text: string } | null>(null);
+
+  useEffect(() => {
+    if (!token) return;
+    (async () => {
+      try {
+        const data = await request<{ preferences: NotificationPreferences }>('/api/notifications/preferences', token);
+        setPreferences(data?.preferences ?? null);
+      } catch (error) {
+        console.error('Failed to load notification preferences', error);
+      }
+    })();
+  }, [token]);
+
+  if (!preferences) return null;
+
+  const toggle = (type: keyof NotificationPreferences['types'], channel: NotificationChannel) => {
+    setPreferences({
+      ...preferences,
+      types: {
+        ...preferences.types,
+        [type]: { ...preferences.types[type], [channel]: !preferences.types[type][channel] },
+      },
+    });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token) return;
+
+    setSaving(true);
+    setMessage(null);
+    try {
+      const data = await request<{ preferences: NotificationPreferences }>('/api/notifications/preferences', token, {
+        method: 'PUT',
+        body: JSON.stringify(preferences),
+      });
+      setPreferences(data.preferences);
+      setMessage({ kind: 'success', text: 'Delivery preferences saved' });
+    } catch (error) {
+      const apiError = error as { message?: string };
+      setMessage({ kind: 'error', text: apiError?.message || 'Failed to save preferences' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center mb-4">
+        <Mail className="w-5 h-5 text-slate-500 mr-2" />
+        <h2 className="text-xl font-bold text-slate-900">Delivery</h2>
+      </div>
+
+      {message && (
+        <div
+          className={`mb-4 rounded border px-3 py-2 text-sm ${
+            message.kind === 'error' ? 'border-red-200 bg-red-50 text-red-700' : 'border-green-200 bg-green-50 text-green-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="py-2 font-medium">Notification</th>
+              <th className="py-2 font-medium text-center">Email</th>
+              <th className="py-2 font-medium text-center">Chat webhook</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-200">
+            {TYPE_LABELS.map(({ type, label }) => (
+              <tr key={type}>
+                <td className="py-2 text-slate-700">{label}</td>
+                {(['email', 'webhook'] as const).map((channel) => (
+                  <td key={channel} className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      aria-label={`${label} by ${channel}`}
+                      checked={preferences.types[type][channel]}
+                      onChange={() => toggle(type, channel)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div>
+          <label htmlFor="webhookUrl" className="block text-sm font-medium text-slate-700 mb-2">
+            Chat webhook URL
+          </label>
+          <input
+            id="webhookUrl"
+            type="url"
+            value={preferences.webhook_url ?? ''}
+            onChange={(e) => setPreferences({ ...preferences, webhook_url: e.target.value || null })}
+            placeholder="https://hooks.slack.com/services/..."
+            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <p className="mt-1 text-xs text-slate-500">Slack and Microsoft Teams incoming webhooks both work.</p>
+        </div>
+
+        <div>
+          <label htmlFor="digest" className="block text-sm font-medium text-slate-700 mb-2">
+            Frequency
+          </label>
+          <select
+            id="digest"
+            value={preferences.digest}
+            onChange={(e) => setPreferences({ ...preferences, digest: e.target.value as NotificationPreferences['digest'] })}
+            className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="off">Send each notification right away</option>
+            <option value="daily">Bundle into one daily digest</option>
+          </select>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-60"
+          >
+            {saving ? 'Saving...' : 'Save Preferences'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
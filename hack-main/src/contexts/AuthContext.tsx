@@ -1,7 +1,13 @@
-import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
-import { request } from '../lib/api';
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { request, setTokenRefresher } from '../lib/api';
 import { User } from '../types';
 
+export interface CompanySignupDetails {
+  name: string;
+  country: string;
+  defaultCurrency: string;
+}
+
 interface AuthContextType {
   user: User | null;
   token: string | null;
@@ -11,16 +17,24 @@ interface AuthContextType {
     name: string,
     email: string,
     password: string,
-    country: string,
-    role: User['role'],
+    company: CompanySignupDetails,
     adminKey?: string
   ) => Promise<User>;
-  signOut: () => void;
+  acceptInvitation: (inviteToken: string, name: string, password: string) => Promise<User>;
+  signOut: () => Promise<void>;
+  signOutEverywhere: () => Promise<void>;
   configError: string | null;
   refreshUser: () => Promise<void>;
 }
 
 const TOKEN_STORAGE_KEY = 'expense-manager-token';
+const REFRESH_TOKEN_STORAGE_KEY = 'expense-manager-refresh-token';
+
+interface AuthResponse {
+  token: string;
+  refresh_token: string;
+  user: User;
+}
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
@@ -41,15 +55,66 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
   const apiUrl = import.meta.env.VITE_API_URL;
 
-  const persistToken = useCallback((value: string | null) => {
+  const refreshInFlight = useRef<Promise<string | null> | null>(null);
+
+  const persistToken = useCallback((value: string | null, refreshToken?: string | null) => {
     if (value) {
       localStorage.setItem(TOKEN_STORAGE_KEY, value);
     } else {
       localStorage.removeItem(TOKEN_STORAGE_KEY);
     }
+    if (refreshToken) {
+      localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, refreshToken);
+    } else if (!value) {
+      localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
+    }
     setToken(value);
   }, []);
 
+  const startSession = useCallback(
+    (data: AuthResponse) => {
+      persistToken(data.token, data.refresh_token);
+      setUser(data.user);
+      return data.user;
+    },
+    [persistToken]
+  );
+
+  // Concurrent 401s share one refresh, since each refresh token can be used only once
+  const refreshSession = useCallback(() => {
+    if (!refreshInFlight.current) {
+      refreshInFlight.current = (async () => {
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+        if (!refreshToken) return null;
+
+        try {
+          const data = await request<AuthResponse>('/api/auth/refresh', null, {
+            method: 'POST',
+            body: JSON.stringify({ refresh_token: refreshToken }),
+          });
+          persistToken(data.token, data.refresh_token);
+          setUser(data.user);
+          return data.token;
+        } catch (error: unknown) {
+          const apiError = error as { status?: number } | undefined;
+          if (apiError?.status === 401) {
+            persistToken(null);
+            setUser(null);
+          }
+          return null;
+        } finally {
+          refreshInFlight.current = null;
+        }
+      })();
+    }
+    return refreshInFlight.current;
+  }, [persistToken]);
+
+  useEffect(() => {
+    setTokenRefresher(refreshSession);
+    return () => setTokenRefresher(null);
+  }, [refreshSession]);
+
   const loadUser = useCallback(
     async (authToken: string) => {
       try {
@@ -107,16 +172,14 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         throw new Error('API is not configured. Set VITE_API_URL in your .env file.');
       }
 
-      const data = await request<{ token: string; user: User }>('/api/auth/login', null, {
+      const data = await request<AuthResponse>('/api/auth/login', null, {
         method: 'POST',
         body: JSON.stringify({ email, password }),
       });
 
-      persistToken(data.token);
-      setUser(data.user);
-      return data.user;
+      return startSession(data);
     },
-    [apiUrl, persistToken]
+    [apiUrl, startSession]
   );
 
   const signUp = useCallback(
@@ -124,56 +187,78 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       name: string,
       email: string,
       password: string,
-      country: string,
-      role: User['role'],
+      company: CompanySignupDetails,
       adminKey?: string
     ) => {
       if (!apiUrl) {
         throw new Error('API is not configured. Set VITE_API_URL in your .env file.');
       }
 
-      // Prepare payload for admin signup
-      const payload: {
-        name: string;
-        email: string;
-        password: string;
-        country: string;
-        role: User['role'];
-        adminSignupKey?: string;
-        companyName?: string;
-        defaultCurrency?: string;
-      } = {
-        name,
-        email,
-        password,
-        role,
-        country,
-      };
-
-      // For admin signup, add required fields
-      if (role === 'admin') {
-        payload.adminSignupKey = adminKey;
-        payload.companyName = `${name}'s Company`;
-        payload.defaultCurrency = 'USD';
-      }
-
-      const data = await request<{ token: string; user: User }>('/api/auth/signup', null, {
+      // Signing up always creates a new company with this user as its admin
+      const data = await request<AuthResponse>('/api/auth/signup', null, {
         method: 'POST',
-        body: JSON.stringify(payload),
+        body: JSON.stringify({
+          name,
+          email,
+          password,
+          role: 'admin',
+          companyName: company.name,
+          country: company.country,
+          defaultCurrency: company.defaultCurrency,
+          adminSignupKey: adminKey || undefined,
+        }),
       });
 
-      persistToken(data.token);
-      setUser(data.user);
-      return data.user;
+      return startSession(data);
     },
-    [apiUrl, persistToken]
+    [apiUrl, startSession]
   );
 
-  const signOut = useCallback(() => {
+  const acceptInvitation = useCallback(
+    async (inviteToken: string, name: string, password: string) => {
+      if (!apiUrl) {
+        throw new Error('API is not configured. Set VITE_API_URL in your .env file.');
+      }
+
+      const data = await request<AuthResponse>(
+        `/api/invitations/${encodeURIComponent(inviteToken)}/accept`,
+        null,
+        {
+          method: 'POST',
+          body: JSON.stringify({ name, password }),
+        }
+      );
+
+      return startSession(data);
+    },
+    [apiUrl, startSession]
+  );
+
+  const signOut = useCallback(async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
     persistToken(null);
     setUser(null);
+
+    if (refreshToken) {
+      try {
+        await request('/api/auth/logout', null, {
+          method: 'POST',
+          body: JSON.stringify({ refresh_token: refreshToken }),
+        });
+      } catch (error) {
+        console.error('Failed to end session on the server', error);
+      }
+    }
   }, [persistToken]);
 
+  const signOutEverywhere = useCallback(async () => {
+    if (token) {
+      await request('/api/auth/logout-all', token, { method: 'POST' });
+    }
+    persistToken(null);
+    setUser(null);
+  }, [persistToken, token]);
+
   const refreshUser = useCallback(async () => {
     if (!token) return;
     await loadUser(token);
@@ -186,11 +271,13 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       loading,
       signIn,
       signUp,
+      acceptInvitation,
       signOut,
+      signOutEverywhere,
       configError,
       refreshUser,
     }),
-    [configError, loading, refreshUser, signIn, signOut, signUp, token, user]
+    [acceptInvitation, configError, loading, refreshUser, signIn, signOut, signOutEverywhere, signUp, token, user]
   );
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -38,6 +38,34 @@ const makeError = async (response: Response): Promise<ApiError> => {
   return error;
 };
 
+type TokenRefresher = () => Promise<string | null>;
+
+let refreshAccessToken: TokenRefresher | null = null;
+
+// The auth provider registers how to swap an expired access token for a fresh one
+export const setTokenRefresher = (refresher: TokenRefresher | null) => {
+  refreshAccessToken = refresher;
+};
+
+// EventSource cannot send an Authorization header, so the stream is opened with a single-use ticket instead
+export const eventStreamUrl = (path: string, ticket: string): string | null =>
+  API_BASE_URL ? `${API_BASE_URL}${path}?ticket=${encodeURIComponent(ticket)}` : null;
+
+// Sends an authenticated request, refreshing the access token once if it was rejected
+const fetchWithRefresh = async (
+  path: string,
+  token: string | null,
+  send: (authToken: string | null) => Promise<Response>
+): Promise<Response> => {
+  const response = await send(token);
+  if (response.status !== 401 || !token || !refreshAccessToken || path.startsWith('/api/auth/')) {
+    return response;
+  }
+
+  const freshToken = await refreshAccessToken();
+  return freshToken ? send(freshToken) : response;
+};
+
 export const request = async <T>(
   path: string,
   token: string | null,
@@ -47,14 +75,16 @@ export const request = async <T>(
     throw Object.assign(new Error('Missing VITE_API_URL environment variable'), { status: 500 });
   }
 
-  const response = await fetch(`${API_BASE_URL}${path}`, {
-    ...options,
-    headers: buildHeaders(
-      token,
-      options.headers || {},
-      options.body instanceof FormData
-    ),
-  });
+  const response = await fetchWithRefresh(path, token, (authToken) =>
+    fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: buildHeaders(
+        authToken,
+        options.headers || {},
+        options.body instanceof FormData
+      ),
+    })
+  );
 
   if (!response.ok) {
     throw await makeError(response);
@@ -64,3 +94,31 @@ export const request = async <T>(
     ? ((await response.json()) as T)
     : (undefined as T);
 };
+
+// Fetches a file attachment and hands it to the browser as a download
+export const downloadFile = async (path: string, token: string | null, fallbackName: string): Promise<void> => {
+  if (!API_BASE_URL) {
+    throw Object.assign(new Error('Missing VITE_API_URL environment variable'), { status: 500 });
+  }
+
+  const response = await fetchWithRefresh(path, token, (authToken) =>
+    fetch(`${API_BASE_URL}${path}`, {
+      headers: buildHeaders(authToken, {}, true),
+    })
+  );
+
+  if (!response.ok) {
+    throw await makeError(response);
+  }
+
+  const disposition = response.headers.get('content-disposition') || '';
+  const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -5,13 +5,15 @@ export const fetchCurrencyConversion = async (
   token: string,
   from: string,
   to: string,
-  amount: number
+  amount: number,
+  date?: string
 ): Promise<CurrencyQuote> => {
   const params = new URLSearchParams({
     from,
     to,
     amount: amount.toString(),
   });
+  if (date) params.set('date', date);
 
   const data = await request<{ quote: CurrencyQuote }>(`/api/currency/convert?${params.toString()}`, token);
   return data.quote;
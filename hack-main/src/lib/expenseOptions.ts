@@ -0,0 +1,26 @@
+import type { PossibleDuplicate } from '../types';
+
+export const PAID_BY_OPTIONS = [
+  'Cash',
+  'Credit Card',
+  'Debit Card',
+  'Bank Transfer',
+  'UPI',
+  'Net Banking',
+  'Cheque',
+  'Company Card',
+  'Petty Cash',
+  'Other',
+];
+
+export const DUPLICATE_REASON_LABELS: Record<PossibleDuplicate['reasons'][number], string> = {
+  same_file: 'same receipt file',
+  similar_image: 'receipt image looks the same',
+  same_amount_and_date: 'same amount on the same day',
+  same_merchant: 'same merchant',
+};
+
+export const describeDuplicate = (duplicate: PossibleDuplicate) =>
+  duplicate.expense_id && duplicate.amount != null && duplicate.date
+    ? `expense “${duplicate.description}” (${duplicate.currency} ${duplicate.amount.toFixed(2)}, ${new Date(duplicate.date).toLocaleDateString()})`
+    : 'an expense you cannot view';
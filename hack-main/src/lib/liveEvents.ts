@@ -0,0 +1,92 @@
+import { useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { eventStreamUrl, request } from './api';
+
+export type LiveEventName = 'notification' | 'notifications.read' | 'approval.updated' | 'expense.updated';
+
+type LiveEventHandler = (data: unknown) => void;
+
+// One stream per tab is shared by every component listening for live events
+const handlers = new Map<LiveEventName, Set<LiveEventHandler>>();
+let source: EventSource | null = null;
+let sourceToken: string | null = null;
+// Bumped on every connect and disconnect so a ticket that arrives late does not open a stale stream
+let attempt = 0;
+let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+
+const RECONNECT_DELAY_MS = 5000;
+
+const dispatch = (event: LiveEventName) => (message: MessageEvent) => {
+  let data: unknown = null;
+  try {
+    data = JSON.parse(message.data);
+  } catch {
+    return;
+  }
+  handlers.get(event)?.forEach((handler) => handler(data));
+};
+
+const disconnect = () => {
+  source?.close();
+  source = null;
+  sourceToken = null;
+  attempt += 1;
+  if (reconnectTimer) clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+};
+
+const connect = (token: string) => {
+  if (typeof EventSource === 'undefined') return;
+  if (sourceToken === token) return;
+
+  disconnect();
+  sourceToken = token;
+  const current = attempt;
+  request<{ ticket: string }>('/api/notifications/stream-ticket', token, { method: 'POST' })
+    .then(({ ticket }) => {
+      const url = eventStreamUrl('/api/notifications/stream', ticket);
+      if (current !== attempt || !url) return;
+
+      source = new EventSource(url);
+      handlers.forEach((_, event) => source?.addEventListener(event, dispatch(event) as EventListener));
+      source.onerror = () => {
+        // The browser retries dropped streams with the same, already used ticket; once refused, fetch a new one
+        if (source?.readyState !== EventSource.CLOSED) return;
+        disconnect();
+        reconnectTimer = setTimeout(() => connect(token), RECONNECT_DELAY_MS);
+      };
+    })
+    .catch(() => {
+      if (current === attempt) sourceToken = null;
+    });
+};
+
+const subscribe = (token: string, event: LiveEventName, handler: LiveEventHandler) => {
+  if (!handlers.has(event)) {
+    handlers.set(event, new Set());
+    source?.addEventListener(event, dispatch(event) as EventListener);
+  }
+  handlers.get(event)?.add(handler);
+  connect(token);
+
+  return () => {
+    handlers.get(event)?.delete(handler);
+    const listening = Array.from(handlers.values()).some((set) => set.size > 0);
+    if (!listening) disconnect();
+  };
+};
+
+// Calls the handler whenever the server pushes this event to the signed-in user
+export const useLiveEvent = <T = unknown>(event: LiveEventName, handler: (data: T) => void) => {
+  const { token } = useAuth();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!token) return;
+    return subscribe(token, event, (data) => handlerRef.current(data as T));
+  }, [token, event]);
+};
@@ -1,11 +1,16 @@
 import {
+    BarChart3,
     CheckSquare,
     FileText,
     LayoutDashboard,
     Settings,
+    ShieldCheck,
     Users,
+    Webhook,
 } from 'lucide-react';
 import type { ComponentType } from 'react';
+import type { User } from '../types';
+import { hasPermission } from './permissions';
 
 export type RoleKey = 'admin' | 'manager' | 'employee';
 
@@ -13,31 +18,39 @@ export interface RoleMenuItem {
   id: string;
   label: string;
   icon: ComponentType<{ className?: string }>;
+  // Shown to anyone holding at least one of these permissions
+  permissions?: string[];
+  // Shown to these built-in roles whatever their permissions
+  roles?: RoleKey[];
 }
 
-export const ROLE_MENU_ITEMS: Record<RoleKey, RoleMenuItem[]> = {
-  admin: [
-    { id: 'user-management', label: 'Users', icon: Users },
-    { id: 'manager-dashboard', label: 'Approvals', icon: CheckSquare },
-    { id: 'approval-rules', label: 'Approval Rules', icon: FileText },
-    { id: 'audit-logs', label: 'Audit Logs', icon: FileText },
-    { id: 'company-settings', label: 'Settings', icon: Settings },
-  ],
-  manager: [
-    { id: 'manager-dashboard', label: 'Approvals', icon: CheckSquare },
-    { id: 'employee-dashboard', label: 'Submit Expense', icon: LayoutDashboard },
-    { id: 'my-expenses', label: 'My Expenses', icon: FileText },
-  ],
-  employee: [
-    { id: 'employee-dashboard', label: 'Submit Expense', icon: LayoutDashboard },
-    { id: 'my-expenses', label: 'My Expenses', icon: FileText },
-  ],
-};
+export const MENU_ITEMS: RoleMenuItem[] = [
+  { id: 'user-management', label: 'Users', icon: Users, permissions: ['users.manage'] },
+  { id: 'role-management', label: 'Roles', icon: ShieldCheck, permissions: ['roles.manage'] },
+  {
+    id: 'manager-dashboard',
+    label: 'Approvals',
+    icon: CheckSquare,
+    permissions: ['approvals.decide_team', 'approvals.decide_all', 'expenses.view_team', 'expenses.view_all'],
+  },
+  { id: 'analytics', label: 'Analytics', icon: BarChart3, permissions: ['reports.view'] },
+  { id: 'employee-dashboard', label: 'Submit Expense', icon: LayoutDashboard, roles: ['manager', 'employee'] },
+  { id: 'my-expenses', label: 'My Expenses', icon: FileText, roles: ['manager', 'employee'] },
+  { id: 'approval-rules', label: 'Approval Rules', icon: FileText, permissions: ['approval_rules.manage'] },
+  { id: 'audit-logs', label: 'Audit Logs', icon: FileText, permissions: ['audit_logs.view'] },
+  { id: 'webhooks', label: 'Webhooks', icon: Webhook, permissions: ['webhooks.manage'] },
+  { id: 'company-settings', label: 'Settings', icon: Settings, permissions: ['company.manage'] },
+];
 
-export const DEFAULT_PAGE_BY_ROLE: Record<RoleKey, string> = {
-  admin: 'user-management',
-  manager: 'manager-dashboard',
-  employee: 'employee-dashboard',
+export const menuItemsFor = (user: User | null): RoleMenuItem[] => {
+  if (!user) return [];
+  return MENU_ITEMS.filter(
+    (item) =>
+      item.roles?.includes(user.role) || (item.permissions && hasPermission(user, ...item.permissions))
+  );
 };
 
+// Users land on the first page their menu offers
+export const defaultPageFor = (user: User | null): string => menuItemsFor(user)[0]?.id ?? 'notifications';
+
 export const SHARED_PAGES = ['notifications'];
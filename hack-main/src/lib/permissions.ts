@@ -0,0 +1,7 @@
+import type { User } from '../types';
+
+// Mirrors the server check: at least one of the listed permissions is enough
+export const hasPermission = (user: User | null | undefined, ...permissions: string[]): boolean => {
+  const granted = user?.permissions ?? [];
+  return permissions.some((permission) => granted.includes(permission));
+};
@@ -0,0 +1,127 @@
+import { CheckCircle, XCircle } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { request } from '../lib/api';
+import type { ApprovalActionPreview } from '../types';
+
+// Landing page for the approve/reject links in review emails; works without signing in
+export const ApprovalAction: React.FC<{ actionToken: string; onContinue: () => void }> = ({ actionToken, onContinue }) => {
+  const [action, setAction] = useState<ApprovalActionPreview | null>(null);
+  const [status, setStatus] = useState<'loading' | 'ready' | 'submitting' | 'done' | 'failed'>('loading');
+  const [comments, setComments] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const data = await request<{ action: ApprovalActionPreview }>(
+          `/api/approval-actions/${encodeURIComponent(actionToken)}`,
+          null
+        );
+        if (cancelled) return;
+        setAction(data.action);
+        setStatus('ready');
+      } catch (err: unknown) {
+        if (cancelled) return;
+        const apiError = err as { message?: string };
+        setError(apiError?.message || 'This link is not valid');
+        setStatus('failed');
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [actionToken]);
+
+  // Confirming is a separate step so mail scanners that open links cannot decide anything
+  const handleConfirm = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setStatus('submitting');
+    try {
+      await request(`/api/approval-actions/${encodeURIComponent(actionToken)}`, null, {
+        method: 'POST',
+        body: JSON.stringify({ comments }),
+      });
+      setStatus('done');
+    } catch (err: unknown) {
+      const apiError = err as { message?: string };
+      setError(apiError?.message || 'Failed to record the decision');
+      setStatus('failed');
+    }
+  };
+
+  const approving = action?.decision === 'approved';
+  const Icon = approving ? CheckCircle : XCircle;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-8">
+        <div className="flex items-center justify-center mb-8">
+          <div className={`${approving ? 'bg-green-600' : 'bg-red-600'} p-3 rounded-xl`}>
+            <Icon className="w-8 h-8 text-white" />
+          </div>
+        </div>
+
+        {status === 'loading' && <p className="text-center text-slate-600">Checking link...</p>}
+
+        {status === 'failed' && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">{error}</div>
+        )}
+
+        {action && status !== 'loading' && status !== 'failed' && (
+          <>
+            <h1 className="text-3xl font-bold text-center text-slate-900 mb-2">
+              {status === 'done' ? (approving ? 'Approved' : 'Rejected') : approving ? 'Approve Expense' : 'Reject Expense'}
+            </h1>
+            <div className="rounded-lg bg-slate-50 border border-slate-200 p-4 my-6 text-sm">
+              <div className="font-medium text-slate-900">{action.description}</div>
+              <div className="text-slate-600 mt-1">
+                {action.currency} {Number(action.amount).toFixed(2)}
+                {action.requester && ` · ${action.requester}`}
+                {action.kind === 'report' && ' · Expense report'}
+              </div>
+            </div>
+
+            {status === 'done' ? (
+              <p className="text-center text-slate-600 mb-6">Your decision has been recorded.</p>
+            ) : (
+              <form onSubmit={handleConfirm} className="space-y-4">
+                <div>
+                  <label htmlFor="actionComments" className="block text-sm font-medium text-slate-700 mb-2">
+                    Comments {approving ? '(optional)' : ''}
+                  </label>
+                  <textarea
+                    id="actionComments"
+                    value={comments}
+                    onChange={(e) => setComments(e.target.value)}
+                    rows={3}
+                    className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={status === 'submitting'}
+                  className={`w-full text-white py-3 rounded-lg font-medium transition disabled:opacity-50 ${
+                    approving ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
+                  }`}
+                >
+                  {status === 'submitting' ? 'Saving...' : approving ? 'Confirm Approval' : 'Confirm Rejection'}
+                </button>
+              </form>
+            )}
+          </>
+        )}
+
+        {(status === 'done' || status === 'failed') && (
+          <button
+            onClick={onContinue}
+            className="w-full mt-6 border border-slate-300 text-slate-700 py-3 rounded-lg font-medium hover:bg-slate-50 transition"
+          >
+            Go to the app
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -2,7 +2,10 @@ import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { LogIn } from 'lucide-react';
 
-export const Login: React.FC<{ onNavigateToSignup: () => void }> = ({ onNavigateToSignup }) => {
+export const Login: React.FC<{ onNavigateToSignup: () => void; onNavigateToForgotPassword: () => void }> = ({
+  onNavigateToSignup,
+  onNavigateToForgotPassword,
+}) => {
   const { signIn } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -74,6 +77,15 @@ export const Login: React.FC<{ onNavigateToSignup: () => void }> = ({ onNavigate
               className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
               placeholder="Enter your password"
             />
+            <div className="mt-2 text-right">
+              <button
+                type="button"
+                onClick={onNavigateToForgotPassword}
+                className="text-sm text-blue-600 hover:text-blue-700 transition"
+              >
+                Forgot password?
+              </button>
+            </div>
           </div>
 
           <button
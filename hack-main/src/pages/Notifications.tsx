@@ -1,7 +1,9 @@
 import { Bell, Check, X } from 'lucide-react';
 import React, { useCallback, useEffect, useState } from 'react';
+import { NotificationPreferencesPanel } from '../components/NotificationPreferencesPanel';
 import { useAuth } from '../contexts/AuthContext';
 import { request } from '../lib/api';
+import { useLiveEvent } from '../lib/liveEvents';
 import { Notification } from '../types';
 
 export const Notifications: React.FC = () => {
@@ -31,6 +33,10 @@ export const Notifications: React.FC = () => {
     loadNotifications();
   }, [loadNotifications]);
 
+  useLiveEvent<{ notification: Notification }>('notification', (data) => {
+    setNotifications((prev) => [data.notification, ...prev]);
+  });
+
   const markAsRead = async (notificationId: string) => {
     if (!token) return;
     await request(`/api/notifications/${notificationId}/read`, token, { method: 'POST' });
@@ -122,6 +128,8 @@ export const Notifications: React.FC = () => {
           </div>
         )}
       </div>
+
+      <NotificationPreferencesPanel />
     </div>
   );
 };
@@ -0,0 +1,154 @@
+import { KeyRound } from 'lucide-react';
+import React, { useState } from 'react';
+import { request } from '../lib/api';
+
+interface ResetPasswordProps {
+  // Present when the user arrived from a reset email; otherwise the page asks for their email
+  resetToken?: string | null;
+  onNavigateToLogin: () => void;
+}
+
+export const ResetPassword: React.FC<ResetPasswordProps> = ({ resetToken = null, onNavigateToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (resetToken) {
+      if (password !== confirmPassword) {
+        setError('Passwords do not match');
+        return;
+      }
+      if (password.length < 6) {
+        setError('Password must be at least 6 characters');
+        return;
+      }
+    }
+
+    setLoading(true);
+    try {
+      const data = resetToken
+        ? await request<{ message: string }>('/api/auth/reset-password', null, {
+            method: 'POST',
+            body: JSON.stringify({ token: resetToken, password }),
+          })
+        : await request<{ message: string }>('/api/auth/forgot-password', null, {
+            method: 'POST',
+            body: JSON.stringify({ email }),
+          });
+      setMessage(data.message);
+    } catch (err: unknown) {
+      const apiError = err as { message?: string };
+      setError(apiError?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-8">
+        <div className="flex items-center justify-center mb-8">
+          <div className="bg-blue-600 p-3 rounded-xl">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+        </div>
+
+        <h1 className="text-3xl font-bold text-center text-slate-900 mb-2">
+          {resetToken ? 'Choose a New Password' : 'Forgot Password'}
+        </h1>
+        <p className="text-center text-slate-600 mb-8">
+          {resetToken
+            ? 'Signing in again will be required on every device'
+            : "Enter your email and we'll send you a reset link"}
+        </p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4">
+            {error}
+          </div>
+        )}
+
+        {message ? (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+            {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-5">
+            {resetToken ? (
+              <>
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-2">
+                    New Password
+                  </label>
+                  <input
+                    id="password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                    placeholder="At least 6 characters"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-700 mb-2">
+                    Confirm Password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    required
+                    className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                    placeholder="Re-enter password"
+                  />
+                </div>
+              </>
+            ) : (
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-slate-700 mb-2">
+                  Email Address
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                  placeholder="you@example.com"
+                />
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Please wait...' : resetToken ? 'Update Password' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <button
+            onClick={onNavigateToLogin}
+            className="text-blue-600 hover:text-blue-700 font-medium transition"
+          >
+            Back to Sign In
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
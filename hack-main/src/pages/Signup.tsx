@@ -1,34 +1,71 @@
 import { UserPlus } from 'lucide-react';
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { request } from '../lib/api';
+import type { InvitationPreview } from '../types';
 
-export const Signup: React.FC<{ onNavigateToLogin: () => void }> = ({ onNavigateToLogin }) => {
-  const { signUp } = useAuth();
+const countries = [
+  { name: 'United States', currency: 'USD' },
+  { name: 'United Kingdom', currency: 'GBP' },
+  { name: 'European Union', currency: 'EUR' },
+  { name: 'India', currency: 'INR' },
+  { name: 'Canada', currency: 'CAD' },
+  { name: 'Australia', currency: 'AUD' },
+  { name: 'Other', currency: 'USD' },
+];
+
+const currencies = ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'];
+
+export const Signup: React.FC<{ onNavigateToLogin: () => void; inviteToken?: string | null }> = ({
+  onNavigateToLogin,
+  inviteToken = null,
+}) => {
+  const { signUp, acceptInvitation } = useAuth();
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [companyName, setCompanyName] = useState('');
   const [country, setCountry] = useState('United States');
-  const [role, setRole] = useState<'employee' | 'manager' | 'admin'>('employee');
+  const [defaultCurrency, setDefaultCurrency] = useState('USD');
   const [adminKey, setAdminKey] = useState('');
+  const [invitation, setInvitation] = useState<InvitationPreview | null>(null);
+  const [invitationLoading, setInvitationLoading] = useState(Boolean(inviteToken));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
-  const countries = [
-    'United States',
-    'United Kingdom',
-    'European Union',
-    'India',
-    'Canada',
-    'Australia',
-    'Other',
-  ];
-
-  const roles = [
-    { id: 'employee', label: 'Employee' },
-    { id: 'manager', label: 'Manager' },
-    { id: 'admin', label: 'Admin' },
-  ] as const;
+  useEffect(() => {
+    if (!inviteToken) return;
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const data = await request<{ invitation: InvitationPreview }>(
+          `/api/invitations/${encodeURIComponent(inviteToken)}`,
+          null
+        );
+        if (cancelled) return;
+        setInvitation(data.invitation);
+        setEmail(data.invitation.email);
+      } catch (err: unknown) {
+        if (cancelled) return;
+        const apiError = err as { message?: string };
+        setError(apiError?.message || 'This invitation link is not valid');
+      } finally {
+        if (!cancelled) setInvitationLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [inviteToken]);
+
+  const handleCountryChange = (value: string) => {
+    setCountry(value);
+    const match = countries.find((c) => c.name === value);
+    if (match) setDefaultCurrency(match.currency);
+  };
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -47,14 +84,18 @@ export const Signup: React.FC<{ onNavigateToLogin: () => void }> = ({ onNavigate
       return;
     }
 
-    if (role === 'admin' && adminKey.trim().length === 0) {
-      setError('Admin access code is required when signing up as an admin');
-      setLoading(false);
-      return;
-    }
-
     try {
-      await signUp(name, email, password, country, role, role === 'admin' ? adminKey.trim() : undefined);
+      if (inviteToken) {
+        await acceptInvitation(inviteToken, name, password);
+      } else {
+        await signUp(
+          name,
+          email,
+          password,
+          { name: companyName.trim(), country, defaultCurrency },
+          adminKey.trim() || undefined
+        );
+      }
     } catch (err: unknown) {
       const apiError = err as { message?: string };
       setError(apiError?.message || 'Failed to sign up');
@@ -63,6 +104,16 @@ export const Signup: React.FC<{ onNavigateToLogin: () => void }> = ({ onNavigate
     }
   };
 
+  if (invitationLoading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex items-center justify-center">
+        <div className="text-slate-600 text-lg">Loading invitation...</div>
+      </div>
+    );
+  }
+
+  const invalidInvitation = Boolean(inviteToken) && !invitation;
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex items-center justify-center p-4">
       <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-8">
@@ -73,10 +124,12 @@ export const Signup: React.FC<{ onNavigateToLogin: () => void }> = ({ onNavigate
         </div>
 
         <h1 className="text-3xl font-bold text-center text-slate-900 mb-2">
-          Create Account
+          {invitation ? `Join ${invitation.company.name}` : 'Create Company Account'}
         </h1>
         <p className="text-center text-slate-600 mb-8">
-          Start managing your expenses today
+          {invitation
+            ? `You've been invited as ${invitation.role === 'admin' ? 'an' : 'a'} ${invitation.role}`
+            : 'Set up your company and start managing expenses'}
         </p>
 
         {error && (
@@ -85,132 +138,154 @@ export const Signup: React.FC<{ onNavigateToLogin: () => void }> = ({ onNavigate
           </div>
         )}
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label htmlFor="name" className="block text-sm font-medium text-slate-700 mb-2">
-              Full Name
-            </label>
-            <input
-              id="name"
-              type="text"
-              value={name}
-              onChange={(e) => setName(e.target.value)}
-              required
-              className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
-              placeholder="John Doe"
-            />
-          </div>
+        {!invalidInvitation && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-slate-700 mb-2">
+                Full Name
+              </label>
+              <input
+                id="name"
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+                className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
+                placeholder="John Doe"
+              />
+            </div>
 
-          <div>
-            <label htmlFor="email" className="block text-sm font-medium text-slate-700 mb-2">
-              Email Address
-            </label>
-            <input
-              id="email"
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-              className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
-              placeholder="you@example.com"
-            />
-          </div>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-slate-700 mb-2">
+                Email Address
+              </label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                readOnly={Boolean(invitation)}
+                required
+                className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition read-only:bg-slate-50 read-only:text-slate-500"
+                placeholder="you@example.com"
+              />
+              <p className="mt-1 text-xs text-slate-500">We'll email you a link to verify this address.</p>
+            </div>
 
-          <div>
-            <label htmlFor="country" className="block text-sm font-medium text-slate-700 mb-2">
-              Country
-            </label>
-            <select
-              id="country"
-              value={country}
-              onChange={(e) => setCountry(e.target.value)}
-              required
-              className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
-            >
-              {countries.map((c) => (
-                <option key={c} value={c}>
-                  {c}
-                </option>
-              ))}
-            </select>
-          </div>
+            {!invitation && (
+              <>
+                <div>
+                  <label htmlFor="companyName" className="block text-sm font-medium text-slate-700 mb-2">
+                    Company Name
+                  </label>
+                  <input
+                    id="companyName"
+                    type="text"
+                    value={companyName}
+                    onChange={(e) => setCompanyName(e.target.value)}
+                    required
+                    className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
+                    placeholder="Acme Inc."
+                  />
+                </div>
 
-          <div>
-            <label htmlFor="role" className="block text-sm font-medium text-slate-700 mb-2">
-              Role
-            </label>
-            <select
-              id="role"
-              value={role}
-              onChange={(e) => setRole(e.target.value as typeof roles[number]['id'])}
-              className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
-            >
-              {roles.map((r) => (
-                <option key={r.id} value={r.id}>
-                  {r.label}
-                </option>
-              ))}
-            </select>
-            <p className="mt-1 text-xs text-slate-500">
-              Employees track their own expenses, managers approve requests, and admins manage company settings.
-            </p>
-          </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="country" className="block text-sm font-medium text-slate-700 mb-2">
+                      Country
+                    </label>
+                    <select
+                      id="country"
+                      value={country}
+                      onChange={(e) => handleCountryChange(e.target.value)}
+                      required
+                      className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
+                    >
+                      {countries.map((c) => (
+                        <option key={c.name} value={c.name}>
+                          {c.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label htmlFor="defaultCurrency" className="block text-sm font-medium text-slate-700 mb-2">
+                      Currency
+                    </label>
+                    <select
+                      id="defaultCurrency"
+                      value={defaultCurrency}
+                      onChange={(e) => setDefaultCurrency(e.target.value)}
+                      className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
+                    >
+                      {currencies.map((c) => (
+                        <option key={c} value={c}>
+                          {c}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="adminKey" className="block text-sm font-medium text-slate-700 mb-2">
+                    Signup Access Code (Optional)
+                  </label>
+                  <input
+                    id="adminKey"
+                    type="password"
+                    value={adminKey}
+                    onChange={(e) => setAdminKey(e.target.value)}
+                    className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
+                    placeholder="Only if your server requires one"
+                  />
+                  <p className="mt-1 text-xs text-slate-500">
+                    Joining an existing company? Ask your admin for an invitation link instead.
+                  </p>
+                </div>
+              </>
+            )}
 
-          {role === 'admin' && (
             <div>
-              <label htmlFor="adminKey" className="block text-sm font-medium text-slate-700 mb-2">
-                Admin Access Code
+              <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-2">
+                Password
               </label>
               <input
-                id="adminKey"
+                id="password"
                 type="password"
-                value={adminKey}
-                onChange={(e) => setAdminKey(e.target.value)}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
                 className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
-                placeholder="Enter the admin access code"
+                placeholder="At least 6 characters"
               />
-              <p className="mt-1 text-xs text-slate-500">Ask an existing admin for this code.</p>
             </div>
-          )}
-
-          <div>
-            <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-2">
-              Password
-            </label>
-            <input
-              id="password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-              className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
-              placeholder="At least 6 characters"
-            />
-          </div>
 
-          <div>
-            <label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-700 mb-2">
-              Confirm Password
-            </label>
-            <input
-              id="confirmPassword"
-              type="password"
-              value={confirmPassword}
-              onChange={(e) => setConfirmPassword(e.target.value)}
-              required
-              className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
-              placeholder="Re-enter password"
-            />
-          </div>
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-700 mb-2">
+                Confirm Password
+              </label>
+              <input
+                id="confirmPassword"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent transition"
+                placeholder="Re-enter password"
+              />
+            </div>
 
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full bg-green-600 text-white py-3 rounded-lg font-medium hover:bg-green-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {loading ? 'Creating Account...' : 'Sign Up'}
-          </button>
-        </form>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-green-600 text-white py-3 rounded-lg font-medium hover:bg-green-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Creating Account...' : invitation ? 'Accept Invitation' : 'Create Company'}
+            </button>
+          </form>
+        )}
 
         <div className="mt-6 text-center">
           <button
@@ -0,0 +1,66 @@
+import { MailCheck } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { request } from '../lib/api';
+
+export const VerifyEmail: React.FC<{ verifyToken: string; onContinue: () => void }> = ({ verifyToken, onContinue }) => {
+  const { user, refreshUser } = useAuth();
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>('verifying');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        await request('/api/auth/verify-email', null, {
+          method: 'POST',
+          body: JSON.stringify({ token: verifyToken }),
+        });
+        if (!cancelled) setStatus('verified');
+      } catch (err: unknown) {
+        if (cancelled) return;
+        const apiError = err as { message?: string };
+        setError(apiError?.message || 'This verification link is not valid');
+        setStatus('failed');
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [verifyToken]);
+
+  const handleContinue = async () => {
+    if (user) await refreshUser();
+    onContinue();
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-8 text-center">
+        <div className="flex items-center justify-center mb-8">
+          <div className="bg-green-600 p-3 rounded-xl">
+            <MailCheck className="w-8 h-8 text-white" />
+          </div>
+        </div>
+
+        <h1 className="text-3xl font-bold text-slate-900 mb-4">
+          {status === 'verifying' ? 'Verifying Email...' : status === 'verified' ? 'Email Verified' : 'Verification Failed'}
+        </h1>
+        {status === 'verified' && <p className="text-slate-600 mb-6">Thanks for confirming your email address.</p>}
+        {status === 'failed' && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">{error}</div>
+        )}
+
+        {status !== 'verifying' && (
+          <button
+            onClick={handleContinue}
+            className="w-full bg-green-600 text-white py-3 rounded-lg font-medium hover:bg-green-700 transition"
+          >
+            {user ? 'Continue' : 'Go to Sign In'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
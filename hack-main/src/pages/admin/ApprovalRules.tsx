@@ -1,8 +1,8 @@
-import { CreditCard as Edit2, FileText, Plus, Trash2 } from 'lucide-react';
+import { CreditCard as Edit2, FileText, FlaskConical, Plus, Trash2 } from 'lucide-react';
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { request } from '../../lib/api';
-import { ApprovalRule, ApprovalRuleType, User } from '../../types';
+import { ApprovalRule, ApprovalRulePreview, ApprovalRuleType, ExpenseCategory, User } from '../../types';
 
 type RuleFormState = {
   rule_name: string;
@@ -11,6 +11,24 @@ type RuleFormState = {
   rule_type: ApprovalRuleType;
   min_approval_percentage: number;
   specific_approver_required: string;
+  is_manager_approver: boolean;
+  manager_levels: number;
+  priority: number;
+  min_amount: string;
+  max_amount: string;
+  currencies: string;
+  category_ids: string[];
+  submitter_roles: User['role'][];
+  submitter_manager_ids: string[];
+  paid_by: string;
+};
+
+type PreviewFormState = {
+  amount: string;
+  currency: string;
+  category_id: string;
+  paid_by: string;
+  user_id: string;
 };
 
 const createEmptyRuleForm = (): RuleFormState => ({
@@ -20,8 +38,29 @@ const createEmptyRuleForm = (): RuleFormState => ({
   rule_type: 'percentage',
   min_approval_percentage: 50,
   specific_approver_required: '',
+  is_manager_approver: false,
+  manager_levels: 1,
+  priority: 0,
+  min_amount: '',
+  max_amount: '',
+  currencies: '',
+  category_ids: [],
+  submitter_roles: [],
+  submitter_manager_ids: [],
+  paid_by: '',
 });
 
+const splitList = (value: string) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const toggleValue = <T,>(list: T[], value: T) =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+const submitterRoleOptions: User['role'][] = ['employee', 'manager', 'admin'];
+
 const ruleTypeLabels: Record<ApprovalRuleType, string> = {
   percentage: 'Percentage threshold',
   specific: 'Specific approver',
@@ -42,8 +81,24 @@ export const ApprovalRules: React.FC = () => {
   const [showModal, setShowModal] = useState(false);
   const [editingRule, setEditingRule] = useState<ApprovalRule | null>(null);
   const [formData, setFormData] = useState<RuleFormState>(() => createEmptyRuleForm());
-
-  const usersById = useMemo(() => new Map(users.map((user) => [user.id, user])), [users]);
+  const [allUsers, setAllUsers] = useState<User[]>([]);
+  const [categories, setCategories] = useState<ExpenseCategory[]>([]);
+  const [showPreview, setShowPreview] = useState(false);
+  const [previewForm, setPreviewForm] = useState<PreviewFormState>({
+    amount: '',
+    currency: '',
+    category_id: '',
+    paid_by: '',
+    user_id: '',
+  });
+  const [previewResult, setPreviewResult] = useState<ApprovalRulePreview | null>(null);
+  const [previewError, setPreviewError] = useState<string | null>(null);
+
+  const usersById = useMemo(() => new Map(allUsers.map((user) => [user.id, user])), [allUsers]);
+  const categoriesById = useMemo(
+    () => new Map(categories.map((category) => [category.id, category])),
+    [categories]
+  );
 
   const resetForm = useCallback(() => {
     setFormData(createEmptyRuleForm());
@@ -59,14 +114,17 @@ export const ApprovalRules: React.FC = () => {
     setLoading(true);
 
     try {
-      const [rulesData, usersData] = await Promise.all([
+      const [rulesData, usersData, categoriesData] = await Promise.all([
         request<{ rules: ApprovalRule[] }>('/api/approval-rules', token),
         request<{ users: User[] }>('/api/users', token),
+        request<{ categories: ExpenseCategory[] }>('/api/expense-categories', token),
       ]);
 
       console.log('Users data:', usersData.users);
       setRules(rulesData.rules);
+      setAllUsers(usersData.users);
       setUsers(usersData.users.filter((user) => ['admin', 'manager'].includes(user.role)));
+      setCategories(categoriesData.categories);
     } catch (error) {
       console.error('Failed to load approval rules', error);
     } finally {
@@ -133,6 +191,18 @@ export const ApprovalRules: React.FC = () => {
         ? formData.specific_approver_required || null
         : null,
       approver_sequence: sequencePayload,
+      is_manager_approver: formData.is_manager_approver,
+      manager_levels: Math.max(1, Math.min(5, Math.round(formData.manager_levels))),
+      priority: Math.round(formData.priority) || 0,
+      conditions: {
+        min_amount: formData.min_amount === '' ? null : Number(formData.min_amount),
+        max_amount: formData.max_amount === '' ? null : Number(formData.max_amount),
+        currencies: splitList(formData.currencies).map((currency) => currency.toUpperCase()),
+        category_ids: formData.category_ids,
+        submitter_roles: formData.submitter_roles,
+        submitter_manager_ids: formData.submitter_manager_ids,
+        paid_by: splitList(formData.paid_by),
+      },
     };
 
     try {
@@ -178,6 +248,16 @@ export const ApprovalRules: React.FC = () => {
       rule_type: rule.rule_type,
       min_approval_percentage: rule.min_approval_percentage,
       specific_approver_required: rule.specific_approver_required || '',
+      is_manager_approver: Boolean(rule.is_manager_approver),
+      manager_levels: rule.manager_levels ?? 1,
+      priority: rule.priority ?? 0,
+      min_amount: rule.conditions?.min_amount != null ? String(rule.conditions.min_amount) : '',
+      max_amount: rule.conditions?.max_amount != null ? String(rule.conditions.max_amount) : '',
+      currencies: (rule.conditions?.currencies || []).join(', '),
+      category_ids: rule.conditions?.category_ids || [],
+      submitter_roles: rule.conditions?.submitter_roles || [],
+      submitter_manager_ids: rule.conditions?.submitter_manager_ids || [],
+      paid_by: (rule.conditions?.paid_by || []).join(', '),
     });
     setShowModal(true);
   };
@@ -209,18 +289,77 @@ export const ApprovalRules: React.FC = () => {
     setFormData((prev) => ({ ...prev, approvers: prev.approvers.filter((id) => id !== userId) }));
   };
 
+  const handlePreview = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token) return;
+
+    setPreviewError(null);
+    try {
+      const result = await request<ApprovalRulePreview>('/api/approval-rules/preview', token, {
+        method: 'POST',
+        body: JSON.stringify({
+          amount: Number(previewForm.amount),
+          currency: previewForm.currency.toUpperCase(),
+          category_id: previewForm.category_id || undefined,
+          paid_by: previewForm.paid_by || undefined,
+          user_id: previewForm.user_id || undefined,
+        }),
+      });
+      setPreviewResult(result);
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      setPreviewResult(null);
+      setPreviewError(apiError?.message || 'Failed to preview rule');
+    }
+  };
+
+  const getConditionsLabel = useCallback(
+    (rule: ApprovalRule) => {
+      const conditions = rule.conditions;
+      if (!conditions) return 'All expenses';
+
+      const parts: string[] = [];
+      if (conditions.min_amount != null) parts.push(`≥ ${conditions.min_amount}`);
+      if (conditions.max_amount != null) parts.push(`≤ ${conditions.max_amount}`);
+      if (conditions.currencies?.length) parts.push(`currency ${conditions.currencies.join('/')}`);
+      if (conditions.category_ids?.length) {
+        const names = conditions.category_ids.map((id) => categoriesById.get(id)?.name || 'Unknown');
+        parts.push(`category ${names.join('/')}`);
+      }
+      if (conditions.submitter_roles?.length) parts.push(`submitted by ${conditions.submitter_roles.join('/')}`);
+      if (conditions.submitter_manager_ids?.length) {
+        const names = conditions.submitter_manager_ids.map((id) => usersById.get(id)?.name || 'Unknown');
+        parts.push(`reports to ${names.join('/')}`);
+      }
+      if (conditions.paid_by?.length) parts.push(`paid by ${conditions.paid_by.join('/')}`);
+
+      return parts.length > 0 ? parts.join(', ') : 'All expenses';
+    },
+    [categoriesById, usersById]
+  );
+
   const getApproverLabel = useCallback(
     (rule: ApprovalRule) => {
+      const managerLabel = rule.is_manager_approver
+        ? (rule.manager_levels ?? 1) > 1
+          ? `Submitter's managers (${rule.manager_levels} levels)`
+          : "Submitter's manager"
+        : null;
+
       if (Array.isArray(rule.approver_sequence) && rule.approver_sequence.length > 0) {
         const steps = [...rule.approver_sequence]
           .sort((a, b) => a.order - b.order)
           .map((step) => usersById.get(step.approver_id)?.name)
           .filter((name): name is string => Boolean(name));
         if (steps.length > 0) {
-          return steps.join(' → ');
+          return [managerLabel, ...steps].filter(Boolean).join(' → ');
         }
       }
 
+      if (managerLabel && (!rule.approvers || rule.approvers.length === 0)) {
+        return managerLabel;
+      }
+
       if (!rule.approvers || rule.approvers.length === 0) {
         return 'All managers/admins';
       }
@@ -258,16 +397,29 @@ export const ApprovalRules: React.FC = () => {
           <h1 className="text-3xl font-bold text-slate-900">Approval Rules</h1>
           <p className="text-slate-600 mt-1">Define workflow rules for expense approvals</p>
         </div>
-        <button
-          onClick={() => {
-            resetForm();
-            setShowModal(true);
-          }}
-          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
-        >
-          <Plus className="w-4 h-4 mr-2" />
-          Add Rule
-        </button>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => {
+              setPreviewResult(null);
+              setPreviewError(null);
+              setShowPreview(true);
+            }}
+            className="flex items-center px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition"
+          >
+            <FlaskConical className="w-4 h-4 mr-2" />
+            Test Rules
+          </button>
+          <button
+            onClick={() => {
+              resetForm();
+              setShowModal(true);
+            }}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Rule
+          </button>
+        </div>
       </div>
 
       <div className="grid gap-6">
@@ -331,6 +483,17 @@ export const ApprovalRules: React.FC = () => {
                 </div>
               </div>
             </div>
+
+            <div className="grid md:grid-cols-4 gap-4 mt-4 pt-4 border-t border-slate-100">
+              <div>
+                <div className="text-xs font-medium text-slate-500 uppercase mb-1">Priority</div>
+                <div className="text-sm text-slate-900">{rule.priority ?? 0}</div>
+              </div>
+              <div className="md:col-span-3">
+                <div className="text-xs font-medium text-slate-500 uppercase mb-1">Applies To</div>
+                <div className="text-sm text-slate-900">{getConditionsLabel(rule)}</div>
+              </div>
+            </div>
           </div>
         ))}
 
@@ -398,6 +561,41 @@ export const ApprovalRules: React.FC = () => {
                 <p className="mt-2 text-xs text-slate-500">{ruleTypeDescriptions[formData.rule_type]}</p>
               </div>
 
+              <div>
+                <label className="flex items-center text-sm font-medium text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.is_manager_approver}
+                    onChange={(e) => setFormData({ ...formData, is_manager_approver: e.target.checked })}
+                    className="w-4 h-4 mr-2 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                  />
+                  Submitter's manager approves first
+                </label>
+                {formData.is_manager_approver && (
+                  <div className="mt-2 flex items-center gap-2 text-sm text-slate-700">
+                    <span>Levels up the reporting line</span>
+                    <input
+                      type="number"
+                      min={1}
+                      max={5}
+                      value={formData.manager_levels}
+                      onChange={(e) => {
+                        const nextValue = Number(e.target.value);
+                        if (Number.isNaN(nextValue)) return;
+                        setFormData((prev) => ({
+                          ...prev,
+                          manager_levels: Math.max(1, Math.min(5, Math.round(nextValue))),
+                        }));
+                      }}
+                      className="w-20 px-3 py-1 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                )}
+                <p className="mt-2 text-xs text-slate-500">
+                  The submitter's manager (and optionally their managers in turn) are added ahead of the approvers below.
+                </p>
+              </div>
+
               {formData.rule_type !== 'specific' && (
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-2">
@@ -541,6 +739,134 @@ export const ApprovalRules: React.FC = () => {
                 </div>
               )}
 
+              <div className="border-t border-slate-200 pt-3">
+                <div className="text-sm font-medium text-slate-700 mb-1">Conditions</div>
+                <p className="text-xs text-slate-500 mb-3">
+                  Leave a condition empty to match every expense. When several rules match, the highest priority
+                  wins, then the rule with more conditions.
+                </p>
+
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Priority</label>
+                    <input
+                      type="number"
+                      value={formData.priority}
+                      onChange={(e) => setFormData({ ...formData, priority: Number(e.target.value) || 0 })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Min amount</label>
+                    <input
+                      type="number"
+                      min={0}
+                      step="0.01"
+                      value={formData.min_amount}
+                      onChange={(e) => setFormData({ ...formData, min_amount: e.target.value })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Max amount</label>
+                    <input
+                      type="number"
+                      min={0}
+                      step="0.01"
+                      value={formData.max_amount}
+                      onChange={(e) => setFormData({ ...formData, max_amount: e.target.value })}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+                <p className="mt-1 text-xs text-slate-500">
+                  Amounts are compared after conversion to the company default currency.
+                </p>
+
+                <div className="grid grid-cols-2 gap-3 mt-3">
+                  <div>
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Currencies</label>
+                    <input
+                      type="text"
+                      value={formData.currencies}
+                      onChange={(e) => setFormData({ ...formData, currencies: e.target.value })}
+                      placeholder="e.g., USD, EUR"
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-slate-600 mb-1">Paid by</label>
+                    <input
+                      type="text"
+                      value={formData.paid_by}
+                      onChange={(e) => setFormData({ ...formData, paid_by: e.target.value })}
+                      placeholder="e.g., Company Card"
+                      className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+
+                <div className="mt-3">
+                  <div className="text-xs font-medium text-slate-600 mb-1">Categories</div>
+                  <div className="flex flex-wrap gap-3">
+                    {categories.map((category) => (
+                      <label key={category.id} className="flex items-center text-sm text-slate-900">
+                        <input
+                          type="checkbox"
+                          checked={formData.category_ids.includes(category.id)}
+                          onChange={() =>
+                            setFormData((prev) => ({ ...prev, category_ids: toggleValue(prev.category_ids, category.id) }))
+                          }
+                          className="w-4 h-4 mr-2 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                        />
+                        {category.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="mt-3">
+                  <div className="text-xs font-medium text-slate-600 mb-1">Submitter role</div>
+                  <div className="flex flex-wrap gap-3">
+                    {submitterRoleOptions.map((role) => (
+                      <label key={role} className="flex items-center text-sm text-slate-900 capitalize">
+                        <input
+                          type="checkbox"
+                          checked={formData.submitter_roles.includes(role)}
+                          onChange={() =>
+                            setFormData((prev) => ({ ...prev, submitter_roles: toggleValue(prev.submitter_roles, role) }))
+                          }
+                          className="w-4 h-4 mr-2 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                        />
+                        {role}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="mt-3">
+                  <div className="text-xs font-medium text-slate-600 mb-1">Submitter reports to</div>
+                  <div className="flex flex-wrap gap-3">
+                    {users.map((user) => (
+                      <label key={user.id} className="flex items-center text-sm text-slate-900">
+                        <input
+                          type="checkbox"
+                          checked={formData.submitter_manager_ids.includes(user.id)}
+                          onChange={() =>
+                            setFormData((prev) => ({
+                              ...prev,
+                              submitter_manager_ids: toggleValue(prev.submitter_manager_ids, user.id),
+                            }))
+                          }
+                          className="w-4 h-4 mr-2 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                        />
+                        {user.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
               <div className="flex space-x-3 pt-4">
                 <button
                   type="button"
@@ -563,6 +889,131 @@ export const ApprovalRules: React.FC = () => {
           </div>
         </div>
       )}
+
+      {showPreview && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+            <h2 className="text-2xl font-bold text-slate-900 mb-2">Test Rules</h2>
+            <p className="text-sm text-slate-600 mb-6">See which rule a hypothetical expense would be routed through.</p>
+
+            <form onSubmit={handlePreview} className="space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Amount</label>
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    required
+                    value={previewForm.amount}
+                    onChange={(e) => setPreviewForm({ ...previewForm, amount: e.target.value })}
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Currency</label>
+                  <input
+                    type="text"
+                    required
+                    maxLength={3}
+                    value={previewForm.currency}
+                    onChange={(e) => setPreviewForm({ ...previewForm, currency: e.target.value.toUpperCase() })}
+                    placeholder="USD"
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">Category</label>
+                <select
+                  value={previewForm.category_id}
+                  onChange={(e) => setPreviewForm({ ...previewForm, category_id: e.target.value })}
+                  className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Any</option>
+                  {categories.map((category) => (
+                    <option key={category.id} value={category.id}>
+                      {category.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Paid By</label>
+                  <input
+                    type="text"
+                    value={previewForm.paid_by}
+                    onChange={(e) => setPreviewForm({ ...previewForm, paid_by: e.target.value })}
+                    placeholder="Cash"
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Submitter</label>
+                  <select
+                    value={previewForm.user_id}
+                    onChange={(e) => setPreviewForm({ ...previewForm, user_id: e.target.value })}
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Any employee</option>
+                    {allUsers.map((user) => (
+                      <option key={user.id} value={user.id}>
+                        {user.name} ({user.role})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {previewError && <div className="text-sm text-red-600">{previewError}</div>}
+
+              {previewResult && (
+                <div className="bg-slate-50 border border-slate-200 rounded-lg p-4 text-sm">
+                  {previewResult.rule ? (
+                    <>
+                      <div className="font-semibold text-slate-900">{previewResult.rule.rule_name}</div>
+                      <div className="text-slate-600 mt-1">{ruleTypeLabels[previewResult.rule.rule_type]}</div>
+                      {previewResult.approvers.length > 0 && (
+                        <div className="text-slate-600 mt-1">
+                          {previewResult.approvers
+                            .map((step) => usersById.get(step.approver_id)?.name || 'Unknown')
+                            .join(' → ')}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <div className="text-slate-600">No rule matches; the first available manager or admin will approve.</div>
+                  )}
+                  {previewResult.converted_amount != null && (
+                    <div className="text-xs text-slate-500 mt-2">
+                      Evaluated as {previewResult.company_currency} {previewResult.converted_amount.toFixed(2)}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowPreview(false)}
+                  className="flex-1 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition"
+                >
+                  Close
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                  Preview
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
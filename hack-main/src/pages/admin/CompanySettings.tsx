@@ -2,7 +2,7 @@ import { Building2, Save } from 'lucide-react';
 import React, { useCallback, useEffect, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { request } from '../../lib/api';
-import type { Company } from '../../types';
+import type { ApprovalSla, Company } from '../../types';
 
 export const CompanySettings: React.FC = () => {
   const { user, token } = useAuth();
@@ -13,6 +13,7 @@ export const CompanySettings: React.FC = () => {
     country: '',
     default_currency: '',
   });
+  const [sla, setSla] = useState<ApprovalSla>({ enabled: true, reminder_hours: 48, escalation_hours: 96 });
 
   const loadCompany = useCallback(async () => {
     if (!user || !token) {
@@ -29,6 +30,7 @@ export const CompanySettings: React.FC = () => {
         country: data.company.country,
         default_currency: data.company.default_currency,
       });
+      if (data.company.approval_sla) setSla(data.company.approval_sla);
     } catch (error) {
       console.error('Failed to load company', error);
     } finally {
@@ -55,6 +57,7 @@ export const CompanySettings: React.FC = () => {
           name: formData.name,
           country: formData.country,
           default_currency: formData.default_currency,
+          approval_sla: sla,
         }),
       });
 
@@ -144,6 +147,54 @@ export const CompanySettings: React.FC = () => {
             </select>
           </div>
 
+          <fieldset className="border-t border-slate-200 pt-6">
+            <legend className="text-sm font-semibold text-slate-900">Approval Reminders</legend>
+            <label className="mt-3 flex items-center text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={sla.enabled}
+                onChange={(e) => setSla({ ...sla, enabled: e.target.checked })}
+                className="mr-2"
+              />
+              Remind approvers and escalate approvals that wait too long
+            </label>
+            <div className="mt-4 grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="reminderHours" className="block text-sm font-medium text-slate-700 mb-2">
+                  Remind after (hours)
+                </label>
+                <input
+                  id="reminderHours"
+                  type="number"
+                  min={1}
+                  value={sla.reminder_hours}
+                  onChange={(e) => setSla({ ...sla, reminder_hours: Number(e.target.value) })}
+                  disabled={!sla.enabled}
+                  required
+                  className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-slate-50"
+                />
+              </div>
+              <div>
+                <label htmlFor="escalationHours" className="block text-sm font-medium text-slate-700 mb-2">
+                  Escalate after (hours)
+                </label>
+                <input
+                  id="escalationHours"
+                  type="number"
+                  min={sla.reminder_hours + 1}
+                  value={sla.escalation_hours}
+                  onChange={(e) => setSla({ ...sla, escalation_hours: Number(e.target.value) })}
+                  disabled={!sla.enabled}
+                  required
+                  className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-slate-50"
+                />
+              </div>
+            </div>
+            <p className="mt-2 text-xs text-slate-500">
+              Escalated approvals move to the approver&apos;s manager, or to an admin when they have none.
+            </p>
+          </fieldset>
+
           <button
             type="submit"
             disabled={saving}
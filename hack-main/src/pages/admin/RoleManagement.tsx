@@ -0,0 +1,294 @@
+import { CreditCard as Edit2, Plus, Trash2 } from 'lucide-react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { request } from '../../lib/api';
+import { PermissionDefinition, Role, User } from '../../types';
+
+const emptyForm = {
+  name: '',
+  description: '',
+  base_role: 'employee' as User['role'],
+  permissions: [] as string[],
+};
+
+export const RoleManagement: React.FC = () => {
+  const { token } = useAuth();
+  const [permissions, setPermissions] = useState<PermissionDefinition[]>([]);
+  const [builtInRoles, setBuiltInRoles] = useState<Role[]>([]);
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRole, setEditingRole] = useState<Role | null>(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  const loadRoles = useCallback(async () => {
+    if (!token) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const [catalog, roleData] = await Promise.all([
+        request<{ permissions: PermissionDefinition[]; built_in_roles: Role[] }>('/api/permissions', token),
+        request<{ roles: Role[] }>('/api/roles', token),
+      ]);
+      setPermissions(catalog.permissions);
+      setBuiltInRoles(catalog.built_in_roles);
+      setRoles(roleData.roles);
+    } catch (error) {
+      console.error('Failed to load roles', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadRoles();
+  }, [loadRoles]);
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingRole(null);
+    setFormData(emptyForm);
+    setFormError(null);
+  };
+
+  const openEditor = (role: Role | null) => {
+    setEditingRole(role);
+    setFormData(
+      role
+        ? { name: role.name, description: role.description, base_role: role.base_role, permissions: role.permissions }
+        : emptyForm
+    );
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  // Starting from a base role's defaults saves ticking the common permissions by hand
+  const applyBaseRole = (baseRole: User['role']) => {
+    const defaults = builtInRoles.find((role) => role.id === baseRole)?.permissions ?? [];
+    setFormData((prev) => ({
+      ...prev,
+      base_role: baseRole,
+      permissions: editingRole ? prev.permissions : defaults,
+    }));
+  };
+
+  const togglePermission = (key: string) => {
+    setFormData((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(key)
+        ? prev.permissions.filter((permission) => permission !== key)
+        : [...prev.permissions, key],
+    }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token) return;
+
+    try {
+      await request(editingRole ? `/api/roles/${editingRole.id}` : '/api/roles', token, {
+        method: editingRole ? 'PATCH' : 'POST',
+        body: JSON.stringify(formData),
+      });
+      closeModal();
+      loadRoles();
+    } catch (error) {
+      const apiError = error as { message?: string };
+      setFormError(apiError?.message || 'Failed to save role');
+    }
+  };
+
+  const handleDelete = async (role: Role) => {
+    if (!token || !confirm(`Delete the "${role.name}" role?`)) return;
+
+    try {
+      await request(`/api/roles/${role.id}`, token, { method: 'DELETE' });
+      loadRoles();
+    } catch (error) {
+      const apiError = error as { message?: string };
+      alert(apiError?.message || 'Failed to delete role');
+    }
+  };
+
+  const permissionLabel = (key: string) => permissions.find((permission) => permission.key === key)?.label ?? key;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-slate-600">Loading...</div>
+      </div>
+    );
+  }
+
+  const renderRoleCard = (role: Role) => (
+    <div key={role.id} className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-900">{role.name}</h3>
+          <p className="text-xs text-slate-500 mt-1">
+            {role.built_in
+              ? 'Built-in role'
+              : `Acts as ${role.base_role} · ${role.user_count ?? 0} user${role.user_count === 1 ? '' : 's'}`}
+          </p>
+          {role.description && <p className="text-sm text-slate-600 mt-2">{role.description}</p>}
+        </div>
+        {!role.built_in && (
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => openEditor(role)}
+              className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition"
+              title="Edit role"
+            >
+              <Edit2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => handleDelete(role)}
+              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
+              title="Delete role"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+      <div className="mt-4 flex flex-wrap gap-2">
+        {role.permissions.length === 0 ? (
+          <span className="text-xs text-slate-500">Can submit and track their own expenses</span>
+        ) : (
+          role.permissions.map((key) => (
+            <span key={key} className="px-2 py-1 text-xs rounded-full bg-slate-100 text-slate-700">
+              {permissionLabel(key)}
+            </span>
+          ))
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">Roles</h1>
+          <p className="text-slate-600 mt-1">Control what each kind of user is allowed to do</p>
+        </div>
+        <button
+          onClick={() => openEditor(null)}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New Role
+        </button>
+      </div>
+
+      <h2 className="text-xl font-bold text-slate-900 mb-4">Custom Roles</h2>
+      {roles.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-8">No custom roles yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">{roles.map(renderRoleCard)}</div>
+      )}
+
+      <h2 className="text-xl font-bold text-slate-900 mb-4">Built-in Roles</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">{builtInRoles.map(renderRoleCard)}</div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-2xl font-bold text-slate-900 mb-6">{editingRole ? 'Edit Role' : 'New Role'}</h2>
+
+            {formError && (
+              <div className="mb-4 rounded border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+                {formError}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="roleName" className="block text-sm font-medium text-slate-700 mb-2">
+                  Name
+                </label>
+                <input
+                  id="roleName"
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required
+                  className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Finance Reviewer"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="roleDescription" className="block text-sm font-medium text-slate-700 mb-2">
+                  Description
+                </label>
+                <input
+                  id="roleDescription"
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="roleBase" className="block text-sm font-medium text-slate-700 mb-2">
+                  Acts as
+                </label>
+                <select
+                  id="roleBase"
+                  value={formData.base_role}
+                  onChange={(e) => applyBaseRole(e.target.value as User['role'])}
+                  className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="employee">Employee</option>
+                  <option value="manager">Manager</option>
+                  <option value="admin">Admin</option>
+                </select>
+                <p className="mt-1 text-xs text-slate-500">
+                  Decides how approval rules treat this role&apos;s submissions.
+                </p>
+              </div>
+
+              <fieldset>
+                <legend className="block text-sm font-medium text-slate-700 mb-2">Permissions</legend>
+                <div className="space-y-2">
+                  {permissions.map((permission) => (
+                    <label key={permission.key} className="flex items-center text-sm text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.permissions.includes(permission.key)}
+                        onChange={() => togglePermission(permission.key)}
+                        className="mr-2"
+                      />
+                      {permission.label}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="flex-1 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                  {editingRole ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,8 +1,10 @@
-import { CreditCard as Edit2, Trash2 } from 'lucide-react';
+import { Copy, CreditCard as Edit2, Mail, Trash2, X } from 'lucide-react';
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { request } from '../../lib/api';
-import { User } from '../../types';
+import { Invitation, Role, User } from '../../types';
+
+const emptyInvite = { email: '', role: 'employee' as User['role'], manager_id: '' };
 
 export const UserManagement: React.FC = () => {
   const { user: currentUser, token } = useAuth();
@@ -14,12 +16,19 @@ export const UserManagement: React.FC = () => {
     name: '',
     email: '',
     role: 'employee' as 'admin' | 'manager' | 'employee',
+    role_id: '',
     manager_id: '',
   });
+  const [customRoles, setCustomRoles] = useState<Role[]>([]);
   const [deleteDialogUser, setDeleteDialogUser] = useState<User | null>(null);
   const [deleteReassign, setDeleteReassign] = useState('');
   const [deleteError, setDeleteError] = useState<string | null>(null);
   const [deleteSubmitting, setDeleteSubmitting] = useState(false);
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [inviteForm, setInviteForm] = useState(emptyInvite);
+  const [inviteError, setInviteError] = useState<string | null>(null);
+  const [inviteSubmitting, setInviteSubmitting] = useState(false);
+  const [latestInvite, setLatestInvite] = useState<Invitation | null>(null);
   const directReports = useMemo(
     () => (deleteDialogUser ? users.filter((u) => u.manager_id === deleteDialogUser.id) : []),
     [deleteDialogUser, users]
@@ -49,8 +58,14 @@ export const UserManagement: React.FC = () => {
     setLoading(true);
 
     try {
-      const data = await request<{ users: User[] }>('/api/users', token);
-      setUsers(data.users);
+      const [userData, invitationData, roleData] = await Promise.all([
+        request<{ users: User[] }>('/api/users', token),
+        request<{ invitations: Invitation[] }>('/api/invitations', token),
+        request<{ roles: Role[] }>('/api/roles', token),
+      ]);
+      setUsers(userData.users);
+      setInvitations(invitationData.invitations);
+      setCustomRoles(roleData.roles);
     } catch (error) {
       console.error('Failed to load users', error);
     } finally {
@@ -74,6 +89,7 @@ export const UserManagement: React.FC = () => {
           body: JSON.stringify({
             name: formData.name,
             role: formData.role,
+            role_id: formData.role_id || null,
             manager_id: formData.manager_id || null,
           }),
         });
@@ -84,10 +100,58 @@ export const UserManagement: React.FC = () => {
 
     setShowModal(false);
     setEditingUser(null);
-    setFormData({ name: '', email: '', role: 'employee', manager_id: '' });
+    setFormData({ name: '', email: '', role: 'employee', role_id: '', manager_id: '' });
     loadUsers();
   };
 
+  const submitInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!token) return;
+
+    setInviteSubmitting(true);
+    setInviteError(null);
+
+    try {
+      const data = await request<{ invitation: Invitation }>('/api/invitations', token, {
+        method: 'POST',
+        body: JSON.stringify({
+          email: inviteForm.email,
+          role: inviteForm.role,
+          manager_id: inviteForm.role === 'employee' ? inviteForm.manager_id || null : null,
+        }),
+      });
+      setLatestInvite(data.invitation);
+      setInviteForm(emptyInvite);
+      loadUsers();
+    } catch (error) {
+      const apiError = error as { message?: string };
+      setInviteError(apiError?.message || 'Failed to create invitation');
+    } finally {
+      setInviteSubmitting(false);
+    }
+  };
+
+  const revokeInvite = async (invitation: Invitation) => {
+    if (!token) return;
+
+    try {
+      await request(`/api/invitations/${invitation.id}`, token, { method: 'DELETE' });
+      if (latestInvite?.id === invitation.id) setLatestInvite(null);
+      loadUsers();
+    } catch (error) {
+      console.error('Failed to revoke invitation', error);
+    }
+  };
+
+  const copyInviteLink = async (url: string) => {
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (error) {
+      console.error('Failed to copy invite link', error);
+    }
+  };
+
   const startDelete = (user: User) => {
     setDeleteDialogUser(user);
     setDeleteReassign('');
@@ -128,6 +192,7 @@ export const UserManagement: React.FC = () => {
       name: user.name,
       email: user.email,
       role: user.role,
+      role_id: user.role_id || '',
       manager_id: user.manager_id || '',
     });
     setShowModal(true);
@@ -195,7 +260,7 @@ export const UserManagement: React.FC = () => {
                             : 'bg-green-100 text-green-700'
                         }`}
                       >
-                        {user.role}
+                        {user.role_name || user.role}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -227,6 +292,135 @@ export const UserManagement: React.FC = () => {
         </div>
       </div>
 
+      <div className="mt-8 bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+        <div className="flex items-center mb-4">
+          <Mail className="w-5 h-5 text-slate-500 mr-2" />
+          <h2 className="text-xl font-bold text-slate-900">Invitations</h2>
+        </div>
+        <p className="text-sm text-slate-600 mb-4">
+          New team members join your company through a single-use invite link.
+        </p>
+
+        <form onSubmit={submitInvite} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+          <div className="md:col-span-2">
+            <label htmlFor="inviteEmail" className="block text-sm font-medium text-slate-700 mb-2">
+              Email
+            </label>
+            <input
+              id="inviteEmail"
+              type="email"
+              value={inviteForm.email}
+              onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+              required
+              className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label htmlFor="inviteRole" className="block text-sm font-medium text-slate-700 mb-2">
+              Role
+            </label>
+            <select
+              id="inviteRole"
+              value={inviteForm.role}
+              onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value as User['role'] })}
+              className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="employee">Employee</option>
+              <option value="manager">Manager</option>
+              <option value="admin">Admin</option>
+            </select>
+          </div>
+          {inviteForm.role === 'employee' ? (
+            <div>
+              <label htmlFor="inviteManager" className="block text-sm font-medium text-slate-700 mb-2">
+                Manager
+              </label>
+              <select
+                id="inviteManager"
+                value={inviteForm.manager_id}
+                onChange={(e) => setInviteForm({ ...inviteForm, manager_id: e.target.value })}
+                className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">No Manager</option>
+                {managers.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <div />
+          )}
+          <div className="md:col-span-4 flex justify-end">
+            <button
+              type="submit"
+              disabled={inviteSubmitting}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-60"
+            >
+              {inviteSubmitting ? 'Sending...' : 'Create Invite Link'}
+            </button>
+          </div>
+        </form>
+
+        {inviteError && (
+          <div className="mt-4 rounded border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+            {inviteError}
+          </div>
+        )}
+
+        {latestInvite?.invite_url && (
+          <div className="mt-4 rounded border border-green-200 bg-green-50 px-3 py-2 text-sm text-green-800">
+            <p className="mb-2">
+              Share this link with {latestInvite.email}. It is shown only once and expires on{' '}
+              {new Date(latestInvite.expires_at).toLocaleDateString()}.
+            </p>
+            <div className="flex items-center gap-2">
+              <input
+                readOnly
+                value={latestInvite.invite_url}
+                aria-label="Invite link"
+                className="flex-1 px-3 py-2 border border-green-200 rounded-lg bg-white text-slate-700"
+              />
+              <button
+                type="button"
+                onClick={() => copyInviteLink(latestInvite.invite_url as string)}
+                className="p-2 text-green-700 hover:bg-green-100 rounded-lg transition"
+                title="Copy link"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {invitations.length > 0 && (
+          <ul className="mt-6 divide-y divide-slate-200">
+            {invitations.map((invitation) => (
+              <li key={invitation.id} className="flex items-center justify-between py-3">
+                <div>
+                  <div className="text-sm font-medium text-slate-900">{invitation.email}</div>
+                  <div className="text-xs text-slate-500">
+                    {invitation.role} · {invitation.status}
+                    {invitation.status === 'pending' &&
+                      ` · expires ${new Date(invitation.expires_at).toLocaleDateString()}`}
+                  </div>
+                </div>
+                {invitation.status === 'pending' && (
+                  <button
+                    onClick={() => revokeInvite(invitation)}
+                    className="flex items-center px-3 py-1 text-sm text-red-600 hover:bg-red-50 rounded-lg transition"
+                  >
+                    <X className="w-4 h-4 mr-1" />
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       {showModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
@@ -262,18 +456,31 @@ export const UserManagement: React.FC = () => {
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-2">Role</label>
                 <select
-                  value={formData.role}
-                  onChange={(e) =>
+                  value={formData.role_id ? `custom:${formData.role_id}` : formData.role}
+                  onChange={(e) => {
+                    // Custom roles carry their own base role, which the server applies
+                    const value = e.target.value;
+                    const customRole = customRoles.find((role) => `custom:${role.id}` === value);
                     setFormData({
                       ...formData,
-                      role: e.target.value as 'admin' | 'manager' | 'employee',
-                    })
-                  }
+                      role: customRole ? customRole.base_role : (value as 'admin' | 'manager' | 'employee'),
+                      role_id: customRole ? customRole.id : '',
+                    });
+                  }}
                   className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 >
                   <option value="employee">Employee</option>
                   <option value="manager">Manager</option>
                   <option value="admin">Admin</option>
+                  {customRoles.length > 0 && (
+                    <optgroup label="Custom roles">
+                      {customRoles.map((role) => (
+                        <option key={role.id} value={`custom:${role.id}`}>
+                          {role.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
                 </select>
               </div>
 
@@ -301,7 +508,7 @@ export const UserManagement: React.FC = () => {
                   onClick={() => {
                     setShowModal(false);
                     setEditingUser(null);
-                    setFormData({ name: '', email: '', role: 'employee', manager_id: '' });
+                    setFormData({ name: '', email: '', role: 'employee', role_id: '', manager_id: '' });
                   }}
                   className="flex-1 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition"
                 >
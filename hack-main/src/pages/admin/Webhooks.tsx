@@ -0,0 +1,448 @@
+import { CreditCard as Edit2, Plus, RefreshCw, Send, Trash2 } from 'lucide-react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { request } from '../../lib/api';
+import { WebhookDelivery, WebhookEndpoint, WebhookEvent } from '../../types';
+
+const emptyForm = {
+  url: '',
+  description: '',
+  events: [] as string[],
+  active: true,
+};
+
+const deliveryStatusStyles: Record<WebhookDelivery['status'], string> = {
+  succeeded: 'bg-green-100 text-green-700',
+  pending: 'bg-yellow-100 text-yellow-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
+export const Webhooks: React.FC = () => {
+  const { token } = useAuth();
+  const [events, setEvents] = useState<WebhookEvent[]>([]);
+  const [webhooks, setWebhooks] = useState<WebhookEndpoint[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingWebhook, setEditingWebhook] = useState<WebhookEndpoint | null>(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [revealedSecret, setRevealedSecret] = useState<{ url: string; secret: string } | null>(null);
+  const [selectedWebhook, setSelectedWebhook] = useState<WebhookEndpoint | null>(null);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [sending, setSending] = useState<string | null>(null);
+
+  const loadWebhooks = useCallback(async () => {
+    if (!token) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const [catalog, data] = await Promise.all([
+        request<{ events: WebhookEvent[] }>('/api/webhooks/events', token),
+        request<{ webhooks: WebhookEndpoint[] }>('/api/webhooks', token),
+      ]);
+      setEvents(catalog.events);
+      setWebhooks(data.webhooks);
+    } catch (error) {
+      console.error('Failed to load webhooks', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  const loadDeliveries = useCallback(
+    async (webhook: WebhookEndpoint) => {
+      if (!token) return;
+
+      try {
+        const data = await request<{ deliveries: WebhookDelivery[] }>(`/api/webhooks/${webhook.id}/deliveries`, token);
+        setDeliveries(data.deliveries);
+      } catch (error) {
+        console.error('Failed to load webhook deliveries', error);
+      }
+    },
+    [token]
+  );
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  useEffect(() => {
+    if (selectedWebhook) loadDeliveries(selectedWebhook);
+  }, [selectedWebhook, loadDeliveries]);
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingWebhook(null);
+    setFormData(emptyForm);
+    setFormError(null);
+  };
+
+  const openEditor = (webhook: WebhookEndpoint | null) => {
+    setEditingWebhook(webhook);
+    setFormData(
+      webhook
+        ? { url: webhook.url, description: webhook.description, events: webhook.events, active: webhook.active }
+        : emptyForm
+    );
+    setFormError(null);
+    setShowModal(true);
+  };
+
+  const toggleEvent = (key: string) => {
+    setFormData((prev) => ({
+      ...prev,
+      events: prev.events.includes(key) ? prev.events.filter((event) => event !== key) : [...prev.events, key],
+    }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token) return;
+
+    try {
+      const data = await request<{ webhook: WebhookEndpoint }>(
+        editingWebhook ? `/api/webhooks/${editingWebhook.id}` : '/api/webhooks',
+        token,
+        {
+          method: editingWebhook ? 'PATCH' : 'POST',
+          body: JSON.stringify(formData),
+        }
+      );
+      if (data.webhook.secret) setRevealedSecret({ url: data.webhook.url, secret: data.webhook.secret });
+      closeModal();
+      loadWebhooks();
+    } catch (error) {
+      const apiError = error as { message?: string };
+      setFormError(apiError?.message || 'Failed to save webhook');
+    }
+  };
+
+  const handleRotateSecret = async (webhook: WebhookEndpoint) => {
+    if (!token || !confirm('Rotate the signing secret? Deliveries signed with the old secret will stop verifying.')) return;
+
+    try {
+      const data = await request<{ webhook: WebhookEndpoint }>(`/api/webhooks/${webhook.id}`, token, {
+        method: 'PATCH',
+        body: JSON.stringify({ rotate_secret: true }),
+      });
+      if (data.webhook.secret) setRevealedSecret({ url: data.webhook.url, secret: data.webhook.secret });
+    } catch (error) {
+      const apiError = error as { message?: string };
+      alert(apiError?.message || 'Failed to rotate secret');
+    }
+  };
+
+  const handleDelete = async (webhook: WebhookEndpoint) => {
+    if (!token || !confirm(`Delete the webhook for ${webhook.url}?`)) return;
+
+    try {
+      await request(`/api/webhooks/${webhook.id}`, token, { method: 'DELETE' });
+      if (selectedWebhook?.id === webhook.id) setSelectedWebhook(null);
+      loadWebhooks();
+    } catch (error) {
+      const apiError = error as { message?: string };
+      alert(apiError?.message || 'Failed to delete webhook');
+    }
+  };
+
+  const handleTest = async (webhook: WebhookEndpoint) => {
+    if (!token) return;
+
+    setSending(webhook.id);
+    try {
+      await request(`/api/webhooks/${webhook.id}/test`, token, { method: 'POST' });
+      setSelectedWebhook(webhook);
+      loadDeliveries(webhook);
+    } catch (error) {
+      const apiError = error as { message?: string };
+      alert(apiError?.message || 'Failed to send test event');
+    } finally {
+      setSending(null);
+    }
+  };
+
+  const handleRedeliver = async (delivery: WebhookDelivery) => {
+    if (!token || !selectedWebhook) return;
+
+    setSending(delivery.id);
+    try {
+      await request(`/api/webhooks/deliveries/${delivery.id}/redeliver`, token, { method: 'POST' });
+      loadDeliveries(selectedWebhook);
+    } catch (error) {
+      const apiError = error as { message?: string };
+      alert(apiError?.message || 'Failed to redeliver');
+    } finally {
+      setSending(null);
+    }
+  };
+
+  const eventLabel = (key: string) => events.find((event) => event.key === key)?.label ?? key;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-slate-600">Loading...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">Webhooks</h1>
+          <p className="text-slate-600 mt-1">Send expense and approval events to other systems as they happen</p>
+        </div>
+        <button
+          onClick={() => openEditor(null)}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New Webhook
+        </button>
+      </div>
+
+      {revealedSecret && (
+        <div className="mb-6 rounded-lg border border-amber-200 bg-amber-50 p-4">
+          <p className="text-sm text-amber-800">
+            Signing secret for {revealedSecret.url}. Copy it now; it will not be shown again.
+          </p>
+          <code className="mt-2 block break-all rounded bg-white px-3 py-2 text-sm text-slate-900">
+            {revealedSecret.secret}
+          </code>
+          <button
+            onClick={() => setRevealedSecret(null)}
+            className="mt-2 text-sm text-amber-800 hover:text-amber-900 underline"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {webhooks.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-8">No webhooks yet.</p>
+      ) : (
+        <div className="space-y-4 mb-8">
+          {webhooks.map((webhook) => (
+            <div key={webhook.id} className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <h3 className="text-lg font-semibold text-slate-900 break-all">{webhook.url}</h3>
+                  <p className="text-xs text-slate-500 mt-1">{webhook.active ? 'Active' : 'Paused'}</p>
+                  {webhook.description && <p className="text-sm text-slate-600 mt-2">{webhook.description}</p>}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleTest(webhook)}
+                    disabled={sending === webhook.id}
+                    className="flex items-center px-3 py-2 text-sm border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition disabled:opacity-50"
+                  >
+                    <Send className="w-4 h-4 mr-2" />
+                    {sending === webhook.id ? 'Sending...' : 'Send test event'}
+                  </button>
+                  <button
+                    onClick={() => setSelectedWebhook(webhook)}
+                    className="px-3 py-2 text-sm border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition"
+                  >
+                    Deliveries
+                  </button>
+                  <button
+                    onClick={() => handleRotateSecret(webhook)}
+                    className="p-2 text-slate-600 hover:bg-slate-100 rounded-lg transition"
+                    title="Rotate secret"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => openEditor(webhook)}
+                    className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition"
+                    title="Edit webhook"
+                  >
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(webhook)}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
+                    title="Delete webhook"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              <div className="mt-4 flex flex-wrap gap-2">
+                {webhook.events.map((key) => (
+                  <span key={key} className="px-2 py-1 text-xs rounded-full bg-slate-100 text-slate-700">
+                    {eventLabel(key)}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selectedWebhook && (
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="px-6 py-4 border-b border-slate-200 flex justify-between items-center">
+            <h2 className="text-xl font-bold text-slate-900 break-all">Deliveries to {selectedWebhook.url}</h2>
+            <button
+              onClick={() => loadDeliveries(selectedWebhook)}
+              className="p-2 text-slate-600 hover:bg-slate-100 rounded-lg transition"
+              title="Refresh"
+            >
+              <RefreshCw className="w-4 h-4" />
+            </button>
+          </div>
+          {deliveries.length === 0 ? (
+            <p className="px-6 py-4 text-sm text-slate-500">Nothing has been sent yet.</p>
+          ) : (
+            <table className="w-full">
+              <thead className="bg-slate-50 border-b border-slate-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase">Event</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase">Last response</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase">Attempts</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase">Created</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-200">
+                {deliveries.map((delivery) => {
+                  const lastAttempt = delivery.attempt_log[delivery.attempt_log.length - 1];
+                  return (
+                    <tr key={delivery.id}>
+                      <td className="px-6 py-4 text-sm text-slate-900">{delivery.event}</td>
+                      <td className="px-6 py-4">
+                        <span className={`px-2 py-1 text-xs rounded-full ${deliveryStatusStyles[delivery.status]}`}>
+                          {delivery.status}
+                        </span>
+                        {delivery.next_attempt_at && (
+                          <p className="text-xs text-slate-500 mt-1">
+                            Retrying {new Date(delivery.next_attempt_at).toLocaleString()}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-slate-600">
+                        {lastAttempt
+                          ? lastAttempt.response_status
+                            ? `HTTP ${lastAttempt.response_status}`
+                            : lastAttempt.error || 'No response'
+                          : '—'}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-slate-600">{delivery.attempts}</td>
+                      <td className="px-6 py-4 text-sm text-slate-600">
+                        {new Date(delivery.created_at).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 text-right">
+                        {delivery.status !== 'succeeded' && (
+                          <button
+                            onClick={() => handleRedeliver(delivery)}
+                            disabled={sending === delivery.id}
+                            className="text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                          >
+                            Redeliver
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-2xl font-bold text-slate-900 mb-6">{editingWebhook ? 'Edit Webhook' : 'New Webhook'}</h2>
+
+            {formError && (
+              <div className="mb-4 rounded border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+                {formError}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="webhookUrl" className="block text-sm font-medium text-slate-700 mb-2">
+                  Endpoint URL
+                </label>
+                <input
+                  id="webhookUrl"
+                  type="url"
+                  value={formData.url}
+                  onChange={(e) => setFormData({ ...formData, url: e.target.value })}
+                  required
+                  className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="https://example.com/hooks/expenses"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="webhookDescription" className="block text-sm font-medium text-slate-700 mb-2">
+                  Description
+                </label>
+                <input
+                  id="webhookDescription"
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <fieldset>
+                <legend className="block text-sm font-medium text-slate-700 mb-2">Events</legend>
+                <div className="space-y-2">
+                  {events.map((event) => (
+                    <label key={event.key} className="flex items-center text-sm text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.events.includes(event.key)}
+                        onChange={() => toggleEvent(event.key)}
+                        className="mr-2"
+                      />
+                      {event.label}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+
+              <label className="flex items-center text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={formData.active}
+                  onChange={(e) => setFormData({ ...formData, active: e.target.checked })}
+                  className="mr-2"
+                />
+                Active
+              </label>
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="flex-1 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                  {editingWebhook ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
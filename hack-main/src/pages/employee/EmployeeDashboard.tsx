@@ -1,12 +1,25 @@
-import { IndianRupee, Loader2, Sparkles } from 'lucide-react';
+import { FolderPlus, IndianRupee, Loader2, Send, Sparkles, Trash2 } from 'lucide-react';
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { DuplicateWarning } from '../../components/DuplicateWarning';
 import { useAuth } from '../../contexts/AuthContext';
 import { request } from '../../lib/api';
 import { fetchCurrencyConversion } from '../../lib/currency';
-import type { Company, ExpenseCategory, ReceiptAnalysis } from '../../types';
+import { PAID_BY_OPTIONS, describeDuplicate } from '../../lib/expenseOptions';
+import type {
+  Company,
+  ExpenseCategory,
+  ExpenseReport,
+  PossibleDuplicate,
+  ReceiptAmbiguity,
+  ReceiptAnalysis,
+} from '../../types';
 
 const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'] as const;
 
+// '' submits straight away, 'draft' saves a standalone draft, anything else is a draft report id
+const SUBMIT_NOW = '';
+const SAVE_AS_DRAFT = 'draft';
+
 type ExpenseFormState = {
   description: string;
   date: string;
@@ -17,6 +30,11 @@ type ExpenseFormState = {
   remarks: string;
 };
 
+const describeReading = (field: ReceiptAmbiguity['field'], reading: string | number) =>
+  field === 'date'
+    ? new Date(reading).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+    : String(reading);
+
 type AutoConversionInfo = {
   fromCurrency: string;
   toCurrency: string;
@@ -30,14 +48,20 @@ export const EmployeeDashboard: React.FC = () => {
   const { user, token } = useAuth();
   const [categories, setCategories] = useState<ExpenseCategory[]>([]);
   const [loading, setLoading] = useState(false);
-  const [receiptFile, setReceiptFile] = useState<File | null>(null);
+  const [receiptFiles, setReceiptFiles] = useState<File[]>([]);
   const [analyzingReceipt, setAnalyzingReceipt] = useState(false);
   const [analysisError, setAnalysisError] = useState<string | null>(null);
   const [analysisResult, setAnalysisResult] = useState<ReceiptAnalysis | null>(null);
+  const [receiptDuplicates, setReceiptDuplicates] = useState<PossibleDuplicate[]>([]);
+  const [confirmedReadings, setConfirmedReadings] = useState<ReceiptAmbiguity['field'][]>([]);
   const [companyInfo, setCompanyInfo] = useState<Company | null>(null);
   const [companyCurrency, setCompanyCurrency] = useState<string>('INR');
 
   const [autoConversionInfo, setAutoConversionInfo] = useState<AutoConversionInfo | null>(null);
+  const [draftReports, setDraftReports] = useState<ExpenseReport[]>([]);
+  const [destination, setDestination] = useState<string>(SUBMIT_NOW);
+  const [newReportTitle, setNewReportTitle] = useState('');
+  const [reportBusyId, setReportBusyId] = useState<string | null>(null);
   const defaultDateRef = useRef(new Date().toISOString().split('T')[0]);
   const defaultCurrencyRef = useRef<string>('INR');
   const [formData, setFormData] = useState<ExpenseFormState>({
@@ -84,10 +108,24 @@ export const EmployeeDashboard: React.FC = () => {
     }
   }, [token]);
 
+  const loadDraftReports = useCallback(async () => {
+    if (!token) return;
+    try {
+      const data = await request<{ reports: ExpenseReport[] }>('/api/expense-reports?status=draft', token);
+      setDraftReports(data?.reports ?? []);
+    } catch (error) {
+      console.error('Failed to load expense reports', error);
+    }
+  }, [token]);
+
   useEffect(() => {
     loadCategories();
   }, [loadCategories]);
 
+  useEffect(() => {
+    loadDraftReports();
+  }, [loadDraftReports]);
+
   useEffect(() => {
     loadCompanyProfile();
   }, [loadCompanyProfile]);
@@ -103,9 +141,11 @@ export const EmployeeDashboard: React.FC = () => {
       currency: defaultCurrencyRef.current,
       remarks: '',
     });
-    setReceiptFile(null);
+    setReceiptFiles([]);
     setAnalysisResult(null);
     setAnalysisError(null);
+    setReceiptDuplicates([]);
+    setConfirmedReadings([]);
     setAutoConversionInfo(null);
 
     if (fileInputRef.current) {
@@ -117,15 +157,14 @@ export const EmployeeDashboard: React.FC = () => {
     async (file: File | null) => {
       setAnalysisResult(null);
       setAnalysisError(null);
+      setReceiptDuplicates([]);
+      setConfirmedReadings([]);
 
       if (!file) {
-        setReceiptFile(null);
         setAutoConversionInfo(null);
         return;
       }
 
-      setReceiptFile(file);
-
       if (!token) {
         setAnalysisError('Please sign in again to analyze receipts automatically.');
         return;
@@ -136,7 +175,7 @@ export const EmployeeDashboard: React.FC = () => {
         const payload = new FormData();
         payload.append('receipt', file);
 
-        const data = await request<{ analysis: ReceiptAnalysis }>(
+        const data = await request<{ analysis: ReceiptAnalysis; duplicates?: PossibleDuplicate[] }>(
           '/api/receipts/analyze',
           token,
           {
@@ -146,6 +185,7 @@ export const EmployeeDashboard: React.FC = () => {
         );
 
         setAnalysisResult(data.analysis ?? null);
+        setReceiptDuplicates(data.duplicates ?? []);
         setAutoConversionInfo(null);
       } catch (error: unknown) {
         const apiError = error as { message?: string } | undefined;
@@ -206,6 +246,16 @@ export const EmployeeDashboard: React.FC = () => {
         }
       }
 
+      // Bare "card" slips are a guess, so only a named payment method replaces the default
+      if (
+        analysisResult.paid_by &&
+        prev.paid_by === 'Cash' &&
+        PAID_BY_OPTIONS.includes(analysisResult.paid_by) &&
+        (analysisResult.field_confidence?.paid_by ?? 0) >= 50
+      ) {
+        setIfDifferent('paid_by', analysisResult.paid_by);
+      }
+
       if (analysisResult.merchant && prev.remarks.trim().length === 0) {
         setIfDifferent('remarks', `Vendor: ${analysisResult.merchant}`);
       }
@@ -242,7 +292,13 @@ export const EmployeeDashboard: React.FC = () => {
 
     const convert = async () => {
       try {
-        const quote = await fetchCurrencyConversion(token, receiptCurrency, targetCurrency, receiptAmount);
+        const quote = await fetchCurrencyConversion(
+          token,
+          receiptCurrency,
+          targetCurrency,
+          receiptAmount,
+          analysisResult.date ?? undefined
+        );
         if (cancelled) return;
 
         setFormData((prev) => ({
@@ -285,6 +341,16 @@ export const EmployeeDashboard: React.FC = () => {
     return `${Math.max(0, Math.min(100, Math.round(rounded)))}%`;
   }, [analysisResult?.confidence]);
 
+  // Readings that came from the company's locale, e.g. 04/11/2025, stay on screen until the user picks one
+  const unconfirmedReadings = (analysisResult?.ambiguities ?? []).filter(
+    (ambiguity) => !confirmedReadings.includes(ambiguity.field)
+  );
+
+  const confirmReading = (field: ReceiptAmbiguity['field'], reading: string | number) => {
+    setFormData((prev) => ({ ...prev, [field]: String(reading) }));
+    setConfirmedReadings((prev) => [...prev, field]);
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setLoading(true);
@@ -303,18 +369,32 @@ export const EmployeeDashboard: React.FC = () => {
       payload.append('currency', formData.currency);
       payload.append('remarks', formData.remarks);
 
-      if (receiptFile) {
-        payload.append('receipt', receiptFile);
+      if (destination === SAVE_AS_DRAFT) {
+        payload.append('draft', 'true');
+      } else if (destination !== SUBMIT_NOW) {
+        payload.append('report_id', destination);
       }
 
-      await request('/api/expenses', token, {
+      receiptFiles.forEach((file) => payload.append('attachments', file));
+
+      const data = await request<{ possible_duplicates?: PossibleDuplicate[] }>('/api/expenses', token, {
         method: 'POST',
         body: payload,
       });
 
       resetForm();
 
-      alert('Expense submitted successfully!');
+      // The expense is still saved; approvers see the same flag on their card
+      const duplicates = data.possible_duplicates ?? [];
+      const duplicateNote = duplicates.length
+        ? `\n\nPossible duplicate of ${duplicates.map(describeDuplicate).join(', ')}. Your approver will see this too.`
+        : '';
+      if (destination === SUBMIT_NOW) {
+        alert(`Expense submitted successfully!${duplicateNote}`);
+      } else {
+        alert(`${destination === SAVE_AS_DRAFT ? 'Expense saved as draft' : 'Expense added to report'}${duplicateNote}`);
+        await loadDraftReports();
+      }
     } catch (error: unknown) {
       const apiError = error as { message?: string } | undefined;
       alert(apiError?.message || 'Failed to submit expense');
@@ -323,6 +403,56 @@ export const EmployeeDashboard: React.FC = () => {
     }
   };
 
+  const handleCreateReport = async () => {
+    if (!token || !newReportTitle.trim()) return;
+    try {
+      const data = await request<{ report: ExpenseReport }>('/api/expense-reports', token, {
+        method: 'POST',
+        body: JSON.stringify({ title: newReportTitle.trim() }),
+      });
+      setNewReportTitle('');
+      setDestination(data.report.id);
+      await loadDraftReports();
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      alert(apiError?.message || 'Failed to create report');
+    }
+  };
+
+  const handleSubmitReport = async (report: ExpenseReport) => {
+    if (!token) return;
+    setReportBusyId(report.id);
+    try {
+      await request(`/api/expense-reports/${report.id}/submit`, token, { method: 'POST' });
+      if (destination === report.id) setDestination(SUBMIT_NOW);
+      await loadDraftReports();
+      alert(`Report "${report.title}" submitted for approval`);
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      alert(apiError?.message || 'Failed to submit report');
+    } finally {
+      setReportBusyId(null);
+    }
+  };
+
+  const handleDeleteReport = async (report: ExpenseReport) => {
+    if (!token || !confirm(`Delete the report "${report.title}"? Its expenses are kept as drafts.`)) return;
+    setReportBusyId(report.id);
+    try {
+      await request(`/api/expense-reports/${report.id}`, token, { method: 'DELETE' });
+      if (destination === report.id) setDestination(SUBMIT_NOW);
+      await loadDraftReports();
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      alert(apiError?.message || 'Failed to delete report');
+    } finally {
+      setReportBusyId(null);
+    }
+  };
+
+  const submitLabel =
+    destination === SUBMIT_NOW ? 'Submit Expense' : destination === SAVE_AS_DRAFT ? 'Save Draft' : 'Add to Report';
+
   return (
     <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="mb-8">
@@ -344,14 +474,17 @@ export const EmployeeDashboard: React.FC = () => {
             <input
               ref={fileInputRef}
               type="file"
+              multiple
               onChange={(event) => {
-                const file = event.target.files?.[0] ?? null;
-                void analyzeReceiptFile(file);
+                const files = Array.from(event.target.files ?? []);
+                setReceiptFiles(files);
+                // Suggestions come from the first file; hotel folios and card slips ride along
+                void analyzeReceiptFile(files[0] ?? null);
               }}
               className="w-full px-4 py-3 border border-dashed border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
             <p className="mt-1 text-xs text-slate-500">
-              Attach receipts in any format (PDF, image, etc.).
+              Attach up to 10 receipts as PDFs or images, e.g. a hotel folio together with the card slip.
             </p>
             {analyzingReceipt && (
               <p className="mt-2 text-sm text-blue-600 flex items-center gap-2">
@@ -362,6 +495,32 @@ export const EmployeeDashboard: React.FC = () => {
             {analysisError && !analyzingReceipt && (
               <p className="mt-2 text-sm text-red-600">{analysisError}</p>
             )}
+            {!analyzingReceipt &&
+              unconfirmedReadings.map((ambiguity) => (
+                <div
+                  key={ambiguity.field}
+                  className="mt-3 rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800"
+                >
+                  <p>The receipt&apos;s {ambiguity.field} can be read more than one way. Which is right?</p>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {[ambiguity.value, ...ambiguity.alternatives].map((reading) => (
+                      <button
+                        key={String(reading)}
+                        type="button"
+                        onClick={() => confirmReading(ambiguity.field, reading)}
+                        className="px-3 py-1 rounded-lg border border-amber-300 bg-white hover:bg-amber-100 transition"
+                      >
+                        {describeReading(ambiguity.field, reading)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            {!analyzingReceipt && receiptDuplicates.length > 0 && (
+              <div className="mt-3">
+                <DuplicateWarning duplicates={receiptDuplicates} />
+              </div>
+            )}
             {analysisResult && !analysisError && (
               <div className="mt-4 border border-blue-100 bg-blue-50/60 rounded-lg p-4">
                 <div className="flex items-center gap-2 text-blue-700 font-medium">
@@ -390,6 +549,35 @@ export const EmployeeDashboard: React.FC = () => {
                       <dd>{analysisResult.date}</dd>
                     </div>
                   )}
+                  {analysisResult.subtotal != null && (
+                    <div>
+                      <dt className="font-semibold text-slate-800">Subtotal</dt>
+                      <dd>{analysisResult.subtotal.toFixed(2)}</dd>
+                    </div>
+                  )}
+                  {analysisResult.taxes && analysisResult.taxes.length > 0 && (
+                    <div>
+                      <dt className="font-semibold text-slate-800">Tax</dt>
+                      {analysisResult.taxes.map((tax, index) => (
+                        <dd key={`${tax.label}-${index}`}>
+                          {tax.label}
+                          {tax.rate != null ? ` ${tax.rate}%` : ''}: {tax.amount.toFixed(2)}
+                        </dd>
+                      ))}
+                    </div>
+                  )}
+                  {analysisResult.tip != null && (
+                    <div>
+                      <dt className="font-semibold text-slate-800">Tip</dt>
+                      <dd>{analysisResult.tip.toFixed(2)}</dd>
+                    </div>
+                  )}
+                  {analysisResult.paid_by && (
+                    <div>
+                      <dt className="font-semibold text-slate-800">Paid With</dt>
+                      <dd>{analysisResult.paid_by}</dd>
+                    </div>
+                  )}
                   {analysisResult.category && (
                     <div>
                       <dt className="font-semibold text-slate-800">Expense Type</dt>
@@ -409,6 +597,28 @@ export const EmployeeDashboard: React.FC = () => {
                     </div>
                   )}
                 </dl>
+                {analysisResult.line_items && analysisResult.line_items.length > 0 && (
+                  <table className="mt-3 w-full text-sm text-slate-700">
+                    <thead>
+                      <tr className="text-left text-xs text-slate-500">
+                        <th className="font-medium pb-1">Item</th>
+                        <th className="font-medium pb-1 text-right">Qty</th>
+                        <th className="font-medium pb-1 text-right">Unit Price</th>
+                        <th className="font-medium pb-1 text-right">Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analysisResult.line_items.map((item, index) => (
+                        <tr key={`${item.description}-${index}`}>
+                          <td>{item.description}</td>
+                          <td className="text-right">{item.quantity}</td>
+                          <td className="text-right">{item.unit_price.toFixed(2)}</td>
+                          <td className="text-right">{item.amount.toFixed(2)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
                 {analysisResult.text && (
                   <details className="mt-3 text-xs text-slate-600">
                     <summary className="cursor-pointer select-none font-medium text-slate-700">
@@ -474,16 +684,11 @@ export const EmployeeDashboard: React.FC = () => {
                 required
                 className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="Cash">Cash</option>
-                <option value="Credit Card">Credit Card</option>
-                <option value="Debit Card">Debit Card</option>
-                <option value="Bank Transfer">Bank Transfer</option>
-                <option value="UPI">UPI</option>
-                <option value="Net Banking">Net Banking</option>
-                <option value="Cheque">Cheque</option>
-                <option value="Company Card">Company Card</option>
-                <option value="Petty Cash">Petty Cash</option>
-                <option value="Other">Other</option>
+                {PAID_BY_OPTIONS.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -553,15 +758,99 @@ export const EmployeeDashboard: React.FC = () => {
             />
           </div>
 
+          <div>
+            <label htmlFor="expense-destination" className="block text-sm font-medium text-slate-700 mb-2">
+              Submission
+            </label>
+            <select
+              id="expense-destination"
+              value={destination}
+              onChange={(e) => setDestination(e.target.value)}
+              className="w-full px-4 py-3 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value={SUBMIT_NOW}>Submit for approval now</option>
+              <option value={SAVE_AS_DRAFT}>Save as draft</option>
+              {draftReports.map((report) => (
+                <option key={report.id} value={report.id}>
+                  Add to report: {report.title}
+                </option>
+              ))}
+            </select>
+          </div>
+
           <button
             type="submit"
             disabled={loading}
             className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {loading ? 'Submitting...' : 'Submit Expense'}
+            {loading ? 'Submitting...' : submitLabel}
           </button>
         </form>
       </div>
+
+      <div className="mt-8 bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+        <h2 className="text-lg font-semibold text-slate-900">Draft Reports</h2>
+        <p className="text-sm text-slate-600 mt-1">
+          Group expenses from a trip into one report and submit them together.
+        </p>
+
+        <div className="mt-4 flex gap-2">
+          <input
+            type="text"
+            value={newReportTitle}
+            onChange={(e) => setNewReportTitle(e.target.value)}
+            placeholder="e.g. Berlin client visit"
+            className="flex-1 px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="button"
+            onClick={handleCreateReport}
+            disabled={!newReportTitle.trim()}
+            className="flex items-center gap-2 px-4 py-2 bg-slate-800 text-white rounded-lg hover:bg-slate-900 transition disabled:opacity-50"
+          >
+            <FolderPlus className="w-4 h-4" />
+            New Report
+          </button>
+        </div>
+
+        {draftReports.length === 0 ? (
+          <p className="mt-4 text-sm text-slate-500">No draft reports.</p>
+        ) : (
+          <ul className="mt-4 divide-y divide-slate-200">
+            {draftReports.map((report) => (
+              <li key={report.id} className="py-3 flex items-center justify-between gap-4">
+                <div>
+                  <p className="font-medium text-slate-900">{report.title}</p>
+                  <p className="text-xs text-slate-500">
+                    {report.expenses.length} expense{report.expenses.length === 1 ? '' : 's'} • {report.currency}{' '}
+                    {report.total_amount.toFixed(2)}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => handleSubmitReport(report)}
+                    disabled={reportBusyId === report.id || report.expenses.length === 0}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+                  >
+                    <Send className="w-4 h-4" />
+                    Submit Report
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteReport(report)}
+                    disabled={reportBusyId === report.id}
+                    title="Delete report"
+                    className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg transition disabled:opacity-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
     </div>
   );
 };
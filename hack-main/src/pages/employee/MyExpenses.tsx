@@ -1,15 +1,49 @@
-import { FileText } from 'lucide-react';
+import { FileText, Paperclip, Trash2 } from 'lucide-react';
 import React, { useCallback, useEffect, useState } from 'react';
+import { ExportButtons } from '../../components/ExportButtons';
 import { useAuth } from '../../contexts/AuthContext';
 import { request } from '../../lib/api';
+import { useLiveEvent } from '../../lib/liveEvents';
+import { PAID_BY_OPTIONS } from '../../lib/expenseOptions';
 import { Expense, ExpenseCategory } from '../../types';
 
+type EditFormState = {
+  description: string;
+  date: string;
+  category_id: string;
+  paid_by: string;
+  amount: string;
+  currency: string;
+  remarks: string;
+};
+
+const toEditForm = (expense: Expense): EditFormState => ({
+  description: expense.description,
+  date: expense.date ? expense.date.slice(0, 10) : '',
+  category_id: expense.category_id || '',
+  paid_by: expense.paid_by || 'Cash',
+  amount: String(expense.amount),
+  currency: expense.currency,
+  remarks: expense.remarks || '',
+});
+
+const withNumericAmounts = (expenses: Expense[]) =>
+  expenses.map((expense) => ({
+    ...expense,
+    amount: Number(expense.amount),
+  }));
+
+const EDITABLE_STATUSES: Expense['status'][] = ['draft', 'pending', 'rejected', 'withdrawn'];
+const RESUBMITTABLE_STATUSES: Expense['status'][] = ['draft', 'rejected', 'withdrawn'];
+
 export const MyExpenses: React.FC = () => {
   const { user, token } = useAuth();
   const [expenses, setExpenses] = useState<Expense[]>([]);
   const [categories, setCategories] = useState<ExpenseCategory[]>([]);
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
+  const [editingExpense, setEditingExpense] = useState<Expense | null>(null);
+  const [editForm, setEditForm] = useState<EditFormState | null>(null);
   const itemsPerPage = 10;
 
   const loadData = useCallback(async () => {
@@ -26,12 +60,7 @@ export const MyExpenses: React.FC = () => {
         request<{ categories: ExpenseCategory[] }>('/api/expense-categories', token),
       ]);
 
-      setExpenses(
-        expensesData.expenses.map((expense) => ({
-          ...expense,
-          amount: Number(expense.amount),
-        }))
-      );
+      setExpenses(withNumericAmounts(expensesData.expenses));
       setCategories(categoriesData.categories);
     } catch (error) {
       console.error('Failed to fetch expenses', error);
@@ -44,6 +73,86 @@ export const MyExpenses: React.FC = () => {
     loadData();
   }, [loadData]);
 
+  // Approvers' decisions arrive live; refresh the list without the loading state
+  const refreshExpenses = useCallback(async () => {
+    if (!token) return;
+    try {
+      const data = await request<{ expenses: Expense[] }>('/api/expenses/mine', token);
+      setExpenses(withNumericAmounts(data.expenses));
+    } catch (error) {
+      console.error('Failed to refresh expenses', error);
+    }
+  }, [token]);
+
+  useLiveEvent('expense.updated', refreshExpenses);
+
+  const runExpenseAction = async (expenseId: string, action: 'withdraw' | 'resubmit') => {
+    if (!token) return;
+    if (action === 'withdraw' && !confirm('Withdraw this expense? Approvers will no longer be able to act on it.')) return;
+
+    try {
+      await request(`/api/expenses/${expenseId}/${action}`, token, { method: 'POST' });
+      loadData();
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      alert(apiError?.message || `Failed to ${action} expense`);
+    }
+  };
+
+  const handleEditSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!token || !editingExpense || !editForm) return;
+
+    try {
+      await request(`/api/expenses/${editingExpense.id}`, token, {
+        method: 'PATCH',
+        body: JSON.stringify({ ...editForm, amount: Number(editForm.amount), currency: editForm.currency.toUpperCase() }),
+      });
+      setEditingExpense(null);
+      setEditForm(null);
+      loadData();
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      alert(apiError?.message || 'Failed to update expense');
+    }
+  };
+
+  // Attachment changes apply straight away; the other fields still wait for Save
+  const handleAddAttachments = async (files: File[]) => {
+    if (!token || !editingExpense || files.length === 0) return;
+
+    const payload = new FormData();
+    files.forEach((file) => payload.append('attachments', file));
+    try {
+      const data = await request<{ expense: Expense }>(`/api/expenses/${editingExpense.id}/attachments`, token, {
+        method: 'POST',
+        body: payload,
+      });
+      setEditingExpense(data.expense);
+      refreshExpenses();
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      alert(apiError?.message || 'Failed to add attachments');
+    }
+  };
+
+  const handleRemoveAttachment = async (attachmentId: string, filename: string) => {
+    if (!token || !editingExpense || !confirm(`Remove ${filename}?`)) return;
+
+    try {
+      const data = await request<{ expense: Expense }>(
+        `/api/expenses/${editingExpense.id}/attachments/${attachmentId}`,
+        token,
+        { method: 'DELETE' }
+      );
+      setEditingExpense(data.expense);
+      refreshExpenses();
+    } catch (error: unknown) {
+      const apiError = error as { message?: string } | undefined;
+      alert(apiError?.message || 'Failed to remove attachment');
+    }
+  };
+
   const getCategoryName = (categoryId?: string) => {
     return categories.find((c) => c.id === categoryId)?.name || '-';
   };
@@ -54,6 +163,9 @@ export const MyExpenses: React.FC = () => {
         return 'bg-green-100 text-green-700';
       case 'rejected':
         return 'bg-red-100 text-red-700';
+      case 'draft':
+      case 'withdrawn':
+        return 'bg-slate-100 text-slate-600';
       default:
         return 'bg-yellow-100 text-yellow-700';
     }
@@ -73,9 +185,12 @@ export const MyExpenses: React.FC = () => {
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-slate-900">My Expenses</h1>
-        <p className="text-slate-600 mt-1">View all your submitted expenses</p>
+      <div className="mb-8 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">My Expenses</h1>
+          <p className="text-slate-600 mt-1">View all your submitted expenses</p>
+        </div>
+        <ExportButtons params={{ mine: 'true' }} />
       </div>
 
       <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
@@ -101,6 +216,9 @@ export const MyExpenses: React.FC = () => {
                 <th className="px-6 py-4 text-left text-xs font-medium text-slate-600 uppercase tracking-wider">
                   Receipt
                 </th>
+                <th className="px-6 py-4 text-right text-xs font-medium text-slate-600 uppercase tracking-wider">
+                  Actions
+                </th>
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-200">
@@ -144,11 +262,46 @@ export const MyExpenses: React.FC = () => {
                         className="text-blue-600 hover:text-blue-800 text-sm font-medium"
                       >
                         View
+                        {expense.attachments && expense.attachments.length > 1 && (
+                          <span className="ml-1 text-xs text-slate-500">+{expense.attachments.length - 1}</span>
+                        )}
                       </a>
                     ) : (
                       <span className="text-sm text-slate-400">—</span>
                     )}
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right space-x-3">
+                    {EDITABLE_STATUSES.includes(expense.status) && (!expense.report_id || expense.status === 'draft') && (
+                      <button
+                        onClick={() => {
+                          setEditingExpense(expense);
+                          setEditForm(toEditForm(expense));
+                        }}
+                        className="text-blue-600 hover:text-blue-800 font-medium text-sm"
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {expense.report_id && expense.status !== 'draft' && (
+                      <span className="text-xs text-slate-500">In report</span>
+                    )}
+                    {expense.status === 'pending' && !expense.report_id && (
+                      <button
+                        onClick={() => runExpenseAction(expense.id, 'withdraw')}
+                        className="text-red-600 hover:text-red-800 font-medium text-sm"
+                      >
+                        Withdraw
+                      </button>
+                    )}
+                    {RESUBMITTABLE_STATUSES.includes(expense.status) && !expense.report_id && (
+                      <button
+                        onClick={() => runExpenseAction(expense.id, 'resubmit')}
+                        className="text-green-600 hover:text-green-800 font-medium text-sm"
+                      >
+                        {expense.status === 'draft' ? 'Submit' : 'Resubmit'}
+                      </button>
+                    )}
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -190,6 +343,166 @@ export const MyExpenses: React.FC = () => {
           </div>
         </div>
       )}
+
+      {editingExpense && editForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+            <h2 className="text-2xl font-bold text-slate-900 mb-6">Edit Expense</h2>
+
+            <form onSubmit={handleEditSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">Description</label>
+                <input
+                  type="text"
+                  required
+                  value={editForm.description}
+                  onChange={(e) => setEditForm({ ...editForm, description: e.target.value })}
+                  className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Date</label>
+                  <input
+                    type="date"
+                    required
+                    value={editForm.date}
+                    onChange={(e) => setEditForm({ ...editForm, date: e.target.value })}
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Category</label>
+                  <select
+                    required
+                    value={editForm.category_id}
+                    onChange={(e) => setEditForm({ ...editForm, category_id: e.target.value })}
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Select category</option>
+                    {categories.map((category) => (
+                      <option key={category.id} value={category.id}>
+                        {category.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Amount</label>
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    required
+                    value={editForm.amount}
+                    onChange={(e) => setEditForm({ ...editForm, amount: e.target.value })}
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Currency</label>
+                  <input
+                    type="text"
+                    required
+                    maxLength={3}
+                    value={editForm.currency}
+                    onChange={(e) => setEditForm({ ...editForm, currency: e.target.value.toUpperCase() })}
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Paid By</label>
+                  <select
+                    value={editForm.paid_by}
+                    onChange={(e) => setEditForm({ ...editForm, paid_by: e.target.value })}
+                    className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {PAID_BY_OPTIONS.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">Remarks</label>
+                <textarea
+                  rows={3}
+                  value={editForm.remarks}
+                  onChange={(e) => setEditForm({ ...editForm, remarks: e.target.value })}
+                  className="w-full px-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="editAttachments" className="block text-sm font-medium text-slate-700 mb-2">
+                  Attachments
+                </label>
+                {(editingExpense.attachments ?? []).length > 0 && (
+                  <ul className="mb-2 divide-y divide-slate-200 rounded-lg border border-slate-200">
+                    {(editingExpense.attachments ?? []).map((attachment) => (
+                      <li key={attachment.id} className="flex items-center gap-2 px-3 py-2 text-sm">
+                        <Paperclip className="h-4 w-4 text-slate-400" />
+                        <a
+                          href={`${import.meta.env.VITE_API_URL}${attachment.url}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="flex-1 truncate text-blue-600 hover:text-blue-800"
+                        >
+                          {attachment.filename}
+                        </a>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveAttachment(attachment.id, attachment.filename)}
+                          className="p-1 text-red-600 hover:bg-red-50 rounded"
+                          title={`Remove ${attachment.filename}`}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <input
+                  id="editAttachments"
+                  type="file"
+                  multiple
+                  onChange={(e) => {
+                    void handleAddAttachments(Array.from(e.target.files ?? []));
+                    e.target.value = '';
+                  }}
+                  className="w-full px-4 py-2 border border-dashed border-slate-300 rounded-lg text-sm"
+                />
+              </div>
+
+              <div className="flex space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEditingExpense(null);
+                    setEditForm(null);
+                  }}
+                  className="flex-1 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
-};
+};
\ No newline at end of file
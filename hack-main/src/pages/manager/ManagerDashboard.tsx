@@ -1,11 +1,17 @@
 import { CheckCircle, Search, XCircle } from 'lucide-react';
 import React, { useCallback, useEffect, useState } from 'react';
+import { AttachmentGallery, GalleryItem } from '../../components/AttachmentGallery';
+import { DelegationPanel } from '../../components/DelegationPanel';
+import { DuplicateWarning } from '../../components/DuplicateWarning';
+import { ExportButtons } from '../../components/ExportButtons';
 import { useAuth } from '../../contexts/AuthContext';
 import { request } from '../../lib/api';
-import { Approval, Expense, ExpenseCategory, User } from '../../types';
+import { useLiveEvent } from '../../lib/liveEvents';
+import { Approval, Expense, ExpenseCategory, ExpenseReport, PossibleDuplicate, User } from '../../types';
 
 type ApprovalWithDetails = Approval & { 
-  expense: Expense & { receipt_url?: string }; 
+  expense: Expense; 
+  report?: ExpenseReport;
   requester: Pick<User, 'id' | 'name'> 
 };
 
@@ -16,6 +22,7 @@ export const ManagerDashboard: React.FC = () => {
   const [loading, setLoading] = useState(true);
   const [selectedApproval, setSelectedApproval] = useState<ApprovalWithDetails | null>(null);
   const [decisionComments, setDecisionComments] = useState('');
+  const [rejectedLineIds, setRejectedLineIds] = useState<string[]>([]);
   const [currentPage, setCurrentPage] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
   const itemsPerPage = 10;
@@ -47,16 +54,37 @@ export const ManagerDashboard: React.FC = () => {
     loadData();
   }, [loadData]);
 
+  // Live updates refresh the queue in place instead of showing the loading state again
+  const refreshApprovals = useCallback(async () => {
+    if (!token) return;
+    try {
+      const data = await request<{ approvals: ApprovalWithDetails[] }>('/api/approvals/pending', token);
+      setApprovals(data.approvals);
+    } catch (error) {
+      console.error('Failed to refresh approvals', error);
+    }
+  }, [token]);
+
+  useLiveEvent('approval.updated', refreshApprovals);
+  useLiveEvent<{ notification?: { type?: string } }>('notification', (data) => {
+    if (data.notification?.type === 'approval') refreshApprovals();
+  });
+
   const handleApproval = async (approvalId: string, status: 'approved' | 'rejected', comments: string) => {
     if (!token) return;
 
     try {
       await request(`/api/approvals/${approvalId}/decision`, token, {
         method: 'POST',
-        body: JSON.stringify({ status, comments }),
+        body: JSON.stringify({
+          status,
+          comments,
+          ...(status === 'approved' && rejectedLineIds.length > 0 ? { rejected_expense_ids: rejectedLineIds } : {}),
+        }),
       });
       setSelectedApproval(null);
       setDecisionComments('');
+      setRejectedLineIds([]);
       loadData();
     } catch (error: unknown) {
       const apiError = error as { message?: string } | undefined;
@@ -72,6 +100,18 @@ export const ManagerDashboard: React.FC = () => {
   const startIndex = (currentPage - 1) * itemsPerPage;
   const paginatedApprovals = filteredApprovals.slice(startIndex, startIndex + itemsPerPage);
 
+  const hasConversion = (expense: Expense) =>
+    expense.converted_amount != null && !!expense.company_currency && expense.company_currency !== expense.currency;
+
+  const describeRateSource = (expense: Expense) => {
+    const parts = [
+      expense.rate_approximate ? 'approximate, no rate for the expense date' : null,
+      expense.rate_updated_at ? `as of ${new Date(expense.rate_updated_at).toLocaleString()}` : null,
+      expense.rate_provider,
+    ].filter(Boolean);
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+  };
+
   const getCategoryName = (categoryId?: string) => {
     return categories.find((c) => c.id === categoryId)?.name || '-';
   };
@@ -84,11 +124,25 @@ export const ManagerDashboard: React.FC = () => {
         return 'bg-red-100 text-red-700';
       case 'escalated':
         return 'bg-orange-100 text-orange-700';
+      case 'skipped':
+        return 'bg-slate-100 text-slate-600';
       default:
         return 'bg-yellow-100 text-yellow-700';
     }
   };
 
+  // A report's receipts are reviewed together, each labelled with its line
+  const selectedAttachments: GalleryItem[] = selectedApproval?.report
+    ? selectedApproval.report.expenses.flatMap((line) =>
+        (line.attachments ?? []).map((attachment) => ({ ...attachment, caption: line.description }))
+      )
+    : selectedApproval?.expense.attachments ?? [];
+
+  const possibleDuplicates = (approval: ApprovalWithDetails): PossibleDuplicate[] =>
+    approval.report
+      ? approval.report.expenses.flatMap((line) => line.possible_duplicates ?? [])
+      : approval.expense.possible_duplicates ?? [];
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -99,9 +153,12 @@ export const ManagerDashboard: React.FC = () => {
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-slate-900">Approvals</h1>
-        <p className="text-slate-600 mt-1">Review and approve expense requests</p>
+      <div className="mb-8 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">Approvals</h1>
+          <p className="text-slate-600 mt-1">Review and approve expense requests</p>
+        </div>
+        <ExportButtons params={{ status: 'approved' }} />
       </div>
 
       <div className="mb-6">
@@ -156,6 +213,11 @@ export const ManagerDashboard: React.FC = () => {
                   </td>
                   <td className="px-6 py-4">
                     <div className="text-sm text-slate-900">{approval.expense.description}</div>
+                    {approval.report && (
+                      <div className="text-xs text-slate-500 mt-1">
+                        Report • {approval.report.expenses.length} expense{approval.report.expenses.length === 1 ? '' : 's'}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm text-slate-600">
@@ -171,6 +233,11 @@ export const ManagerDashboard: React.FC = () => {
                     <div className="text-sm font-medium text-slate-900">
                       {approval.expense.currency} {approval.expense.amount.toFixed(2)}
                     </div>
+                    {hasConversion(approval.expense) && (
+                      <div className="text-xs text-slate-500">
+                        ≈ {approval.expense.company_currency} {approval.expense.converted_amount?.toFixed(2)}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span
@@ -180,6 +247,19 @@ export const ManagerDashboard: React.FC = () => {
                     >
                       {approval.status}
                     </span>
+                    {approval.sequence_order && approval.sequence_order > 1 && (
+                      <div className="text-xs text-slate-500 mt-1">Step {approval.sequence_order}</div>
+                    )}
+                    {approval.delegated_from && (
+                      <div className="text-xs text-slate-500 mt-1">On behalf of {approval.delegated_from.name}</div>
+                    )}
+                    {possibleDuplicates(approval).length > 0 && (
+                      <div className="mt-1">
+                        <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-800">
+                          Possible duplicate
+                        </span>
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right">
                     {approval.status === 'pending' && (
@@ -187,6 +267,7 @@ export const ManagerDashboard: React.FC = () => {
                         onClick={() => {
                           setSelectedApproval(approval);
                           setDecisionComments('');
+                          setRejectedLineIds([]);
                         }}
                         className="text-blue-600 hover:text-blue-800 font-medium text-sm"
                       >
@@ -245,10 +326,14 @@ export const ManagerDashboard: React.FC = () => {
         </div>
       )}
 
+      <DelegationPanel onChange={loadData} />
+
       {selectedApproval && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full p-6">
-            <h2 className="text-2xl font-bold text-slate-900 mb-6">Review Expense</h2>
+            <h2 className="text-2xl font-bold text-slate-900 mb-6">
+              {selectedApproval.report ? 'Review Expense Report' : 'Review Expense'}
+            </h2>
 
             <div className="space-y-4 mb-6">
               <div className="grid md:grid-cols-2 gap-4">
@@ -264,6 +349,8 @@ export const ManagerDashboard: React.FC = () => {
                 </div>
               </div>
 
+              <DuplicateWarning duplicates={possibleDuplicates(selectedApproval)} />
+
               <div>
                 <div className="text-xs font-medium text-slate-500 uppercase mb-1">Description</div>
                 <div className="text-sm text-slate-900">{selectedApproval.expense.description}</div>
@@ -287,6 +374,13 @@ export const ManagerDashboard: React.FC = () => {
                 <div className="text-2xl font-bold text-slate-900">
                   {selectedApproval.expense.currency} {selectedApproval.expense.amount.toFixed(2)}
                 </div>
+                {hasConversion(selectedApproval.expense) && (
+                  <div className="text-sm text-slate-600 mt-1">
+                    {selectedApproval.expense.company_currency} {selectedApproval.expense.converted_amount?.toFixed(2)} at rate{' '}
+                    {selectedApproval.expense.exchange_rate?.toFixed(4)}
+                    {describeRateSource(selectedApproval.expense)}
+                  </div>
+                )}
               </div>
 
               {selectedApproval.expense.remarks && (
@@ -296,17 +390,48 @@ export const ManagerDashboard: React.FC = () => {
                 </div>
               )}
 
-              {selectedApproval.expense.receipt_url && (
+              {selectedApproval.report && (
                 <div>
-                  <div className="text-xs font-medium text-slate-500 uppercase mb-1">Receipt</div>
-                  <a
-                    href={`${import.meta.env.VITE_API_URL}${selectedApproval.expense.receipt_url}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-blue-600 hover:text-blue-800 text-sm font-medium underline"
-                  >
-                    View Receipt
-                  </a>
+                  <div className="text-xs font-medium text-slate-500 uppercase mb-1">Expenses</div>
+                  <p className="text-xs text-slate-500 mb-2">
+                    Tick lines to reject them individually and approve the rest.
+                  </p>
+                  <div className="max-h-56 overflow-y-auto border border-slate-200 rounded-lg divide-y divide-slate-200">
+                    {selectedApproval.report.expenses.map((line) => (
+                      <label key={line.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                        <input
+                          type="checkbox"
+                          disabled={line.status !== 'pending'}
+                          checked={rejectedLineIds.includes(line.id)}
+                          onChange={(e) =>
+                            setRejectedLineIds((prev) =>
+                              e.target.checked ? [...prev, line.id] : prev.filter((id) => id !== line.id)
+                            )
+                          }
+                          aria-label={`Reject ${line.description}`}
+                        />
+                        <span className="flex-1 text-slate-900">{line.description}</span>
+                        <span className="text-slate-600">{getCategoryName(line.category_id)}</span>
+                        <span className="font-medium text-slate-900">
+                          {line.currency} {line.amount.toFixed(2)}
+                        </span>
+                        {line.attachments && line.attachments.length > 0 && (
+                          <span className="text-xs text-slate-500">
+                            {line.attachments.length} file{line.attachments.length === 1 ? '' : 's'}
+                          </span>
+                        )}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {selectedAttachments.length > 0 && (
+                <div>
+                  <div className="text-xs font-medium text-slate-500 uppercase mb-1">
+                    Receipts ({selectedAttachments.length})
+                  </div>
+                  <AttachmentGallery attachments={selectedAttachments} />
                 </div>
               )}
             </div>
@@ -327,6 +452,7 @@ export const ManagerDashboard: React.FC = () => {
                 onClick={() => {
                   setSelectedApproval(null);
                   setDecisionComments('');
+                  setRejectedLineIds([]);
                 }}
                 className="flex-1 px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition"
               >
@@ -344,7 +470,7 @@ export const ManagerDashboard: React.FC = () => {
                 className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition flex items-center justify-center"
               >
                 <CheckCircle className="w-4 h-4 mr-2" />
-                Approve
+                {rejectedLineIds.length > 0 ? 'Approve Remaining' : 'Approve'}
               </button>
             </div>
           </div>
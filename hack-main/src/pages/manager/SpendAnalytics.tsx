@@ -0,0 +1,220 @@
+import { BarChart3, Clock, Filter } from 'lucide-react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { request } from '../../lib/api';
+import type { ApprovalTurnaroundReport, SpendReport, SpendReportRow } from '../../types';
+
+type SpendReports = Record<SpendReport['group_by'], SpendReport | null>;
+
+const EMPTY_REPORTS: SpendReports = { category: null, employee: null, month: null, status: null };
+
+const STATUS_BAR_COLORS: Record<string, string> = {
+  approved: 'bg-green-500',
+  rejected: 'bg-red-500',
+  pending: 'bg-yellow-500',
+  draft: 'bg-slate-400',
+  withdrawn: 'bg-slate-300',
+};
+
+const formatHours = (hours: number | null) => {
+  if (hours === null) return '—';
+  return hours >= 48 ? `${(hours / 24).toFixed(1)} days` : `${hours.toFixed(1)} h`;
+};
+
+const BarList: React.FC<{
+  title: string;
+  report: SpendReport | null;
+  barColor?: (row: SpendReportRow) => string;
+}> = ({ title, report, barColor }) => {
+  const rows = report?.rows ?? [];
+  const max = Math.max(...rows.map((row) => row.total), 0);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <h2 className="text-lg font-semibold text-slate-900 mb-4">{title}</h2>
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-500">No spend in this period.</p>
+      ) : (
+        <ul className="space-y-3">
+          {rows.map((row) => (
+            <li key={row.key ?? 'none'}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="text-slate-700 capitalize">{row.label ?? '—'}</span>
+                <span className="font-medium text-slate-900">
+                  {report?.currency} {row.total.toFixed(2)}
+                  <span className="text-xs text-slate-500 font-normal ml-1">({row.count})</span>
+                </span>
+              </div>
+              <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${barColor ? barColor(row) : 'bg-blue-500'}`}
+                  style={{ width: `${max > 0 ? (row.total / max) * 100 : 0}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export const SpendAnalytics: React.FC = () => {
+  const { user: currentUser, token } = useAuth();
+  const [reports, setReports] = useState<SpendReports>(EMPTY_REPORTS);
+  const [turnaround, setTurnaround] = useState<ApprovalTurnaroundReport | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState({ startDate: '', endDate: '' });
+
+  const loadData = useCallback(async () => {
+    if (!currentUser || !token) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+
+    const params = new URLSearchParams();
+    if (filter.startDate) params.set('startDate', filter.startDate);
+    if (filter.endDate) params.set('endDate', filter.endDate);
+    const query = params.toString() ? `?${params.toString()}` : '';
+
+    try {
+      const [category, employee, month, status, turnaroundData] = await Promise.all([
+        request<SpendReport>(`/api/reports/spend-by-category${query}`, token),
+        request<SpendReport>(`/api/reports/spend-by-employee${query}`, token),
+        request<SpendReport>(`/api/reports/spend-by-month${query}`, token),
+        request<SpendReport>(`/api/reports/spend-by-status${query}`, token),
+        request<ApprovalTurnaroundReport>(`/api/reports/approval-turnaround${query}`, token),
+      ]);
+
+      setReports({ category, employee, month, status });
+      setTurnaround(turnaroundData);
+    } catch (error) {
+      console.error('Failed to load analytics', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser, token, filter.startDate, filter.endDate]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-slate-600">Loading...</div>
+      </div>
+    );
+  }
+
+  const monthRows = reports.month?.rows ?? [];
+  const monthMax = Math.max(...monthRows.map((row) => row.total), 0);
+  const unconverted = reports.status?.unconverted_count ?? 0;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-slate-900">Analytics</h1>
+        <p className="text-slate-600 mt-1">Spend and approval turnaround in your company currency</p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4 mb-6">
+        <div className="flex items-center gap-4 flex-wrap">
+          <Filter className="w-5 h-5 text-slate-400" />
+          <label className="text-sm text-slate-600">
+            From
+            <input
+              type="date"
+              value={filter.startDate}
+              onChange={(e) => setFilter({ ...filter, startDate: e.target.value })}
+              className="ml-2 px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </label>
+          <label className="text-sm text-slate-600">
+            To
+            <input
+              type="date"
+              value={filter.endDate}
+              onChange={(e) => setFilter({ ...filter, endDate: e.target.value })}
+              className="ml-2 px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </label>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+          <div className="flex items-center text-slate-500 text-sm mb-2">
+            <BarChart3 className="w-4 h-4 mr-2" />
+            Total spend
+          </div>
+          <div className="text-2xl font-bold text-slate-900">
+            {reports.category?.currency} {(reports.category?.total ?? 0).toFixed(2)}
+          </div>
+          <div className="text-xs text-slate-500 mt-1">Submitted expenses, excluding drafts and withdrawn</div>
+        </div>
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+          <div className="flex items-center text-slate-500 text-sm mb-2">
+            <Clock className="w-4 h-4 mr-2" />
+            Average approval time
+          </div>
+          <div className="text-2xl font-bold text-slate-900">{formatHours(turnaround?.average_hours ?? null)}</div>
+          <div className="text-xs text-slate-500 mt-1">
+            {turnaround?.count ?? 0} decided • fastest {formatHours(turnaround?.min_hours ?? null)} • slowest{' '}
+            {formatHours(turnaround?.max_hours ?? null)}
+          </div>
+        </div>
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+          <div className="text-slate-500 text-sm mb-2">Turnaround by outcome</div>
+          {(turnaround?.by_status ?? []).map((group) => (
+            <div key={group.status} className="flex justify-between text-sm text-slate-700">
+              <span className="capitalize">{group.status}</span>
+              <span>
+                {formatHours(group.average_hours)} <span className="text-xs text-slate-500">({group.count})</span>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mb-6">
+        <h2 className="text-lg font-semibold text-slate-900 mb-4">Spend by Month</h2>
+        {monthRows.length === 0 ? (
+          <p className="text-sm text-slate-500">No spend in this period.</p>
+        ) : (
+          <div className="flex items-end gap-3 h-48">
+            {monthRows.map((row) => (
+              <div key={row.key ?? 'none'} className="flex-1 flex flex-col items-center justify-end h-full">
+                <div
+                  className="w-full bg-blue-500 rounded-t"
+                  style={{ height: `${monthMax > 0 ? (row.total / monthMax) * 100 : 0}%` }}
+                  title={`${reports.month?.currency} ${row.total.toFixed(2)} (${row.count})`}
+                />
+                <div className="text-xs text-slate-500 mt-2">{row.label}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <BarList title="Spend by Category" report={reports.category} />
+        <BarList title="Spend by Employee" report={reports.employee} />
+        <BarList
+          title="Spend by Status"
+          report={reports.status}
+          barColor={(row) => STATUS_BAR_COLORS[row.key ?? ''] ?? 'bg-blue-500'}
+        />
+      </div>
+
+      {unconverted > 0 && (
+        <p className="mt-6 text-sm text-orange-600">
+          {unconverted} expense{unconverted === 1 ? '' : 's'} could not be converted to the company currency and
+          are counted without an amount.
+        </p>
+      )}
+    </div>
+  );
+};
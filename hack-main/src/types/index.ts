@@ -5,17 +5,62 @@ export interface User {
   email: string;
   role: 'admin' | 'manager' | 'employee';
   manager_id?: string;
+  role_id?: string | null;
+  role_name?: string;
+  permissions?: string[];
+  email_verified?: boolean;
   created_at: string;
 }
 
+export interface Role {
+  id: string;
+  name: string;
+  description: string;
+  base_role: User['role'];
+  permissions: string[];
+  built_in: boolean;
+  user_count?: number;
+}
+
+export interface PermissionDefinition {
+  key: string;
+  label: string;
+}
+
+export interface Invitation {
+  id: string;
+  email: string;
+  role: User['role'];
+  manager_id?: string | null;
+  status: 'pending' | 'accepted' | 'revoked' | 'expired';
+  expires_at: string;
+  accepted_at?: string | null;
+  created_at: string;
+  invite_url?: string;
+}
+
+export interface InvitationPreview {
+  email: string;
+  role: User['role'];
+  expires_at: string;
+  company: { name: string };
+}
+
 export interface Company {
   id: string;
   name: string;
   country: string;
   default_currency: string;
+  approval_sla?: ApprovalSla;
   created_at: string;
 }
 
+export interface ApprovalSla {
+  enabled: boolean;
+  reminder_hours: number;
+  escalation_hours: number;
+}
+
 export type ApprovalRuleType = 'percentage' | 'specific' | 'hybrid';
 
 export interface RuleApproverStep {
@@ -23,6 +68,16 @@ export interface RuleApproverStep {
   order: number;
 }
 
+export interface ApprovalRuleConditions {
+  min_amount?: number | null;
+  max_amount?: number | null;
+  currencies?: string[];
+  category_ids?: string[];
+  submitter_roles?: User['role'][];
+  submitter_manager_ids?: string[];
+  paid_by?: string[];
+}
+
 export interface ApprovalRule {
   id: string;
   company_id: string;
@@ -34,6 +89,17 @@ export interface ApprovalRule {
   specific_approver_required?: string;
   created_at: string;
   approver_sequence?: RuleApproverStep[];
+  is_manager_approver?: boolean;
+  manager_levels?: number;
+  priority?: number;
+  conditions?: ApprovalRuleConditions;
+}
+
+export interface ApprovalRulePreview {
+  rule: ApprovalRule | null;
+  converted_amount: number | null;
+  company_currency: string;
+  approvers: { approver_id: string; sequence_order: number }[];
 }
 
 export interface ExpenseCategory {
@@ -43,6 +109,26 @@ export interface ExpenseCategory {
   created_at: string;
 }
 
+export interface ReceiptLineItem {
+  description: string;
+  quantity: number;
+  unit_price: number;
+  amount: number;
+  confidence: number;
+}
+
+export interface ReceiptTax {
+  label: string;
+  rate: number | null;
+  amount: number;
+  confidence: number;
+}
+
+// A reading that came from the company's locale rather than the receipt, e.g. 04/11/2025
+export type ReceiptAmbiguity =
+  | { field: 'date'; value: string; alternatives: string[] }
+  | { field: 'amount'; value: number; alternatives: number[] };
+
 export interface ReceiptAnalysis {
   text: string;
   confidence?: number | null;
@@ -52,35 +138,110 @@ export interface ReceiptAnalysis {
   date?: string | null;
   category?: string | null;
   description?: string | null;
+  line_items?: ReceiptLineItem[];
+  subtotal?: number | null;
+  taxes?: ReceiptTax[];
+  tax?: number | null;
+  tip?: number | null;
+  paid_by?: string | null;
+  // 0-99 per extracted field, 0 when the field was not found
+  field_confidence?: Record<string, number>;
+  ambiguities?: ReceiptAmbiguity[];
+}
+
+export interface ExpenseAttachment {
+  id: string;
+  filename: string;
+  mime_type: string;
+  size: number | null;
+  hash: string | null;
+  uploaded_by: string;
+  uploaded_at: string;
+  // Filled in shortly after upload
+  ocr: Pick<ReceiptAnalysis, 'merchant' | 'amount' | 'currency' | 'date' | 'confidence'> | null;
+  // Signed link that expires after a few minutes
+  url: string;
+}
+
+// Only the reasons are sent when the matched expense belongs to someone the viewer cannot see
+export interface PossibleDuplicate {
+  expense_id?: string;
+  description?: string;
+  amount?: number;
+  currency?: string;
+  date?: string;
+  reasons: Array<'same_file' | 'similar_image' | 'same_amount_and_date' | 'same_merchant'>;
 }
 
 export interface Expense {
   id: string;
   company_id: string;
   user_id: string;
+  requester?: { id: string; name: string };
+  report_id?: string | null;
   description: string;
   date: string;
   category_id?: string;
   paid_by: string;
   amount: number;
   currency: string;
+  company_currency?: string | null;
+  converted_amount?: number | null;
+  exchange_rate?: number | null;
+  rate_updated_at?: string | null;
+  rate_provider?: string | null;
+  rate_approximate?: boolean;
   remarks?: string;
-  receipt_url?: string;
-  status: 'pending' | 'approved' | 'rejected';
+  receipt_url?: string | null;
+  attachments?: ExpenseAttachment[];
+  possible_duplicates?: PossibleDuplicate[];
+  status: 'draft' | 'pending' | 'approved' | 'rejected' | 'withdrawn';
+  submission_round?: number;
   created_at: string;
   updated_at: string;
 }
 
+export interface ExpenseReport {
+  id: string;
+  company_id: string;
+  user_id: string;
+  title: string;
+  description?: string;
+  status: 'draft' | 'pending' | 'approved' | 'rejected';
+  currency: string;
+  total_amount: number;
+  approved_amount: number;
+  submitted_at?: string;
+  submission_round?: number;
+  created_at: string;
+  updated_at: string;
+  expenses: Expense[];
+}
+
 export interface Approval {
   id: string;
-  expense_id: string;
+  expense_id: string | null;
+  report_id?: string;
   approver_id: string;
-  status: 'pending' | 'approved' | 'rejected' | 'escalated';
+  delegated_from?: { id: string; name: string } | null;
+  sequence_order?: number;
+  status: 'waiting' | 'pending' | 'approved' | 'rejected' | 'escalated' | 'skipped';
   comments?: string;
   approved_at?: string;
   created_at: string;
 }
 
+export interface Delegation {
+  id: string;
+  delegator: { id: string; name: string };
+  delegate: { id: string; name: string };
+  starts_at: string;
+  ends_at: string;
+  reason: string;
+  status: 'scheduled' | 'active' | 'expired' | 'revoked';
+  created_at: string;
+}
+
 export interface AuditLog {
   id: string;
   company_id: string;
@@ -103,6 +264,26 @@ export interface Notification {
   created_at: string;
 }
 
+export interface ApprovalActionPreview {
+  decision: 'approved' | 'rejected';
+  expires_at: string;
+  approval_id: string;
+  kind: 'expense' | 'report';
+  description: string;
+  amount: number;
+  currency: string;
+  requester: string | null;
+  submitted_at: string;
+}
+
+export type NotificationChannel = 'email' | 'webhook';
+
+export interface NotificationPreferences {
+  types: Record<'approval' | 'rejection' | 'info', Record<NotificationChannel, boolean>>;
+  webhook_url: string | null;
+  digest: 'off' | 'daily';
+}
+
 export interface CurrencyQuote {
   base: string;
   target: string;
@@ -111,11 +292,78 @@ export interface CurrencyQuote {
   converted_amount: number;
   updated_at: string;
   provider?: string;
+  rate_date?: string;
+  stale?: boolean;
+  approximate?: boolean;
 }
 
 export interface CurrencyRates {
   base: string;
   rates: Record<string, number>;
+  date?: string;
   updated_at: string;
   provider?: string;
+  stale?: boolean;
+  historical?: boolean;
+  approximate?: boolean;
+}
+
+export interface SpendReportRow {
+  key: string | null;
+  label: string | null;
+  total: number;
+  count: number;
+  unconverted: number;
+}
+
+export interface SpendReport {
+  group_by: 'category' | 'employee' | 'month' | 'status';
+  currency: string;
+  total: number;
+  unconverted_count: number;
+  rows: SpendReportRow[];
+}
+
+export interface ApprovalTurnaroundReport {
+  average_hours: number | null;
+  min_hours: number | null;
+  max_hours: number | null;
+  count: number;
+  by_status: Array<{ status: string; average_hours: number | null; count: number }>;
+  by_month: Array<{ month: string; average_hours: number | null; count: number }>;
+}
+
+export interface WebhookEvent {
+  key: string;
+  label: string;
+}
+
+export interface WebhookEndpoint {
+  id: string;
+  url: string;
+  description: string;
+  events: string[];
+  active: boolean;
+  // Only returned when the endpoint is created or its secret rotated
+  secret?: string;
+  created_at: string;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  endpoint_id: string;
+  event: string;
+  status: 'pending' | 'succeeded' | 'failed';
+  attempts: number;
+  next_attempt_at: string | null;
+  delivered_at: string | null;
+  attempt_log: Array<{
+    at: string;
+    response_status: number | null;
+    error: string | null;
+    response_body: string | null;
+    duration_ms: number | null;
+  }>;
+  payload: Record<string, unknown>;
+  created_at: string;
 }